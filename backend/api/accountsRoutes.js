@@ -0,0 +1,100 @@
+// backend/api/accountsRoutes.js
+// Connected Pixelfed accounts. Several can be connected at once (also on the same
+// instance); each album picks the account that fetches it, which decides what
+// follower-only posts it can see. Tokens never leave the backend.
+
+import express from 'express';
+import * as accountRepo from '../db/accountRepo.js';
+import * as auth from '../modules/auth.js';
+import { resolveInstance, DEFAULT_INSTANCE_ID } from '../modules/instances.js';
+import { ConflictError, NotFoundError, UpstreamError, ValidationError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import { readOnlyUnlessAdmin, requireAdmin } from '../utils/authMiddleware.js';
+
+// tiny async wrapper to forward errors to Express
+const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+function shapeAccountOut(row) {
+  const status = auth.getStatus(row.id);
+  return {
+    id: row.id,
+    instanceId: row.instance_id || DEFAULT_INSTANCE_ID,
+    acct: row.acct,
+    display_name: row.display_name,
+    avatar: row.avatar,
+    authenticated: !!status.isAuthenticated,
+    expiresAt: status.expiresAt ?? null,
+    albums: accountRepo.countAlbums(row.id),
+    created_at: row.created_at,
+  };
+}
+
+function getAccountOrThrow(id) {
+  const row = accountRepo.get(id);
+  if (!row) throw new NotFoundError('account not found', { id });
+  return row;
+}
+
+export default function mountAccountsRoutes(app) {
+  const router = express.Router();
+  router.use(readOnlyUnlessAdmin);
+
+  // GET /api/accounts
+  router.get('/', wrap(async (_req, res) => {
+    auth.getStatus(); // moves a legacy .token.json into the table first
+    const items = accountRepo.list().map(shapeAccountOut);
+    res.json({ items, total: items.length });
+  }));
+
+  // POST /api/accounts/login  { instanceId? } → { loginUrl } to connect another account
+  // (log out of the instance in that browser first to pick a different user)
+  router.post('/login', requireAdmin, wrap(async (req, res) => {
+    const { instanceId } = req.body || {};
+    const instance = resolveInstance(instanceId ? String(instanceId) : null);
+    res.json({ loginUrl: await auth.startLogin(instance.id) }); // registers an OAuth app if needed
+  }));
+
+  // GET /api/accounts/:id
+  router.get('/:id', wrap(async (req, res) => {
+    res.json(shapeAccountOut(getAccountOrThrow(req.params.id)));
+  }));
+
+  // POST /api/accounts/:id/refresh → refresh the token now and re-read the profile
+  router.post('/:id/refresh', wrap(async (req, res) => {
+    getAccountOrThrow(req.params.id);
+    if (!auth.getStatus(req.params.id).isAuthenticated) {
+      throw new ValidationError('account is logged out; connect it again', { id: req.params.id });
+    }
+    try {
+      const row = await auth.refreshAccount(req.params.id);
+      res.json(shapeAccountOut(row));
+    } catch (e) {
+      throw new UpstreamError('token refresh failed; connect the account again', { id: req.params.id, cause: e.message });
+    }
+  }));
+
+  // POST /api/accounts/:id/logout → forget the tokens; albums keep pointing at the account
+  router.post('/:id/logout', wrap(async (req, res) => {
+    getAccountOrThrow(req.params.id);
+    auth.logout(req.params.id);
+    res.json({ ok: true });
+  }));
+
+  // DELETE /api/accounts/:id  (refused while albums are fetched with it)
+  router.delete('/:id', wrap(async (req, res) => {
+    getAccountOrThrow(req.params.id);
+    const albums = accountRepo.countAlbums(req.params.id);
+    if (albums > 0) {
+      throw new ConflictError('account is still used by albums', { id: req.params.id, albums });
+    }
+    accountRepo.remove(req.params.id);
+    console.log(`[Accounts] Removed ${req.params.id}`);
+    res.status(204).end();
+  }));
+
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
+  // Mount under /api/accounts
+  app.use('/api/accounts', router);
+}
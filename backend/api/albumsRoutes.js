@@ -1,15 +1,25 @@
 // backend/api/albumsRoutes.js
-// Express routes for Virtual Albums (create/list/get/update/toggle/delete/refresh + photos)
+// Express routes for Virtual Albums (create/list/get/update/toggle/delete/refresh/runs/backfill + photos)
 
 import express from 'express';
 import * as photoFetcher from '../services/photoFetcher.js';
 import * as albumRepo from '../db/albumRepo.js';
 import * as photoRepo from '../db/photoRepo.js';
-import { ensureAuthed } from '../utils/authMiddleware.js';
-import {mapPhotoRow} from "../utils/helpers.js";
+import * as refreshRunRepo from '../db/refreshRunRepo.js';
+import * as albumBackfill from '../services/albumBackfill.js';
+import * as albumRefresh from '../services/albumRefresh.js';
+import * as events from '../modules/events.js';
+import { ensureAuthed, readOnlyUnlessAdmin } from '../utils/authMiddleware.js';
+import * as accountRepo from '../db/accountRepo.js';
+import { resolveInstance, storedInstanceId, DEFAULT_INSTANCE_ID } from '../modules/instances.js';
+import {mapPhotoRow, parseDateWindow} from "../utils/helpers.js";
+import { nextCronRun, parseWindow } from '../utils/cron.js';
+import { getNextRunAt } from '../services/albumScheduler.js';
+import { parseRetention } from '../services/maintenance.js';
 
 export default function mountAlbumRoutes(app) {
   const router = express.Router();
+  router.use(readOnlyUnlessAdmin); // viewers and frames read, admins change albums
   router.use(ensureAuthed);
 
   // -----------------------------
@@ -35,9 +45,128 @@ export default function mountAlbumRoutes(app) {
     return (out.accts?.length || out.ids?.length) ? out : undefined;
   }
 
+  // Exclusion lists: excludeTags[] (like tags), excludeUsers[] (accts or IDs),
+  // excludeKeywords[] (case-insensitive caption substrings). Stored as { tags, users, keywords }.
+  const EXCLUDE_KEYS = { excludeTags: 'tags', excludeUsers: 'users', excludeKeywords: 'keywords' };
+
+  function hasExclude(q = {}) {
+    return Object.keys(EXCLUDE_KEYS).some(k => q[k] !== undefined);
+  }
+
+  function parseExclude(q = {}, base = null) {
+    const out = { tags: [], users: [], keywords: [], ...(base || {}) };
+    if (q.excludeTags !== undefined) out.tags = normalizeTags(q.excludeTags) || [];
+    if (q.excludeUsers !== undefined) {
+      out.users = (Array.isArray(q.excludeUsers) ? q.excludeUsers : [])
+        .map(u => String(u || '').trim().replace(/^@/, '').toLowerCase())
+        .filter(Boolean);
+    }
+    if (q.excludeKeywords !== undefined) {
+      out.keywords = (Array.isArray(q.excludeKeywords) ? q.excludeKeywords : [])
+        .map(k => String(k || '').trim().toLowerCase())
+        .filter(Boolean);
+    }
+    for (const key of Object.keys(out)) out[key] = Array.from(new Set(out[key]));
+    return (out.tags.length || out.users.length || out.keywords.length) ? out : null;
+  }
+
+  function validateExclude(q = {}) {
+    for (const key of Object.keys(EXCLUDE_KEYS)) {
+      if (q[key] !== undefined && q[key] !== null && !Array.isArray(q[key])) {
+        return `query.${key} must be an array of strings`;
+      }
+    }
+    return null;
+  }
+
+  // Apply the album's exclusion rules to photos it already holds
+  function pruneExcluded(albumId, exclude) {
+    if (!exclude) return 0;
+    const drop = [];
+    for (let offset = 0; ; offset += 500) {
+      const { items } = photoRepo.listForAlbum(albumId, { offset, limit: 500 });
+      drop.push(...items.map(mapPhotoRow).filter(p => photoFetcher.isExcluded(p, exclude)).map(p => p.id));
+      if (items.length < 500) break;
+    }
+    const removed = albumRepo.removePhotos(albumId, drop);
+    if (removed) console.log(`[Albums] Removed ${removed} excluded photos from album ${albumId}`);
+    return removed;
+  }
+
+  // Posts flagged sensitive: skip them, show them blurred behind their content warning, or show as-is
+  const SENSITIVE_POLICIES = ['exclude', 'blur', 'include'];
+
+  function validateSensitivePolicy(policy) {
+    if (policy != null && !SENSITIVE_POLICIES.includes(policy)) {
+      return `sensitivePolicy must be one of ${SENSITIVE_POLICIES.join(', ')}`;
+    }
+    return null;
+  }
+
+  // Schedule: intervalMs (at least a minute), a cron expression and/or a daily window
+  // ({ start, end, days? }); null clears cron/window. See utils/cron.js.
+  function validateRefresh(refresh) {
+    if (refresh == null) return null;
+    if (typeof refresh !== 'object' || Array.isArray(refresh)) return 'refresh must be an object';
+    if (refresh.intervalMs != null) {
+      const ms = Number(refresh.intervalMs);
+      if (!Number.isInteger(ms) || ms < 60000) return 'refresh.intervalMs must be an integer of at least 60000 (one minute)';
+    }
+    try {
+      if (refresh.cron != null && !nextCronRun(refresh.cron, new Date())) return 'refresh.cron never matches a date';
+      if (refresh.window != null) parseWindow(refresh.window);
+    } catch (e) {
+      return e.message;
+    }
+    return null;
+  }
+
+  // Retention: keep the maxPhotos newest posts and/or none older than maxAgeDays; null keeps
+  // everything. Enforced by the maintenance job (services/maintenance.js).
+  function validateRetention(retention) {
+    if (retention == null) return null;
+    if (typeof retention !== 'object' || Array.isArray(retention)) return 'retention must be an object or null';
+    for (const key of ['maxPhotos', 'maxAgeDays']) {
+      const v = retention[key];
+      if (v != null && (!Number.isInteger(v) || v < 1)) return `retention.${key} must be a positive integer or null`;
+    }
+    return null;
+  }
+
+  function normalizeRetention(retention) {
+    const out = {};
+    if (retention?.maxPhotos != null) out.maxPhotos = retention.maxPhotos;
+    if (retention?.maxAgeDays != null) out.maxAgeDays = retention.maxAgeDays;
+    return Object.keys(out).length ? out : null;
+  }
+
+  // Albums query one Pixelfed instance; null/'default' is the PIXELFED_INSTANCE server
+  function validateInstanceId(instanceId) {
+    if (instanceId == null) return null;
+    try {
+      resolveInstance(String(instanceId));
+      return null;
+    } catch {
+      return `instanceId "${instanceId}" is not a registered instance`;
+    }
+  }
+
+  // Connected account that fetches the album; it must live on the album's instance.
+  // Returns { error } or { accountId, instanceId } (stored forms; null account = instance default).
+  function resolveAlbumAccount(accountId, instanceId) {
+    if (!accountId) return { accountId: null, instanceId };
+    const account = accountRepo.get(String(accountId));
+    if (!account) return { error: `accountId "${accountId}" is not a connected account` };
+    if (instanceId !== undefined && (account.instance_id ?? null) !== instanceId) {
+      return { error: 'accountId belongs to a different instance than instanceId' };
+    }
+    return { accountId: account.id, instanceId: account.instance_id ?? null };
+  }
+
   function shapeAlbumOut(row) {
     // albumRepo.get/list currently returns raw row; expose a consistent shape
     const refresh = row.refresh_json ? JSON.parse(row.refresh_json) : {};
+    const exclude = row.query_exclude ? JSON.parse(row.query_exclude) : {};
     return {
       id: row.id,
       name: row.name,
@@ -49,17 +178,25 @@ export default function mountAlbumRoutes(app) {
         tags: row.query_tags ? JSON.parse(row.query_tags) : undefined,
         users: row.query_users ? JSON.parse(row.query_users) : undefined,
         tagmode: row.query_tagmode,
-        limit: row.query_limit
+        limit: row.query_limit,
+        excludeTags: exclude.tags || [],
+        excludeUsers: exclude.users || [],
+        excludeKeywords: exclude.keywords || []
       },
+      sensitivePolicy: row.sensitive_policy || 'exclude',
+      instanceId: row.instance_id || DEFAULT_INSTANCE_ID,
+      accountId: row.account_id || null,
       refresh,
+      nextRunAt: getNextRunAt(row)?.toISOString() ?? null, // null: disabled, or the schedule never runs
+      retention: parseRetention(row), // null: keeps everything
       // lightweight stats: call only when needed (list endpoint also wants total)
     };
   }
 
   function validateQuery(q = {}) {
     const type = q.type;
-    if (!['tag', 'user', 'compound'].includes(type || '')) {
-      return 'query.type must be "tag" | "user" | "compound"';
+    if (!['tag', 'user', 'compound', ...photoFetcher.TIMELINE_TYPES].includes(type || '')) {
+      return 'query.type must be "tag" | "user" | "compound" | "public" | "local" | "home"';
     }
     const tagmode = q.tagmode || 'any';
     if (!['any', 'all'].includes(tagmode)) {
@@ -87,19 +224,9 @@ export default function mountAlbumRoutes(app) {
   }
 
   // Small helpers (local)
-  function parseJsonArray(s) {
-    if (!s) return [];
-    try { const v = JSON.parse(s); return Array.isArray(v) ? v : []; } catch { return []; }
-  }
-
-  function inferType(row) {
-    if (row?.query_type) return String(row.query_type);
-    const tags = parseJsonArray(row?.query_tags);
-    const users = parseJsonArray(row?.query_users);
-    if (tags.length && users.length) return 'compound';
-    if (tags.length) return 'tag';
-    if (users.length) return 'user';
-    return 'tag';
+  function parseJsonObject(s) {
+    if (!s) return null;
+    try { const v = JSON.parse(s); return v && typeof v === 'object' && !Array.isArray(v) ? v : null; } catch { return null; }
   }
 
   // -----------------------------
@@ -109,7 +236,7 @@ export default function mountAlbumRoutes(app) {
   // Create album
   router.post('/', (req, res) => {
     try {
-      const { name, query = {}, refresh = {}, enabled = true } = req.body || {};
+      const { name, query = {}, refresh = {}, retention = null, enabled = true, sensitivePolicy, instanceId, accountId } = req.body || {};
       if (!name || typeof name !== 'string') {
         return res.status(400).json({ error: { code: 'ValidationError', message: 'name is required' } });
       }
@@ -119,25 +246,38 @@ export default function mountAlbumRoutes(app) {
         tags: normalizeTags(query.tags),
         users: parseUsers(query.users),
         tagmode: query.tagmode || 'any',
-        limit: clamp(Number(query.limit ?? 20), 1, 40)
+        limit: clamp(Number(query.limit ?? 20), 1, 40),
+        exclude: parseExclude(query)
       };
-      const err = validateQuery(nq);
+      const err = validateQuery(nq) || validateExclude(query) || validateSensitivePolicy(sensitivePolicy)
+        || validateInstanceId(instanceId) || validateRefresh(refresh) || validateRetention(retention);
       if (err) return res.status(400).json({ error: { code: 'ValidationError', message: err } });
+      // An account implies its instance when none was given
+      const source = resolveAlbumAccount(accountId, instanceId == null ? undefined : storedInstanceId(String(instanceId)));
+      if (source.error) return res.status(400).json({ error: { code: 'ValidationError', message: source.error } });
 
       const row = albumRepo.create({
         name,
         query: nq,
+        sensitivePolicy: sensitivePolicy || 'exclude',
+        instanceId: source.instanceId ?? null,
+        accountId: source.accountId,
         refresh: {
           intervalMs: Number(refresh.intervalMs ?? 600000),
+          cron: refresh.cron || null,
+          window: refresh.window || null,
           last_checked_at: null,
           backoff_until: null,
           since_id: null,
           max_id: null
         },
+        retention: normalizeRetention(retention),
         enabled: !!enabled
       });
 
       // Add stats.total (count album_items)
+      events.publish('album-updated', { albumId: row.id, action: 'created' });
+
       const { total } = albumRepo.listItems(row.id, { limit: 1, offset: 0 });
       res.status(201).json({ ...shapeAlbumOut(row), stats: { total } });
     } catch (e) {
@@ -182,15 +322,32 @@ export default function mountAlbumRoutes(app) {
     }
   });
 
-  // Update album (name/query/refresh/enabled)
+  // Update album (name/query/refresh/retention/enabled)
   router.patch('/:id', (req, res) => {
     try {
       const id = req.params.id;
       const patch = {};
-      const { name, enabled, query, refresh } = req.body || {};
+      const { name, enabled, query, refresh, retention, sensitivePolicy, instanceId, accountId } = req.body || {};
 
       if (name != null) patch.name = String(name);
       if (enabled != null) patch.enabled = !!enabled;
+      if (sensitivePolicy != null) {
+        const policyErr = validateSensitivePolicy(sensitivePolicy);
+        if (policyErr) return res.status(400).json({ error: { code: 'ValidationError', message: policyErr } });
+        patch.sensitivePolicy = sensitivePolicy;
+      }
+      if (instanceId != null) {
+        const instanceErr = validateInstanceId(instanceId);
+        if (instanceErr) return res.status(400).json({ error: { code: 'ValidationError', message: instanceErr } });
+        patch.instanceId = storedInstanceId(String(instanceId));
+      }
+      if (accountId !== undefined) {
+        // null/'' → the instance's first connected account
+        const source = resolveAlbumAccount(accountId, patch.instanceId);
+        if (source.error) return res.status(400).json({ error: { code: 'ValidationError', message: source.error } });
+        patch.accountId = source.accountId;
+        if (source.accountId) patch.instanceId = source.instanceId;
+      }
 
       if (query) {
         const nq = {
@@ -204,24 +361,51 @@ export default function mountAlbumRoutes(app) {
         if (err && nq.type) { // only strict-validate if type is being changed/set explicitly
           return res.status(400).json({ error: { code: 'ValidationError', message: err } });
         }
+        const excludeErr = validateExclude(query);
+        if (excludeErr) return res.status(400).json({ error: { code: 'ValidationError', message: excludeErr } });
+        if (hasExclude(query)) {
+          // Only the lists that were sent are replaced
+          const current = parseJsonObject(albumRepo.get(id)?.query_exclude);
+          nq.exclude = parseExclude(query, current);
+        }
         patch.query = nq;
       }
 
       if (refresh) {
+        const refreshErr = validateRefresh(refresh);
+        if (refreshErr) return res.status(400).json({ error: { code: 'ValidationError', message: refreshErr } });
         patch.refresh = {};
         if (refresh.intervalMs != null) patch.refresh.intervalMs = Number(refresh.intervalMs);
+        if (refresh.cron !== undefined) patch.refresh.cron = refresh.cron || null;
+        if (refresh.window !== undefined) patch.refresh.window = refresh.window || null;
         if (refresh.since_id != null) patch.refresh.since_id = String(refresh.since_id);
         if (refresh.max_id != null) patch.refresh.max_id = String(refresh.max_id);
         if (refresh.backoff_until != null) patch.refresh.backoff_until = String(refresh.backoff_until);
         if (refresh.last_checked_at != null) patch.refresh.last_checked_at = String(refresh.last_checked_at);
       }
 
+      if (retention !== undefined) {
+        const retentionErr = validateRetention(retention);
+        if (retentionErr) return res.status(400).json({ error: { code: 'ValidationError', message: retentionErr } });
+        patch.retention = normalizeRetention(retention);
+      }
+
+      // Cursors are status IDs of the old instance; start over on the new one.
+      // The album's account belonged to the old instance too.
+      const current = albumRepo.get(id);
+      if (current && patch.instanceId !== undefined && patch.instanceId !== (current.instance_id ?? null)) {
+        patch.refresh = { ...(patch.refresh || {}), since_id: null, max_id: null };
+        if (patch.accountId === undefined) patch.accountId = null;
+      }
+
       const updated = albumRepo.update(id, patch);
       if (!updated) return res.status(404).json({ error: { code: 'NotFound', message: 'album not found' } });
+      const pruned = patch.query?.exclude ? pruneExcluded(id, patch.query.exclude) : 0;
+      events.publish('album-updated', { albumId: id, action: 'updated', pruned });
 
       const shaped = shapeAlbumOut(updated);
       const { total } = albumRepo.listItems(id, { limit: 1, offset: 0 });
-      res.json({ ...shaped, stats: { total } });
+      res.json({ ...shaped, stats: { total, pruned } });
     } catch (e) {
       console.error('Update album failed:', e);
       if (String(e?.message).includes('AlbumNotFound')) {
@@ -239,6 +423,7 @@ export default function mountAlbumRoutes(app) {
         return res.status(400).json({ error: { code: 'ValidationError', message: 'enabled boolean required' } });
       }
       const result = albumRepo.toggle(req.params.id, !!enabled);
+      events.publish('album-updated', { albumId: req.params.id, action: 'toggled', enabled: !!enabled });
       res.json(result);
     } catch (e) {
       console.error('Toggle album failed:', e);
@@ -251,7 +436,9 @@ export default function mountAlbumRoutes(app) {
     try {
       const row = albumRepo.get(req.params.id);
       if (!row) return res.status(404).json({ error: { code: 'NotFound', message: 'album not found' } });
+      albumBackfill.stopBackfill(req.params.id);
       albumRepo.remove(req.params.id);
+      events.publish('album-updated', { albumId: req.params.id, action: 'deleted' });
       res.status(204).end();
     } catch (e) {
       console.error('Delete album failed:', e);
@@ -260,107 +447,141 @@ export default function mountAlbumRoutes(app) {
   });
 
 
-  // Manual refresh
-  router.post('/:id/refresh', ensureAuthed, async (req, res) => {
+  // Errors of the refresh service (services/albumRefresh.js) as HTTP responses
+  function sendRefreshError(res, e, what) {
+    if (e?.code === 'not_found') {
+      return res.status(404).json({ error: { code: 'NotFound', message: 'album not found' } });
+    }
+    if (e?.code === 'rate_limited') {
+      const retryAfter = e.meta?.retryAfter;
+      if (retryAfter != null) res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: { code: 'RateLimited', message: e.message, retryAfter } });
+    }
+    if (e?.code === 'upstream_error') {
+      return res.status(502).json({ error: { code: 'UpstreamError', message: e.message } });
+    }
+    if (e?.code === 'not_authenticated') {
+      return res.status(409).json({ error: { code: 'NotAuthenticated', message: 'no Pixelfed account is connected for this album; log in first' } });
+    }
+    console.error(`${what} failed:`, e);
+    return res.status(500).json({ error: { code: 'InternalError', message: `failed to ${what.toLowerCase()}` } });
+  }
+
+  // Manual refresh. Waits for the result, or with ?async=true (or { async: true })
+  // answers 202 with a job to poll at /:id/refresh/jobs/:jobId.
+  router.post('/:id/refresh', async (req, res) => {
+    const isAsync = String(req.query.async ?? req.body?.async ?? 'false') === 'true';
     try {
-      const row = albumRepo.get(req.params.id);
-      if (!row) {
-        return res.status(404).json({ error: { code: 'NotFound', message: 'album not found' } });
+      if (isAsync) {
+        const job = albumRefresh.startRefreshJob(req.params.id, { source: 'manual' });
+        return res.status(202).json({ albumId: req.params.id, jobId: job.id, job });
       }
+      const result = await albumRefresh.refreshAlbum(req.params.id, { source: 'manual' });
+      return res.json(result);
+    } catch (e) {
+      return sendRefreshError(res, e, 'Refresh album');
+    }
+  });
 
-      // Normalize album query pieces from row
-      const type    = inferType(row); // 'tag' | 'user' | 'compound'
-      const tagsRaw = parseJsonArray(row.query_tags);      // e.g. ["italy","travel"]
-      const users   = parseJsonArray(row.query_users);     // expected: resolved account IDs if that's how you store them
-      const tagmode = String(row.query_tagmode || 'any').toLowerCase(); // 'any' | 'all'
-
-      // Safety-normalize tags: strip '#', lowercase, unique
-      const tags = Array.from(new Set(
-        (Array.isArray(tagsRaw) ? tagsRaw : [])
-          .map(s => String(s).replace(/^#/, '').trim().toLowerCase())
-          .filter(Boolean)
-      ));
-
-      // Decide fetch size: use album limit if present; otherwise default & add headroom for filtering
-      const baseLimit = Number(row.page_limit || row.limit || 24);
-      const headroom  = Math.min(baseLimit * 3, 120);
-
-      // Fetch candidates based on album type
-      console.log(`[Album Refresh] Starting refresh for album ${row.id}:`, {
-        type,
-        tags,
-        users,
-        tagmode,
-        headroom
-      });
+  // Outcome of a background refresh: status running|ok|error, then `result` or `error`
+  router.get('/:id/refresh/jobs/:jobId', (req, res) => {
+    const job = albumRefresh.getRefreshJob(req.params.jobId);
+    if (!job || job.albumId !== req.params.id) {
+      return res.status(404).json({ error: { code: 'NotFound', message: 'refresh job not found' } });
+    }
+    res.json({ albumId: req.params.id, job });
+  });
 
-      let candidates = [];
-      if (type === 'tag') {
-        // For tagmode='all', fetcher should locally AND-match tags
-        console.log(`[Album Refresh] Fetching photos for tags:`, tags);
-        candidates = await photoFetcher.getLatestPhotosForTags(tags, { limit: headroom, tagmode });
-        console.log(`[Album Refresh] Fetched ${candidates.length} photos for tags`);
-      } else if (type === 'user') {
-        // If you store accts instead, resolve before calling
-        candidates = await photoFetcher.getLatestPhotosForUsers(users, { limit: headroom });
-      } else {
-        // compound: fetch by users, then local tag filter (any/all)
-        candidates = await photoFetcher.getLatestPhotosCompound(
-          { tags, accountIds: users },
-          { limit: headroom, tagmode }
-        );
+  // Refresh history, newest first: ?offset=&limit=&status=running|ok|error
+  router.get('/:id/runs', (req, res) => {
+    try {
+      if (!albumRepo.get(req.params.id)) {
+        return res.status(404).json({ error: { code: 'NotFound', message: 'album not found' } });
       }
-      candidates = Array.isArray(candidates) ? candidates : [];
-      
-      console.log(`[Album Refresh] Total candidates after fetch: ${candidates.length}`);
-
-      // Upsert photos into DB → expect array of status_ids back
-      const upsertedIdsRaw = photoRepo.upsertMany ? photoRepo.upsertMany(candidates) : [];
-      const upsertedIds = Array.isArray(upsertedIdsRaw) ? upsertedIdsRaw : [];
-
-      // Clean IDs (remove falsy + de-dup) before linking into album_items
-      const cleanIds = Array.from(new Set(upsertedIds.filter(Boolean)));
-
-      // Link into album_items (INSERT OR IGNORE handled in repo)
-      const linkedCount = albumRepo.addPhotos(row.id, cleanIds);
-
-      // Update album refresh timestamp (add watermarks later if you track them)
-      albumRepo.update(row.id, { last_checked_at: new Date().toISOString() });
-
-      return res.json({
-        albumId: row.id,
-        type,
-        tagmode,
-        requested: headroom,
-        fetched: candidates.length,
-        upserted: cleanIds.length,
-        linked: linkedCount
-      });
+      const offset = clamp(Number(req.query.offset ?? 0), 0, 10_000_000);
+      const limit = clamp(Number(req.query.limit ?? 20), 1, 100);
+      const status = req.query.status ? String(req.query.status) : undefined;
+      if (status && !refreshRunRepo.STATUSES.includes(status)) {
+        return res.status(400).json({ error: { code: 'ValidationError', message: `status must be one of ${refreshRunRepo.STATUSES.join(', ')}` } });
+      }
+      res.json(refreshRunRepo.list({ albumId: req.params.id, status, offset, limit }));
+    } catch (e) {
+      console.error('List refresh runs failed:', e);
+      res.status(500).json({ error: { code: 'InternalError', message: 'failed to list refresh runs' } });
+    }
+  });
+
+  // Start (or resume) a deep backfill of older posts
+  router.post('/:id/backfill', (req, res) => {
+    try {
+      const { targetCount, until, restart = false } = req.body || {};
+      const state = albumBackfill.startBackfill(req.params.id, { targetCount, until, restart: !!restart });
+      res.status(202).json({ albumId: req.params.id, backfill: state });
+    } catch (e) {
+      if (e?.code === 'not_found') {
+        return res.status(404).json({ error: { code: 'NotFound', message: 'album not found' } });
+      }
+      if (e?.code === 'validation_error') {
+        return res.status(400).json({ error: { code: 'ValidationError', message: e.message } });
+      }
+      console.error('Start backfill failed:', e);
+      res.status(500).json({ error: { code: 'InternalError', message: 'failed to start backfill' } });
+    }
+  });
+
+  // Backfill progress
+  router.get('/:id/backfill', (req, res) => {
+    try {
+      const state = albumBackfill.getBackfillState(req.params.id);
+      res.json({ albumId: req.params.id, backfill: state });
     } catch (e) {
-      console.error('Refresh album failed:', e);
-      return res.status(500).json({ error: { code: 'InternalError', message: 'failed to refresh album' } });
+      if (e?.code === 'not_found') {
+        return res.status(404).json({ error: { code: 'NotFound', message: 'album not found' } });
+      }
+      console.error('Get backfill failed:', e);
+      res.status(500).json({ error: { code: 'InternalError', message: 'failed to get backfill state' } });
     }
   });
 
   // Get photos in an album
+  // ?offset=&limit=&since=&until=&recencyDays=&sort=added_at|created_at|random&seed=
+  // since/until/recencyDays filter by post created_at; random with the same seed pages stably.
+  // Sensitive posts follow the album's sensitivePolicy (skipped, or flagged `blur`).
   router.get('/:id/photos', (req, res) => {
     try {
       const id = req.params.id;
       const offset = clamp(Number(req.query.offset ?? 0), 0, 10_000_000);
       const limit = clamp(Number(req.query.limit ?? 20), 1, 100);
 
+      const sort = req.query.sort ? String(req.query.sort) : 'added_at';
+      if (!photoRepo.SORTS.includes(sort)) {
+        return res.status(400).json({ error: { code: 'ValidationError', message: `sort must be one of ${photoRepo.SORTS.join(', ')}` } });
+      }
+      const seed = sort === 'random'
+        ? String(req.query.seed || Math.floor(Math.random() * 1e9))
+        : undefined;
+      const { since, until } = parseDateWindow(req.query);
+
       const albumRow = albumRepo.get(id);
       if (!albumRow) {
         return res.status(404).json({ error: { code: 'NotFound', message: 'album not found' } });
       }
 
-      const result = photoRepo.listForAlbum(id, { offset, limit }) || {};
+      const policy = albumRow.sensitive_policy || 'exclude';
+      const result = photoRepo.listForAlbum(id, {
+        offset, limit, since, until, sort, seed,
+        excludeSensitive: policy === 'exclude'
+      }) || {};
       const rows   = Array.isArray(result.items) ? result.items : [];
       const total  = Number.isFinite(result.total) ? result.total : rows.length;
 
-      const items = rows.map(mapPhotoRow);
-      return res.json({ items, total, offset, limit });
+      // blur: the player should hide the media behind its content warning
+      const items = rows.map(mapPhotoRow).map(p => ({ ...p, blur: policy === 'blur' && p.sensitive }));
+      return res.json({ items, total, offset, limit, sort, ...(seed ? { seed } : {}), sensitive_policy: policy });
     } catch (e) {
+      if (e?.code === 'validation_error') {
+        return res.status(400).json({ error: { code: 'ValidationError', message: e.message } });
+      }
       console.error('List album photos failed:', e);
       return res.status(500).json({ error: { code: 'InternalError', message: 'failed to list album photos' } });
     }
@@ -3,6 +3,10 @@
 
 import express from 'express';
 import * as auth from '../modules/auth.js';
+import { DEFAULT_INSTANCE_ID } from '../modules/instances.js';
+import { ValidationError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import { requireAdmin } from '../utils/authMiddleware.js';
 
 // tiny async wrapper (so we don't depend on an external asyncHandler)
 const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
@@ -10,18 +14,31 @@ const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).cat
 export default function mountAuthRoutes(app) {
   const router = express.Router();
 
-  // GET /api/login → return JSON { loginUrl }
-  router.get('/login', (_req, res) => {
-    console.log('[API] GET /api/login');
-    const loginUrl = auth.getLoginUrl();
+  // POST /api/login  { instance? } → return JSON { loginUrl }, e.g. { "instance": "pixelfed.art" }
+  // Without `instance` the default instance is used. PixelFree registers itself as an
+  // OAuth app with unknown servers and adds them to the instances registry once that
+  // worked. A POST so that other sites cannot start logins (cookies are SameSite=Lax).
+  router.post('/login', requireAdmin, wrap(async (req, res) => {
+    console.log('[API] POST /api/login');
+    const { instance } = req.body || {};
+    if (instance != null && typeof instance !== 'string') throw new ValidationError('instance must be a string');
+    const loginUrl = instance?.trim() ? await auth.startLoginAt(instance) : await auth.startLogin(DEFAULT_INSTANCE_ID);
     res.json({ loginUrl });
-  });
+  }));
 
-  // GET /api/callback → exchange code, save token, then redirect to frontend
+  // GET /api/callback → check state, exchange code, save token, then redirect to frontend
   router.get('/callback', wrap(async (req, res) => {
     console.log('[API] GET /api/callback' /*, req.query */);
-    await auth.handleCallback(req.query);   // exchanges code + saves .token.json
-    res.redirect('http://localhost:5173/login?auth=success'); // redirect to login page with success
+    try {
+      await auth.handleCallback(req.query); // checks state + exchanges code + stores the account and its tokens
+    } catch (e) {
+      // Stale, replayed or forged callbacks end up here too; never store anything for them
+      console.warn('[API] Login callback rejected:', e.message);
+      return res.redirect('http://localhost:5173/login?auth=failed');
+    }
+    // Back to the login page after the first login, to the instances page when adding accounts
+    const page = auth.getStatus().accounts > 1 ? 'instances' : 'login';
+    res.redirect(`http://localhost:5173/${page}?auth=success`);
   }));
 
   // GET /api/auth/status → return current auth status JSON
@@ -30,13 +47,16 @@ export default function mountAuthRoutes(app) {
     res.json(auth.getStatus());
   });
 
-  // POST /api/auth/logout → clear token, return { ok: true }
-  router.post('/auth/logout', (_req, res) => {
+  // POST /api/auth/logout → clear the tokens of every connected account, return { ok: true }
+  router.post('/auth/logout', requireAdmin, (_req, res) => {
     console.log('[API] POST /api/auth/logout');
     auth.logout();
     res.json({ ok: true });
   });
 
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
   // Mount under /api
   app.use('/api', router);
 }
\ No newline at end of file
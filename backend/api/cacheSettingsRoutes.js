@@ -3,6 +3,7 @@
 import express from 'express';
 import * as cache from '../modules/cache.js';
 import * as settings from '../modules/settings.js';
+import { requireAdmin, requireUserOrDevice } from '../utils/authMiddleware.js';
 
 // tiny async wrapper (no external dependency)
 const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
@@ -12,7 +13,7 @@ export default function mountCacheSettingsRoutes(app) {
 
   // ---- Cache ----
   // GET /api/cache/clear
-  router.get('/cache/clear', wrap(async (_req, res) => {
+  router.get('/cache/clear', requireAdmin, wrap(async (_req, res) => {
     console.log('[API] GET /api/cache/clear');
     await cache.clearCache();
     res.json({ status: 'Cache cleared' });
@@ -20,17 +21,17 @@ export default function mountCacheSettingsRoutes(app) {
 
   // ---- Settings ----
   // GET /api/settings
-  router.get('/settings', (_req, res) => {
+  router.get('/settings', requireUserOrDevice, (_req, res) => {
     console.log('[API] GET /api/settings');
     res.json(settings.getSettings());
   });
 
-  // POST /api/settings
-  router.post('/settings', (req, res) => {
+  // POST /api/settings → deep-merge + persist; unknown keys or bad values → 400 ValidationError
+  router.post('/settings', requireAdmin, wrap(async (req, res) => {
     console.log('[API] POST /api/settings', req.body);
-    settings.updateSettings(req.body || {});
-    res.json({ status: 'Settings updated' });
-  });
+    const updated = settings.updateSettings(req.body || {});
+    res.json({ status: 'Settings updated', settings: updated });
+  }));
 
   // Mount under /api
   app.use('/api', router);
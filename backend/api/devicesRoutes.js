@@ -0,0 +1,219 @@
+// backend/api/devicesRoutes.js
+// Device registry: picture frames register once, then send heartbeats with what
+// they are showing. Each device can be assigned its own album and display profile,
+// which the heartbeat response hands back to the frame along with any pending
+// remote-control commands.
+// Registering hands the frame a device token (also set as a cookie) that keeps the
+// read-only player endpoints working once local sign-in is enabled, without a user
+// session on the frame.
+
+import express from 'express';
+import * as deviceRepo from '../db/deviceRepo.js';
+import * as albumRepo from '../db/albumRepo.js';
+import * as profileRepo from '../db/profileRepo.js';
+import * as events from '../modules/events.js';
+import * as deviceCommands from '../modules/deviceCommands.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import { mediaUrl } from '../utils/helpers.js';
+import * as localAuth from '../modules/localAuth.js';
+import {
+  identify, requireAdmin, requireUser, requireUserOrDevice, requireUserOrOwnDevice, setAuthCookie, DEVICE_COOKIE,
+} from '../utils/authMiddleware.js';
+
+// tiny async wrapper to forward errors to Express
+const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// A device is considered online if it sent a heartbeat within this window
+// (players send one every 30s).
+const ONLINE_WINDOW_MS = 2 * 60 * 1000;
+
+// Browsers cap cookie lifetimes at 400 days; frames re-register long before that
+const DEVICE_COOKIE_MAX_AGE_MS = 400 * 24 * 60 * 60 * 1000;
+
+const optString = (v, key) => {
+  if (v == null) return undefined;
+  if (typeof v !== 'string') throw new ValidationError(`${key} must be a string`);
+  return v;
+};
+const optDimension = (v, key) => {
+  if (v == null) return undefined;
+  if (!Number.isInteger(v) || v < 0 || v > 100000) throw new ValidationError(`${key} must be a positive integer`);
+  return v;
+};
+
+/** Pick the device-reported fields out of a register/heartbeat body. */
+function parseDeviceInfo(body = {}, req) {
+  return {
+    name: optString(body.name, 'name')?.trim() || undefined,
+    appVersion: optString(body.appVersion, 'appVersion'),
+    screenWidth: optDimension(body.screen?.width, 'screen.width'),
+    screenHeight: optDimension(body.screen?.height, 'screen.height'),
+    userAgent: req.get('user-agent') || undefined,
+    currentAlbumId: optString(body.currentAlbumId, 'currentAlbumId'),
+    currentStatusId: optString(body.currentStatusId, 'currentStatusId'),
+  };
+}
+
+function shapeDeviceOut(row) {
+  const lastSeen = row.last_seen_at ? new Date(row.last_seen_at).getTime() : 0;
+  return {
+    id: row.id,
+    name: row.name,
+    online: Date.now() - lastSeen < ONLINE_WINDOW_MS,
+    last_seen_at: row.last_seen_at,
+    created_at: row.created_at,
+    app_version: row.app_version,
+    screen: row.screen_width && row.screen_height
+      ? { width: row.screen_width, height: row.screen_height }
+      : null,
+    user_agent: row.user_agent,
+    assignment: {
+      album_id: row.album_id,
+      profile_id: row.profile_id,
+    },
+    current: {
+      album_id: row.current_album_id,
+      status_id: row.current_status_id,
+      preview_url: row.current_status_id ? mediaUrl(row.current_status_id, 'preview') : null,
+    },
+  };
+}
+
+// Hand a (re-)paired device a fresh token; it is only ever shown in this response
+function withNewToken(req, res, row) {
+  const deviceToken = localAuth.issueDeviceToken(row.id);
+  setAuthCookie(req, res, DEVICE_COOKIE, deviceToken, DEVICE_COOKIE_MAX_AGE_MS);
+  return { ...shapeDeviceOut(row), deviceToken };
+}
+
+function getDeviceOrThrow(id) {
+  const row = deviceRepo.get(id);
+  if (!row) throw new NotFoundError('device not found', { id });
+  return row;
+}
+
+export default function mountDevicesRoutes(app) {
+  const router = express.Router();
+
+  // POST /api/devices/register  { id?, name?, appVersion?, screen?: { width, height } }
+  // Re-registering with a known id refreshes its info; otherwise a new device is created.
+  // A device calling with its own token keeps it; a signed-in user registering a new frame
+  // gets a `deviceToken`, and so does an existing one re-paired by an admin.
+  router.post('/register', requireUserOrDevice, wrap(async (req, res) => {
+    const body = req.body || {};
+    const info = parseDeviceInfo(body, req);
+    const { device } = identify(req);
+
+    if (device) {
+      res.json(shapeDeviceOut(deviceRepo.touch(device.id, info))); // a token only speaks for its own device
+      return;
+    }
+    if (body.id && deviceRepo.get(body.id)) {
+      // Re-pairing revokes the frame's current token; viewers must not be able to do that
+      if (localAuth.isEnabled() && req.user?.role !== 'admin') {
+        throw new ForbiddenError('only admins can re-pair an existing device', { id: body.id });
+      }
+      res.json(withNewToken(req, res, deviceRepo.touch(body.id, info)));
+      return;
+    }
+
+    const row = deviceRepo.create({ ...info, name: info.name || 'Picture frame' });
+    console.log(`[Devices] Registered device ${row.id} "${row.name}"`);
+    res.status(201).json(withNewToken(req, res, row));
+  }));
+
+  // POST /api/devices/:id/heartbeat  { currentAlbumId?, currentStatusId?, appVersion?, screen? }
+  // Responds with the device (including its assignment) so the frame can apply it,
+  // plus commands it may have missed while its event stream was down.
+  router.post('/:id/heartbeat', requireUserOrOwnDevice, wrap(async (req, res) => {
+    const info = parseDeviceInfo(req.body, req);
+    delete info.name; // renaming goes through PATCH
+    const row = deviceRepo.touch(req.params.id, info);
+    if (!row) throw new NotFoundError('device not found', { id: req.params.id });
+    res.json({ ...shapeDeviceOut(row), commands: deviceCommands.pending(row.id) });
+  }));
+
+  // POST /api/devices/:id/commands  { type, statusId?, albumId? }
+  // Queues a remote-control command and pushes it to the frame.
+  router.post('/:id/commands', requireAdmin, wrap(async (req, res) => {
+    const device = getDeviceOrThrow(req.params.id);
+    const body = req.body || {};
+
+    if (body.type === 'switch-album') {
+      if (!body.albumId || !albumRepo.get(body.albumId)) {
+        throw new ValidationError('albumId does not reference an existing album', { albumId: body.albumId });
+      }
+      // Switching is sticky: it becomes the device's assignment so heartbeats don't undo it
+      deviceRepo.update(device.id, { albumId: body.albumId });
+    }
+
+    const command = deviceCommands.enqueue(device.id, body);
+    console.log(`[Devices] Queued ${command.type} for device ${device.id}`);
+    res.status(202).json(command);
+  }));
+
+  // GET /api/devices/:id/commands → pending commands, oldest first
+  router.get('/:id/commands', requireUserOrOwnDevice, wrap(async (req, res) => {
+    getDeviceOrThrow(req.params.id);
+    const items = deviceCommands.pending(req.params.id);
+    res.json({ items, total: items.length });
+  }));
+
+  // POST /api/devices/:id/commands/:commandId/ack → the player handled it
+  router.post('/:id/commands/:commandId/ack', requireUserOrOwnDevice, wrap(async (req, res) => {
+    if (!deviceCommands.ack(req.params.id, req.params.commandId)) {
+      throw new NotFoundError('command not pending', { id: req.params.id, commandId: req.params.commandId });
+    }
+    res.status(204).end();
+  }));
+
+  // GET /api/devices
+  router.get('/', requireUser, wrap(async (_req, res) => {
+    const items = deviceRepo.list().map(shapeDeviceOut);
+    res.json({ items, total: items.length, online: items.filter(d => d.online).length });
+  }));
+
+  // GET /api/devices/:id
+  router.get('/:id', requireUserOrOwnDevice, wrap(async (req, res) => {
+    res.json(shapeDeviceOut(getDeviceOrThrow(req.params.id)));
+  }));
+
+  // PATCH /api/devices/:id  { name?, albumId?: string|null, profileId?: string|null }
+  router.patch('/:id', requireAdmin, wrap(async (req, res) => {
+    getDeviceOrThrow(req.params.id);
+    const { name, albumId, profileId } = req.body || {};
+
+    if (name != null && (typeof name !== 'string' || !name.trim())) {
+      throw new ValidationError('name must be a non-empty string');
+    }
+    if (albumId != null && !albumRepo.get(albumId)) {
+      throw new ValidationError('albumId does not reference an existing album', { albumId });
+    }
+    if (profileId != null && !profileRepo.get(profileId)) {
+      throw new ValidationError('profileId does not reference an existing profile', { profileId });
+    }
+
+    const row = deviceRepo.update(req.params.id, { name: name?.trim(), albumId, profileId });
+    console.log(`[Devices] Updated device ${row.id} (album=${row.album_id ?? '-'}, profile=${row.profile_id ?? '-'})`);
+    events.publish('device-updated', { deviceId: row.id, action: 'updated' });
+    res.json(shapeDeviceOut(row));
+  }));
+
+  // DELETE /api/devices/:id
+  router.delete('/:id', requireAdmin, wrap(async (req, res) => {
+    if (!deviceRepo.remove(req.params.id)) {
+      throw new NotFoundError('device not found', { id: req.params.id });
+    }
+    deviceCommands.clear(req.params.id);
+    console.log(`[Devices] Removed device ${req.params.id}`);
+    events.publish('device-updated', { deviceId: req.params.id, action: 'deleted' });
+    res.status(204).end();
+  }));
+
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
+  // Mount under /api/devices
+  app.use('/api/devices', router);
+}
@@ -0,0 +1,74 @@
+// backend/api/eventsRoutes.js
+// Server-Sent Events stream of live backend events (album refreshes,
+// favorites, profiles, devices) so players can react without reloading.
+
+import express from 'express';
+import * as events from '../modules/events.js';
+import { ValidationError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import * as localAuth from '../modules/localAuth.js';
+import { identify, requireUserOrDevice } from '../utils/authMiddleware.js';
+
+// Comment line sent periodically so proxies don't close an idle stream
+const KEEPALIVE_MS = 25 * 1000;
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+}
+
+// Remote-control commands are meant for one frame: a frame's device token only
+// receives its own, and signed-in users only receive them as admins
+function mayReceive(req, event) {
+  if (event.type !== 'device-command') return true;
+  if (req.device) return event.data.deviceId === req.device.id;
+  return !localAuth.isEnabled() || req.user?.role === 'admin';
+}
+
+export default function mountEventsRoutes(app) {
+  const router = express.Router();
+  router.use(requireUserOrDevice);
+
+  // GET /api/events?types=album-refreshed,favorites-changed
+  // Omit `types` to receive everything. Reconnecting clients send Last-Event-ID
+  // and get any buffered events they missed.
+  router.get('/', (req, res, next) => {
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(s => s.trim()).filter(Boolean)
+      : events.EVENT_TYPES;
+    const unknown = types.filter(t => !events.EVENT_TYPES.includes(t));
+    if (unknown.length) {
+      return next(new ValidationError('unknown event types', { types: unknown }));
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    identify(req);
+    const forward = (event) => {
+      if (types.includes(event.type) && mayReceive(req, event)) writeEvent(res, event);
+    };
+    events.eventsSince(req.get('last-event-id')).forEach(forward);
+
+    const unsubscribe = events.subscribe(forward);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    console.log(`[Events] Client connected (${types.length} event types)`);
+
+    req.on('close', () => {
+      clearInterval(keepalive);
+      unsubscribe();
+      console.log('[Events] Client disconnected');
+    });
+  });
+
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
+  // Mount under /api/events
+  app.use('/api/events', router);
+}
@@ -4,9 +4,10 @@
 import express from 'express';
 import * as favoritesRepo from '../db/favoritesRepo.js';
 import * as photoRepo from '../db/photoRepo.js';
-import { ensureAuthed } from '../utils/authMiddleware.js';
+import { ensureAuthed, readOnlyUnlessAdmin } from '../utils/authMiddleware.js';
 import { ValidationError } from '../modules/errors.js';
 import {mapPhotoRow} from "../utils/helpers.js";
+import * as events from '../modules/events.js';
 
 // TODO: consider adding batch endpoints
 // TODO: use error module for errors
@@ -14,22 +15,27 @@ import {mapPhotoRow} from "../utils/helpers.js";
 export default function mountFavoritesRoutes(app) {
     const router = express.Router();
 
-    // All fav routes require auth
+    // All fav routes require auth; only admins change favorites
+    router.use(readOnlyUnlessAdmin);
     router.use(ensureAuthed);
 
     // Helper: clamp values between min and max
     const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
 
+    // Helper: status IDs arrive as path strings (snowflake-sized, so never parse them to Number)
+    // Plain numeric IDs, or `<id>@<host>` for photos from a non-default instance
+    const isStatusId = (s) => /^\d+(@[A-Za-z0-9.-]+(:\d+)?)?$/.test(String(s));
+
     // POST /api/favorites/:statusId
     // Add a photo to favorites
     router.post('/:statusId', (req, res) => {
         try {
             const statusId = req.params.statusId;
-            if (!Number.isFinite(statusId)) {
+            if (!isStatusId(statusId)) {
                 return res.status(400).json({
                     error: {
                         code: 'BadRequest',
-                        message: 'statusId must be a positive integer'
+                        message: 'statusId must be a numeric status ID, optionally followed by @host'
                     }
                 });
             }
@@ -48,6 +54,7 @@ export default function mountFavoritesRoutes(app) {
 
             const result = favoritesRepo.addFavorite(statusId, note || null);
             console.log(`[Favorites] Added ${statusId} to favorites`);
+            events.publish('favorites-changed', { statusId, action: 'added' });
             res.status(201).json({
                 statusId: result.statusId,
                 favorited_at: result.favorited_at,
@@ -55,7 +62,7 @@ export default function mountFavoritesRoutes(app) {
                 is_favorited: true
             });
         } catch (error) {
-            console.error('[API] Add favorite failed:', e);
+            console.error('[API] Add favorite failed:', error);
             res.status(500).json({
                 error: {
                     code: 'InternalError',
@@ -70,11 +77,11 @@ export default function mountFavoritesRoutes(app) {
     router.delete('/:statusId', (req, res) => {
         try {
             const statusId = req.params.statusId;
-            if (!Number.isFinite(statusId)) {
+            if (!isStatusId(statusId)) {
                 return res.status(400).json({
                     error: {
                         code: 'BadRequest',
-                        message: 'statusId must be a positive integer'
+                        message: 'statusId must be a numeric status ID, optionally followed by @host'
                     }
                 });
             }
@@ -88,6 +95,7 @@ export default function mountFavoritesRoutes(app) {
                 });
             }
             console.log(`[Favorites] Removed ${statusId} from favorites`);
+            events.publish('favorites-changed', { statusId, action: 'removed' });
             res.status(204).end();
         } catch (error) {
             console.error('Remove favorite failed:', error);
@@ -105,11 +113,11 @@ export default function mountFavoritesRoutes(app) {
     router.get('/:statusId', (req, res) => {
         try {
             const statusId = req.params.statusId;
-            if (!Number.isFinite(statusId)) {
+            if (!isStatusId(statusId)) {
                 return res.status(400).json({
                     error: {
                         code: 'BadRequest',
-                        message: 'statusId must be a positive integer'
+                        message: 'statusId must be a numeric status ID, optionally followed by @host'
                     }
                 })
             }
@@ -163,4 +171,7 @@ export default function mountFavoritesRoutes(app) {
             })
         }
     })
+
+    // Mount under /api/favorites
+    app.use('/api/favorites', router);
 }
@@ -0,0 +1,133 @@
+// backend/api/instancesRoutes.js
+// Pixelfed instances PixelFree can query: the default PIXELFED_INSTANCE server plus
+// registered ones, each with its own OAuth app credentials. Accounts are connected
+// to an instance through /api/accounts.
+// Client secrets are write-only; responses only say whether one is set.
+
+import express from 'express';
+import * as instanceRepo from '../db/instanceRepo.js';
+import * as accountRepo from '../db/accountRepo.js';
+import * as auth from '../modules/auth.js';
+import { listInstances, resolveInstance, normalizeBaseUrl, isDefaultInstance, storedInstanceId } from '../modules/instances.js';
+import { ConflictError, ValidationError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import { readOnlyUnlessAdmin } from '../utils/authMiddleware.js';
+
+// tiny async wrapper to forward errors to Express
+const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+function shapeInstanceOut(instance) {
+  const accounts = accountRepo.listForInstance(storedInstanceId(instance.id));
+  return {
+    id: instance.id,
+    name: instance.name,
+    baseUrl: instance.baseUrl,
+    host: instance.host,
+    isDefault: instance.isDefault,
+    clientId: instance.clientId || null,
+    hasClientSecret: !!instance.clientSecret,
+    accounts: accounts.length,
+    authenticated: accounts.some(a => a.token_json),
+  };
+}
+
+function optionalString(value, field) {
+  if (value == null) return value;
+  if (typeof value !== 'string') throw new ValidationError(`${field} must be a string`);
+  return value.trim() || null;
+}
+
+// Registered instances only; the default one is configured through the environment
+function getEditableOrThrow(id) {
+  if (isDefaultInstance(id)) {
+    throw new ValidationError('the default instance is configured through PIXELFED_INSTANCE and cannot be changed here');
+  }
+  return resolveInstance(id); // NotFoundError for unknown IDs
+}
+
+function assertBaseUrlFree(baseUrl, exceptId = null) {
+  const taken = instanceRepo.getByBaseUrl(baseUrl);
+  if ((taken && taken.id !== exceptId) || baseUrl === resolveInstance(null).baseUrl) {
+    throw new ConflictError('an instance with this baseUrl already exists', { baseUrl });
+  }
+}
+
+export default function mountInstancesRoutes(app) {
+  const router = express.Router();
+  router.use(readOnlyUnlessAdmin);
+
+  // GET /api/instances
+  router.get('/', wrap(async (_req, res) => {
+    const items = listInstances().map(shapeInstanceOut);
+    res.json({ items, total: items.length });
+  }));
+
+  // POST /api/instances  { name?, baseUrl, clientId?, clientSecret? }
+  router.post('/', wrap(async (req, res) => {
+    const { name, baseUrl, clientId, clientSecret } = req.body || {};
+    const origin = normalizeBaseUrl(baseUrl);
+    assertBaseUrlFree(origin);
+
+    const row = instanceRepo.create({
+      name: optionalString(name, 'name') || new URL(origin).host,
+      baseUrl: origin,
+      clientId: optionalString(clientId, 'clientId') ?? null,
+      clientSecret: optionalString(clientSecret, 'clientSecret') ?? null,
+    });
+    console.log(`[Instances] Registered ${row.id} (${row.base_url})`);
+    res.status(201).json(shapeInstanceOut(resolveInstance(row.id)));
+  }));
+
+  // GET /api/instances/:id
+  router.get('/:id', wrap(async (req, res) => {
+    res.json(shapeInstanceOut(resolveInstance(req.params.id)));
+  }));
+
+  // PATCH /api/instances/:id  { name?, baseUrl?, clientId?, clientSecret? }  (baseUrl is fixed while albums query it)
+  router.patch('/:id', wrap(async (req, res) => {
+    const { id, baseUrl: currentBaseUrl } = getEditableOrThrow(req.params.id);
+    const { name, baseUrl, clientId, clientSecret } = req.body || {};
+
+    const patch = {};
+    if (name != null) {
+      patch.name = optionalString(name, 'name');
+      if (!patch.name) throw new ValidationError('name must be a non-empty string');
+    }
+    if (baseUrl != null) {
+      patch.baseUrl = normalizeBaseUrl(baseUrl);
+      assertBaseUrlFree(patch.baseUrl, id);
+      // Albums keep status IDs and cursors of the old server (like DELETE)
+      const albums = patch.baseUrl !== currentBaseUrl ? instanceRepo.countAlbums(id) : 0;
+      if (albums > 0) {
+        throw new ConflictError('baseUrl cannot change while albums use the instance', { instanceId: id, albums });
+      }
+    }
+    if (clientId !== undefined) patch.clientId = optionalString(clientId, 'clientId');
+    if (clientSecret !== undefined) patch.clientSecret = optionalString(clientSecret, 'clientSecret');
+
+    instanceRepo.update(id, patch);
+    // Tokens were issued by the old server or app; they are useless now
+    if (patch.baseUrl || patch.clientId !== undefined) {
+      for (const account of accountRepo.listForInstance(id)) auth.logout(account.id);
+    }
+    res.json(shapeInstanceOut(resolveInstance(id)));
+  }));
+
+  // DELETE /api/instances/:id  (refused while albums still query it)
+  router.delete('/:id', wrap(async (req, res) => {
+    const { id } = getEditableOrThrow(req.params.id);
+    const albums = instanceRepo.countAlbums(id);
+    if (albums > 0) {
+      throw new ConflictError('instance is still used by albums', { instanceId: id, albums });
+    }
+    instanceRepo.remove(id);
+    console.log(`[Instances] Removed ${id}`);
+    res.status(204).end();
+  }));
+
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
+  // Mount under /api/instances
+  app.use('/api/instances', router);
+}
@@ -0,0 +1,48 @@
+// backend/api/mediaRoutes.js
+// Serves cached photo media from local disk so the player never hot-links the remote CDN.
+// On a cache miss the file is fetched from the instance, cached, then served.
+
+import express from 'express';
+import * as cache from '../modules/cache.js';
+import * as photoRepo from '../db/photoRepo.js';
+import { NotFoundError, UpstreamError, ValidationError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import { requireUserOrDevice } from '../utils/authMiddleware.js';
+
+// tiny async wrapper to forward errors to Express
+const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+export default function mountMediaRoutes(app) {
+  const router = express.Router();
+  router.use(requireUserOrDevice);
+
+  // GET /api/media/:statusId/:kind  (kind = original | preview)
+  // sendFile handles ETag/Last-Modified (304) and Range (206) requests for us.
+  router.get('/:statusId/:kind', wrap(async (req, res) => {
+    const { statusId, kind } = req.params;
+    if (!cache.KINDS.includes(kind)) {
+      throw new ValidationError('kind must be "original" | "preview"', { kind });
+    }
+
+    let entry = await cache.getCached(statusId, kind);
+    if (!entry) {
+      const [photo] = photoRepo.getMany([statusId]);
+      if (!photo) throw new NotFoundError('photo not found', { statusId });
+      entry = await cache.ensureCached(photo, kind);
+    }
+    // Evicted or removed again before we got to serve it
+    if (!entry) throw new UpstreamError('media could not be cached', { statusId, kind });
+
+    res.sendFile(entry.path, {
+      headers: { 'Cache-Control': 'private, max-age=86400' // media may be follower-only; keep it out of shared caches },
+    }, (err) => {
+      if (err && !res.headersSent) res.status(err.status || 500).end();
+    });
+  }));
+
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
+  // Mount under /api/media
+  app.use('/api/media', router);
+}
@@ -8,6 +8,7 @@ import { resolveAccountId } from '../modules/accounts.js';
 import { ValidationError } from '../modules/errors.js';
 import * as settings from '../modules/settings.js';
 import { errorMapper } from '../utils/errorMapper.js';
+import { requireUser, requireUserOrDevice } from '../utils/authMiddleware.js';
 
 // tiny async wrapper to forward errors to Express
 const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
@@ -19,7 +20,7 @@ export default function mountPhotosRoutes(app) {
   // POST /api/photos/query
   // Advanced multi-source query (tags/users with OR + AND + tagmode any|all)
   // -------------------------------
-  router.post('/query', wrap(async (req, res) => {
+  router.post('/query', requireUser, wrap(async (req, res) => {
     const body = req.body || {};
     const limitRaw = Number(body.limit);
     const limit = Math.max(1, Math.min(Number.isFinite(limitRaw) ? limitRaw : 20, 40));
@@ -101,7 +102,7 @@ export default function mountPhotosRoutes(app) {
   // -------------------------------
   // GET /api/photos (legacy/simple)
   // -------------------------------
-  router.get('/', wrap(async (req, res) => {
+  router.get('/', requireUserOrDevice, wrap(async (req, res) => {
     console.log('[API] GET /api/photos', req.query);
 
     const cfg = settings.getSettings();
@@ -16,37 +16,42 @@
  * - Throw informative errors on non-2xx responses so callers can map them to API responses
  *
  * Exports
- * - `async function get(path, { params, headers, token, ...other } = {})`
- *    - `path`    : string   — relative Pixelfed API path (e.g., `/api/v1/timelines/tag/<tag>`)
- *    - `params`  : object   — key/value pairs serialized onto the query string
- *    - `headers` : object   — additional headers to merge into the request
- *    - `token`   : string   — optional OAuth access token; when present, adds `Authorization` header
- *    - `other`   : object   — any extra fetch/retry options this module supports
+ * - `async function get(path, accessToken, params = {}, { baseUrl } = {})`
+ *    - `path`        : string — relative Pixelfed API path (e.g., `/api/v1/timelines/tag/<tag>`)
+ *    - `accessToken` : string — OAuth access token sent as the `Authorization` header
+ *    - `params`      : object — key/value pairs serialized onto the query string
+ *    - `baseUrl`     : string — instance to call; defaults to `PIXELFED_INSTANCE`
  *
  * Usage example:
  *   import { get } from '../api/pixelfedApi.js';
  *
  *   const data = await get(
  *     `/api/v1/timelines/tag/${encodeURIComponent(tag)}`,
- *     { params: { limit: 20 }, token: accessToken }
+ *     accessToken,
+ *     { limit: 20 }
  *   );
  *
  * Notes
  * - OAuth login and token refresh are handled elsewhere; pass a valid `token` if needed.
- * - The Pixelfed base URL is read from environment (e.g., `PIXELFED_INSTANCE`).
+ * - Without `baseUrl` the Pixelfed base URL is read from environment (`PIXELFED_INSTANCE`).
+ * - Each attempt takes a token from the instance's shared budget (`modules/rateBudget.js`),
+ *   which also pauses the instance after a 429.
  */
 
 import { withRetry } from '../utils/http.js';
+import * as rateBudget from '../modules/rateBudget.js';
+import { RateLimitError } from '../modules/errors.js';
 
 /**
  * @template T
  * @param {string} path
  * @param {string} accessToken
  * @param {Record<string, string | number | boolean>} [params]
+ * @param {{ baseUrl?: string }} [options]
  * @returns {Promise<{ status:number, data:T }>}
  */
-export async function get(path, accessToken, params = {}) {
-  const base = process.env.PIXELFED_INSTANCE || 'https://pixelfed.social';
+export async function get(path, accessToken, params = {}, { baseUrl } = {}) {
+  const base = baseUrl || process.env.PIXELFED_INSTANCE || 'https://pixelfed.social';
   const u = new URL(path, base);
   for (const [k, v] of Object.entries(params)) {
     if (v !== undefined && v !== null && v !== '') {
@@ -55,12 +60,14 @@ export async function get(path, accessToken, params = {}) {
   }
 
   const doFetch = async () => {
+    await rateBudget.acquire(u.host);
     const res = await fetch(u, {
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Accept': 'application/json'
       }
     });
+    rateBudget.observe(u.host, res);
     const status = res.status;
     let data = null;
     try { data = await res.json(); } catch {}
@@ -73,5 +80,10 @@ export async function get(path, accessToken, params = {}) {
     return { status, data };
   };
 
-  return withRetry(doFetch, { retries: 3, baseDelayMs: 400 });
+  // A used-up budget already waited as long as it makes sense; don't retry it
+  return withRetry(doFetch, {
+    retries: 3,
+    baseDelayMs: 400,
+    retryOn: (e) => !(e instanceof RateLimitError) && (e.status === 429 || e.status >= 500),
+  });
 }
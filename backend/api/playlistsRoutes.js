@@ -0,0 +1,151 @@
+// backend/api/playlistsRoutes.js
+// Playlists: several albums played as one rotation, each with a weight
+// (e.g. family 60 / landscapes 40). /:id/photos returns the merged, de-duplicated
+// sequence page by page.
+
+import express from 'express';
+import * as playlistRepo from '../db/playlistRepo.js';
+import * as albumRepo from '../db/albumRepo.js';
+import * as photoRepo from '../db/photoRepo.js';
+import * as events from '../modules/events.js';
+import { loadPlaylistSequence } from '../services/playlistMixer.js';
+import { NotFoundError, ValidationError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import { readOnlyUnlessAdmin } from '../utils/authMiddleware.js';
+import { mapPhotoRow, parseDateWindow } from '../utils/helpers.js';
+
+// tiny async wrapper to forward errors to Express
+const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
+const MAX_WEIGHT = 100;
+
+/** Validate `[{ albumId, weight }]`; weight defaults to 1. */
+function parseAlbums(albums) {
+  if (!Array.isArray(albums) || albums.length === 0) {
+    throw new ValidationError('albums must be a non-empty array of { albumId, weight }');
+  }
+  const seen = new Set();
+  return albums.map((a, i) => {
+    const albumId = a?.albumId;
+    const weight = a?.weight ?? 1;
+    if (typeof albumId !== 'string' || !albumRepo.get(albumId)) {
+      throw new ValidationError(`albums[${i}].albumId does not reference an existing album`, { albumId });
+    }
+    if (seen.has(albumId)) {
+      throw new ValidationError(`albums[${i}].albumId is listed twice`, { albumId });
+    }
+    if (!Number.isInteger(weight) || weight < 1 || weight > MAX_WEIGHT) {
+      throw new ValidationError(`albums[${i}].weight must be an integer between 1 and ${MAX_WEIGHT}`, { weight });
+    }
+    seen.add(albumId);
+    return { albumId, weight };
+  });
+}
+
+function shapePlaylistOut(row) {
+  const totalWeight = row.albums.reduce((sum, a) => sum + a.weight, 0);
+  return {
+    id: row.id,
+    name: row.name,
+    albums: row.albums.map(a => ({
+      album_id: a.album_id,
+      name: a.album_name,
+      weight: a.weight,
+      share: totalWeight ? Math.round((a.weight / totalWeight) * 100) : 0, // percent of the rotation
+    })),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function getPlaylistOrThrow(id) {
+  const row = playlistRepo.get(id);
+  if (!row) throw new NotFoundError('playlist not found', { id });
+  return row;
+}
+
+export default function mountPlaylistsRoutes(app) {
+  const router = express.Router();
+  router.use(readOnlyUnlessAdmin);
+
+  // GET /api/playlists
+  router.get('/', wrap(async (_req, res) => {
+    const items = playlistRepo.list().map(shapePlaylistOut);
+    res.json({ items, total: items.length });
+  }));
+
+  // POST /api/playlists  { name, albums: [{ albumId, weight }] }
+  router.post('/', wrap(async (req, res) => {
+    const { name, albums } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) throw new ValidationError('name is required');
+    const row = playlistRepo.create({ name: name.trim(), albums: parseAlbums(albums) });
+    console.log(`[Playlists] Created playlist ${row.id} "${row.name}" (${row.albums.length} albums)`);
+    res.status(201).json(shapePlaylistOut(row));
+  }));
+
+  // GET /api/playlists/:id
+  router.get('/:id', wrap(async (req, res) => {
+    res.json(shapePlaylistOut(getPlaylistOrThrow(req.params.id)));
+  }));
+
+  // PATCH /api/playlists/:id  { name?, albums? }  (albums replaces the whole list)
+  router.patch('/:id', wrap(async (req, res) => {
+    const { name, albums } = req.body || {};
+    if (name != null && (typeof name !== 'string' || !name.trim())) {
+      throw new ValidationError('name must be a non-empty string');
+    }
+    getPlaylistOrThrow(req.params.id);
+    const row = playlistRepo.update(req.params.id, {
+      name: name?.trim(),
+      albums: albums != null ? parseAlbums(albums) : undefined,
+    });
+    events.publish('playlist-updated', { playlistId: row.id, action: 'updated' });
+    res.json(shapePlaylistOut(row));
+  }));
+
+  // DELETE /api/playlists/:id
+  router.delete('/:id', wrap(async (req, res) => {
+    if (!playlistRepo.remove(req.params.id)) {
+      throw new NotFoundError('playlist not found', { id: req.params.id });
+    }
+    console.log(`[Playlists] Deleted playlist ${req.params.id}`);
+    events.publish('playlist-updated', { playlistId: req.params.id, action: 'deleted' });
+    res.status(204).end();
+  }));
+
+  // GET /api/playlists/:id/photos?offset=&limit=&since=&until=&recencyDays=
+  // Merged sequence across the playlist's albums; each item carries the album it came from.
+  router.get('/:id/photos', wrap(async (req, res) => {
+    const playlist = getPlaylistOrThrow(req.params.id);
+    const offset = clamp(Number(req.query.offset ?? 0) || 0, 0, 10_000_000);
+    const limit = clamp(Number(req.query.limit ?? 20) || 20, 1, 100);
+
+    const window = parseDateWindow(req.query);
+
+    const sequence = loadPlaylistSequence(playlist, window);
+    const page = sequence.slice(offset, offset + limit);
+    const rows = photoRepo.listByIds(page.map(e => e.id));
+    const sourceById = new Map(page.map(e => [e.id, e.source]));
+    const policyByAlbum = new Map(playlist.albums.map(a => [a.album_id, a.sensitive_policy]));
+
+    res.json({
+      items: rows.map(row => {
+        const photo = mapPhotoRow(row);
+        const albumId = sourceById.get(row.status_id);
+        // sensitive photos only get here from albums that blur or include them
+        return { ...photo, album_id: albumId, blur: photo.sensitive && policyByAlbum.get(albumId) === 'blur' };
+      }),
+      total: sequence.length,
+      offset,
+      limit,
+      albums: playlist.albums.map(a => a.album_id),
+    });
+  }));
+
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
+  // Mount under /api/playlists
+  app.use('/api/playlists', router);
+}
@@ -0,0 +1,114 @@
+// backend/api/profilesRoutes.js
+// Display profiles: named player settings (layout, transition, timing, order,
+// operating hours, limits, active album) stored server-side so every frame
+// that selects a profile shares one configuration.
+
+import express from 'express';
+import * as profileRepo from '../db/profileRepo.js';
+import * as events from '../modules/events.js';
+import { NotFoundError, ValidationError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import { readOnlyUnlessAdmin } from '../utils/authMiddleware.js';
+
+// tiny async wrapper to forward errors to Express
+const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const oneOf = (...values) => v => values.includes(v);
+const intBetween = (lo, hi) => v => Number.isInteger(v) && v >= lo && v <= hi;
+
+// Mirrors PlayerSettings in frontend/src/contexts/SettingsContext.tsx
+const PLAYER_SETTINGS = {
+  layout: oneOf('single', 'grid', 'split'),
+  transition: oneOf('none', 'fade', 'slide'),
+  timing: oneOf('10s', '30s', '1m'),
+  order: oneOf('fixed', 'shuffle'),
+  startTime: v => typeof v === 'string' && HHMM.test(v),
+  endTime: v => typeof v === 'string' && HHMM.test(v),
+  maxImages: intBetween(1, 1000),
+  recencyWindow: intBetween(0, 36500),
+  activeAlbum: v => typeof v === 'string',
+  activePlaylist: v => typeof v === 'string',
+};
+
+function validateSettings(settings) {
+  if (settings == null) return {};
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ValidationError('settings must be an object');
+  }
+  const invalid = Object.entries(settings)
+    .filter(([k, v]) => !PLAYER_SETTINGS[k] || !PLAYER_SETTINGS[k](v))
+    .map(([k]) => k);
+  if (invalid.length) {
+    throw new ValidationError('invalid or unknown player settings', { keys: invalid });
+  }
+  return settings;
+}
+
+function shapeProfileOut(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    settings: JSON.parse(row.settings_json || '{}'),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+export default function mountProfilesRoutes(app) {
+  const router = express.Router();
+  router.use(readOnlyUnlessAdmin);
+
+  // GET /api/profiles
+  router.get('/', wrap(async (_req, res) => {
+    const items = profileRepo.list().map(shapeProfileOut);
+    res.json({ items, total: items.length });
+  }));
+
+  // POST /api/profiles  { name, settings }
+  router.post('/', wrap(async (req, res) => {
+    const { name, settings } = req.body || {};
+    if (!name || typeof name !== 'string') throw new ValidationError('name is required');
+    const row = profileRepo.create({ name: name.trim(), settings: validateSettings(settings) });
+    console.log(`[Profiles] Created profile ${row.id} "${row.name}"`);
+    res.status(201).json(shapeProfileOut(row));
+  }));
+
+  // GET /api/profiles/:id
+  router.get('/:id', wrap(async (req, res) => {
+    const row = profileRepo.get(req.params.id);
+    if (!row) throw new NotFoundError('profile not found', { id: req.params.id });
+    res.json(shapeProfileOut(row));
+  }));
+
+  // PATCH /api/profiles/:id  { name?, settings? }  (settings are merged)
+  router.patch('/:id', wrap(async (req, res) => {
+    const { name, settings } = req.body || {};
+    if (name != null && (typeof name !== 'string' || !name.trim())) {
+      throw new ValidationError('name must be a non-empty string');
+    }
+    const row = profileRepo.update(req.params.id, {
+      name: name?.trim(),
+      settings: validateSettings(settings),
+    });
+    if (!row) throw new NotFoundError('profile not found', { id: req.params.id });
+    events.publish('profile-updated', { profileId: row.id, action: 'updated', updated_at: row.updated_at });
+    res.json(shapeProfileOut(row));
+  }));
+
+  // DELETE /api/profiles/:id
+  router.delete('/:id', wrap(async (req, res) => {
+    if (!profileRepo.remove(req.params.id)) {
+      throw new NotFoundError('profile not found', { id: req.params.id });
+    }
+    console.log(`[Profiles] Deleted profile ${req.params.id}`);
+    events.publish('profile-updated', { profileId: req.params.id, action: 'deleted' });
+    res.status(204).end();
+  }));
+
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
+  // Mount under /api/profiles
+  app.use('/api/profiles', router);
+}
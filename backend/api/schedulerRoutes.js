@@ -2,10 +2,16 @@
 
 import express from 'express';
 import * as scheduler from '../services/albumScheduler.js';
+import * as maintenance from '../services/maintenance.js';
+import * as refreshRunRepo from '../db/refreshRunRepo.js';
+import { requireAdmin } from '../utils/authMiddleware.js';
 
 export default function mountSchedulerRoutes(app) {
     const router = express.Router();
 
+    // Admins only, status included
+    router.use(requireAdmin);
+
     //GET /api/scheduler/status
     router.get('/status', (_req, res) => {
         console.log('[API] GET /api/scheduler/status');
@@ -13,6 +19,37 @@ export default function mountSchedulerRoutes(app) {
         res.json({ status });
     });
 
+    //GET /api/scheduler/runs?albumId=&status=running|ok|error&offset=&limit=
+    // Refresh history of all albums, newest first
+    router.get('/runs', (req, res) => {
+        const offset = Math.max(0, Number(req.query.offset ?? 0) || 0);
+        const limit = Math.min(100, Math.max(1, Number(req.query.limit ?? 50) || 50));
+        const status = req.query.status ? String(req.query.status) : undefined;
+        if (status && !refreshRunRepo.STATUSES.includes(status)) {
+            return res.status(400).json({ error: { code: 'ValidationError', message: `status must be one of ${refreshRunRepo.STATUSES.join(', ')}` } });
+        }
+        const albumId = req.query.albumId ? String(req.query.albumId) : undefined;
+        res.json(refreshRunRepo.list({ albumId, status, offset, limit }));
+    });
+
+    //GET /api/scheduler/maintenance
+    // Album retention and cleanup: interval and what the last run removed
+    router.get('/maintenance', (_req, res) => {
+        res.json({ maintenance: maintenance.getStatus() });
+    });
+
+    //POST /api/scheduler/maintenance
+    // Run retention and cleanup now
+    router.post('/maintenance', (_req, res) => {
+        console.log('[API] POST /api/scheduler/maintenance');
+        try {
+            res.json({ result: maintenance.runMaintenance() });
+        } catch (e) {
+            console.error('Maintenance run failed:', e);
+            res.status(500).json({ error: { code: 'InternalError', message: 'maintenance run failed' } });
+        }
+    });
+
     //POST /api/scheduler/start
     router.post('/start', (_req, res) => {
         console.log('[API] POST /api/scheduler/start');
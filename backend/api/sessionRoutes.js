@@ -0,0 +1,63 @@
+// backend/api/sessionRoutes.js
+// Local sign-in for the PixelFree web UI (see modules/localAuth.js). The session
+// token lives in an httpOnly cookie; these routes are reachable without one.
+
+import express from 'express';
+import * as localAuth from '../modules/localAuth.js';
+import { ConflictError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import { identify, setAuthCookie, clearAuthCookie, SESSION_COOKIE } from '../utils/authMiddleware.js';
+
+// tiny async wrapper to forward errors to Express
+const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+function startSession(req, res, username, password) {
+  const { token, user, expiresAt } = localAuth.signIn(username, password);
+  setAuthCookie(req, res, SESSION_COOKIE, token, localAuth.SESSION_TTL_MS);
+  return { user, expiresAt };
+}
+
+export default function mountSessionRoutes(app) {
+  const router = express.Router();
+
+  // GET /api/session → who is calling, and whether sign-in is needed at all
+  // { enabled, setupRequired, user: { id, username, role } | null, device: { id, name } | null }
+  router.get('/', wrap(async (req, res) => {
+    const enabled = localAuth.isEnabled();
+    const { user, device } = identify(req);
+    res.json({
+      enabled,
+      setupRequired: !enabled,
+      user: user || null,
+      device: device ? { id: device.id, name: device.name } : null,
+    });
+  }));
+
+  // POST /api/session  { username, password } → sign in (sets the session cookie)
+  router.post('/', wrap(async (req, res) => {
+    const { username, password } = req.body || {};
+    res.json(startSession(req, res, username, password));
+  }));
+
+  // DELETE /api/session → sign out
+  router.delete('/', wrap(async (req, res) => {
+    localAuth.signOut(identify(req).sessionToken);
+    clearAuthCookie(res, SESSION_COOKIE);
+    res.status(204).end();
+  }));
+
+  // POST /api/session/setup  { username, password } → first admin, only while there are no users
+  router.post('/setup', wrap(async (req, res) => {
+    if (localAuth.isEnabled()) throw new ConflictError('PixelFree already has users; sign in instead');
+    const { username, password } = req.body || {};
+    localAuth.createUser({ username, password, role: 'admin' });
+    console.log(`[Session] Created the first admin "${username}"`);
+    res.status(201).json(startSession(req, res, username, password));
+  }));
+
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
+  // Mount under /api/session
+  app.use('/api/session', router);
+}
@@ -0,0 +1,67 @@
+// backend/api/usersRoutes.js
+// Local users of the PixelFree web UI (admins manage them; everyone may change
+// their own password). Password hashes never leave the backend.
+
+import express from 'express';
+import * as localAuth from '../modules/localAuth.js';
+import { ConflictError, ForbiddenError, ValidationError } from '../modules/errors.js';
+import { errorMapper } from '../utils/errorMapper.js';
+import { identify, requireAdmin, requireUser } from '../utils/authMiddleware.js';
+
+// tiny async wrapper to forward errors to Express
+const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+export default function mountUsersRoutes(app) {
+  const router = express.Router();
+
+  // GET /api/users
+  router.get('/', requireAdmin, wrap(async (_req, res) => {
+    const items = localAuth.listUsers();
+    res.json({ items, total: items.length });
+  }));
+
+  // POST /api/users  { username, password, role: 'admin' | 'viewer' }
+  router.post('/', requireAdmin, wrap(async (req, res) => {
+    // A first user made here could be a viewer and lock everyone out; setup makes an admin
+    if (!localAuth.isEnabled()) throw new ConflictError('create the first admin through /api/session/setup');
+    const { username, password, role } = req.body || {};
+    const user = localAuth.createUser({ username, password, role });
+    console.log(`[Users] Created ${user.username} (${user.role})`);
+    res.status(201).json(user);
+  }));
+
+  // GET /api/users/:id
+  router.get('/:id', requireAdmin, wrap(async (req, res) => {
+    res.json(localAuth.getUser(req.params.id));
+  }));
+
+  // PATCH /api/users/:id  { password?, role? }
+  // Admins change anyone; other users only their own password. A password change
+  // signs the user out everywhere except the session making the change.
+  router.patch('/:id', requireUser, wrap(async (req, res) => {
+    const { user, sessionToken } = identify(req);
+    const { password, role } = req.body || {};
+    const isAdmin = !localAuth.isEnabled() || user?.role === 'admin';
+    if (!isAdmin && (user?.id !== req.params.id || role !== undefined)) {
+      throw new ForbiddenError('only admins can change other users or roles');
+    }
+    if (password === undefined && role === undefined) {
+      throw new ValidationError('nothing to update: send password and/or role');
+    }
+    const updated = localAuth.updateUser(req.params.id, { password, role }, { keepSessionToken: sessionToken });
+    res.json(updated);
+  }));
+
+  // DELETE /api/users/:id  (the last admin cannot be removed)
+  router.delete('/:id', requireAdmin, wrap(async (req, res) => {
+    localAuth.removeUser(req.params.id);
+    console.log(`[Users] Removed ${req.params.id}`);
+    res.status(204).end();
+  }));
+
+  // Use the shared error middleware for this router
+  router.use(errorMapper);
+
+  // Mount under /api/users
+  app.use('/api/users', router);
+}
@@ -0,0 +1,113 @@
+// accountRepo.js - Connected Pixelfed accounts (profile + OAuth tokens) per instance
+// Tokens are stored encrypted (see modules/tokenCrypto.js); callers only see plain objects.
+import db from './db.js';
+import crypto from 'crypto';
+import * as tokenCrypto from '../modules/tokenCrypto.js';
+
+function nowIso() { return new Date().toISOString(); }
+function genId(prefix = 'acc') { return `${prefix}_${crypto.randomUUID()}`; }
+
+function sealToken(tokens) {
+  return tokens ? tokenCrypto.encrypt(JSON.stringify(tokens)) : null;
+}
+
+const PROFILE_COLUMNS = {
+  remoteId: 'remote_id',
+  acct: 'acct',
+  displayName: 'display_name',
+  avatar: 'avatar',
+};
+
+/**
+ * @param {{ instanceId?: string|null, remoteId?: string|null, acct?: string|null,
+ *   displayName?: string|null, avatar?: string|null, token?: object|null }} data
+ *   instanceId null = default instance
+ */
+export function create({ instanceId = null, remoteId = null, acct = null, displayName = null, avatar = null, token = null }) {
+  const id = genId();
+  const now = nowIso();
+  db.prepare(`INSERT INTO accounts (id, instance_id, remote_id, acct, display_name, avatar, token_json, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, instanceId, remoteId, acct, displayName, avatar, sealToken(token), now, now);
+  return get(id);
+}
+
+export function get(id) {
+  return db.prepare('SELECT * FROM accounts WHERE id = ?').get(id);
+}
+
+/** All accounts, oldest first (the first connected account of an instance is its default). */
+export function list() {
+  return db.prepare('SELECT * FROM accounts ORDER BY created_at, rowid').all();
+}
+
+/** Accounts of one instance (null = default instance), oldest first. */
+export function listForInstance(instanceId) {
+  return db.prepare('SELECT * FROM accounts WHERE instance_id IS ? ORDER BY created_at, rowid').all(instanceId ?? null);
+}
+
+export function findByRemoteId(instanceId, remoteId) {
+  return db.prepare('SELECT * FROM accounts WHERE instance_id IS ? AND remote_id = ?').get(instanceId ?? null, remoteId);
+}
+
+/**
+ * Update profile fields (remoteId, acct, displayName, avatar); unknown keys are ignored.
+ * @returns {object|undefined} the updated row, undefined if not found
+ */
+export function updateProfile(id, profile = {}) {
+  const sets = [];
+  const values = [];
+  for (const [key, column] of Object.entries(PROFILE_COLUMNS)) {
+    if (profile[key] !== undefined) {
+      sets.push(`${column}=?`);
+      values.push(profile[key]);
+    }
+  }
+  if (sets.length) {
+    db.prepare(`UPDATE accounts SET ${sets.join(', ')}, updated_at=? WHERE id=?`).run(...values, nowIso(), id);
+  }
+  return get(id);
+}
+
+/**
+ * Stored OAuth tokens of an account, or null (also when they cannot be decrypted,
+ * e.g. after the key changed, so the account reads as logged out).
+ */
+export function getToken(id) {
+  const row = db.prepare('SELECT token_json FROM accounts WHERE id = ?').get(id);
+  if (!row?.token_json) return null;
+  try {
+    return JSON.parse(tokenCrypto.isEncrypted(row.token_json) ? tokenCrypto.decrypt(row.token_json) : row.token_json);
+  } catch (err) {
+    console.warn(`[Accounts] Unreadable tokens for ${id}:`, err.message);
+    return null;
+  }
+}
+
+/** Store (or clear, with null) the OAuth tokens of an account. */
+export function setToken(id, tokens) {
+  db.prepare('UPDATE accounts SET token_json=?, updated_at=? WHERE id=?')
+    .run(sealToken(tokens), nowIso(), id);
+}
+
+/**
+ * Encrypt tokens still stored in plain text by older versions.
+ * @returns {number} how many accounts were updated
+ */
+export function encryptPlainTokens() {
+  const rows = db.prepare("SELECT id, token_json FROM accounts WHERE token_json IS NOT NULL AND token_json NOT LIKE 'enc:%'").all();
+  const seal = db.prepare('UPDATE accounts SET token_json=? WHERE id=?');
+  db.transaction(() => {
+    for (const row of rows) seal.run(tokenCrypto.encrypt(row.token_json), row.id);
+  })();
+  return rows.length;
+}
+
+export function remove(id) {
+  return db.prepare('DELETE FROM accounts WHERE id=?').run(id).changes > 0;
+}
+
+/** Number of albums fetched with this account. */
+export function countAlbums(id) {
+  return db.prepare('SELECT COUNT(*) AS c FROM albums WHERE account_id = ?').get(id).c;
+}
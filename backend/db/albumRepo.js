@@ -5,21 +5,26 @@ import crypto from 'crypto';
 function nowIso() { return new Date().toISOString(); }
 function genId(prefix = 'alb') { return `${prefix}_${crypto.randomUUID()}`; }
 
-export function create({ name, query, refresh, enabled = true, id }) {
+export function create({ name, query, refresh, retention = null, enabled = true, sensitivePolicy = 'exclude', instanceId = null, accountId = null, id }) {
   const created_at = nowIso();
   const updated_at = created_at;
   const albumId = id || genId();
 
   db.prepare(`INSERT INTO albums
-    (id, name, created_at, updated_at, enabled, query_type, query_tags, query_users, query_tagmode, query_limit, refresh_json)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    (id, name, created_at, updated_at, enabled, query_type, query_tags, query_users, query_tagmode, query_limit, query_exclude, sensitive_policy, instance_id, account_id, refresh_json, retention_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
     .run(albumId, name, created_at, updated_at, enabled ? 1 : 0,
          query.type,
          query.tags ? JSON.stringify(query.tags) : null,
          query.users ? JSON.stringify(query.users) : null,
          query.tagmode || 'any',
          query.limit ?? 20,
-         JSON.stringify(refresh || {}));
+         query.exclude ? JSON.stringify(query.exclude) : null,
+         sensitivePolicy,
+         instanceId,
+         accountId,
+         JSON.stringify(refresh || {}),
+         retention ? JSON.stringify(retention) : null);
 
   return get(albumId);
 }
@@ -43,7 +48,8 @@ export function update(id, patch) {
   db.prepare(`UPDATE albums SET
     name=?, updated_at=?, enabled=?,
     query_type=?, query_tags=?, query_users=?,
-    query_tagmode=?, query_limit=?, refresh_json=?
+    query_tagmode=?, query_limit=?, query_exclude=?, sensitive_policy=?, instance_id=?, account_id=?, refresh_json=?,
+    retention_json=?
     WHERE id=?`)
     .run(
       patch.name ?? current.name,
@@ -54,7 +60,16 @@ export function update(id, patch) {
       patch.query?.users ? JSON.stringify(patch.query.users) : current.query_users,
       patch.query?.tagmode ?? current.query_tagmode,
       patch.query?.limit ?? current.query_limit,
+      patch.query?.exclude !== undefined
+        ? (patch.query.exclude ? JSON.stringify(patch.query.exclude) : null)
+        : current.query_exclude,
+      patch.sensitivePolicy ?? current.sensitive_policy,
+      patch.instanceId !== undefined ? patch.instanceId : current.instance_id,
+      patch.accountId !== undefined ? patch.accountId : current.account_id,
       JSON.stringify({ ...JSON.parse(current.refresh_json), ...(patch.refresh || {}) }),
+      patch.retention !== undefined
+        ? (patch.retention ? JSON.stringify(patch.retention) : null)
+        : current.retention_json,
       id
     );
 
@@ -115,6 +130,17 @@ export function addPhotos(albumId, statusIds, { returnCount = true } = {}) {
   return returnCount ? n : undefined;
 }
 
+/**
+ * Unlink photos from an album (the photo rows stay; other albums may use them).
+ * @returns {number} number of links removed
+ */
+export function removePhotos(albumId, statusIds) {
+  if (!Array.isArray(statusIds) || statusIds.length === 0) return 0;
+  const stmt = db.prepare('DELETE FROM album_items WHERE album_id = ? AND status_id = ?');
+  const tx = db.transaction((ids) => ids.reduce((n, sid) => n + stmt.run(albumId, sid).changes, 0));
+  return tx(statusIds);
+}
+
 export function listItems(albumId, { offset = 0, limit = 20 } = {}) {
   const rows = db.prepare(`
     SELECT status_id FROM album_items
@@ -124,4 +150,30 @@ export function listItems(albumId, { offset = 0, limit = 20 } = {}) {
 
   const total = db.prepare('SELECT COUNT(*) as c FROM album_items WHERE album_id=?').get(albumId).c;
   return { items: rows.map(r => r.status_id), total, offset, limit };
-}
\ No newline at end of file
+}
+
+/**
+ * Unlink the photos an album no longer keeps: all but the `maxPhotos` newest posts
+ * and posts created before `olderThan` (ISO). Either limit may be null.
+ * @returns {number} number of links removed
+ */
+export function pruneItems(albumId, { maxPhotos = null, olderThan = null } = {}) {
+  const tx = db.transaction(() => {
+    let removed = 0;
+    if (olderThan) {
+      removed += db.prepare(`DELETE FROM album_items WHERE album_id = @albumId AND status_id IN (
+        SELECT status_id FROM photos WHERE julianday(created_at) < julianday(@olderThan))`)
+        .run({ albumId, olderThan }).changes;
+    }
+    if (maxPhotos != null) {
+      removed += db.prepare(`DELETE FROM album_items WHERE album_id = @albumId AND status_id IN (
+        SELECT ai.status_id FROM album_items ai JOIN photos p ON p.status_id = ai.status_id
+        WHERE ai.album_id = @albumId
+        ORDER BY julianday(p.created_at) DESC, ai.status_id DESC
+        LIMIT -1 OFFSET @maxPhotos)`)
+        .run({ albumId, maxPhotos }).changes;
+    }
+    return removed;
+  });
+  return tx();
+}
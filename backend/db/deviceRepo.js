@@ -0,0 +1,81 @@
+// deviceRepo.js - Registered picture frames (players), their assignments and last heartbeat
+import db from './db.js';
+import crypto from 'crypto';
+
+function nowIso() { return new Date().toISOString(); }
+function genId(prefix = 'dev') { return `${prefix}_${crypto.randomUUID()}`; }
+
+const INFO_COLUMNS = {
+  name: 'name',
+  appVersion: 'app_version',
+  screenWidth: 'screen_width',
+  screenHeight: 'screen_height',
+  userAgent: 'user_agent',
+  currentAlbumId: 'current_album_id',
+  currentStatusId: 'current_status_id',
+};
+
+export function create({ name, appVersion = null, screenWidth = null, screenHeight = null, userAgent = null }) {
+  const id = genId();
+  const now = nowIso();
+  db.prepare(`INSERT INTO devices (id, name, app_version, screen_width, screen_height, user_agent, created_at, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, name, appVersion, screenWidth, screenHeight, userAgent, now, now);
+  return get(id);
+}
+
+export function get(id) {
+  return db.prepare('SELECT * FROM devices WHERE id = ?').get(id);
+}
+
+export function list() {
+  return db.prepare('SELECT * FROM devices ORDER BY name COLLATE NOCASE, created_at').all();
+}
+
+/**
+ * Record a heartbeat: stamps last_seen_at and stores whatever the device reported.
+ * Only keys present in `info` are written.
+ * @returns {object|undefined} the updated row, undefined if not found
+ */
+export function touch(id, info = {}) {
+  const sets = ['last_seen_at = @last_seen_at'];
+  const params = { id, last_seen_at: nowIso() };
+  for (const [key, column] of Object.entries(INFO_COLUMNS)) {
+    if (info[key] === undefined) continue;
+    sets.push(`${column} = @${column}`);
+    params[column] = info[key];
+  }
+  const { changes } = db.prepare(`UPDATE devices SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return changes ? get(id) : undefined;
+}
+
+/**
+ * Update name and/or assignments. `albumId`/`profileId` may be null to clear them.
+ * @returns {object|undefined} the updated row, undefined if not found
+ */
+export function update(id, patch) {
+  const current = get(id);
+  if (!current) return undefined;
+
+  db.prepare('UPDATE devices SET name=?, album_id=?, profile_id=? WHERE id=?')
+    .run(
+      patch.name ?? current.name,
+      patch.albumId !== undefined ? patch.albumId : current.album_id,
+      patch.profileId !== undefined ? patch.profileId : current.profile_id,
+      id
+    );
+  return get(id);
+}
+
+/** Store the hash of a device's (new) access token; older tokens stop working. */
+export function setTokenHash(id, tokenHash) {
+  return db.prepare('UPDATE devices SET token_hash=? WHERE id=?').run(tokenHash, id).changes > 0;
+}
+
+export function getByTokenHash(tokenHash) {
+  return db.prepare('SELECT * FROM devices WHERE token_hash = ?').get(tokenHash);
+}
+
+export function remove(id) {
+  return db.prepare('DELETE FROM devices WHERE id=?').run(id).changes > 0;
+}
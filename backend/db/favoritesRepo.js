@@ -67,9 +67,11 @@ export function listFavorites({ offset = 0, limit = 20 } = {}) {
         SELECT
             p.*,
             f.favorited_at,
-            f.note as favorite_note
+            f.note as favorite_note,
+            mm.path as local_path
         FROM favorites f
         JOIN photos p ON p.status_id = f.status_id
+        LEFT JOIN media_manifest mm ON mm.status_id = p.status_id AND mm.kind = 'original'
         ORDER BY f.favorited_at DESC
         LIMIT ? OFFSET ?
     `).all(limit, offset);
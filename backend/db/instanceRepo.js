@@ -0,0 +1,57 @@
+// instanceRepo.js - Registered Pixelfed instances (base URL, OAuth app credentials)
+import db from './db.js';
+import crypto from 'crypto';
+
+function nowIso() { return new Date().toISOString(); }
+function genId(prefix = 'ins') { return `${prefix}_${crypto.randomUUID()}`; }
+
+export function create({ name, baseUrl, clientId = null, clientSecret = null }) {
+  const id = genId();
+  const created_at = nowIso();
+  db.prepare(`INSERT INTO instances (id, name, base_url, client_id, client_secret, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, name, baseUrl, clientId, clientSecret, created_at, created_at);
+  return get(id);
+}
+
+export function get(id) {
+  return db.prepare('SELECT * FROM instances WHERE id = ?').get(id);
+}
+
+export function getByBaseUrl(baseUrl) {
+  return db.prepare('SELECT * FROM instances WHERE base_url = ?').get(baseUrl);
+}
+
+export function list() {
+  return db.prepare('SELECT * FROM instances ORDER BY name COLLATE NOCASE').all();
+}
+
+/**
+ * Update name, base URL and/or OAuth app credentials.
+ * @returns {object|undefined} the updated row, undefined if not found
+ */
+export function update(id, patch) {
+  const current = get(id);
+  if (!current) return undefined;
+
+  db.prepare(`UPDATE instances SET name=?, base_url=?, client_id=?, client_secret=?, updated_at=?
+    WHERE id=?`)
+    .run(
+      patch.name ?? current.name,
+      patch.baseUrl ?? current.base_url,
+      patch.clientId !== undefined ? patch.clientId : current.client_id,
+      patch.clientSecret !== undefined ? patch.clientSecret : current.client_secret,
+      nowIso(),
+      id
+    );
+  return get(id);
+}
+
+export function remove(id) {
+  return db.prepare('DELETE FROM instances WHERE id=?').run(id).changes > 0;
+}
+
+/** Number of albums that query this instance. */
+export function countAlbums(id) {
+  return db.prepare('SELECT COUNT(*) AS c FROM albums WHERE instance_id = ?').get(id).c;
+}
@@ -0,0 +1,101 @@
+// backend/db/mediaRepo.js
+// Repository for the media_manifest table (bookkeeping for cached media files).
+
+import db from './db.js';
+
+/**
+ * Get the manifest entry for one cached file.
+ * @param {string} statusId
+ * @param {'original'|'preview'} kind
+ * @returns {{ status_id: string, kind: string, path: string, content_length: number|null,
+ *             fetched_at: string|null, last_accessed_at: string|null } | undefined}
+ */
+export function get(statusId, kind) {
+    return db.prepare('SELECT * FROM media_manifest WHERE status_id = ? AND kind = ?').get(statusId, kind);
+}
+
+/**
+ * List all manifest entries for a photo (one per cached kind).
+ * @param {string} statusId
+ * @returns {Array<object>}
+ */
+export function listForStatus(statusId) {
+    return db.prepare('SELECT * FROM media_manifest WHERE status_id = ? ORDER BY kind').all(statusId);
+}
+
+/**
+ * Insert or replace the manifest entry for a freshly downloaded file.
+ * @param {{ statusId: string, kind: string, path: string, contentLength: number }} entry
+ */
+export function upsert({ statusId, kind, path, contentLength }) {
+    const now = new Date().toISOString();
+    db.prepare(`
+        INSERT INTO media_manifest (status_id, kind, path, content_length, fetched_at, last_accessed_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(status_id, kind) DO UPDATE SET
+          path             = excluded.path,
+          content_length   = excluded.content_length,
+          fetched_at       = excluded.fetched_at,
+          last_accessed_at = excluded.last_accessed_at
+    `).run(statusId, kind, path, contentLength ?? null, now, now);
+}
+
+/**
+ * Bump last_accessed_at so LRU eviction keeps recently shown media.
+ * @param {string} statusId
+ * @param {string} kind
+ */
+export function touch(statusId, kind) {
+    db.prepare('UPDATE media_manifest SET last_accessed_at = ? WHERE status_id = ? AND kind = ?')
+      .run(new Date().toISOString(), statusId, kind);
+}
+
+/**
+ * Delete a manifest entry.
+ * @param {string} statusId
+ * @param {string} kind
+ * @returns {boolean} true if a row was removed
+ */
+export function remove(statusId, kind) {
+    return db.prepare('DELETE FROM media_manifest WHERE status_id = ? AND kind = ?').run(statusId, kind).changes > 0;
+}
+
+/**
+ * Delete every manifest entry.
+ * @returns {number} rows removed
+ */
+export function removeAll() {
+    return db.prepare('DELETE FROM media_manifest').run().changes;
+}
+
+/**
+ * Return every manifest entry (used when wiping the cache directory).
+ * @returns {Array<object>}
+ */
+export function listAll() {
+    return db.prepare('SELECT * FROM media_manifest').all();
+}
+
+/**
+ * Aggregate size of the cache.
+ * @returns {{ items: number, bytes: number }}
+ */
+export function totals() {
+    const row = db.prepare('SELECT COUNT(*) AS items, COALESCE(SUM(content_length), 0) AS bytes FROM media_manifest').get();
+    return { items: row.items, bytes: row.bytes };
+}
+
+/**
+ * Entries in eviction order: media of photos in no album and not favorited first,
+ * then least-recently accessed.
+ * @returns {Array<object>}
+ */
+export function listEvictionCandidates() {
+    return db.prepare(`
+        SELECT m.*,
+               (EXISTS (SELECT 1 FROM album_items ai WHERE ai.status_id = m.status_id)
+                OR EXISTS (SELECT 1 FROM favorites f WHERE f.status_id = m.status_id)) AS referenced
+        FROM media_manifest m
+        ORDER BY referenced ASC, COALESCE(m.last_accessed_at, m.fetched_at, '') ASC
+    `).all();
+}
@@ -0,0 +1,133 @@
+/**
+ * db/migrate.js
+ * -------------
+ * Versioned schema migrations for the PixelFree SQLite database.
+ *
+ * `schema.sql` describes the current schema and creates it on a new database.
+ * Existing databases only get missing *tables* from it (`CREATE TABLE IF NOT
+ * EXISTS`); everything else that changes later (new columns, rebuilt
+ * constraints, data fixes) is a numbered migration in `db/migrations/`.
+ *
+ * The version a database is at lives in `kv` under `schema_version`:
+ * - a new database is created from `schema.sql` and stamped with the latest version
+ * - an existing one runs every migration above its version, oldest first, each in
+ *   its own transaction together with the version bump, so a failed migration
+ *   leaves the database at the previous version
+ * - databases from before this framework have no version (0); the first
+ *   migrations therefore check before they add anything
+ *
+ * Exports
+ * - `SCHEMA_VERSION_KEY`, `LATEST_VERSION`
+ * - `getSchemaVersion(db)`              → version recorded in the database (0 if none)
+ * - `status(db)`                        → `{ current, latest, applied[], pending[] }`
+ * - `prepareDatabase(db, { dryRun? })`  → apply schema.sql and pending migrations
+ *
+ * Notes
+ * - Foreign keys are switched off while migrating (SQLite's procedure for table
+ *   rebuilds) and checked with `foreign_key_check` before each commit.
+ * - A dry run does all of the above inside one transaction and rolls it back.
+ * - Indexes on columns added by a migration belong in that migration, not in
+ *   schema.sql, which runs before the migrations do.
+ * - `scripts/migrate.js` reports status and runs or dry-runs migrations by hand.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import migrations from './migrations/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+
+export const SCHEMA_VERSION_KEY = 'schema_version';
+export const LATEST_VERSION = migrations.length ? migrations[migrations.length - 1].version : 0;
+
+// Versions must be 1, 2, 3, ... so a gap or duplicate is caught at startup, not in the field
+migrations.forEach((m, i) => {
+  if (m.version !== i + 1) throw new Error(`[db] migration ${m.name} has version ${m.version}, expected ${i + 1}`);
+});
+
+function hasTable(db, name) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+
+export function getSchemaVersion(db) {
+  if (!hasTable(db, 'kv')) return 0;
+  const row = db.prepare('SELECT v FROM kv WHERE k = ?').get(SCHEMA_VERSION_KEY);
+  return row ? Number(row.v) || 0 : 0;
+}
+
+function setSchemaVersion(db, version) {
+  db.prepare('INSERT INTO kv (k, v) VALUES (?, ?) ON CONFLICT(k) DO UPDATE SET v = excluded.v')
+    .run(SCHEMA_VERSION_KEY, String(version));
+}
+
+const describe = m => ({ version: m.version, name: m.name });
+
+export function status(db) {
+  const current = getSchemaVersion(db);
+  return {
+    current,
+    latest: LATEST_VERSION,
+    applied: migrations.filter(m => m.version <= current).map(describe),
+    pending: migrations.filter(m => m.version > current).map(describe),
+  };
+}
+
+function assertForeignKeys(db, context) {
+  const problems = db.pragma('foreign_key_check');
+  if (problems.length) {
+    throw new Error(`[db] foreign key check failed after ${context}: ${JSON.stringify(problems.slice(0, 5))}`);
+  }
+}
+
+/**
+ * Bring a database up to the latest schema.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ dryRun?: boolean, log?: (msg: string) => void }} [opts]
+ * @returns {{ from: number, to: number, created: boolean, applied: Array<{version:number, name:string}>, dryRun: boolean }}
+ */
+export function prepareDatabase(db, { dryRun = false, log = console.log } = {}) {
+  const created = !hasTable(db, 'albums');
+  const from = created ? 0 : getSchemaVersion(db);
+  const result = { from, to: from, created, applied: [], dryRun };
+
+  if (from > LATEST_VERSION) {
+    log(`[db] Database is at schema version ${from}, newer than this PixelFree (${LATEST_VERSION}); leaving it alone`);
+    return result;
+  }
+
+  const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
+  const pending = created ? [] : migrations.filter(m => m.version > from);
+
+  db.pragma('foreign_keys = OFF');
+  try {
+    if (dryRun) db.exec('BEGIN');
+    try {
+      db.exec(schema);
+      db.pragma('foreign_keys = OFF'); // schema.sql switches them on
+      if (created) {
+        setSchemaVersion(db, LATEST_VERSION);
+        result.to = LATEST_VERSION;
+      }
+
+      for (const m of pending) {
+        const step = () => {
+          m.up(db);
+          setSchemaVersion(db, m.version);
+          assertForeignKeys(db, `migration ${m.version} (${m.name})`);
+        };
+        // A dry run is already inside its transaction
+        if (dryRun) step(); else db.transaction(step)();
+        result.applied.push(describe(m));
+        result.to = m.version;
+        log(`[db] ${dryRun ? 'Would apply' : 'Applied'} migration ${m.version} (${m.name})`);
+      }
+    } finally {
+      if (dryRun) db.exec('ROLLBACK');
+    }
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  return result;
+}
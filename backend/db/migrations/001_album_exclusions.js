@@ -0,0 +1,10 @@
+// Tag, user and keyword exclusions per album
+import { ensureColumn } from './helpers.js';
+
+export default {
+  version: 1,
+  name: 'album_exclusions',
+  up(db) {
+    ensureColumn(db, 'albums', 'query_exclude', 'TEXT');
+  },
+};
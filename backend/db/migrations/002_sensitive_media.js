@@ -0,0 +1,13 @@
+// Sensitive / content-warning flags on photos and a per-album policy for them
+import { ensureColumn } from './helpers.js';
+
+export default {
+  version: 2,
+  name: 'sensitive_media',
+  up(db) {
+    ensureColumn(db, 'albums', 'sensitive_policy',
+      "TEXT NOT NULL DEFAULT 'exclude' CHECK (sensitive_policy IN ('exclude','blur','include'))");
+    ensureColumn(db, 'photos', 'sensitive', 'INTEGER NOT NULL DEFAULT 0');
+    ensureColumn(db, 'photos', 'spoiler_text', 'TEXT');
+  },
+};
@@ -0,0 +1,13 @@
+// albums.query_type once only allowed tag/user/compound; add the timeline types
+import { rebuildTable } from './helpers.js';
+
+export default {
+  version: 3,
+  name: 'timeline_album_types',
+  up(db) {
+    const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'albums'").get();
+    if (sql.includes("'home'")) return;
+    rebuildTable(db, 'albums', s => s.replace(/CHECK\s*\(\s*query_type\s+IN\s*\([^)]*\)\s*\)/i,
+      "CHECK (query_type IN ('tag','user','compound','public','local','home'))"));
+  },
+};
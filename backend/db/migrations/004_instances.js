@@ -0,0 +1,12 @@
+// Albums and photos from more than one Pixelfed instance
+import { ensureColumn } from './helpers.js';
+
+export default {
+  version: 4,
+  name: 'instances',
+  up(db) {
+    ensureColumn(db, 'photos', 'instance_id', 'TEXT');
+    ensureColumn(db, 'photos', 'remote_id', 'TEXT');
+    ensureColumn(db, 'albums', 'instance_id', 'TEXT REFERENCES instances(id)');
+  },
+};
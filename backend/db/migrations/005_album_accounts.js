@@ -0,0 +1,10 @@
+// Albums pick the connected account that fetches them
+import { ensureColumn } from './helpers.js';
+
+export default {
+  version: 5,
+  name: 'album_accounts',
+  up(db) {
+    ensureColumn(db, 'albums', 'account_id', 'TEXT REFERENCES accounts(id) ON DELETE SET NULL');
+  },
+};
@@ -0,0 +1,10 @@
+// Device tokens for read-only player access once local sign-in is enabled
+import { ensureColumn } from './helpers.js';
+
+export default {
+  version: 6,
+  name: 'device_tokens',
+  up(db) {
+    ensureColumn(db, 'devices', 'token_hash', 'TEXT');
+  },
+};
@@ -0,0 +1,10 @@
+// Per-album retention (newest N photos and/or a maximum age), enforced by services/maintenance.js
+import { ensureColumn } from './helpers.js';
+
+export default {
+  version: 7,
+  name: 'album_retention',
+  up(db) {
+    ensureColumn(db, 'albums', 'retention_json', 'TEXT');
+  },
+};
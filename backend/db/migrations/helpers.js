@@ -0,0 +1,28 @@
+// helpers.js - Building blocks for migrations in this directory
+
+/** Whether `table` has a column named `column`. */
+export function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * Add a column unless it exists. Databases upgraded by versions before the
+ * migration framework may already have it, so the first migrations must not assume.
+ */
+export function ensureColumn(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+/**
+ * Recreate a table from its own CREATE statement after `transform(sql)`, keeping
+ * its rows. SQLite cannot alter constraints in place; the runner has foreign keys
+ * switched off while migrating, so referencing tables keep their rows.
+ */
+export function rebuildTable(db, table, transform) {
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  const rebuilt = transform(sql).replace(new RegExp(`^CREATE TABLE\\s+"?${table}"?`, 'i'), `CREATE TABLE ${table}_new`);
+  db.exec(rebuilt);
+  db.exec(`INSERT INTO ${table}_new SELECT * FROM ${table}`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+}
@@ -0,0 +1,19 @@
+// index.js - All migrations, oldest first. Add new ones at the end with the next
+// version number; never edit or renumber one that has shipped.
+import albumExclusions from './001_album_exclusions.js';
+import sensitiveMedia from './002_sensitive_media.js';
+import timelineAlbumTypes from './003_timeline_album_types.js';
+import instances from './004_instances.js';
+import albumAccounts from './005_album_accounts.js';
+import deviceTokens from './006_device_tokens.js';
+import albumRetention from './007_album_retention.js';
+
+export default [
+  albumExclusions,
+  sensitiveMedia,
+  timelineAlbumTypes,
+  instances,
+  albumAccounts,
+  deviceTokens,
+  albumRetention,
+];
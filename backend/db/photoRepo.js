@@ -8,8 +8,9 @@ export function upsertMany(photos) {
   const stmt = db.prepare(`
     INSERT INTO photos
       (status_id, created_at, author_id, author_acct, author_username, author_display, author_avatar,
-       caption_html, post_url, tags_json, url, preview_url, fetched_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       caption_html, post_url, tags_json, url, preview_url, fetched_at, sensitive, spoiler_text,
+       instance_id, remote_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, 0), ?, ?, ?)
     ON CONFLICT(status_id) DO UPDATE SET
       created_at     = excluded.created_at,
       author_id      = excluded.author_id,
@@ -22,7 +23,12 @@ export function upsertMany(photos) {
       tags_json      = excluded.tags_json,
       url            = excluded.url,
       preview_url    = excluded.preview_url,
-      fetched_at     = excluded.fetched_at
+      fetched_at     = excluded.fetched_at,
+      -- callers that don't know the flags (e.g. favorites) must not clear them
+      sensitive      = COALESCE(?, photos.sensitive),
+      spoiler_text   = COALESCE(?, photos.spoiler_text),
+      instance_id    = COALESCE(excluded.instance_id, photos.instance_id),
+      remote_id      = COALESCE(excluded.remote_id, photos.remote_id)
   `);
 
   const tx = db.transaction((items) => {
@@ -47,6 +53,10 @@ export function upsertMany(photos) {
         tagsJson = tags.length ? JSON.stringify(tags) : null;
       }
 
+      // sensitive flag / content warning; null when the caller didn't provide them
+      const sensitive = p?.sensitive == null ? null : (p.sensitive ? 1 : 0);
+      const spoiler = p?.spoiler_text == null ? null : String(p.spoiler_text);
+
       stmt.run(
         sid,
         p?.created_at ?? null,
@@ -60,7 +70,14 @@ export function upsertMany(photos) {
         tagsJson,
         p?.url ?? null,
         p?.preview_url ?? p?.url ?? null,
-        nowIso
+        nowIso,
+        sensitive,
+        spoiler,
+        // origin of the post; status_id is qualified for non-default instances
+        p?.instance_id ?? null,
+        p?.remote_id != null ? String(p.remote_id) : null,
+        sensitive,
+        spoiler
       );
 
       ids.push(sid);
@@ -78,22 +95,105 @@ export function getMany(statusIds) {
            .all(...statusIds);
 }
 
-export function listForAlbum(albumId, { offset = 0, limit = 20 } = {}) {
+// Deterministic pseudo-random rank for `sort=random`: the same seed gives the same
+// order, so a shuffled album can still be paged through (FNV-1a over seed + id).
+db.function('seeded_rank', { deterministic: true }, (seed, statusId) => {
+  let h = 0x811c9dc5;
+  const s = `${seed}:${statusId}`;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+});
+
+export const SORTS = ['added_at', 'created_at', 'random'];
+
+const ORDER_BY = {
+  added_at: 'ai.added_at DESC',
+  created_at: 'julianday(p.created_at) DESC',
+  random: 'seeded_rank(@seed, p.status_id)',
+};
+
+// WHERE clause for an album's items, optionally limited to posts created in [since, until]
+// and to posts not flagged sensitive
+function albumWhere({ since, until, excludeSensitive }) {
+  const clauses = ['ai.album_id = @albumId'];
+  if (excludeSensitive) clauses.push('p.sensitive = 0');
+  if (since) clauses.push('julianday(p.created_at) >= julianday(@since)');
+  if (until) clauses.push('julianday(p.created_at) <= julianday(@until)');
+  return clauses.join(' AND ');
+}
+
+/**
+ * Photos of an album, page by page.
+ * @param {string} albumId
+ * @param {{ offset?: number, limit?: number, since?: string|null, until?: string|null,
+ *           sort?: 'added_at'|'created_at'|'random', seed?: string, excludeSensitive?: boolean }} [opts]
+ *   `since`/`until` filter by post `created_at` (ISO); `seed` orders `random` reproducibly.
+ */
+export function listForAlbum(albumId, { offset = 0, limit = 20, since = null, until = null, sort = 'added_at', seed = '', excludeSensitive = false } = {}) {
+  const params = { albumId, since, until, seed: String(seed), limit, offset };
+  const where = albumWhere({ since, until, excludeSensitive });
+
   const rows = db.prepare(`
-    SELECT p.* FROM album_items ai
+    SELECT p.*, mm.path AS local_path FROM album_items ai
     JOIN photos p ON p.status_id = ai.status_id
-    WHERE ai.album_id = ?
-    ORDER BY ai.added_at DESC
-    LIMIT ? OFFSET ?`).all(albumId, limit, offset);
+    LEFT JOIN media_manifest mm ON mm.status_id = p.status_id AND mm.kind = 'original'
+    WHERE ${where}
+    ORDER BY ${ORDER_BY[sort] || ORDER_BY.added_at}
+    LIMIT @limit OFFSET @offset`).all(params);
 
-  const total = db.prepare('SELECT COUNT(*) as c FROM album_items WHERE album_id=?').get(albumId).c;
+  const total = db.prepare(`
+    SELECT COUNT(*) as c FROM album_items ai
+    JOIN photos p ON p.status_id = ai.status_id
+    WHERE ${where}`).get(params).c;
   return { items: rows, total, offset, limit };
 }
 
+// Photos in no album and not a favorite (deleting a photo also deletes its favorite)
+const UNREFERENCED = `SELECT p.status_id FROM photos p
+    WHERE NOT EXISTS (SELECT 1 FROM album_items ai WHERE ai.status_id = p.status_id)
+      AND NOT EXISTS (SELECT 1 FROM favorites f WHERE f.status_id = p.status_id)`;
+
+/** Status IDs of photos no album links and nobody favorited. */
+export function listUnreferenced() {
+  return db.prepare(UNREFERENCED).pluck().all();
+}
+
+/**
+ * Delete photos no album links and nobody favorited. Their media_manifest rows go
+ * with them; remove the cached files first (cache.evict).
+ * @returns {number} photos removed
+ */
 export function removeUnreferenced() {
-  return db.prepare(`DELETE FROM photos WHERE status_id IN (
-    SELECT p.status_id FROM photos p
-    LEFT JOIN album_items ai ON ai.status_id = p.status_id
-    WHERE ai.status_id IS NULL
-  )`).run().changes;
-}
\ No newline at end of file
+  return db.prepare(`DELETE FROM photos WHERE status_id IN (${UNREFERENCED})`).run().changes;
+}
+
+/**
+ * Ordered status IDs of an album (newest additions first), without loading the photo rows.
+ * Optionally limited to posts created in [since, until] and to posts not flagged sensitive.
+ * @returns {string[]}
+ */
+export function listIdsForAlbum(albumId, { since = null, until = null, excludeSensitive = false } = {}) {
+  return db.prepare(`SELECT ai.status_id FROM album_items ai
+    JOIN photos p ON p.status_id = ai.status_id
+    WHERE ${albumWhere({ since, until, excludeSensitive })}
+    ORDER BY ai.added_at DESC`)
+    .pluck().all({ albumId, since, until });
+}
+
+/**
+ * Photo rows (with cached media path) for the given status IDs, in the order given.
+ * IDs without a photo row are skipped.
+ */
+export function listByIds(statusIds) {
+  if (!statusIds?.length) return [];
+  const placeholders = statusIds.map(() => '?').join(',');
+  const rows = db.prepare(`
+    SELECT p.*, mm.path AS local_path FROM photos p
+    LEFT JOIN media_manifest mm ON mm.status_id = p.status_id AND mm.kind = 'original'
+    WHERE p.status_id IN (${placeholders})`).all(...statusIds);
+  const byId = new Map(rows.map(r => [r.status_id, r]));
+  return statusIds.map(id => byId.get(id)).filter(Boolean);
+}
@@ -0,0 +1,64 @@
+// playlistRepo.js - Playlists repository (weighted album lists for the player)
+import db from './db.js';
+import crypto from 'crypto';
+
+function nowIso() { return new Date().toISOString(); }
+function genId(prefix = 'pls') { return `${prefix}_${crypto.randomUUID()}`; }
+
+function albumsFor(playlistId) {
+  return db.prepare(`SELECT pa.album_id, pa.weight, a.name AS album_name, a.sensitive_policy
+    FROM playlist_albums pa JOIN albums a ON a.id = pa.album_id
+    WHERE pa.playlist_id = ? ORDER BY pa.position, pa.album_id`).all(playlistId);
+}
+
+const replaceAlbums = db.transaction((playlistId, albums) => {
+  db.prepare('DELETE FROM playlist_albums WHERE playlist_id = ?').run(playlistId);
+  const insert = db.prepare('INSERT INTO playlist_albums (playlist_id, album_id, weight, position) VALUES (?, ?, ?, ?)');
+  albums.forEach((a, i) => insert.run(playlistId, a.albumId, a.weight, i));
+});
+
+/**
+ * @param {{ name: string, albums: Array<{ albumId: string, weight: number }> }} data
+ */
+export function create({ name, albums = [] }) {
+  const id = genId();
+  const created_at = nowIso();
+  db.transaction(() => {
+    db.prepare('INSERT INTO playlists (id, name, created_at, updated_at) VALUES (?, ?, ?, ?)')
+      .run(id, name, created_at, created_at);
+    replaceAlbums(id, albums);
+  })();
+  return get(id);
+}
+
+/** Playlist row plus its `albums` ([{ album_id, weight, album_name, sensitive_policy }]), or undefined. */
+export function get(id) {
+  const row = db.prepare('SELECT * FROM playlists WHERE id = ?').get(id);
+  return row && { ...row, albums: albumsFor(id) };
+}
+
+export function list() {
+  return db.prepare('SELECT * FROM playlists ORDER BY name COLLATE NOCASE').all()
+    .map(row => ({ ...row, albums: albumsFor(row.id) }));
+}
+
+/**
+ * Update name and/or albums. `albums`, when given, replaces the whole list.
+ * @returns {object|undefined} the updated playlist, undefined if not found
+ */
+export function update(id, patch) {
+  const current = db.prepare('SELECT * FROM playlists WHERE id = ?').get(id);
+  if (!current) return undefined;
+
+  db.transaction(() => {
+    db.prepare('UPDATE playlists SET name=?, updated_at=? WHERE id=?')
+      .run(patch.name ?? current.name, nowIso(), id);
+    if (patch.albums) replaceAlbums(id, patch.albums);
+  })();
+  return get(id);
+}
+
+export function remove(id) {
+  return db.prepare('DELETE FROM playlists WHERE id=?').run(id).changes > 0;
+}
+
@@ -0,0 +1,45 @@
+// profileRepo.js - Display profiles repository (named player settings shared across frames)
+import db from './db.js';
+import crypto from 'crypto';
+
+function nowIso() { return new Date().toISOString(); }
+function genId(prefix = 'prf') { return `${prefix}_${crypto.randomUUID()}`; }
+
+export function create({ name, settings = {} }) {
+  const id = genId();
+  const created_at = nowIso();
+  db.prepare(`INSERT INTO display_profiles (id, name, settings_json, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)`)
+    .run(id, name, JSON.stringify(settings), created_at, created_at);
+  return get(id);
+}
+
+export function get(id) {
+  return db.prepare('SELECT * FROM display_profiles WHERE id = ?').get(id);
+}
+
+export function list() {
+  return db.prepare('SELECT * FROM display_profiles ORDER BY name COLLATE NOCASE').all();
+}
+
+/**
+ * Update a profile's name and/or settings. Settings are shallow-merged into the stored ones.
+ * @returns {object|undefined} the updated row, undefined if not found
+ */
+export function update(id, patch) {
+  const current = get(id);
+  if (!current) return undefined;
+
+  db.prepare('UPDATE display_profiles SET name=?, settings_json=?, updated_at=? WHERE id=?')
+    .run(
+      patch.name ?? current.name,
+      JSON.stringify({ ...JSON.parse(current.settings_json), ...(patch.settings || {}) }),
+      nowIso(),
+      id
+    );
+  return get(id);
+}
+
+export function remove(id) {
+  return db.prepare('DELETE FROM display_profiles WHERE id=?').run(id).changes > 0;
+}
@@ -0,0 +1,71 @@
+// refreshRunRepo.js - History of album refreshes (scheduled and manual), newest first
+import db from './db.js';
+import crypto from 'crypto';
+
+function nowIso() { return new Date().toISOString(); }
+function genId(prefix = 'run') { return `${prefix}_${crypto.randomUUID()}`; }
+
+export const STATUSES = ['running', 'ok', 'error'];
+
+/** Record that a refresh started; returns the run ID. */
+export function start({ albumId, source, sinceId = null }) {
+  const id = genId();
+  db.prepare('INSERT INTO refresh_runs (id, album_id, source, started_at, since_id) VALUES (?, ?, ?, ?, ?)')
+    .run(id, albumId, source, nowIso(), sinceId);
+  return id;
+}
+
+export function finish(id, { fetched = 0, upserted = 0, linked = 0 } = {}) {
+  db.prepare(`UPDATE refresh_runs SET status = 'ok', finished_at = ?, fetched = ?, upserted = ?, linked = ?
+    WHERE id = ?`).run(nowIso(), fetched, upserted, linked, id);
+}
+
+/** Record a failed run. The code is the AppError code, or `http_<status>` for plain HTTP errors. */
+export function fail(id, error) {
+  const code = typeof error?.code === 'string' ? error.code : (error?.status ? `http_${error.status}` : 'internal_error');
+  db.prepare(`UPDATE refresh_runs SET status = 'error', finished_at = ?, error_code = ?, error_message = ?
+    WHERE id = ?`).run(nowIso(), code, String(error?.message || error), id);
+}
+
+export function get(id) {
+  return db.prepare('SELECT * FROM refresh_runs WHERE id = ?').get(id);
+}
+
+/**
+ * Runs newest first, optionally for one album and/or with one status.
+ * @returns {{ items: object[], total: number, offset: number, limit: number }}
+ */
+export function list({ albumId, status, offset = 0, limit = 20 } = {}) {
+  const where = [];
+  const params = {};
+  if (albumId) { where.push('album_id = @albumId'); params.albumId = albumId; }
+  if (status) { where.push('status = @status'); params.status = status; }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const items = db.prepare(`SELECT * FROM refresh_runs ${clause} ORDER BY started_at DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset });
+  const total = db.prepare(`SELECT COUNT(*) AS c FROM refresh_runs ${clause}`).get(params).c;
+  return { items, total, offset, limit };
+}
+
+/** Counts of runs started since `sinceIso`, by outcome. */
+export function summary(sinceIso) {
+  const row = db.prepare(`SELECT COUNT(*) AS runs,
+      COALESCE(SUM(status = 'ok'), 0) AS ok,
+      COALESCE(SUM(status = 'error'), 0) AS errors,
+      COALESCE(SUM(error_code = 'rate_limited'), 0) AS rate_limited,
+      COALESCE(SUM(linked), 0) AS linked
+    FROM refresh_runs WHERE started_at >= ?`).get(sinceIso);
+  return row;
+}
+
+/** Delete finished runs started before `beforeIso`; returns how many. */
+export function pruneBefore(beforeIso) {
+  return db.prepare("DELETE FROM refresh_runs WHERE started_at < ? AND status != 'running'").run(beforeIso).changes;
+}
+
+/** Runs left 'running' by a previous process can never finish; mark them failed. */
+export function failInterrupted() {
+  return db.prepare(`UPDATE refresh_runs SET status = 'error', finished_at = ?, error_code = 'interrupted',
+    error_message = 'PixelFree stopped during the refresh' WHERE status = 'running'`).run(nowIso()).changes;
+}
@@ -1,4 +1,6 @@
--- PixelFree SQLite schema (v1)
+-- PixelFree SQLite schema: the current shape, used as-is for new databases.
+-- Existing databases only pick up new tables from here; any other change also
+-- needs a migration in db/migrations/ (see db/migrate.js).
 PRAGMA foreign_keys = ON;
 
 CREATE TABLE IF NOT EXISTS albums (
@@ -9,14 +11,26 @@ CREATE TABLE IF NOT EXISTS albums (
   enabled       INTEGER NOT NULL DEFAULT 1,
 
   -- Album query
-  query_type    TEXT NOT NULL CHECK (query_type IN ('tag','user','compound')),
+  query_type    TEXT NOT NULL CHECK (query_type IN ('tag','user','compound','public','local','home')),
   query_tags    TEXT,                         -- JSON array of tags
   query_users   TEXT,                         -- JSON (accts[] or ids[])
   query_tagmode TEXT NOT NULL DEFAULT 'any'   CHECK (query_tagmode IN ('any','all')),
   query_limit   INTEGER NOT NULL DEFAULT 20,
+  query_exclude TEXT,                         -- JSON { tags[], users[], keywords[] } to keep out
+
+  -- What to do with posts flagged sensitive (NSFW / content warning)
+  sensitive_policy TEXT NOT NULL DEFAULT 'exclude' CHECK (sensitive_policy IN ('exclude','blur','include')),
+
+  -- Server the album queries (NULL = the PIXELFED_INSTANCE default)
+  instance_id   TEXT REFERENCES instances(id),
+  -- Connected account whose token fetches the album (NULL = the instance's first account)
+  account_id    TEXT REFERENCES accounts(id) ON DELETE SET NULL,
 
   -- Refresh policy
-  refresh_json  TEXT NOT NULL
+  refresh_json  TEXT NOT NULL,
+
+  -- How many photos the album keeps: JSON { maxPhotos?, maxAgeDays? } (NULL = keep everything)
+  retention_json TEXT
 );
 
 CREATE TABLE IF NOT EXISTS photos (
@@ -32,6 +46,11 @@ CREATE TABLE IF NOT EXISTS photos (
   tags_json         TEXT,
   url               TEXT,
   preview_url       TEXT,
+  sensitive         INTEGER NOT NULL DEFAULT 0, -- flagged sensitive by its author
+  spoiler_text      TEXT,                       -- content warning shown instead of the media
+  instance_id       TEXT,                       -- server the status came from (NULL = default instance)
+  remote_id         TEXT,                       -- status ID on that server; status_id is qualified as
+                                                -- <remote_id>@<host> for non-default instances
   fetched_at        TEXT,
   etag              TEXT,
   last_verified_at  TEXT
@@ -70,4 +89,118 @@ CREATE TABLE IF NOT EXISTS kv (
 );
 
 -- Index for sorting by favorited_at (newest first)
-CREATE INDEX IF NOT EXISTS idx_favorites_favorited_at ON favorites(favorited_at DESC);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_favorites_favorited_at ON favorites(favorited_at DESC);
+
+-- Named player display profiles shared across frames
+CREATE TABLE IF NOT EXISTS display_profiles (
+  id            TEXT PRIMARY KEY,
+  name          TEXT NOT NULL,
+  settings_json TEXT NOT NULL,                -- JSON PlayerSettings (layout, transition, timing, ...)
+  created_at    TEXT NOT NULL,
+  updated_at    TEXT NOT NULL
+);
+
+-- Registered picture frames (players) and what they are currently showing
+CREATE TABLE IF NOT EXISTS devices (
+  id                TEXT PRIMARY KEY,
+  name              TEXT NOT NULL,
+  album_id          TEXT,                   -- assigned album (NULL = device chooses)
+  profile_id        TEXT,                   -- assigned display profile (NULL = local settings)
+  app_version       TEXT,
+  screen_width      INTEGER,
+  screen_height     INTEGER,
+  user_agent        TEXT,
+  current_album_id  TEXT,                   -- last reported by heartbeat
+  current_status_id TEXT,                   -- last reported by heartbeat
+  created_at        TEXT NOT NULL,
+  last_seen_at      TEXT,
+  token_hash        TEXT,                   -- sha256 of the device token (read-only player access)
+  FOREIGN KEY (album_id) REFERENCES albums(id) ON DELETE SET NULL,
+  FOREIGN KEY (profile_id) REFERENCES display_profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_devices_last_seen ON devices(last_seen_at DESC);
+
+-- Playlists: weighted rotation across several albums
+CREATE TABLE IF NOT EXISTS playlists (
+  id            TEXT PRIMARY KEY,
+  name          TEXT NOT NULL,
+  created_at    TEXT NOT NULL,
+  updated_at    TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS playlist_albums (
+  playlist_id   TEXT NOT NULL,
+  album_id      TEXT NOT NULL,
+  weight        INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0),  -- relative share of the rotation
+  position      INTEGER NOT NULL DEFAULT 0,                     -- tie-break order of the albums
+  PRIMARY KEY (playlist_id, album_id),
+  FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
+  FOREIGN KEY (album_id) REFERENCES albums(id) ON DELETE CASCADE
+);
+
+-- Additional Pixelfed servers albums can query, each with its own OAuth app and tokens.
+-- The server configured by PIXELFED_INSTANCE is the implicit 'default' instance.
+CREATE TABLE IF NOT EXISTS instances (
+  id            TEXT PRIMARY KEY,
+  name          TEXT NOT NULL,
+  base_url      TEXT NOT NULL UNIQUE,         -- origin, e.g. https://pixelfed.de
+  client_id     TEXT,                         -- OAuth app registered on that server
+  client_secret TEXT,
+  created_at    TEXT NOT NULL,
+  updated_at    TEXT NOT NULL
+);
+
+-- Pixelfed accounts connected through OAuth; several per instance are allowed
+-- (e.g. a parent's and a child's), each reaching its own follower-only posts.
+CREATE TABLE IF NOT EXISTS accounts (
+  id            TEXT PRIMARY KEY,
+  instance_id   TEXT REFERENCES instances(id) ON DELETE CASCADE, -- NULL = default instance
+  remote_id     TEXT,                         -- account ID on that instance (NULL until known)
+  acct          TEXT,
+  display_name  TEXT,
+  avatar        TEXT,
+  token_json    TEXT,                         -- OAuth tokens (encrypted JSON); NULL once logged out
+  created_at    TEXT NOT NULL,
+  updated_at    TEXT NOT NULL
+);
+
+-- Local users of the PixelFree web UI. While the table is empty the API is open
+-- (first-run setup); afterwards every request needs a session or a device token.
+CREATE TABLE IF NOT EXISTS users (
+  id            TEXT PRIMARY KEY,
+  username      TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,                -- scrypt$<salt>$<hash>
+  role          TEXT NOT NULL CHECK (role IN ('admin','viewer')),
+  created_at    TEXT NOT NULL,
+  updated_at    TEXT NOT NULL
+);
+
+-- Signed-in browser sessions; the cookie holds the token, only its hash is stored
+CREATE TABLE IF NOT EXISTS sessions (
+  token_hash    TEXT PRIMARY KEY,
+  user_id       TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at    TEXT NOT NULL,
+  expires_at    TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+-- One row per album refresh, scheduled or manual, kept for troubleshooting
+CREATE TABLE IF NOT EXISTS refresh_runs (
+  id             TEXT PRIMARY KEY,
+  album_id       TEXT NOT NULL REFERENCES albums(id) ON DELETE CASCADE,
+  source         TEXT NOT NULL CHECK (source IN ('scheduler','manual')),
+  status         TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running','ok','error')),
+  started_at     TEXT NOT NULL,
+  finished_at    TEXT,
+  since_id       TEXT,                        -- watermark the run fetched from
+  fetched        INTEGER,                     -- photos returned by the instance
+  upserted       INTEGER,                     -- distinct photos stored
+  linked         INTEGER,                     -- photos new to the album
+  error_code     TEXT,                        -- e.g. rate_limited, upstream_error, http_404
+  error_message  TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_runs_album ON refresh_runs(album_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_refresh_runs_started ON refresh_runs(started_at DESC);
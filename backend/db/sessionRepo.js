@@ -0,0 +1,30 @@
+// sessionRepo.js - Signed-in web UI sessions, stored by token hash
+import db from './db.js';
+
+function nowIso() { return new Date().toISOString(); }
+
+export function create({ tokenHash, userId, expiresAt }) {
+  db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(tokenHash, userId, nowIso(), expiresAt);
+}
+
+/** Session row joined with its user, or undefined. Expired sessions are not returned. */
+export function getWithUser(tokenHash) {
+  return db.prepare(`SELECT s.token_hash, s.expires_at, u.id AS user_id, u.username, u.role
+    FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ?`).get(tokenHash, nowIso());
+}
+
+export function remove(tokenHash) {
+  return db.prepare('DELETE FROM sessions WHERE token_hash=?').run(tokenHash).changes > 0;
+}
+
+/** Sign a user out everywhere, optionally keeping one session (e.g. after a password change). */
+export function removeForUser(userId, exceptTokenHash = null) {
+  return db.prepare('DELETE FROM sessions WHERE user_id = ? AND token_hash IS NOT ?')
+    .run(userId, exceptTokenHash).changes;
+}
+
+export function pruneExpired() {
+  return db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(nowIso()).changes;
+}
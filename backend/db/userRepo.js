@@ -0,0 +1,53 @@
+// userRepo.js - Local users of the PixelFree web UI (username, password hash, role)
+import db from './db.js';
+import crypto from 'crypto';
+
+function nowIso() { return new Date().toISOString(); }
+function genId(prefix = 'usr') { return `${prefix}_${crypto.randomUUID()}`; }
+
+export function create({ username, passwordHash, role }) {
+  const id = genId();
+  const now = nowIso();
+  db.prepare(`INSERT INTO users (id, username, password_hash, role, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)`)
+    .run(id, username, passwordHash, role, now, now);
+  return get(id);
+}
+
+export function get(id) {
+  return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+}
+
+/** Case-insensitive lookup (usernames are unique regardless of case). */
+export function getByUsername(username) {
+  return db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+}
+
+export function list() {
+  return db.prepare('SELECT * FROM users ORDER BY username COLLATE NOCASE').all();
+}
+
+export function count() {
+  return db.prepare('SELECT COUNT(*) AS c FROM users').get().c;
+}
+
+export function countAdmins() {
+  return db.prepare("SELECT COUNT(*) AS c FROM users WHERE role = 'admin'").get().c;
+}
+
+/**
+ * Update role and/or password hash.
+ * @returns {object|undefined} the updated row, undefined if not found
+ */
+export function update(id, patch) {
+  const current = get(id);
+  if (!current) return undefined;
+
+  db.prepare('UPDATE users SET role=?, password_hash=?, updated_at=? WHERE id=?')
+    .run(patch.role ?? current.role, patch.passwordHash ?? current.password_hash, nowIso(), id);
+  return get(id);
+}
+
+export function remove(id) {
+  return db.prepare('DELETE FROM users WHERE id=?').run(id).changes > 0;
+}
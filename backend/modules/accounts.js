@@ -17,17 +17,20 @@
  *   - UpstreamError    → network failures or 5xx responses from upstream
  *
  * Caching
- *   Maintains a simple Map (normalized acct → accountId) to avoid repeated
- *   resolutions within the process lifetime.
+ *   Maintains a simple Map (instance + normalized acct → accountId) to avoid
+ *   repeated resolutions within the process lifetime. Account IDs are local to
+ *   the instance that resolved them, so the cache key includes the instance.
  *
  * Configuration & auth
- *   - Base instance URL comes from `process.env.PIXELFED_INSTANCE` (defaults to https://pixelfed.social).
- *   - Uses `getAccessToken()` to attach a Bearer token when calling the remote API.
+ *   - Queries the instance given as `opts.instanceId` (see `modules/instances.js`);
+ *     without one, the default `PIXELFED_INSTANCE` server.
+ *   - Uses `getAccessToken({ instanceId, accountId })` to attach a Bearer token when calling
+ *     the remote API; `opts.accountId` picks the connected account (default: the instance's first).
  *
  * Exports
- *   - async function resolveAccountId(acct: string): Promise<string>
+ *   - async function resolveAccountId(acct: string, opts?: { instanceId, accountId }): Promise<string>
  *       Normalize & validate input; resolve to a single account ID or throw a typed error.
- *   - async function resolveManyAccts(accts: Iterable<string>): Promise<string[]>
+ *   - async function resolveManyAccts(accts: Iterable<string>, opts?: { instanceId, accountId }): Promise<string[]>
  *       Deduplicate, normalize, resolve each (with caching), return unique IDs.
  *
  * Notes
@@ -35,6 +38,7 @@
  */
 
 import { getAccessToken } from './auth.js';
+import { resolveInstance } from './instances.js';
 import {
   ValidationError,
   NotFoundError,
@@ -42,8 +46,8 @@ import {
   RateLimitError,
 } from './errors.js';
 
-function baseUrl() {
-  return process.env.PIXELFED_INSTANCE || 'https://pixelfed.social';
+function baseUrl(instanceId) {
+  return resolveInstance(instanceId).baseUrl;
 }
 
 function normalizeAcct(acct) {
@@ -131,10 +135,10 @@ async function safeFetchJson(u, headers, contextMeta) {
  *  - UpstreamError   (remote 5xx / network failures)
  *  - RateLimitError  (429)
  */
-export async function resolveAccountId(acct) {
+export async function resolveAccountId(acct, { instanceId, accountId } = {}) {
   const clean = normalizeAcct(acct);
-  const token = await getAccessToken();
-  const base = baseUrl();
+  const base = baseUrl(instanceId);
+  const token = await getAccessToken({ instanceId, accountId });
   const headers = headersWith(token);
   const meta = { acct: clean };
 
@@ -176,21 +180,23 @@ export async function resolveAccountId(acct) {
   throw new NotFoundError('Account not found on the remote instance', { acct: clean });
 }
 
-const _acctCache = new Map(); // normalized acct -> accountId
+const _acctCache = new Map(); // instance ID + normalized acct -> accountId
 
-export async function resolveManyAccts(accts) {
+export async function resolveManyAccts(accts, { instanceId, accountId } = {}) {
+  const instance = resolveInstance(instanceId).id;
   const inputs = Array.from(
     new Set((accts || []).map(a => String(a || '').trim()).filter(Boolean))
   );
 
   const resolved = [];
   for (const raw of inputs) {
-    const key = normalizeAcct(raw); // normalize early for consistent caching and validation
+    const acct = normalizeAcct(raw); // normalize early for consistent caching and validation
+    const key = `${instance} ${acct}`;
     if (_acctCache.has(key)) {
       resolved.push(_acctCache.get(key));
       continue;
     }
-    const id = await resolveAccountId(key); // will throw typed errors on failure
+    const id = await resolveAccountId(acct, { instanceId, accountId }); // will throw typed errors on failure
     if (id) {
       _acctCache.set(key, id);
       resolved.push(id);
@@ -3,10 +3,10 @@
  * ----------------
  * Backend authentication helper for Pixelfed OAuth2.
  *
- * This module manages the entire OAuth2 login lifecycle with a Pixelfed instance:
+ * This module manages the entire OAuth2 login lifecycle with Pixelfed instances:
  *   - Generating the authorization URL for the user to log in
  *   - Handling the callback and exchanging an authorization code for access/refresh tokens
- *   - Persisting tokens securely to disk (`.token.json`)
+ *   - Persisting tokens per connected account (`accounts` table, encrypted)
  *   - Reporting authentication status and token expiry
  *   - Refreshing tokens when near or past expiration
  *   - Logging out (removing stored tokens)
@@ -15,63 +15,263 @@
  * - Encapsulate all OAuth2 protocol details so that other backend services can
  *   simply call `getAccessToken()` when they need a valid token.
  * - Ensure tokens are refreshed automatically when expired or nearly expired.
- * - Maintain minimal, file-based session state between application runs.
+ * - Keep several accounts connected at once (e.g. a parent's and a child's), even
+ *   on the same instance; albums pick the account that fetches them.
  *
  * Exports
- * - `getLoginUrl()`        → Return the Pixelfed OAuth2 authorization URL.
- * - `handleCallback(query)`→ Exchange an OAuth2 `code` for tokens and persist them.
- * - `getStatus()`          → Report whether the user is currently authenticated.
- * - `logout()`             → Clear the stored tokens, ending the session.
- * - `getAccessToken()`     → Return a valid access token, refreshing if needed.
+ * - `getLoginUrl(instanceId?)`          → Return the Pixelfed OAuth2 authorization URL.
+ * - `startLogin(instanceId?)`           → Same, registering an OAuth app with the instance first if needed.
+ * - `startLoginAt(url)`                 → Same for a server given by hostname/URL, registered on first use.
+ * - `registerApp(instanceId?)`          → Register PixelFree as an app (`POST /api/v1/apps`) and store its credentials.
+ * - `handleCallback(query)`             → Check the login's state, exchange the `code` for tokens, store the account.
+ * - `getStatus(accountId?)`             → Status of one account, or of PixelFree as a whole.
+ * - `logout(accountId?)`                → Clear one account's tokens, or every account's.
+ * - `getAccessToken({ instanceId, accountId })` → Return a valid access token, refreshing if needed
+ *   (NotAuthenticatedError when no connected account can serve the request).
+ * - `refreshAccount(accountId)`         → Refresh an account's token now and re-read its profile.
  *
  * Notes
- * - Tokens are stored in `.token.json` at the project root with file permissions
- *   restricted to the current user (mode 600).
+ * - Each login gets a random one-time `state` plus a PKCE (S256) verifier, kept in
+ *   memory for `LOGIN_TTL_MS`. The callback must present a state this server
+ *   issued; it is consumed on first use, so stale, replayed or forged callbacks
+ *   (login CSRF) are rejected and a restart cancels logins in progress.
+ * - Every login works on one instance (see `modules/instances.js`); without an
+ *   ID it uses the default PIXELFED_INSTANCE server.
+ * - Without an `accountId`, requests use the first connected account of the
+ *   instance, so single-account setups need no configuration.
+ * - Tokens are encrypted at rest by `db/accountRepo.js` (see `modules/tokenCrypto.js`
+ *   for the key). Tokens from the single-account plain-text `.token.json` of older
+ *   versions, and plain rows of the `accounts` table, are encrypted the first time
+ *   tokens are needed; the `.token.json` is deleted afterwards.
+ * - Refreshes are serialized per account: concurrent `getAccessToken` calls share
+ *   one refresh instead of racing (a refresh token is often single-use).
  * - This module is strictly **backend only**; frontend code should not import it.
- * - Reads configuration (instance URL, client ID/secret, redirect URI) from
- *   environment variables set in `.env`.
+ * - No OAuth app has to be created by hand: `startLogin` registers one through
+ *   the Mastodon-compatible `POST /api/v1/apps` the first time an instance is
+ *   used and keeps its client ID/secret (see `saveClientCredentials`).
+ * - The default instance comes from `PIXELFED_INSTANCE`; `PIXELFED_CLIENT_ID` /
+ *   `PIXELFED_CLIENT_SECRET` in `.env` are optional and override a registered app.
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import * as accountRepo from '../db/accountRepo.js';
+import {
+  resolveInstance, findInstance, findOrCreateInstance, normalizeBaseUrl, saveClientCredentials, storedInstanceId, DEFAULT_INSTANCE_ID,
+} from './instances.js';
+import { NotAuthenticatedError, NotFoundError, UpstreamError, ValidationError } from './errors.js';
 
-const TOKEN_PATH = path.resolve('.token.json');
+// Older versions wrote .token.json into whatever directory the process started in
+const LEGACY_TOKEN_PATHS = [...new Set([
+  path.resolve('.token.json'),
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '.token.json'),
+])];
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const APP_NAME = 'PixelFree';
+const APP_WEBSITE = 'https://github.com/jpasqua/PixelFree';
 
-function cfg() {
+// state -> { instanceId, verifier, createdAt } for logins started by this server
+const pendingLogins = new Map();
+
+function prunePendingLogins(now = Date.now()) {
+  for (const [state, login] of pendingLogins) {
+    if (now - login.createdAt > LOGIN_TTL_MS) pendingLogins.delete(state);
+  }
+}
+
+// The pending login a callback belongs to; each state is accepted once
+function takePendingLogin(state) {
+  prunePendingLogins();
+  const login = state ? pendingLogins.get(String(state)) : null;
+  if (!login) throw new ValidationError('Unknown or expired login state; start the login again');
+  pendingLogins.delete(String(state));
+  return login;
+}
+
+function cfg(instanceId) {
+  const instance = resolveInstance(instanceId);
   return {
-    instanceUrl: process.env.PIXELFED_INSTANCE || 'https://pixelfed.social',
-    clientId: process.env.PIXELFED_CLIENT_ID,
-    clientSecret: process.env.PIXELFED_CLIENT_SECRET,
-    redirectUri: process.env.PIXELFED_REDIRECT_URI || 'http://localhost:3000/api/callback',
+    instanceId: instance.id,
+    instanceUrl: instance.baseUrl,
+    clientId: instance.clientId,
+    clientSecret: instance.clientSecret,
+    redirectUri: instance.redirectUri,
     scope: 'read'
   };
 }
 
-function readToken() {
-  try { return JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8')); }
-  catch { return null; }
+// Older versions kept a single account's tokens in plain text: in .token.json,
+// later unencrypted in the accounts table
+let legacyMigrated = false;
+function migrateLegacyTokens() {
+  if (legacyMigrated) return;
+  legacyMigrated = true;
+  const sealed = accountRepo.encryptPlainTokens();
+  if (sealed) console.log(`[Auth] Encrypted the stored tokens of ${sealed} account(s)`);
+
+  for (const file of LEGACY_TOKEN_PATHS) {
+    let tokens;
+    try { tokens = JSON.parse(fs.readFileSync(file, 'utf8')); }
+    catch { continue; }
+    if (tokens?.access_token) {
+      accountRepo.create({ instanceId: null, token: tokens });
+      console.log(`[Auth] Moved ${file} into the accounts table`);
+    }
+    try { fs.unlinkSync(file); } catch {}
+  }
+}
+
+function readToken(account) {
+  return account ? accountRepo.getToken(account.id) : null;
 }
 
-function writeToken(tokens) {
+function writeToken(accountId, tokens) {
   if (!tokens.created_at) tokens.created_at = Math.floor(Date.now() / 1000);
-  fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+  accountRepo.setToken(accountId, tokens);
 }
 
-export function getLoginUrl() {
-  const { instanceUrl, clientId, redirectUri, scope } = cfg();
+function tokenStatus(t) {
+  if (!t) return { authenticated: false };
+  const expiresAt = t.created_at + t.expires_in;
+  return { isAuthenticated: true, expiresAt };
+}
+
+// Profile of the account a token belongs to; null when the instance won't say
+async function fetchCredentials(instanceUrl, accessToken) {
+  try {
+    const res = await fetch(new URL('/api/v1/accounts/verify_credentials', instanceUrl), {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+    });
+    if (!res.ok) return null;
+    const me = await res.json();
+    return me?.id ? me : null;
+  } catch {
+    return null;
+  }
+}
+
+function profileOf(me) {
+  return {
+    remoteId: String(me.id),
+    acct: me.acct || me.username || null,
+    displayName: me.display_name || null,
+    avatar: me.avatar || null,
+  };
+}
+
+/**
+ * Account whose token serves a request: the given one, else the first connected
+ * account of the instance. Throws when there is none.
+ */
+function resolveAccount({ instanceId, accountId } = {}) {
+  migrateLegacyTokens();
+  if (accountId) {
+    const account = accountRepo.get(accountId);
+    if (!account) throw new NotFoundError('account not found', { accountId });
+    return account;
+  }
+  const account = accountRepo.listForInstance(storedInstanceId(instanceId)).find(a => a.token_json);
+  if (!account) throw new NotAuthenticatedError('Not authenticated', { instanceId: instanceId || DEFAULT_INSTANCE_ID });
+  return account;
+}
+
+/**
+ * Authorization URL for an instance. Starts a pending login whose `state` tells
+ * the shared callback which server issued the code.
+ */
+export function getLoginUrl(instanceId = DEFAULT_INSTANCE_ID) {
+  const { instanceId: id, instanceUrl, clientId, redirectUri, scope } = cfg(instanceId);
+  const state = crypto.randomBytes(32).toString('base64url');
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  prunePendingLogins();
+  pendingLogins.set(state, { instanceId: id, verifier, createdAt: Date.now() });
+
   const u = new URL('/oauth/authorize', instanceUrl);
   u.searchParams.set('client_id', clientId);
   u.searchParams.set('redirect_uri', redirectUri);
   u.searchParams.set('response_type', 'code');
   u.searchParams.set('scope', scope); // pixelfed.social expects "read"
+  u.searchParams.set('state', state);
+  u.searchParams.set('code_challenge', crypto.createHash('sha256').update(verifier).digest('base64url'));
+  u.searchParams.set('code_challenge_method', 'S256');
   return u.toString();
 }
 
+// instance URL -> Promise of the credentials of a registration in progress (two logins share one app)
+const registrations = new Map();
+
+/** Register PixelFree as an OAuth app with a server; resolves to its `{ clientId, clientSecret }`. */
+function requestApp(instanceUrl, { redirectUri, scope }) {
+  if (registrations.has(instanceUrl)) return registrations.get(instanceUrl);
+
+  const pending = (async () => {
+    let res;
+    try {
+      res = await fetch(new URL('/api/v1/apps', instanceUrl), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ client_name: APP_NAME, redirect_uris: redirectUri, scopes: scope, website: APP_WEBSITE })
+      });
+    } catch (e) {
+      throw new UpstreamError('could not reach the instance to register PixelFree', { instanceUrl, cause: e.message });
+    }
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || !body.client_id || !body.client_secret) {
+      throw new UpstreamError(`app registration failed (${res.status})`, { instanceUrl, body });
+    }
+    console.log(`[Auth] Registered PixelFree with ${instanceUrl}`);
+    return { clientId: body.client_id, clientSecret: body.client_secret };
+  })();
+
+  registrations.set(instanceUrl, pending);
+  return pending.finally(() => registrations.delete(instanceUrl));
+}
+
+/**
+ * Register PixelFree as an OAuth app on an instance and store the credentials.
+ * @returns {Promise<object>} the instance with its new `clientId` / `clientSecret`
+ */
+export async function registerApp(instanceId = DEFAULT_INSTANCE_ID) {
+  const { instanceId: id, instanceUrl, redirectUri, scope } = cfg(instanceId);
+  return saveClientCredentials(id, await requestApp(instanceUrl, { redirectUri, scope }));
+}
+
+/**
+ * Authorization URL for an instance, registering an OAuth app with it first
+ * when PixelFree has no client credentials there yet.
+ */
+export async function startLogin(instanceId = DEFAULT_INSTANCE_ID) {
+  const { clientId, clientSecret } = cfg(instanceId);
+  if (!clientId || !clientSecret) await registerApp(instanceId);
+  return getLoginUrl(instanceId);
+}
+
+/**
+ * Authorization URL for a server given by hostname or URL. A server PixelFree
+ * does not know yet is added to the instances registry only once it accepted
+ * the app registration, so failed or abandoned attempts leave nothing behind.
+ */
+export async function startLoginAt(url) {
+  const known = findInstance(url);
+  if (known) return startLogin(known.id);
+
+  const { redirectUri, scope } = cfg(DEFAULT_INSTANCE_ID);
+  const credentials = await requestApp(normalizeBaseUrl(url), { redirectUri, scope });
+  // A concurrent login may have registered the server meanwhile
+  const instance = findOrCreateInstance(url);
+  if (!instance.clientId || !instance.clientSecret) saveClientCredentials(instance.id, credentials);
+  return getLoginUrl(instance.id);
+}
+
 export async function handleCallback(query) {
-  const { code } = query || {};
-  if (!code) throw new Error('Missing code');
+  const { code, state, error } = query || {};
+  const login = takePendingLogin(state);
+  if (error) throw new ValidationError(`Authorization denied: ${error}`);
+  if (!code) throw new ValidationError('Missing code');
 
-  const { instanceUrl, clientId, clientSecret, redirectUri } = cfg();
+  const { instanceId, instanceUrl, clientId, clientSecret, redirectUri } = cfg(login.instanceId);
 
   const res = await fetch(new URL('/oauth/token', instanceUrl), {
     method: 'POST',
@@ -81,7 +281,8 @@ export async function handleCallback(query) {
       client_id: clientId,
       client_secret: clientSecret,
       redirect_uri: redirectUri,
-      code: String(code)
+      code: String(code),
+      code_verifier: login.verifier
     })
   });
 
@@ -89,32 +290,65 @@ export async function handleCallback(query) {
   if (!res.ok) {
     throw new Error(`Token exchange failed (${res.status}): ${JSON.stringify(body)}`);
   }
+  if (!body.created_at) body.created_at = Math.floor(Date.now() / 1000);
+
+  // Logging in again with a connected account replaces its tokens
+  migrateLegacyTokens();
+  const me = await fetchCredentials(instanceUrl, body.access_token);
+  const stored = storedInstanceId(instanceId);
+  let account = me ? accountRepo.findByRemoteId(stored, String(me.id)) : null;
+  if (account) {
+    accountRepo.updateProfile(account.id, profileOf(me));
+    writeToken(account.id, body);
+  } else {
+    account = accountRepo.create({ instanceId: stored, ...(me ? profileOf(me) : {}), token: body });
+  }
 
-  writeToken(body);
-  return { ok: true };
+  return { ok: true, instanceId, accountId: account.id };
 }
 
-export function getStatus() {
-  const t = readToken();
-  if (!t) return { authenticated: false };
-  const expiresAt = t.created_at + t.expires_in;
-  return { isAuthenticated: true, expiresAt };
+/**
+ * With an `accountId`: that account's `{ isAuthenticated, expiresAt }`.
+ * Without: whether any account is connected, plus the first one as `user`.
+ */
+export function getStatus(accountId) {
+  migrateLegacyTokens();
+  if (accountId) {
+    const account = accountRepo.get(accountId);
+    return tokenStatus(readToken(account));
+  }
+
+  const connected = accountRepo.list().filter(a => a.token_json);
+  if (!connected.length) return { authenticated: false };
+  const [first] = connected;
+  return {
+    ...tokenStatus(readToken(first)),
+    accounts: connected.length,
+    user: { username: first.acct, display_name: first.display_name, avatar: first.avatar }
+  };
 }
 
-export function logout() {
-  try { fs.unlinkSync(TOKEN_PATH); } catch {}
+export function logout(accountId) {
+  migrateLegacyTokens();
+  const accounts = accountId ? [accountRepo.get(accountId)].filter(Boolean) : accountRepo.list();
+  for (const account of accounts) accountRepo.setToken(account.id, null);
 }
 
-export async function getAccessToken() {
-  const t = readToken();
-  if (!t) throw new Error('Not authenticated');
+// accountId -> Promise<access token> of the refresh in progress
+const refreshing = new Map();
 
-  const now = Math.floor(Date.now() / 1000);
-  const expiresAt = t.created_at + t.expires_in;
-  if (now < (expiresAt - 60)) return t.access_token; // still valid
+// Concurrent callers share one refresh, so a rotated refresh token is used once
+// and the tokens written last are the ones the instance considers valid
+function refreshTokens(account, t) {
+  if (!refreshing.has(account.id)) {
+    const pending = requestRefresh(account, t).finally(() => refreshing.delete(account.id));
+    refreshing.set(account.id, pending);
+  }
+  return refreshing.get(account.id);
+}
 
-  // Refresh
-  const { instanceUrl, clientId, clientSecret } = cfg();
+async function requestRefresh(account, t) {
+  const { instanceUrl, clientId, clientSecret } = cfg(account.instance_id);
   const res = await fetch(new URL('/oauth/token', instanceUrl), {
     method: 'POST',
     headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -129,11 +363,41 @@ export async function getAccessToken() {
 
   const body = await res.json().catch(() => ({}));
   if (!res.ok) {
-    try { fs.unlinkSync(TOKEN_PATH); } catch {}
+    accountRepo.setToken(account.id, null);
     throw new Error(`Refresh failed (${res.status}): ${JSON.stringify(body)}`);
   }
 
   body.created_at = Math.floor(Date.now() / 1000);
-  writeToken(body);
+  writeToken(account.id, body);
   return body.access_token;
 }
+
+/**
+ * @param {{ instanceId?: string|null, accountId?: string|null }} [which]
+ *   an explicit account, else the first connected account of the instance
+ */
+export async function getAccessToken({ instanceId, accountId } = {}) {
+  const account = resolveAccount({ instanceId, accountId });
+  const t = readToken(account);
+  if (!t) throw new NotAuthenticatedError('Not authenticated', { accountId: account.id });
+
+  const now = Math.floor(Date.now() / 1000);
+  const expiresAt = t.created_at + t.expires_in;
+  if (now < (expiresAt - 60)) return t.access_token; // still valid
+
+  return refreshTokens(account, t);
+}
+
+/**
+ * Refresh an account's token right away and update its profile.
+ * @returns {Promise<object>} the updated account row
+ */
+export async function refreshAccount(accountId) {
+  const account = resolveAccount({ accountId });
+  const t = readToken(account);
+  if (!t) throw new NotAuthenticatedError('Not authenticated', { accountId: account.id });
+
+  const accessToken = await refreshTokens(account, t);
+  const me = await fetchCredentials(cfg(account.instance_id).instanceUrl, accessToken);
+  return me ? accountRepo.updateProfile(account.id, profileOf(me)) : accountRepo.get(account.id);
+}
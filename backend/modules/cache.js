@@ -1,23 +1,249 @@
-// PixelFree/backend/modules/cache.js
-// Minimal in-memory cache stub; replace with filesystem-backed cache later.
+/**
+ * modules/cache.js
+ * ----------------
+ * Filesystem-backed media cache for photo originals and previews.
+ *
+ * Media files are downloaded from the remote instance into a local directory
+ * and recorded in the `media_manifest` table, so the player can keep showing
+ * photos while the instance is slow or unreachable.
+ *
+ * Layout
+ *   <cacheDir>/ab/cd/<status_id>-<kind>.<ext>
+ *   where "abcd" are the first hex characters of sha1(status_id). The manifest
+ *   stores paths relative to the cache directory.
+ *
+ * Quota
+ *   The total size is bounded by `settings.sync.cacheBudgetBytes`. When a new
+ *   download pushes the cache over budget, entries are evicted: media of photos
+ *   in no album and not favorited first, then least-recently accessed (LRU).
+ *   The file just downloaded is never evicted by its own download.
+ *
+ * Exports
+ *   - `ensureCached(photo, kind)`    → download (if needed) and return the manifest entry
+ *   - `getCached(statusId, kind)`    → manifest entry for a cached file, or null (bumps LRU)
+ *   - `getCachedById(statusId)`      → all manifest entries for a photo
+ *   - `prefetch(photos, opts)`       → best-effort download of many photos
+ *   - `evict(statusId, kind?)`       → remove cached file(s) for a photo
+ *   - `enforceBudget(budgetBytes?, { keep? })` → evict until the cache fits the budget
+ *   - `clearCache()`                 → remove every cached file
+ *   - `stats()`                      → `{ items, bytes, budgetBytes, dir }`
+ *
+ * Notes
+ *   - The cache directory comes from `PIXELFREE_CACHE_DIR`
+ *     (defaults to `./cache/media` under the process cwd).
+ *   - Concurrent requests for the same file share a single download.
+ */
 
-let store = new Map();
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import * as mediaRepo from '../db/mediaRepo.js';
+import { getSettings } from './settings.js';
+import { UpstreamError, ValidationError } from './errors.js';
 
-export async function ensureCached(photo) {
-  if (!store.has(photo.id)) {
-    store.set(photo.id, { ...photo, localPath: null, etag: null, lastFetchedAt: Date.now() });
+export const KINDS = ['original', 'preview'];
+
+const EXT_BY_TYPE = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+};
+
+// `${statusId}:${kind}` -> Promise<entry>
+const inFlight = new Map();
+
+export function cacheDir() {
+  return path.resolve(process.env.PIXELFREE_CACHE_DIR || path.join(process.cwd(), 'cache', 'media'));
+}
+
+function budgetBytes() {
+  return Number(getSettings().sync?.cacheBudgetBytes) || 0;
+}
+
+function assertKind(kind) {
+  if (!KINDS.includes(kind)) {
+    throw new ValidationError('kind must be "original" | "preview"', { kind });
+  }
+}
+
+function extensionFor(contentType, url) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (EXT_BY_TYPE[type]) return EXT_BY_TYPE[type];
+  try {
+    const ext = path.extname(new URL(url).pathname).toLowerCase();
+    if (/^\.[a-z0-9]{2,5}$/.test(ext)) return ext;
+  } catch { /* ignore */ }
+  return '.bin';
+}
+
+function relativePathFor(statusId, kind, ext) {
+  const hash = crypto.createHash('sha1').update(String(statusId)).digest('hex');
+  const safeId = String(statusId).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return path.join(hash.slice(0, 2), hash.slice(2, 4), `${safeId}-${kind}${ext}`);
+}
+
+function withAbsolutePath(entry) {
+  return entry ? { ...entry, path: path.join(cacheDir(), entry.path) } : null;
+}
+
+function removeFile(relPath) {
+  try { fs.unlinkSync(path.join(cacheDir(), relPath)); } catch { /* already gone */ }
+}
+
+function sourceUrl(photo, kind) {
+  return kind === 'preview'
+    ? (photo.preview_url || photo.url)
+    : (photo.url || photo.preview_url);
+}
+
+async function download(statusId, kind, url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (e) {
+    throw new UpstreamError('Unable to download media', { statusId, kind, cause: String(e) });
+  }
+  if (!res.ok) {
+    throw new UpstreamError('Media download failed', { statusId, kind, status: res.status });
+  }
+
+  const buf = Buffer.from(await res.arrayBuffer());
+  const relPath = relativePathFor(statusId, kind, extensionFor(res.headers?.get?.('content-type'), url));
+  const absPath = path.join(cacheDir(), relPath);
+
+  // Write to a temp file first so readers never see a partial image
+  fs.mkdirSync(path.dirname(absPath), { recursive: true });
+  const tmpPath = `${absPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, buf);
+  fs.renameSync(tmpPath, absPath);
+
+  const previous = mediaRepo.get(statusId, kind);
+  if (previous && previous.path !== relPath) removeFile(previous.path);
+
+  mediaRepo.upsert({ statusId, kind, path: relPath, contentLength: buf.length });
+  // Never evict the file we are about to hand out
+  enforceBudget(undefined, { keep: `${statusId}:${kind}` });
+  return withAbsolutePath(mediaRepo.get(statusId, kind));
+}
+
+/**
+ * Return the manifest entry for a cached file, or null when it is not cached.
+ * Entries whose file has disappeared from disk are dropped.
+ * @param {string} statusId
+ * @param {'original'|'preview'} kind
+ */
+export async function getCached(statusId, kind = 'original') {
+  assertKind(kind);
+  const entry = mediaRepo.get(statusId, kind);
+  if (!entry) return null;
+  if (!fs.existsSync(path.join(cacheDir(), entry.path))) {
+    mediaRepo.remove(statusId, kind);
+    return null;
+  }
+  mediaRepo.touch(statusId, kind);
+  return withAbsolutePath(mediaRepo.get(statusId, kind));
+}
+
+/**
+ * Make sure a photo's media is on disk and return its manifest entry.
+ * @param {{ status_id?: string, id?: string, url?: string, preview_url?: string }} photo
+ * @param {'original'|'preview'} kind
+ */
+export async function ensureCached(photo, kind = 'original') {
+  assertKind(kind);
+  const statusId = photo?.status_id ?? photo?.id;
+  if (!statusId) throw new ValidationError('photo id is required');
+
+  const hit = await getCached(statusId, kind);
+  if (hit) return hit;
+
+  const url = sourceUrl(photo, kind);
+  if (!url) throw new ValidationError('photo has no media url', { statusId, kind });
+
+  const key = `${statusId}:${kind}`;
+  if (!inFlight.has(key)) {
+    inFlight.set(key, download(statusId, kind, url).finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+/**
+ * Return every manifest entry recorded for a photo.
+ * @param {string} statusId
+ */
+export async function getCachedById(statusId) {
+  return mediaRepo.listForStatus(statusId).map(withAbsolutePath);
+}
+
+/**
+ * Best-effort download of many photos; failures are logged and counted.
+ * @param {Array<object>} photos
+ * @param {{ kinds?: string[] }} [opts]
+ * @returns {Promise<{ cached: number, failed: number }>}
+ */
+export async function prefetch(photos, { kinds = KINDS } = {}) {
+  let cached = 0;
+  let failed = 0;
+  for (const photo of Array.isArray(photos) ? photos : []) {
+    for (const kind of kinds) {
+      try {
+        await ensureCached(photo, kind);
+        cached++;
+      } catch (e) {
+        failed++;
+        console.warn(`[Cache] Prefetch failed for ${photo?.status_id ?? photo?.id} (${kind}): ${e.message}`);
+      }
+    }
   }
-  return store.get(photo.id);
+  return { cached, failed };
 }
 
-export async function getCachedById(id) {
-  return store.get(id) || null;
+/**
+ * Remove cached file(s) for a photo.
+ * @param {string} statusId
+ * @param {'original'|'preview'} [kind] omit to remove every kind
+ * @returns {number} entries removed
+ */
+export function evict(statusId, kind) {
+  const entries = kind ? [mediaRepo.get(statusId, kind)].filter(Boolean) : mediaRepo.listForStatus(statusId);
+  for (const entry of entries) {
+    removeFile(entry.path);
+    mediaRepo.remove(entry.status_id, entry.kind);
+  }
+  return entries.length;
+}
+
+/**
+ * Evict entries until the cache fits within the budget.
+ * @param {number} [budget] bytes; defaults to settings.sync.cacheBudgetBytes
+ * @param {{ keep?: string }} [opts] `${statusId}:${kind}` of an entry that must stay
+ * @returns {{ evicted: number, bytes: number }}
+ */
+export function enforceBudget(budget = budgetBytes(), { keep } = {}) {
+  let { bytes } = mediaRepo.totals();
+  let evicted = 0;
+  if (!budget || bytes <= budget) return { evicted, bytes };
+
+  for (const entry of mediaRepo.listEvictionCandidates()) {
+    if (bytes <= budget) break;
+    if (`${entry.status_id}:${entry.kind}` === keep) continue;
+    removeFile(entry.path);
+    mediaRepo.remove(entry.status_id, entry.kind);
+    bytes -= Number(entry.content_length) || 0;
+    evicted++;
+  }
+  if (evicted) console.log(`[Cache] Evicted ${evicted} file(s) to stay within ${budget} bytes`);
+  return { evicted, bytes };
 }
 
 export async function clearCache() {
-  store.clear();
+  for (const entry of mediaRepo.listAll()) removeFile(entry.path);
+  mediaRepo.removeAll();
 }
 
 export async function stats() {
-  return { items: store.size, bytes: 0 };
+  const { items, bytes } = mediaRepo.totals();
+  return { items, bytes, budgetBytes: budgetBytes(), dir: cacheDir() };
 }
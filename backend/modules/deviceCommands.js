@@ -0,0 +1,96 @@
+/**
+ * modules/deviceCommands.js
+ * -------------------------
+ * Per-device queue of remote-control commands for running slideshows.
+ *
+ * The web UI enqueues a command for one frame; it is pushed to players right
+ * away as a `device-command` event and also kept in the device's queue until
+ * the player acknowledges it, so a frame whose event stream was down picks it
+ * up from its next heartbeat.
+ *
+ * Commands
+ * - `next` | `previous` | `pause` | `resume`
+ * - `jump`         → show a specific photo ({ statusId })
+ * - `switch-album` → play another album ({ albumId })
+ *
+ * Exports
+ * - `COMMAND_TYPES`
+ * - `enqueue(deviceId, { type, statusId?, albumId? })` → queue and push a command, returns it
+ * - `pending(deviceId)`                                → unacknowledged, unexpired commands (oldest first)
+ * - `ack(deviceId, commandId)`                         → drop a handled command, returns whether it was queued
+ * - `clear(deviceId)`                                  → drop a device's whole queue
+ *
+ * Notes
+ * - Queues live in memory only. A remote "next" is meaningless minutes later, so
+ *   commands expire after `COMMAND_TTL_MS` and nothing survives a restart.
+ * - Validation of referenced albums/devices is the caller's job; this module
+ *   only checks the command shape.
+ */
+
+import crypto from 'crypto';
+import * as events from './events.js';
+import { ValidationError } from './errors.js';
+
+export const COMMAND_TYPES = ['next', 'previous', 'pause', 'resume', 'jump', 'switch-album'];
+
+const COMMAND_TTL_MS = 60 * 1000;
+const MAX_QUEUE_LENGTH = 50;
+
+// deviceId -> Array<command>
+const queues = new Map();
+
+function liveQueue(deviceId) {
+  const now = Date.now();
+  const queue = (queues.get(deviceId) || []).filter(c => new Date(c.expires_at).getTime() > now);
+  if (queue.length) queues.set(deviceId, queue);
+  else queues.delete(deviceId);
+  return queue;
+}
+
+export function enqueue(deviceId, { type, statusId, albumId } = {}) {
+  if (!COMMAND_TYPES.includes(type)) {
+    throw new ValidationError(`type must be one of ${COMMAND_TYPES.join(' | ')}`, { type });
+  }
+  const payload = {};
+  if (type === 'jump') {
+    if (!statusId || typeof statusId !== 'string') throw new ValidationError('statusId is required for jump');
+    payload.statusId = statusId;
+  }
+  if (type === 'switch-album') {
+    if (!albumId || typeof albumId !== 'string') throw new ValidationError('albumId is required for switch-album');
+    payload.albumId = albumId;
+  }
+
+  const now = Date.now();
+  const command = {
+    id: `cmd_${crypto.randomUUID()}`,
+    type,
+    ...payload,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + COMMAND_TTL_MS).toISOString(),
+  };
+
+  const queue = liveQueue(deviceId);
+  queue.push(command);
+  queues.set(deviceId, queue.slice(-MAX_QUEUE_LENGTH));
+
+  events.publish('device-command', { deviceId, command });
+  return command;
+}
+
+export function pending(deviceId) {
+  return [...liveQueue(deviceId)];
+}
+
+export function ack(deviceId, commandId) {
+  const queue = liveQueue(deviceId);
+  const index = queue.findIndex(c => c.id === commandId);
+  if (index === -1) return false;
+  queue.splice(index, 1);
+  if (!queue.length) queues.delete(deviceId);
+  return true;
+}
+
+export function clear(deviceId) {
+  queues.delete(deviceId);
+}
@@ -20,6 +20,12 @@ export class AppError extends Error {
 export class ValidationError extends AppError {
   constructor(message, meta) { super(message, 'validation_error', 400, meta); }
 }
+export class UnauthorizedError extends AppError {
+  constructor(message = 'sign in required', meta) { super(message, 'unauthorized', 401, meta); }
+}
+export class ForbiddenError extends AppError {
+  constructor(message = 'not allowed', meta) { super(message, 'forbidden', 403, meta); }
+}
 export class NotFoundError extends AppError {
   constructor(message, meta) { super(message, 'not_found', 404, meta); }
 }
@@ -29,4 +35,11 @@ export class RateLimitError extends AppError {
 }
 export class UpstreamError extends AppError {
   constructor(message, meta) { super(message, 'upstream_error', 502, meta); }
-}
\ No newline at end of file
+}
+export class ConflictError extends AppError {
+  constructor(message, meta) { super(message, 'conflict', 409, meta); }
+}
+/** No connected Pixelfed account to make the request with (not the caller's sign-in, see UnauthorizedError) */
+export class NotAuthenticatedError extends AppError {
+  constructor(message = 'Not authenticated', meta) { super(message, 'not_authenticated', 409, meta); }
+}
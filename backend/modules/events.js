@@ -0,0 +1,76 @@
+/**
+ * modules/events.js
+ * -----------------
+ * In-process event bus for pushing live updates to connected players.
+ *
+ * Backend code publishes small JSON events when something a player cares about
+ * changes; the `/api/events` Server-Sent Events stream forwards them to every
+ * subscribed client.
+ *
+ * Event types
+ * - `album-refreshed`   → new photos were linked into an album ({ albumId, linked, source })
+ * - `album-updated`     → an album was created/changed/toggled/deleted/pruned ({ albumId, action })
+ * - `favorites-changed` → a photo was added to / removed from favorites ({ statusId, action })
+ * - `profile-updated`   → a display profile changed or was deleted ({ profileId, action })
+ * - `device-updated`    → a device's name or assignment changed ({ deviceId, action })
+ * - `device-command`    → a remote-control command for one device ({ deviceId, command })
+ * - `playlist-updated`  → a playlist's albums/weights changed or it was deleted ({ playlistId, action })
+ *
+ * Exports
+ * - `EVENT_TYPES`                  → list of known event types
+ * - `publish(type, data)`          → stamp and broadcast an event, returns it
+ * - `subscribe(listener)`          → register a listener, returns an unsubscribe function
+ * - `eventsSince(lastId)`          → buffered events newer than `lastId` (for SSE reconnects)
+ *
+ * Notes
+ * - Events are not persisted. A short ring buffer lets a client that briefly
+ *   lost its connection catch up via the `Last-Event-ID` header; anything older
+ *   is gone and the client should simply reload.
+ * - A throwing listener is logged and never breaks the publisher.
+ */
+
+export const EVENT_TYPES = [
+  'album-refreshed',
+  'album-updated',
+  'favorites-changed',
+  'profile-updated',
+  'device-updated',
+  'device-command',
+  'playlist-updated',
+];
+
+const BUFFER_SIZE = 100;
+
+const listeners = new Set();
+const buffer = [];
+let lastId = 0;
+
+export function publish(type, data = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const event = { id: ++lastId, type, data, at: new Date().toISOString() };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.warn(`[Events] Listener failed on ${type}:`, err.message);
+    }
+  }
+  return event;
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function eventsSince(sinceId) {
+  const id = Number(sinceId);
+  if (!Number.isInteger(id) || id < 0) return [];
+  return buffer.filter(e => e.id > id);
+}
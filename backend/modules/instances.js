@@ -0,0 +1,162 @@
+/**
+ * modules/instances.js
+ * -----------------------
+ * Registry of the Pixelfed servers PixelFree talks to.
+ *
+ * The server configured through `PIXELFED_INSTANCE` / `PIXELFED_CLIENT_ID` /
+ * `PIXELFED_CLIENT_SECRET` is the implicit `default` instance. More servers are
+ * registered in the `instances` table, each with its own OAuth app credentials
+ * and tokens, and albums name the instance they query (`albums.instance_id`).
+ *
+ * Status IDs are only unique per server, so photos from a non-default instance
+ * are stored under a qualified ID `<remote id>@<host>`; the default instance
+ * keeps plain IDs so existing data stays valid.
+ *
+ * Exports
+ * - `DEFAULT_INSTANCE_ID`
+ * - `resolveInstance(id?)`      → `{ id, name, baseUrl, host, clientId, clientSecret, redirectUri, isDefault }`
+ * - `listInstances()`           → default instance followed by the registered ones
+ * - `normalizeBaseUrl(url)`     → origin of a server URL (throws ValidationError)
+ * - `qualifyStatusId(remoteId, instanceId?)` → status ID as stored in `photos`
+ * - `storedInstanceId(id?)`     → value for `instance_id` columns (null for the default)
+ * - `isDefaultInstance(id?)`    → whether an ID refers to the default instance
+ * - `findInstance(url)`         → instance serving a hostname/URL, or null
+ * - `findOrCreateInstance(url)` → same, registered on first use
+ * - `saveClientCredentials(id, { clientId, clientSecret })` → store an instance's OAuth app
+ *
+ * Notes
+ * - `resolveInstance` throws NotFoundError for unknown IDs; null/undefined/'default'
+ *   all mean the default instance.
+ * - OAuth app credentials are optional everywhere: `modules/auth.js` registers an
+ *   app on first login. Those of the default instance are kept in the `kv` table
+ *   (`PIXELFED_CLIENT_ID` / `PIXELFED_CLIENT_SECRET` still win when set).
+ */
+
+import * as instanceRepo from '../db/instanceRepo.js';
+import * as kv from '../db/kvRepo.js';
+import { NotFoundError, ValidationError } from './errors.js';
+
+export const DEFAULT_INSTANCE_ID = 'default';
+
+const DEFAULT_APP_KEY = 'oauth.defaultApp';
+
+// All instances share PixelFree's callback; the OAuth `state` tells them apart
+function redirectUri() {
+  return process.env.PIXELFED_REDIRECT_URI || 'http://localhost:3000/api/callback';
+}
+
+// App registered for the default instance, unless it is configured through the environment
+function storedDefaultApp(baseUrl) {
+  try {
+    const app = JSON.parse(kv.get(DEFAULT_APP_KEY, 'null'));
+    // Registered with another server; older entries kept PIXELFED_INSTANCE as typed
+    return app?.baseUrl && normalizeBaseUrl(app.baseUrl) === baseUrl ? app : null;
+  } catch {
+    return null;
+  }
+}
+
+function defaultInstance() {
+  // Same form as registered instances so baseUrl comparisons match
+  const baseUrl = normalizeBaseUrl(process.env.PIXELFED_INSTANCE || 'https://pixelfed.social');
+  const app = process.env.PIXELFED_CLIENT_ID ? null : storedDefaultApp(baseUrl);
+  return {
+    id: DEFAULT_INSTANCE_ID,
+    name: new URL(baseUrl).host,
+    baseUrl,
+    host: new URL(baseUrl).host,
+    clientId: process.env.PIXELFED_CLIENT_ID || app?.clientId || null,
+    clientSecret: process.env.PIXELFED_CLIENT_ID ? process.env.PIXELFED_CLIENT_SECRET : app?.clientSecret || null,
+    redirectUri: redirectUri(),
+    isDefault: true,
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    baseUrl: row.base_url,
+    host: new URL(row.base_url).host,
+    clientId: row.client_id,
+    clientSecret: row.client_secret,
+    redirectUri: redirectUri(),
+    isDefault: false,
+  };
+}
+
+export function isDefaultInstance(id) {
+  return !id || id === DEFAULT_INSTANCE_ID;
+}
+
+/**
+ * Connection settings of an instance.
+ * @param {string|null} [id] instance ID; empty or 'default' for the PIXELFED_INSTANCE server
+ */
+export function resolveInstance(id) {
+  if (isDefaultInstance(id)) return defaultInstance();
+  const row = instanceRepo.get(id);
+  if (!row) throw new NotFoundError('instance not found', { instanceId: id });
+  return fromRow(row);
+}
+
+export function listInstances() {
+  return [defaultInstance(), ...instanceRepo.list().map(fromRow)];
+}
+
+/** Origin (scheme + host + port) of a server URL; a bare hostname gets https://. */
+export function normalizeBaseUrl(url) {
+  const raw = String(url || '').trim();
+  if (!raw) throw new ValidationError('baseUrl is required');
+  let u;
+  try {
+    u = new URL(/^[a-z]+:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    throw new ValidationError('baseUrl must be a valid URL', { baseUrl: url });
+  }
+  if (!['https:', 'http:'].includes(u.protocol)) {
+    throw new ValidationError('baseUrl must use http or https', { baseUrl: url });
+  }
+  return u.origin;
+}
+
+/** Status ID as stored in `photos`: plain for the default instance, `<id>@<host>` otherwise. */
+export function qualifyStatusId(remoteId, instanceId) {
+  if (isDefaultInstance(instanceId)) return String(remoteId);
+  return `${remoteId}@${resolveInstance(instanceId).host}`;
+}
+
+/** Value stored in `instance_id` columns: null for the default instance. */
+export function storedInstanceId(id) {
+  return isDefaultInstance(id) ? null : id;
+}
+
+/**
+ * Instance for a hostname or URL typed in by the user: the default instance or a
+ * registered one with the same origin, else null.
+ */
+export function findInstance(url) {
+  const baseUrl = normalizeBaseUrl(url);
+  const fallback = defaultInstance();
+  if (baseUrl === fallback.baseUrl) return fallback;
+
+  const row = instanceRepo.getByBaseUrl(baseUrl);
+  return row ? fromRow(row) : null;
+}
+
+/** Like `findInstance`, registering the server as a new instance when it is unknown. */
+export function findOrCreateInstance(url) {
+  const baseUrl = normalizeBaseUrl(url);
+  return findInstance(baseUrl) || fromRow(instanceRepo.create({ name: new URL(baseUrl).host, baseUrl }));
+}
+
+/** Store the OAuth app credentials of an instance (e.g. after registering an app). */
+export function saveClientCredentials(id, { clientId, clientSecret }) {
+  if (isDefaultInstance(id)) {
+    const { baseUrl } = defaultInstance();
+    kv.set(DEFAULT_APP_KEY, JSON.stringify({ baseUrl, clientId, clientSecret }));
+  } else {
+    instanceRepo.update(id, { clientId, clientSecret });
+  }
+  return resolveInstance(id);
+}
@@ -0,0 +1,197 @@
+/**
+ * modules/localAuth.js
+ * --------------------
+ * Local sign-in for the PixelFree web UI itself (separate from the Pixelfed
+ * OAuth accounts in `modules/auth.js`).
+ *
+ * Roles
+ * - `admin`  → everything: albums, settings, scheduler, instances, users, devices
+ * - `viewer` → read-only: browse albums and photos, run the player
+ * - Devices (picture frames) get their own token when they register and can use
+ *   the read-only player endpoints with it, without a user session.
+ *
+ * Exports
+ * - `ROLES`, `SESSION_TTL_MS`
+ * - `isEnabled()`                          → whether any user exists (otherwise the API is open)
+ * - `createUser({ username, password, role })` → new user (ValidationError / ConflictError)
+ * - `updateUser(id, { password?, role? })` → updated user
+ * - `removeUser(id)`                       → delete a user and their sessions
+ * - `listUsers()` / `getUser(id)`          → users without password hashes
+ * - `signIn(username, password)`           → `{ token, user, expiresAt }` (UnauthorizedError)
+ * - `sessionUser(token)`                   → user of a valid session, or null
+ * - `signOut(token)`                       → end one session
+ * - `issueDeviceToken(deviceId)`           → new token for a device (replaces the old one)
+ * - `deviceForToken(token)`                → device row the token belongs to, or null
+ * - `bootstrapAdmin()`                     → create `admin` from PIXELFREE_ADMIN_PASSWORD if there are no users;
+ *                                            without it, warn that the API is open
+ *
+ * Notes
+ * - Passwords are hashed with scrypt and a per-user salt. Session and device
+ *   tokens are random; only their SHA-256 hashes are stored, so a copy of the
+ *   database does not let anyone sign in.
+ * - The last admin cannot be demoted or removed, so the UI cannot lock itself out.
+ */
+
+import crypto from 'crypto';
+import * as userRepo from '../db/userRepo.js';
+import * as sessionRepo from '../db/sessionRepo.js';
+import * as deviceRepo from '../db/deviceRepo.js';
+import { ConflictError, NotFoundError, UnauthorizedError, ValidationError } from './errors.js';
+
+export const ROLES = ['admin', 'viewer'];
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+const SCRYPT_KEYLEN = 64;
+
+// Compared against when the username is unknown, so both cases take as long
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function shapeUser(row) {
+  return row ? { id: row.id, username: row.username, role: row.role, created_at: row.created_at } : null;
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new ValidationError(`role must be one of ${ROLES.join(', ')}`);
+}
+
+function getUserOrThrow(id) {
+  const row = userRepo.get(id);
+  if (!row) throw new NotFoundError('user not found', { id });
+  return row;
+}
+
+function assertKeepsAnAdmin(row) {
+  if (row.role === 'admin' && userRepo.countAdmins() === 1) {
+    throw new ConflictError('PixelFree needs at least one admin', { id: row.id });
+  }
+}
+
+export function isEnabled() {
+  return userRepo.count() > 0;
+}
+
+export function listUsers() {
+  return userRepo.list().map(shapeUser);
+}
+
+export function getUser(id) {
+  return shapeUser(getUserOrThrow(id));
+}
+
+export function createUser({ username, password, role = 'viewer' } = {}) {
+  if (typeof username !== 'string' || !USERNAME_RE.test(username.trim())) {
+    throw new ValidationError('username must be 1-64 letters, digits, dots, dashes or underscores');
+  }
+  checkPassword(password);
+  checkRole(role);
+  if (userRepo.getByUsername(username.trim())) {
+    throw new ConflictError('username is taken', { username });
+  }
+  return shapeUser(userRepo.create({ username: username.trim(), passwordHash: hashPassword(password), role }));
+}
+
+/**
+ * @param {string} id
+ * @param {{ password?: string, role?: string }} patch
+ * @param {{ keepSessionToken?: string }} [opts] session that stays signed in after a password change
+ */
+export function updateUser(id, { password, role } = {}, opts = {}) {
+  const row = getUserOrThrow(id);
+  const patch = {};
+  if (role !== undefined) {
+    checkRole(role);
+    if (role !== 'admin') assertKeepsAnAdmin(row);
+    patch.role = role;
+  }
+  if (password !== undefined) {
+    checkPassword(password);
+    patch.passwordHash = hashPassword(password);
+  }
+  const updated = userRepo.update(id, patch);
+  if (patch.passwordHash) {
+    sessionRepo.removeForUser(id, opts.keepSessionToken ? hashToken(opts.keepSessionToken) : null);
+  }
+  return shapeUser(updated);
+}
+
+export function removeUser(id) {
+  const row = getUserOrThrow(id);
+  assertKeepsAnAdmin(row);
+  userRepo.remove(id); // sessions go with it (ON DELETE CASCADE)
+}
+
+export function signIn(username, password) {
+  const row = typeof username === 'string' ? userRepo.getByUsername(username.trim()) : null;
+  const ok = verifyPassword(String(password ?? ''), row?.password_hash ?? DUMMY_HASH);
+  if (!row || !ok) throw new UnauthorizedError('wrong username or password');
+
+  sessionRepo.pruneExpired();
+  const token = newToken('pfs');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  sessionRepo.create({ tokenHash: hashToken(token), userId: row.id, expiresAt });
+  return { token, user: shapeUser(row), expiresAt };
+}
+
+export function sessionUser(token) {
+  if (!token) return null;
+  const row = sessionRepo.getWithUser(hashToken(token));
+  return row ? { id: row.user_id, username: row.username, role: row.role } : null;
+}
+
+export function signOut(token) {
+  if (token) sessionRepo.remove(hashToken(token));
+}
+
+export function issueDeviceToken(deviceId) {
+  const token = newToken('pfd');
+  deviceRepo.setTokenHash(deviceId, hashToken(token));
+  return token;
+}
+
+export function deviceForToken(token) {
+  if (!token) return null;
+  return deviceRepo.getByTokenHash(hashToken(token)) || null;
+}
+
+export function bootstrapAdmin() {
+  if (isEnabled()) return null;
+  const password = process.env.PIXELFREE_ADMIN_PASSWORD;
+  if (!password) {
+    console.warn('[LocalAuth] No users yet: the API is open to anyone who can reach it, and POST /api/session/setup '
+      + 'is unclaimed. Create the first admin there or set PIXELFREE_ADMIN_PASSWORD.');
+    return null;
+  }
+  const user = createUser({ username: 'admin', password, role: 'admin' });
+  console.log('[LocalAuth] Created user "admin" from PIXELFREE_ADMIN_PASSWORD');
+  return user;
+}
@@ -19,7 +19,7 @@
  * - Authenticate requests with a bearer token obtained from `auth.js`.
  * - Normalize posts into plain JS objects with consistent fields:
  *   `{ id, url, preview_url, created_at, author, author_display_name,
- *      caption, post_url, location, tags }`.
+ *      caption, post_url, location, tags, sensitive, spoiler_text }`.
  * - Filter out non-image attachments.
  * - Sort results newest-first and return only the requested number of photos.
  *
@@ -33,21 +33,24 @@
  *
  * Notes
  * - Returns caption as raw HTML from Pixelfed (callers must sanitize if needed).
- * - Uses `process.env.PIXELFED_INSTANCE` for the base instance URL.
+ * - Queries `opts.instanceId` (see `modules/instances.js`), or the default
+ *   `PIXELFED_INSTANCE` server when omitted, with the token of `opts.accountId`
+ *   (default: the instance's first connected account).
  * - This module does not handle caching; consumers may store results if needed.
  */
 
 import { getAccessToken } from './auth.js';
+import { resolveInstance } from './instances.js';
 
 /**
  * @typedef {{ type:'tag', tag:string } | { type:'user', accountId:string } | { type:'public', localOnly?:boolean }} Source
- * @typedef {{ limit:number, source: Source }} FetchArgs
+ * @typedef {{ limit:number, source: Source, instanceId?: string|null, accountId?: string|null }} FetchArgs
  */
 
 /** @param {FetchArgs} opts */
 export async function fetchPhotos(opts) {
-  const instanceUrl = process.env.PIXELFED_INSTANCE || 'https://pixelfed.social';
-  const token = await getAccessToken();
+  const instanceUrl = resolveInstance(opts.instanceId).baseUrl;
+  const token = await getAccessToken({ instanceId: opts.instanceId, accountId: opts.accountId });
 
   const limit = Math.max(1, Math.min(40, Number(opts.limit) || 10));
   const src = opts.source;
@@ -99,7 +102,9 @@ export async function fetchPhotos(opts) {
           caption: s.content,          // HTML
           post_url: s.url,
           location: s.location || s.place || s.geo, // if available
-          tags: Array.isArray(s.tags) ? s.tags.map(t => t.name) : []
+          tags: Array.isArray(s.tags) ? s.tags.map(t => t.name) : [],
+          sensitive: !!s.sensitive,
+          spoiler_text: s.spoiler_text || ''
         });
       }
     }
@@ -0,0 +1,145 @@
+/**
+ * modules/rateBudget.js
+ * ---------------------
+ * Shared request budget per Pixelfed instance (token bucket).
+ *
+ * Every call to an instance API takes a token from that instance's bucket first,
+ * so concurrent scheduler workers (and interactive previews) share one budget
+ * instead of each finding the limit on their own. The bucket refills at
+ * `settings.sync.requestsPerMinute`.
+ *
+ * The instance's own answers take precedence over the local guess:
+ * - `X-RateLimit-Remaining` caps the tokens left; when it is nearly used up the
+ *   instance is paused until `X-RateLimit-Reset`
+ * - a 429 pauses the instance until `Retry-After` (or `X-RateLimit-Reset`, or
+ *   `DEFAULT_PAUSE_MS`), so one rate-limited album holds back every album there
+ *
+ * Exports
+ * - `acquire(host, { maxWaitMs? })` → resolves once a request may be sent; throws
+ *   `RateLimitError` (with `retryAfter` seconds) if that would take longer than `maxWaitMs`
+ * - `observe(host, response)`       → read rate-limit headers / status of a response
+ * - `pausedUntil(host)`             → epoch ms until which the instance is paused (0 if not)
+ * - `status()`                      → per-instance snapshot for the scheduler status
+ * - `clear()`                       → forget all buckets (tests)
+ *
+ * Notes
+ * - Buckets are keyed by host (`new URL(baseUrl).host`) and live in memory only.
+ * - Header formats vary: Reset may be an ISO date (Mastodon), epoch seconds or
+ *   seconds from now; Retry-After may be seconds or an HTTP date.
+ */
+
+import { RateLimitError } from './errors.js';
+import { getSettings } from './settings.js';
+
+const DEFAULT_PAUSE_MS = 60 * 1000; // 429 without any hint when to come back
+const MAX_WAIT_MS = 30 * 1000;      // longer waits fail fast so the caller can move on
+const MAX_BURST = 10;
+const LOW_REMAINING = 2;            // keep a little headroom for interactive requests
+
+// host -> { tokens, refilledAt, pausedUntil, remaining }
+const buckets = new Map();
+
+function requestsPerMinute() {
+  return getSettings().sync?.requestsPerMinute || 60;
+}
+
+function bucketFor(host) {
+  let bucket = buckets.get(host);
+  if (!bucket) {
+    bucket = { tokens: Math.min(requestsPerMinute(), MAX_BURST), refilledAt: Date.now(), pausedUntil: 0, remaining: null };
+    buckets.set(host, bucket);
+  }
+  return bucket;
+}
+
+function refill(bucket, now) {
+  const rpm = requestsPerMinute();
+  bucket.tokens = Math.min(Math.min(rpm, MAX_BURST), bucket.tokens + (now - bucket.refilledAt) * rpm / 60000);
+  bucket.refilledAt = now;
+}
+
+// Epoch ms from an X-RateLimit-Reset value, or null
+function parseReset(value, now) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n > 1e9 ? n * 1000 : now + n * 1000;
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+// Epoch ms from a Retry-After value, or null
+function parseRetryAfter(value, now) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return now + n * 1000;
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function acquire(host, { maxWaitMs = MAX_WAIT_MS } = {}) {
+  const bucket = bucketFor(host);
+  for (;;) {
+    const now = Date.now();
+    refill(bucket, now);
+    const pauseMs = Math.max(0, bucket.pausedUntil - now);
+    const refillMs = bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * 60000 / requestsPerMinute());
+    const waitMs = Math.max(pauseMs, refillMs);
+    if (waitMs === 0) {
+      bucket.tokens -= 1;
+      return;
+    }
+    if (waitMs > maxWaitMs) {
+      throw new RateLimitError('Rate limit budget for the remote instance is used up', {
+        host, retryAfter: Math.ceil(waitMs / 1000),
+      });
+    }
+    await sleep(waitMs); // another waiter may take the token first; check again
+  }
+}
+
+export function observe(host, response) {
+  const bucket = bucketFor(host);
+  const now = Date.now();
+  const header = name => response.headers?.get(name) ?? null;
+  const reset = parseReset(header('x-ratelimit-reset'), now);
+
+  const remaining = header('x-ratelimit-remaining') === null ? NaN : Number(header('x-ratelimit-remaining'));
+  if (Number.isFinite(remaining)) {
+    bucket.remaining = remaining;
+    bucket.tokens = Math.min(bucket.tokens, remaining);
+    if (remaining <= LOW_REMAINING && reset && reset > now) {
+      bucket.pausedUntil = Math.max(bucket.pausedUntil, reset);
+    }
+  }
+
+  if (response.status === 429) {
+    const until = parseRetryAfter(header('retry-after'), now) || reset || now + DEFAULT_PAUSE_MS;
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, until);
+    bucket.tokens = 0;
+    console.warn(`[RateBudget] ${host} rate limited; pausing until ${new Date(bucket.pausedUntil).toISOString()}`);
+  }
+}
+
+export function pausedUntil(host) {
+  const bucket = buckets.get(host);
+  return bucket && bucket.pausedUntil > Date.now() ? bucket.pausedUntil : 0;
+}
+
+export function status() {
+  const now = Date.now();
+  return [...buckets.entries()].map(([host, bucket]) => {
+    refill(bucket, now);
+    return {
+      host,
+      tokens: Math.floor(bucket.tokens),
+      remaining: bucket.remaining,
+      paused_until: bucket.pausedUntil > now ? new Date(bucket.pausedUntil).toISOString() : null,
+    };
+  });
+}
+
+export function clear() {
+  buckets.clear();
+}
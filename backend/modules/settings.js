@@ -3,46 +3,161 @@
  * -------------------
  * Centralized configuration state for the PixelFree backend.
  *
- * This module holds runtime settings (instance credentials, display options,
- * data source, sync/cache parameters) in a single object. It exposes helpers
+ * This module holds runtime settings (display options, data source,
+ * sync/cache parameters) in a single object. It exposes helpers
  * to read or update these values across the application.
  *
  * Responsibilities
  * - Provide default values for:
- *   - Pixelfed instance connection (instance URL, client ID/secret, redirect URI)
  *   - Display behavior (e.g., transition timing, captions on/off)
  *   - Content source defaults (e.g., type 'tag', default tag)
- *   - Sync/caching settings (fetch interval, fetch limit, cache budget in bytes)
- * - Expose a getter for other modules to read current settings
- * - Allow controlled updates of settings at runtime via shallow merge
+ *   - Sync/caching settings (fetch interval, fetch limit, cache budget in bytes,
+ *     scheduler concurrency, API requests per minute per instance)
+ *   - Maintenance (how often album retention and cleanup run, days of refresh history kept)
+ * - Validate updates against a schema (unknown keys and bad values are rejected)
+ * - Persist user overrides in the `kv` table so they survive restarts
  *
  * Exports
+ * - `loadSettings()` → (re)load persisted overrides from the database; called at boot
  * - `getSettings()` → return the current settings object
- * - `updateSettings(partial: object)` → merge updates into the settings object and return the new state
+ * - `updateSettings(partial: object)` → validate, deep-merge and persist updates, return the new state
+ * - `resetSettings()` → drop all persisted overrides and return the defaults
  *
  * Notes
- * - Settings are initialized from environment variables (`PIXELFED_INSTANCE`,
- *   `PIXELFED_CLIENT_ID`, etc.) with sensible defaults if not provided.
- * - In-memory only: updates are not persisted to disk or database between runs.
- * - Intended as a lightweight runtime config store for development/testbed use.
+ * - Only the values a user changed are stored (under the versioned key
+ *   `settings.v1`), so new defaults still apply to everything never overridden.
+ * - Invalid updates throw a `ValidationError` listing every offending key.
+ * - Pixelfed servers and OAuth client credentials are not settings: the default
+ *   server comes from `PIXELFED_INSTANCE` / `PIXELFED_REDIRECT_URI`, more are
+ *   registered as instances, and PixelFree registers an app with each when it
+ *   has none (see `modules/instances.js`).
  */
 
+import * as kv from '../db/kvRepo.js';
+import { ValidationError } from './errors.js';
 
-let settings = {
-  instanceUrl: process.env.PIXELFED_INSTANCE || 'https://pixelfed.social',
-  clientId: process.env.PIXELFED_CLIENT_ID || 'FAKE_ID',
-  clientSecret: process.env.PIXELFED_CLIENT_SECRET || 'FAKE_SECRET',
-  redirectUri: process.env.PIXELFED_REDIRECT_URI || 'http://localhost:3000/api/callback',
-  display: { transitionMs: 5000, showCaptions: true },
-  source: { type: 'tag', tag: 'vacation' },
-  sync: { intervalMs: 600000, fetchLimit: 20, cacheBudgetBytes: 500 * 1024 * 1024 }
+export const SETTINGS_KEY = 'settings.v1';
+
+function defaults() {
+  return {
+    display: { transitionMs: 5000, showCaptions: true },
+    source: { type: 'tag', tag: 'vacation' },
+    sync: { intervalMs: 600000, fetchLimit: 20, cacheBudgetBytes: 500 * 1024 * 1024, concurrency: 4, requestsPerMinute: 60 },
+    maintenance: { intervalMs: 6 * 60 * 60 * 1000, runHistoryDays: 30 }
+  };
+}
+
+// --- Schema: leaves are validators returning an error message (or null) ---
+const isString = v => (typeof v === 'string' ? null : 'must be a string');
+const isBoolean = v => (typeof v === 'boolean' ? null : 'must be a boolean');
+const intBetween = (lo, hi) => v =>
+  (Number.isInteger(v) && v >= lo && v <= hi ? null : `must be an integer between ${lo} and ${hi}`);
+const oneOf = (...values) => v =>
+  (values.includes(v) ? null : `must be one of ${values.map(x => `"${x}"`).join(' | ')}`);
+
+const SCHEMA = {
+  display: {
+    transitionMs: intBetween(0, 60 * 60 * 1000),
+    showCaptions: isBoolean,
+  },
+  source: {
+    type: oneOf('tag', 'user', 'public'),
+    tag: isString,
+    accountId: isString,
+    localOnly: isBoolean,
+  },
+  sync: {
+    intervalMs: intBetween(60 * 1000, 7 * 24 * 60 * 60 * 1000),
+    fetchLimit: intBetween(1, 40),
+    cacheBudgetBytes: intBetween(0, Number.MAX_SAFE_INTEGER),
+    concurrency: intBetween(1, 16),        // albums the scheduler refreshes at once
+    requestsPerMinute: intBetween(1, 600), // API budget per instance, shared by all workers
+  },
+  maintenance: {
+    intervalMs: intBetween(10 * 60 * 1000, 7 * 24 * 60 * 60 * 1000),
+    runHistoryDays: intBetween(1, 3650),   // refresh_runs older than this are deleted
+  },
 };
 
-export function getSettings() {
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** Collect `{ key, message }` problems for `value` against `schema`. */
+function validate(value, schema, prefix = '') {
+  if (!isPlainObject(value)) return [{ key: prefix || '(root)', message: 'must be an object' }];
+
+  const errors = [];
+  for (const [k, v] of Object.entries(value)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    const rule = schema[k];
+    if (!rule) {
+      errors.push({ key, message: 'unknown setting' });
+    } else if (typeof rule === 'function') {
+      const message = rule(v);
+      if (message) errors.push({ key, message });
+    } else {
+      errors.push(...validate(v, rule, key));
+    }
+  }
+  return errors;
+}
+
+function deepMerge(base, patch) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(patch || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(base?.[k]) ? deepMerge(base[k], v) : v;
+  }
+  return out;
+}
+
+/** Drop keys that no longer exist in the schema (e.g. persisted by an older version). */
+function pruneUnknown(value, schema) {
+  const out = {};
+  for (const [k, v] of Object.entries(value || {})) {
+    const rule = schema[k];
+    if (!rule) continue;
+    if (typeof rule === 'function') {
+      if (!rule(v)) out[k] = v;
+    } else if (isPlainObject(v)) {
+      out[k] = pruneUnknown(v, rule);
+    }
+  }
+  return out;
+}
+
+let overrides = null;
+let settings = null;
+
+export function loadSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(kv.get(SETTINGS_KEY, '{}'));
+  } catch (err) {
+    console.warn(`[Settings] Ignoring unreadable ${SETTINGS_KEY}:`, err.message);
+  }
+  overrides = pruneUnknown(stored, SCHEMA);
+  settings = deepMerge(defaults(), overrides);
   return settings;
 }
 
+export function getSettings() {
+  return settings || loadSettings();
+}
+
 export function updateSettings(partial) {
-  settings = { ...settings, ...partial };
+  if (settings === null) loadSettings();
+
+  const errors = validate(partial, SCHEMA);
+  if (errors.length) {
+    throw new ValidationError('Invalid settings', { errors });
+  }
+
+  overrides = deepMerge(overrides, partial);
+  kv.set(SETTINGS_KEY, JSON.stringify(overrides));
+  settings = deepMerge(defaults(), overrides);
   return settings;
 }
+
+export function resetSettings() {
+  kv.remove(SETTINGS_KEY);
+  return loadSettings();
+}
@@ -0,0 +1,84 @@
+/**
+ * modules/tokenCrypto.js
+ * ----------------------
+ * Encryption at rest for OAuth tokens (AES-256-GCM).
+ *
+ * Sealed values are self-describing strings, `enc:v1:<iv>:<tag>:<ciphertext>`
+ * (base64url parts), so plain values written by older versions can be told
+ * apart and re-encrypted on upgrade.
+ *
+ * Key
+ * - `PIXELFREE_TOKEN_KEY`: any secret string; the AES key is derived from it.
+ * - Otherwise a random key kept in a keyfile, `PIXELFREE_KEY_FILE` or
+ *   `pixelfree.key` next to the database. It is created (mode 600) on first use.
+ * - An in-memory database (tests) gets a throwaway key.
+ *
+ * Exports
+ * - `encrypt(text)`     → sealed string
+ * - `decrypt(sealed)`   → original text (throws when the key does not match)
+ * - `isEncrypted(value)` → whether a stored value is sealed
+ *
+ * Notes
+ * - Losing or changing the key makes stored tokens unreadable; the accounts then
+ *   show as logged out and have to be connected again. Keep the keyfile out of
+ *   backups that leave the device, just like the database.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DB_PATH } from '../db/db.js';
+
+const PREFIX = 'enc:v1:';
+const KEY_SALT = 'pixelfree-token-key';
+
+let key = null;
+
+function keyFilePath() {
+  return process.env.PIXELFREE_KEY_FILE || path.join(path.dirname(path.resolve(DB_PATH)), 'pixelfree.key');
+}
+
+function readOrCreateKeyFile(file) {
+  try {
+    const stored = Buffer.from(fs.readFileSync(file, 'utf8').trim(), 'base64');
+    if (stored.length !== 32) throw new Error(`${file} does not hold a 256-bit key`);
+    return stored;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const fresh = crypto.randomBytes(32);
+  fs.writeFileSync(file, fresh.toString('base64') + '\n', { mode: 0o600, flag: 'wx' });
+  console.log(`[Tokens] Created encryption key ${file}`);
+  return fresh;
+}
+
+function getKey() {
+  if (key) return key;
+  if (process.env.PIXELFREE_TOKEN_KEY) {
+    key = crypto.scryptSync(process.env.PIXELFREE_TOKEN_KEY, KEY_SALT, 32);
+  } else if (DB_PATH === ':memory:') {
+    key = crypto.randomBytes(32);
+  } else {
+    key = readOrCreateKeyFile(keyFilePath());
+  }
+  return key;
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const data = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), data].map(b => b.toString('base64url')).join(':');
+}
+
+export function decrypt(sealed) {
+  if (!isEncrypted(sealed)) throw new Error('value is not encrypted');
+  const [iv, tag, data] = sealed.slice(PREFIX.length).split(':').map(p => Buffer.from(p, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
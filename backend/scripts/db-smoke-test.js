@@ -15,14 +15,14 @@ function log(title, data) {
 async function main() {
   // 0) Test Key-Value store
   console.log('\n[KV TEST]');
-  kv.set('schema_version', '1');
+  kv.set('smoke_test', '1');
   kv.set('last_cleanup_at', new Date().toISOString());
 
   console.log('All KV entries:', kv.list());
-  console.log('schema_version:', kv.get('schema_version'));
+  console.log('smoke_test:', kv.get('smoke_test'));
   console.log('missing key fallback:', kv.get('nope', 'default-value'));
 
-  kv.remove('schema_version');
+  kv.remove('smoke_test');
   console.log('After remove:', kv.list());
 
   // 1) Create a test album
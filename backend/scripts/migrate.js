@@ -0,0 +1,50 @@
+// scripts/migrate.js
+// Shows or applies PixelFree schema migrations without starting the server.
+// Usage:
+//   node scripts/migrate.js             apply pending migrations
+//   node scripts/migrate.js --status    show the database's version and what is pending
+//   node scripts/migrate.js --dry-run   run pending migrations in a transaction, then roll back
+//   node scripts/migrate.js --db <path> use another database file (default: PIXELFREE_DB_PATH or ./pixelfree.db)
+//
+// The server migrates on startup as well; this is for checking an upgrade first.
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { prepareDatabase, status } from '../db/migrate.js';
+
+const args = process.argv.slice(2);
+const dbArg = args.indexOf('--db');
+const dbPath = dbArg >= 0 ? args[dbArg + 1]
+  : process.env.PIXELFREE_DB_PATH || path.join(process.cwd(), 'pixelfree.db');
+
+if (!dbPath || !fs.existsSync(dbPath)) {
+  console.error(`No database at ${dbPath || '(missing path)'}; it is created on first start.`);
+  process.exit(1);
+}
+
+const db = new Database(dbPath, { readonly: args.includes('--status') });
+
+try {
+  if (args.includes('--status')) {
+    const s = status(db);
+    console.log(`${dbPath}: schema version ${s.current} (latest ${s.latest})`);
+    for (const m of s.pending) console.log(`  pending  ${m.version} ${m.name}`);
+    if (!s.pending.length) console.log('  up to date');
+  } else {
+    const dryRun = args.includes('--dry-run');
+    const result = prepareDatabase(db, { dryRun });
+    if (!result.applied.length) {
+      console.log(`${dbPath}: nothing to migrate (schema version ${result.from})`);
+    } else if (dryRun) {
+      console.log(`Dry run: ${result.applied.length} migration(s) would take ${dbPath} from ${result.from} to ${result.to}; nothing was changed.`);
+    } else {
+      console.log(`Migrated ${dbPath} from ${result.from} to ${result.to}.`);
+    }
+  }
+} catch (err) {
+  console.error(`Migration failed: ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -46,6 +46,21 @@ app.use(express.json());
 
 // Import scheduler service
 import * as albumScheduler from './services/albumScheduler.js';
+import * as maintenance from './services/maintenance.js';
+import { loadSettings } from './modules/settings.js';
+import { bootstrapAdmin } from './modules/localAuth.js';
+import * as refreshRunRepo from './db/refreshRunRepo.js';
+
+// Load persisted runtime settings before anything reads them
+loadSettings();
+console.log('[Startup] Runtime settings loaded');
+
+// First local admin from PIXELFREE_ADMIN_PASSWORD (no-op once users exist); warns while the API is open
+bootstrapAdmin();
+
+// Refreshes cut off by the last shutdown stay in the history as failed
+const interrupted = refreshRunRepo.failInterrupted();
+if (interrupted) console.log(`[Startup] Marked ${interrupted} interrupted album refresh(es) as failed`);
 
 // Static frontend removed - using dedicated React frontend at localhost:5173
 
@@ -55,6 +70,15 @@ import mountAuthRoutes from './api/authRoutes.js';
 import mountCacheSettingsRoutes from './api/cacheSettingsRoutes.js';
 import mountPhotosRoutes from './api/photosRoutes.js';
 import mountHealthRoutes from './api/healthRoutes.js';
+import mountMediaRoutes from './api/mediaRoutes.js';
+import mountProfilesRoutes from './api/profilesRoutes.js';
+import mountDevicesRoutes from './api/devicesRoutes.js';
+import mountEventsRoutes from './api/eventsRoutes.js';
+import mountPlaylistsRoutes from './api/playlistsRoutes.js';
+import mountInstancesRoutes from './api/instancesRoutes.js';
+import mountAccountsRoutes from './api/accountsRoutes.js';
+import mountSessionRoutes from './api/sessionRoutes.js';
+import mountUsersRoutes from './api/usersRoutes.js';
 
 import { asyncHandler, errorMapper } from './utils/errorMapper.js';
 import { ValidationError } from './modules/errors.js';
@@ -68,7 +92,7 @@ app.get('/', (_req, res) => {
   res.json({ 
     message: 'PixelFree backend API is running',
     frontend: 'http://localhost:5173',
-    endpoints: ['/api/auth', '/api/photos', '/api/albums', '/api/scheduler', '/api/favorites', '/api/health']
+    endpoints: ['/api/auth', '/api/photos', '/api/albums', '/api/scheduler', '/api/favorites', '/api/media', '/api/profiles', '/api/devices', '/api/playlists', '/api/instances', '/api/accounts', '/api/session', '/api/users', '/api/events', '/api/health']
   });
 });
 
@@ -76,6 +100,15 @@ mountPhotosRoutes(app);
 mountAuthRoutes(app);
 mountCacheSettingsRoutes(app);
 mountHealthRoutes(app);
+mountMediaRoutes(app);
+mountProfilesRoutes(app);
+mountDevicesRoutes(app);
+mountEventsRoutes(app);
+mountPlaylistsRoutes(app);
+mountInstancesRoutes(app);
+mountAccountsRoutes(app);
+mountSessionRoutes(app);
+mountUsersRoutes(app);
 mountAlbumRoutes(app, {
   // ensureAuthed, // uncomment if you want to require auth
 });
@@ -86,13 +119,16 @@ mountFavoritesRoutes(app);
 app.listen(PORT, () => {
   console.log(`PixelFree backend API listening at http://localhost:${PORT}`);
   console.log(`Frontend available at http://localhost:5173`);
-  console.log(`API endpoints: /api/auth, /api/photos, /api/albums, /api/scheduler, /api/favorites, /api/health`);
+  console.log(`API endpoints: /api/auth, /api/photos, /api/albums, /api/scheduler, /api/favorites, /api/media, /api/profiles, /api/devices, /api/playlists, /api/instances, /api/accounts, /api/session, /api/users, /api/events, /api/health`);
 });
 
 (async () => {
   console.log('[Startup] Starting album refresh scheduler...');
   await albumScheduler.startScheduler();
   console.log('[Startup] Album scheduler started successfully');
+
+  // Album retention, orphaned photos/media, old refresh history
+  maintenance.startMaintenance();
 })();
 
 // Final error mapper (must be after all routes/middleware)
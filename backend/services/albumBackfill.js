@@ -0,0 +1,251 @@
+/**
+ * services/albumBackfill.js
+ * -----------------------
+ * Deep backfill of an album's history using `max_id` pagination.
+ *
+ * A regular refresh only reads the newest page per tag/account. Backfill walks
+ * older pages of every source of an album until one of these is reached:
+ *   - the album holds `target_count` photos
+ *   - posts are older than the `until` cutoff
+ *   - every source has run out of history
+ *
+ * Progress is saved in the album's `refresh_json` under `backfill` after every
+ * page (per-source `max_id` cursors, counters, status), so a run interrupted by
+ * a restart, rate limit or error can be resumed by starting it again.
+ *
+ * Exports
+ * - `startBackfill(albumId, opts)` → start (or resume) a backfill in the background
+ * - `getBackfillState(albumId)`    → current saved state (or null)
+ * - `isBackfillRunning(albumId)`   → whether a run is active in this process
+ * - `stopBackfill(albumId)`        → end an active run after its current page (e.g. the album is deleted)
+ *
+ * A run whose album is deleted ends quietly without saving anything.
+ */
+
+import * as albumRepo from '../db/albumRepo.js';
+import * as photoRepo from '../db/photoRepo.js';
+import * as photoFetcher from './photoFetcher.js';
+import * as cache from '../modules/cache.js';
+import * as events from '../modules/events.js';
+import { resolveAlbumAccountIds } from './albumRefresh.js';
+import { NotFoundError, ValidationError } from '../modules/errors.js';
+
+// Config
+export const DEFAULT_TARGET_COUNT = 500;
+export const MAX_TARGET_COUNT = 5000;
+const PAGE_LIMIT = 40;
+const PAGE_DELAY_MS = 1000;
+
+// albumId -> Promise of the active run
+const running = new Map();
+// albumIds whose active run should end after its current page
+const stopping = new Set();
+
+function nowIso() { return new Date().toISOString(); }
+
+function parseJson(s, fallback) {
+    if (!s) return fallback;
+    try { return JSON.parse(s); } catch { return fallback; }
+}
+
+/**
+ * Build the list of paginated sources for an album plus the local tag and exclusion filters.
+ * @returns {Promise<{ sources: Array<{ key:string, type:string, tag?:string, accountId?:string }>, tags: string[], tagmode: string, exclude: object|null }>}
+ */
+async function sourcesForAlbum(album) {
+    const type = album.query_type || 'tag';
+    const tags = parseJson(album.query_tags, []).map(t => String(t).replace(/^#/, '').toLowerCase()).filter(Boolean);
+    const tagmode = album.query_tagmode || 'any';
+    const exclude = parseJson(album.query_exclude, null);
+
+    if (type === 'tag') {
+        return { sources: tags.map(tag => ({ key: `tag:${tag}`, type: 'tag', tag })), tags, tagmode, exclude };
+    }
+    if (photoFetcher.TIMELINE_TYPES.includes(type)) {
+        return { sources: [{ key: `timeline:${type}`, type: 'timeline', timeline: type }], tags: [], tagmode, exclude };
+    }
+
+    const accountIds = await resolveAlbumAccountIds(album);
+    const sources = accountIds.map(accountId => ({ key: `user:${accountId}`, type: 'user', accountId }));
+    // user albums take every post; compound albums filter user posts by tag locally
+    return { sources, tags: type === 'compound' ? tags : [], tagmode, exclude };
+}
+
+/**
+ * Return the saved backfill state for an album, or null if it never ran.
+ * @param {string} albumId
+ */
+export function getBackfillState(albumId) {
+    const album = albumRepo.get(albumId);
+    if (!album) throw new NotFoundError('album not found', { albumId });
+    const refresh = parseJson(album.refresh_json, {});
+    return refresh.backfill ? { ...refresh.backfill, running: running.has(albumId) } : null;
+}
+
+export function isBackfillRunning(albumId) {
+    return running.has(albumId);
+}
+
+export function stopBackfill(albumId) {
+    if (running.has(albumId)) stopping.add(albumId);
+}
+
+// The run was stopped or its album deleted: nothing left to save
+function isAbandoned(albumId) {
+    return stopping.has(albumId) || !albumRepo.get(albumId);
+}
+
+function saveState(albumId, state, extra = {}) {
+    state.updated_at = nowIso();
+    albumRepo.update(albumId, { refresh: { ...extra, backfill: state } });
+}
+
+function albumTotal(albumId) {
+    return albumRepo.listItems(albumId, { limit: 1, offset: 0 }).total;
+}
+
+async function runBackfill(albumId, state) {
+    const album = albumRepo.get(albumId);
+    const { sources, tags, tagmode, exclude } = await sourcesForAlbum(album);
+    if (isAbandoned(albumId)) return state;
+    const untilMs = state.until ? new Date(state.until).getTime() : null;
+
+    if (!sources.length) {
+        state.status = 'completed';
+        state.stop_reason = 'no_sources';
+        state.finished_at = nowIso();
+        saveState(albumId, state);
+        return state;
+    }
+
+    console.log(`[Backfill] Album ${albumId}: walking ${sources.length} source(s) toward ${state.target_count} photos`);
+
+    while (true) {
+        if (isAbandoned(albumId)) return state;
+        if (albumTotal(albumId) >= state.target_count) {
+            state.stop_reason = 'target_reached';
+            break;
+        }
+        const pending = sources.filter(s => !state.exhausted.includes(s.key));
+        if (!pending.length) {
+            state.stop_reason = untilMs ? 'cutoff_reached' : 'history_exhausted';
+            break;
+        }
+
+        // One page per pending source per round keeps sources roughly in step
+        for (const source of pending) {
+            const page = await photoFetcher.getPhotoPage(source, {
+                limit: PAGE_LIMIT,
+                max_id: state.cursors[source.key] || null,
+                instanceId: album.instance_id || null,
+                accountId: album.account_id || null,
+            });
+            if (isAbandoned(albumId)) return state;
+            state.pages++;
+
+            if (!page.next_max_id) {
+                state.exhausted.push(source.key);
+                continue;
+            }
+            state.cursors[source.key] = page.next_max_id;
+
+            let photos = photoFetcher.filterExcluded(photoFetcher.filterByTags(page.photos, tags, tagmode), exclude);
+            if (untilMs) {
+                const older = page.photos.some(p => new Date(p.created_at).getTime() < untilMs);
+                photos = photos.filter(p => new Date(p.created_at).getTime() >= untilMs);
+                if (older) state.exhausted.push(source.key);
+            }
+
+            const ids = Array.from(new Set(photoRepo.upsertMany(photos).filter(Boolean)));
+            const linked = albumRepo.addPhotos(albumId, ids) || 0;
+            state.fetched += photos.length;
+            state.linked += linked;
+
+            let maxIdWatermark;
+            for (const p of photos) {
+                if (!state.oldest_created_at || new Date(p.created_at) < new Date(state.oldest_created_at)) {
+                    state.oldest_created_at = p.created_at;
+                    maxIdWatermark = p.remote_id ?? p.id;
+                }
+            }
+
+            saveState(albumId, state, maxIdWatermark ? { max_id: maxIdWatermark } : {});
+            cache.prefetch(photos, { kinds: ['preview'] }).catch(() => {});
+
+            await new Promise(resolve => setTimeout(resolve, PAGE_DELAY_MS));
+        }
+    }
+
+    if (isAbandoned(albumId)) return state;
+    state.status = 'completed';
+    state.finished_at = nowIso();
+    state.last_error = null;
+    saveState(albumId, state);
+    if (state.linked > 0) {
+        events.publish('album-refreshed', { albumId, linked: state.linked, source: 'backfill' });
+    }
+    console.log(`[Backfill] Album ${albumId} completed (${state.stop_reason}): ${state.pages} pages, ${state.linked} linked`);
+    return state;
+}
+
+/**
+ * Start (or resume) a backfill for an album. Runs in the background; poll
+ * `getBackfillState()` for progress.
+ *
+ * @param {string} albumId
+ * @param {{ targetCount?: number, until?: string, restart?: boolean }} [opts]
+ *   `restart` discards saved cursors and walks again from the newest posts.
+ * @returns {object} the initial state
+ */
+export function startBackfill(albumId, { targetCount, until, restart = false } = {}) {
+    const album = albumRepo.get(albumId);
+    if (!album) throw new NotFoundError('album not found', { albumId });
+
+    if (running.has(albumId)) return getBackfillState(albumId);
+
+    const target = targetCount == null ? DEFAULT_TARGET_COUNT : Number(targetCount);
+    if (!Number.isInteger(target) || target < 1 || target > MAX_TARGET_COUNT) {
+        throw new ValidationError(`targetCount must be an integer between 1 and ${MAX_TARGET_COUNT}`, { targetCount });
+    }
+    if (until != null && Number.isNaN(new Date(until).getTime())) {
+        throw new ValidationError('until must be an ISO date', { until });
+    }
+
+    const untilIso = until != null ? new Date(until).toISOString() : null;
+    const previous = parseJson(album.refresh_json, {}).backfill;
+    const resume = previous && !restart;
+    const state = {
+        status: 'running',
+        target_count: target,
+        until: untilIso,
+        cursors: resume ? { ...previous.cursors } : {},
+        // Sources stopped by an earlier cutoff may have more history under a new one
+        exhausted: resume && previous.until === untilIso ? [...(previous.exhausted || [])] : [],
+        pages: resume ? previous.pages || 0 : 0,
+        fetched: resume ? previous.fetched || 0 : 0,
+        linked: resume ? previous.linked || 0 : 0,
+        oldest_created_at: resume ? previous.oldest_created_at || null : null,
+        started_at: nowIso(),
+        finished_at: null,
+        stop_reason: null,
+        last_error: null,
+    };
+    saveState(albumId, state);
+
+    const run = runBackfill(albumId, state)
+        .catch(error => {
+            if (isAbandoned(albumId)) return;
+            console.error(`[Backfill] Album ${albumId} stopped:`, error);
+            // Rate limits pause the run; anything else fails it. Both keep cursors for resuming.
+            state.status = (error.code === 'rate_limited' || error.status === 429) ? 'paused' : 'failed';
+            state.last_error = error.message;
+            saveState(albumId, state);
+        })
+        .finally(() => {
+            running.delete(albumId);
+            stopping.delete(albumId);
+        });
+    running.set(albumId, run);
+
+    return { ...state, running: true };
+}
@@ -0,0 +1,326 @@
+/**
+ * services/albumRefresh.js
+ * -----------------------
+ * Refreshes an album: fetch the newest posts of its query, store them, link
+ * them to the album. Used by the scheduler and by the manual refresh route.
+ *
+ * Every refresh
+ * - continues from the album's `since_id` watermark and moves it to the
+ *   newest post fetched (all album types)
+ * - writes its bookkeeping to `refresh_json`: `last_checked_at`, `since_id`,
+ *   and on failure `last_error`, `retry_count`, `backoff_until`
+ * - is recorded in `refresh_runs` with its source
+ * - fails with an AppError: `NotFoundError` (album gone), `NotAuthenticatedError`
+ *   (no connected account for the album's instance), `RateLimitError` (429 or
+ *   instance paused, `meta.retryAfter` in seconds), `UpstreamError` (instance
+ *   unreachable or other HTTP errors); anything else is a bug
+ *
+ * A refresh of an album that is already being refreshed joins the running one.
+ *
+ * Exports
+ * - `refreshAlbum(albumOrId, { source })` → Promise<RefreshResult>
+ *     RefreshResult: { albumId, runId, source, type, tagmode, requested,
+ *                      fetched, upserted, linked, since_id, new_since_id }
+ * - `startRefreshJob(albumId, { source })` → start a refresh in the background,
+ *   returns the job ({ id, albumId, status:'running'|'ok'|'error', result, error, ... })
+ * - `getRefreshJob(jobId)`                 → job or null
+ * - `isRefreshing(albumId)`                → whether a refresh is active in this process
+ * - `resolveAlbumAccountIds(album)`        → account IDs of a user/compound album
+ * - `albumHost(album)`                     → host of the album's instance (its rate budget), or null
+ *
+ * Notes
+ * - Jobs live in memory only and are forgotten `JOB_TTL_MS` after they finish;
+ *   the run history in `refresh_runs` is the durable record.
+ */
+
+import crypto from 'crypto';
+import * as albumRepo from '../db/albumRepo.js';
+import * as photoRepo from '../db/photoRepo.js';
+import * as refreshRunRepo from '../db/refreshRunRepo.js';
+import * as photoFetcher from './photoFetcher.js';
+import * as cache from '../modules/cache.js';
+import * as events from '../modules/events.js';
+import * as rateBudget from '../modules/rateBudget.js';
+import { resolveManyAccts } from '../modules/accounts.js';
+import { resolveInstance } from '../modules/instances.js';
+import { AppError, NotFoundError, RateLimitError, UpstreamError } from '../modules/errors.js';
+
+// Config
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours max
+const JITTER_PERCENTAGE = 10;
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// albumId -> Promise<RefreshResult> of the active refresh
+const inFlight = new Map();
+// jobId -> job
+const jobs = new Map();
+
+function nowIso() { return new Date().toISOString(); }
+function genId(prefix = 'job') { return `${prefix}_${crypto.randomUUID()}`; }
+
+function parseJson(s, fallback) {
+    if (!s) return fallback;
+    try { return JSON.parse(s); } catch { return fallback; }
+}
+
+/**
+ * Adds random jitter to a given interval in milliseconds.
+ * @param ms
+ * @returns {number}
+ */
+function addJitter(ms) {
+    const jitter = ms * (JITTER_PERCENTAGE / 100);
+    const randomOffset = (Math.random() - 0.5) * 2 * jitter;
+    return Math.round(ms + randomOffset);
+}
+
+/**
+ * Calculates exponential backoff
+ * @param attemptCount
+ * @param baseMs
+ * @returns {number}
+ */
+function calculateBackoff(attemptCount, baseMs = 60 * 1000) {
+    const backoff = Math.min(baseMs * Math.pow(2, attemptCount), MAX_BACKOFF_MS);
+    return addJitter(backoff);
+}
+
+/**
+ * Host of the instance an album is fetched from (key of its rate budget)
+ * @returns {string|null} - null if the album's instance no longer exists
+ */
+export function albumHost(album) {
+    try {
+        return resolveInstance(album.instance_id).host;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Resolve an album's stored query_users into account IDs.
+ * Accepts the `{ accts:[], ids:[] }` shape written by the album routes or a flat array of IDs.
+ */
+export async function resolveAlbumAccountIds(album) {
+    const users = parseJson(album.query_users, null);
+    if (!users) return [];
+    if (Array.isArray(users)) return users.map(String).filter(Boolean);
+
+    const ids = Array.isArray(users.ids) ? users.ids.map(String) : [];
+    if (Array.isArray(users.accts) && users.accts.length) {
+        ids.push(...await resolveManyAccts(users.accts, {
+            instanceId: album.instance_id,
+            accountId: album.account_id,
+        }));
+    }
+    return Array.from(new Set(ids.filter(Boolean)));
+}
+
+/**
+ * Turn what a fetch threw into an AppError. The Pixelfed API wrapper throws
+ * plain errors carrying the HTTP status.
+ */
+function toRefreshError(error) {
+    if (error instanceof AppError) return error;
+    if (error?.status === 429) {
+        return new RateLimitError('Rate limited by the remote instance', { status: 429 });
+    }
+    if (error?.status) {
+        return new UpstreamError(error.message || 'Remote instance error', { status: error.status });
+    }
+    return error;
+}
+
+/**
+ * Fetch the album's newest posts, newer than `since_id` when set.
+ * @returns {Promise<{ type:string, tagmode:string, requested:number, candidates:object[] }>}
+ */
+async function fetchCandidates(album, since_id) {
+    const type = album.query_type || 'tag';
+    const tags = Array.from(new Set(parseJson(album.query_tags, [])
+        .map(t => String(t).replace(/^#/, '').trim().toLowerCase())
+        .filter(Boolean)));
+    const tagmode = String(album.query_tagmode || 'any').toLowerCase();
+    const limit = album.query_limit || 20;
+    const requested = Math.min(limit * 5, 200); // extra room for filtering
+
+    const fetchParams = {
+        limit: requested,
+        tagmode,
+        since_id,
+        exclude: parseJson(album.query_exclude, null),
+        instanceId: album.instance_id || null,
+        accountId: album.account_id || null,
+    };
+
+    let candidates = [];
+    if (type === 'tag') {
+        candidates = await photoFetcher.getLatestPhotosForTags(tags, fetchParams);
+    } else if (type === 'user') {
+        candidates = await photoFetcher.getLatestPhotosForUsers(await resolveAlbumAccountIds(album), fetchParams);
+    } else if (type === 'compound') {
+        const accountIds = await resolveAlbumAccountIds(album);
+        candidates = await photoFetcher.getLatestPhotosCompound({ tags, accountIds }, fetchParams);
+    } else if (photoFetcher.TIMELINE_TYPES.includes(type)) {
+        candidates = await photoFetcher.getLatestPhotosForTimeline(type, fetchParams);
+    }
+    return { type, tagmode, requested, candidates: Array.isArray(candidates) ? candidates : [] };
+}
+
+/** Cursor for the next refresh: the instance's ID of the newest post, or the old one if nothing came back. */
+function nextSinceId(candidates, previous) {
+    const newest = candidates.reduce((best, post) =>
+        !best || new Date(post.created_at) > new Date(best.created_at) ? post : best, null);
+    return newest ? String(newest.remote_id ?? newest.id) : previous;
+}
+
+/**
+ * Save a failed refresh in `refresh_json`. Rate limits back off until the
+ * instance's pause (Retry-After / X-RateLimit-Reset), or exponentially when
+ * the instance gives no hint; other errors are retried on the next schedule.
+ */
+function recordFailure(album, refresh, error) {
+    if (error.code === 'rate_limited') {
+        const retryCount = (refresh.retry_count || 0) + 1;
+        const host = albumHost(album);
+        const pausedUntil = host ? rateBudget.pausedUntil(host) : 0;
+        albumRepo.update(album.id, {
+            refresh: {
+                backoff_until: new Date(pausedUntil || Date.now() + calculateBackoff(retryCount)).toISOString(),
+                last_error: error.message,
+                retry_count: retryCount,
+                last_checked_at: nowIso(),
+            },
+        });
+    } else {
+        albumRepo.update(album.id, { refresh: { last_error: error.message, last_checked_at: nowIso() } });
+    }
+}
+
+async function runRefresh(album, source) {
+    const albumId = album.id;
+    const refresh = parseJson(album.refresh_json, {});
+    const sinceId = refresh.since_id || null;
+    const runId = refreshRunRepo.start({ albumId, source, sinceId });
+    console.log(`[Refresh] Refreshing album ${albumId} "${album.name}" (${source})`);
+
+    try {
+        const { type, tagmode, requested, candidates } = await fetchCandidates(album, sinceId);
+
+        const upserted = Array.from(new Set(photoRepo.upsertMany(candidates).filter(Boolean)));
+        const linked = albumRepo.addPhotos(albumId, upserted) || 0;
+
+        // Warm the media cache in the background so frames keep working offline
+        cache.prefetch(candidates).catch(err => console.warn(`[Refresh] Media prefetch failed for album ${albumId}:`, err.message));
+
+        const newSinceId = nextSinceId(candidates, sinceId);
+        albumRepo.update(albumId, {
+            refresh: {
+                last_checked_at: nowIso(),
+                since_id: newSinceId,
+                backoff_until: null,
+                last_error: null,
+                retry_count: 0,
+            },
+        });
+
+        // Let connected players merge the new photos into their rotation
+        if (linked > 0) {
+            events.publish('album-refreshed', { albumId, linked, source });
+        }
+
+        refreshRunRepo.finish(runId, { fetched: candidates.length, upserted: upserted.length, linked });
+        console.log(`[Refresh] Album ${albumId} refreshed: ${candidates.length} fetched, ${upserted.length} upserted, ${linked} linked`);
+        return {
+            albumId, runId, source, type, tagmode, requested,
+            fetched: candidates.length,
+            upserted: upserted.length,
+            linked,
+            since_id: sinceId,
+            new_since_id: newSinceId,
+        };
+    } catch (e) {
+        const error = toRefreshError(e);
+        console.error(`[Refresh] Error refreshing album ${albumId} "${album.name}":`, error);
+        refreshRunRepo.fail(runId, error);
+        recordFailure(album, refresh, error);
+        throw error;
+    }
+}
+
+/**
+ * Refresh an album now (ignores its schedule and backoff).
+ * @param {string|object} albumOrId - album ID or album row
+ * @param {{ source?: 'scheduler'|'manual' }} [opts]
+ * @returns {Promise<object>} RefreshResult (see the module header)
+ * @throws {NotFoundError|NotAuthenticatedError|RateLimitError|UpstreamError}
+ */
+export function refreshAlbum(albumOrId, { source = 'manual' } = {}) {
+    const albumId = typeof albumOrId === 'string' ? albumOrId : albumOrId?.id;
+    if (inFlight.has(albumId)) return inFlight.get(albumId);
+
+    const album = albumRepo.get(albumId);
+    if (!album) return Promise.reject(new NotFoundError('album not found', { albumId }));
+
+    const run = runRefresh(album, source).finally(() => inFlight.delete(albumId));
+    inFlight.set(albumId, run);
+    return run;
+}
+
+export function isRefreshing(albumId) {
+    return inFlight.has(albumId);
+}
+
+function pruneJobs() {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, job] of jobs) {
+        if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) jobs.delete(id);
+    }
+}
+
+/**
+ * Start a refresh in the background; poll `getRefreshJob()` for its outcome.
+ * @param {string} albumId
+ * @param {{ source?: 'scheduler'|'manual' }} [opts]
+ * @returns {object} the job
+ * @throws {NotFoundError} if the album does not exist
+ */
+export function startRefreshJob(albumId, { source = 'manual' } = {}) {
+    if (!albumRepo.get(albumId)) throw new NotFoundError('album not found', { albumId });
+    pruneJobs();
+
+    const job = {
+        id: genId(),
+        albumId,
+        source,
+        status: 'running',
+        created_at: nowIso(),
+        finished_at: null,
+        result: null,
+        error: null,
+    };
+    jobs.set(job.id, job);
+
+    refreshAlbum(albumId, { source })
+        .then(result => {
+            job.status = 'ok';
+            job.result = result;
+        })
+        .catch(error => {
+            job.status = 'error';
+            job.error = {
+                code: error.code || 'internal_error',
+                message: error.message,
+                ...(error.meta?.retryAfter != null ? { retryAfter: error.meta.retryAfter } : {}),
+            };
+        })
+        .finally(() => { job.finished_at = nowIso(); });
+
+    return { ...job };
+}
+
+export function getRefreshJob(jobId) {
+    pruneJobs();
+    const job = jobs.get(jobId);
+    return job ? { ...job } : null;
+}
@@ -6,19 +6,27 @@
  * This service picks albums to refresh based on their schedule settings.
  *
  * Key Responsibilities:
- * - Interval based refreshing of albums with jitter
- * - Exponential backoff on rate limiting
+ * - Per-album schedules: an interval (with stable jitter) or a cron expression,
+ *   optionally limited to a daily time window (`getNextRunAt`, see `utils/cron.js`)
+ * - A bounded pool of workers (`settings.sync.concurrency`) refreshing due albums
+ * - Sharing one request budget per instance (`modules/rateBudget.js`): a 429 on one
+ *   album pauses every album on that instance (backoff itself is kept by
+ *   `services/albumRefresh.js`, which does the actual refresh)
  * - Respects album enabled/disabled state
  * - Uses global settings for default refresh intervals
  */
 
+import crypto from 'crypto';
 import * as albumRepo from '../db/albumRepo.js';
-import * as photoFetcher from './photoFetcher.js';
-import * as photoRepo from '../db/photoRepo.js';
+import * as refreshRunRepo from '../db/refreshRunRepo.js';
+import * as albumRefresh from './albumRefresh.js';
 import { getSettings } from '../modules/settings.js';
+import * as rateBudget from '../modules/rateBudget.js';
+import * as cron from '../utils/cron.js';
 
 let schedulerTimer = null;
 let isRunning = false;
+let tickInProgress = false;
 let stats = {
     started_at: null,
     last_run_at: null,
@@ -31,7 +39,6 @@ let stats = {
 
 // Config
 const TICK_INTERVAL_MS = 60 * 1000; // Check every minute
-const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours max
 const JITTER_PERCENTAGE = 10;
 
 /**
@@ -44,159 +51,134 @@ function getDefaultRefreshInterval() {
 }
 
 /**
- * Adds random jitter to a given interval in milliseconds.
- * @param ms
+ * Number of albums refreshed at the same time
  * @returns {number}
  */
-function addJitter(ms) {
-    const jitter = ms * (JITTER_PERCENTAGE / 100);
-    const randomOffset = (Math.random() - 0.5) * 2 * jitter;
-    return Math.round(ms + randomOffset);
+function getConcurrency() {
+    return getSettings().sync?.concurrency || 4;
 }
 
 /**
- * Calculates exponential backoff
- * @param attemptCount
- * @param baseMs
+ * The album's refresh interval, falling back to the global default
+ * @param refresh - parsed refresh_json
  * @returns {number}
  */
-function calculateBackoff(attemptCount, baseMs = 60 * 1000) {
-    const backoff = Math.min(baseMs * Math.pow(2, attemptCount), MAX_BACKOFF_MS);
-    return addJitter(backoff);
+function getRefreshInterval(refresh) {
+    const ms = Number(refresh.intervalMs);
+    return Number.isFinite(ms) && ms > 0 ? ms : getDefaultRefreshInterval();
 }
 
 /**
- * Checks if an album is due for refresh based on its schedule and backoff.
- * @param album
- * @returns {boolean}
+ * Jitter that stays the same for an album, so its next run time is predictable
+ * while albums created together still drift apart.
+ * @param ms
+ * @param key - album ID
+ * @returns {number}
  */
-function isDueForRefresh(album) {
-    if (!album.enabled) return false;
+function stableJitter(ms, key) {
+    const fraction = crypto.createHash('sha1').update(String(key)).digest().readUInt32BE(0) / 0xffffffff;
+    return Math.round(ms + (fraction - 0.5) * 2 * ms * (JITTER_PERCENTAGE / 100));
+}
+
+/**
+ * Moves `time` into the album's time window, if it has one: to the window's next
+ * start, or for cron schedules to the first cron time inside a window.
+ * @returns {Date|null} - null if the schedule never falls inside the window
+ */
+function fitToWindow(refresh, time) {
+    const window = cron.parseWindow(refresh.window);
+    let t = time;
+    for (let i = 0; t && i < 1000; i++) {
+        if (cron.isWithinWindow(window, t)) return t;
+        const start = cron.nextWindowStart(window, t);
+        t = refresh.cron ? cron.nextCronRun(refresh.cron, new Date(start.getTime() - 1)) : start;
+    }
+    return null;
+}
 
-    const now = new Date();
+/**
+ * When an album is refreshed next by the scheduler.
+ *
+ * - Never refreshed: right away (within its window)
+ * - `refresh.cron`: the first cron time after the last refresh
+ * - otherwise: `refresh.intervalMs` (default `settings.sync.intervalMs`) after the last refresh
+ * then no earlier than `backoff_until`, and moved into `refresh.window` if set.
+ * @param album - album row
+ * @param {Date} [now]
+ * @returns {Date|null} - null for disabled albums and schedules that never run
+ */
+export function getNextRunAt(album, now = new Date()) {
+    if (!album.enabled) return null;
     const refresh = JSON.parse(album.refresh_json || '{}');
 
-    if (refresh.backoff_until) {
-        const backoffUntil = new Date(refresh.backoff_until).getTime();
-        if (now < backoffUntil) {
-            return false;
+    let next;
+    try {
+        const last = refresh.last_checked_at ? new Date(refresh.last_checked_at) : null;
+        if (!last) next = now;
+        else if (refresh.cron) next = cron.nextCronRun(refresh.cron, last);
+        else next = new Date(last.getTime() + stableJitter(getRefreshInterval(refresh), album.id));
+
+        if (next && refresh.backoff_until && new Date(refresh.backoff_until) > next) {
+            next = new Date(refresh.backoff_until);
         }
+        if (next && refresh.window) next = fitToWindow(refresh, next);
+    } catch (error) {
+        // Validated on save; an invalid schedule written some other way must not stop the scheduler
+        console.warn(`[Scheduler] Invalid schedule for album ${album.id}:`, error.message);
+        return null;
     }
+    return next;
+}
 
-    const lastChecked = refresh.last_checked_at ? new Date(refresh.last_checked_at).getTime() : 0;
-    const refreshInterval = refresh.refresh_interval_ms || getDefaultRefreshInterval();
-    const jitteredInterval = addJitter(refreshInterval);
-    return now >= (lastChecked + jitteredInterval);
+/**
+ * Checks if an album is due for refresh based on its schedule and backoff.
+ * @param album
+ * @returns {boolean}
+ */
+function isDueForRefresh(album) {
+    const next = getNextRunAt(album);
+    return !!next && next <= new Date();
 }
 
 /**
- * Refreshes a single album by fetching latest photos and updating the database.
+ * Refreshes a single album (see `services/albumRefresh.js`) and counts the outcome.
  * @param album
  * @returns {Promise<void>}
  */
 async function refreshAlbum(album) {
-    const albumId = album.id;
-    const refresh = JSON.parse(album.refresh_json || '{}');
-
     try {
-        console.log(`[Scheduler] Refreshing album ${albumId} "${album.name}"`);
-
-        // Parse query components
-        const type = album.query_type || 'tag';
-        const tags = album.query_tags ? JSON.parse(album.query_tags) : [];
-        const users = album.query_users ? JSON.parse(album.query_users) : [];
-        const tagmode = album.query_tagmode || 'any';
-        const limit = album.query_limit || 20;
-        const headroom = Math.min(limit * 5, 200); // extra room for filtering
-
-        const fetchParams = {
-            limit: headroom,
-            tagmode,
-            since_id: refresh.since_id || null,
-        };
-
-        let candidates = [];
-
-        if (type === 'tag') {
-            candidates = await photoFetcher.getLatestPhotosForTags(tags, fetchParams);
-        } else if (type === 'user') {
-            candidates = await photoFetcher.getLatestPhotosForUsers(users, fetchParams);
-        } else if (type === 'compound') {
-            candidates = await photoFetcher.getLatestPhotosCompound({tags, accountIds: users}, fetchParams);
-        }
-
-        candidates = Array.isArray(candidates) ? candidates : [];
-
-        // Upsert photos
-        const upsertedIds = photoRepo.upsertMany(candidates);
-        const cleanIds = Array.from(new Set(upsertedIds.filter(Boolean)));
-
-        // Link photos to album
-        const linkedCount = albumRepo.addPhotos(albumId, cleanIds, true) || 0;
-        console.log(`[DEBUG] Candidates fetched:`, candidates.length);
-        console.log(`[DEBUG] Old since_id:`, refresh.since_id);
-        // Update since_id watermark
-        let newSinceId = refresh.since_id;
-        if (candidates.length > 0) {
-            const newestPost = candidates.reduce((newest, post) =>
-                !newest || new Date(post.created_at) > new Date(newest.created_at) ? post : newest, null
-            );
-            if (newestPost) {
-                newSinceId = newestPost.id;
-            }
-        }
-
-        console.log(`[DEBUG] New since_id:`, newSinceId);
-        console.log(`[DEBUG] Newest post ID:`, candidates[0]?.id);
-
-        const updatedRefresh = {
-            ...refresh,
-            last_checked_at: new Date().toISOString(),
-            since_id: newSinceId,
-            backoff_until: null,
-            last_error: null,
-            retry_count: 0
-        }
-
-        console.log(`[DEBUG] Updated refresh object:`, JSON.stringify(updatedRefresh));
-
-        albumRepo.update(albumId, {refresh: updatedRefresh});
-
-        console.log(`[Scheduler] Album ${albumId} refreshed: ${candidates.length} fetched, ${cleanIds.length} upserted, ${linkedCount} linked`);
+        await albumRefresh.refreshAlbum(album, { source: 'scheduler' });
         stats.albums_refreshed++;
     } catch (error) {
-        console.error(`[Scheduler] Error refreshing album ${albumId} "${album.name}":`, error);
+        // Logged, recorded in refresh_runs and backed off by the refresh service
         stats.errors++;
+        if (error.code === 'rate_limited') stats.rate_limited++;
+    }
+}
 
-        // Handle rate limiting specially
-        if (error.code === 'rate_limited' || error.message?.includes('429')) {
-            console.log(`[Scheduler] Rate limited on album ${albumId}, applying backoff`);
-            stats.rate_limited++;
-
-            const retryCount = (refresh.retry_count || 0) + 1;
-            const backoffMs = calculateBackoff(retryCount);
-            const backoffUntil = new Date(Date.now() + backoffMs).toISOString();
-
-            const updatedRefresh = {
-                ...refresh,
-                backoff_until: backoffUntil,
-                last_error: error.message,
-                retry_count: retryCount,
-                last_checked_at: new Date().toISOString()
-            };
-
-            albumRepo.update(albumId, { refresh: updatedRefresh });
-        } else {
-            // Other errors - just log for now, will retry next cycle
-            const updatedRefresh = {
-                ...refresh,
-                last_error: error.message,
-                last_checked_at: new Date().toISOString()
-            };
-
-            albumRepo.update(albumId, { refresh: updatedRefresh });
+/**
+ * Refreshes albums with up to `settings.sync.concurrency` workers. All workers
+ * share the per-instance request budget; albums on an instance that is paused
+ * after a rate limit are skipped and picked up again by a later tick.
+ * @param albums
+ * @returns {Promise<void>}
+ */
+async function refreshWithWorkers(albums) {
+    const queue = [...albums];
+    const worker = async () => {
+        while (isRunning && queue.length) {
+            const album = queue.shift();
+            const host = albumRefresh.albumHost(album);
+            if (host && rateBudget.pausedUntil(host)) {
+                stats.albums_skipped++;
+                continue;
+            }
+            await refreshAlbum(album).catch(err =>
+                console.error(`[Scheduler] Unexpected error refreshing album ${album.id}:`, err));
         }
-    }
+    };
+    const workers = Math.min(getConcurrency(), queue.length);
+    await Promise.all(Array.from({ length: workers }, worker));
 }
 
 /**
@@ -205,6 +187,12 @@ async function refreshAlbum(album) {
  */
 async function schedulerTick(){
     if(!isRunning) return;
+    // A long tick must not overlap the next one, or albums get refreshed twice
+    if (tickInProgress) {
+        console.log('[Scheduler] Previous run still in progress, skipping this tick');
+        return;
+    }
+    tickInProgress = true;
 
     const now = new Date().toISOString();
     stats.last_run_at = now;
@@ -223,16 +211,12 @@ async function schedulerTick(){
         }
 
         console.log('[Scheduler] Found', dueAlbums.length, 'due albums');
-        for (const album of dueAlbums) {
-            if (!isRunning) break;
-            await refreshAlbum(album);
-
-            // Delay between refreshes
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+        await refreshWithWorkers(dueAlbums);
     } catch (error) {
         console.error('[Scheduler] Error in scheduler run: ', error);
         stats.errors++;
+    } finally {
+        tickInProgress = false;
     }
 }
 
@@ -292,21 +276,21 @@ export function getStatus() {
     return {
         running: isRunning,
         tick_interval_ms: TICK_INTERVAL_MS,
-        stats: { ...stats }
+        concurrency: getConcurrency(),
+        rate_budget: rateBudget.status(),
+        stats: { ...stats },
+        // Unlike `stats`, kept across restarts (see refresh_runs / GET /api/scheduler/runs)
+        last_24h: refreshRunRepo.summary(new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()),
     };
 }
 
 /**
  * Force refresh of a specific album (bypasses scheduling)
+ * @returns {Promise<object>} the refresh result
  */
 export async function forceRefreshAlbum(albumId) {
-    const album = albumRepo.get(albumId);
-    if (!album) {
-        throw new Error('Album not found');
-    }
-
     console.log(`[Scheduler] Force refresh requested for album ${albumId}`);
-    await refreshAlbum(album);
+    return albumRefresh.refreshAlbum(albumId, { source: 'manual' });
 }
 
 // Convenience aliases for API routes
@@ -0,0 +1,124 @@
+/**
+ * services/maintenance.js
+ * -----------------------
+ * Periodic housekeeping of the database and the media cache.
+ *
+ * Each run
+ * 1. applies every album's retention (`retention_json`): keep the `maxPhotos`
+ *    newest posts and/or drop posts older than `maxAgeDays` (by post date).
+ *    Albums without retention keep everything.
+ * 2. deletes photos that no album links any more, with their cached media.
+ *    Favorites are kept.
+ * 3. deletes refresh history older than `settings.maintenance.runHistoryDays`
+ *
+ * Runs at startup and then every `settings.maintenance.intervalMs`.
+ *
+ * Exports
+ * - `runMaintenance()`       → run now, returns what was removed
+ * - `startMaintenance()` / `stopMaintenance()`
+ * - `getStatus()`            → `{ running, interval_ms, last_run }`
+ * - `parseRetention(album)`  → `{ maxPhotos, maxAgeDays }` of an album row, or null
+ */
+
+import * as albumRepo from '../db/albumRepo.js';
+import * as photoRepo from '../db/photoRepo.js';
+import * as refreshRunRepo from '../db/refreshRunRepo.js';
+import * as cache from '../modules/cache.js';
+import * as events from '../modules/events.js';
+import { getSettings } from '../modules/settings.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+let lastRun = null;
+
+function intervalMs() {
+    return getSettings().maintenance?.intervalMs || 6 * 60 * 60 * 1000;
+}
+
+/**
+ * The album's retention, or null if it keeps everything.
+ * @param album - album row
+ * @returns {{ maxPhotos: number|null, maxAgeDays: number|null }|null}
+ */
+export function parseRetention(album) {
+    let retention = null;
+    try { retention = JSON.parse(album.retention_json || 'null'); } catch { /* keep everything */ }
+    const maxPhotos = Number.isInteger(retention?.maxPhotos) ? retention.maxPhotos : null;
+    const maxAgeDays = Number.isInteger(retention?.maxAgeDays) ? retention.maxAgeDays : null;
+    return maxPhotos == null && maxAgeDays == null ? null : { maxPhotos, maxAgeDays };
+}
+
+/**
+ * Enforce album retention, then remove orphaned photos, cached media and old refresh history.
+ * @returns {{ started_at: string, finished_at: string, albums: Array<{ albumId: string, removed: number }>,
+ *             unlinked: number, photos_removed: number, media_removed: number, runs_removed: number }}
+ */
+export function runMaintenance() {
+    const started_at = new Date().toISOString();
+    const now = Date.now();
+
+    const albums = [];
+    const { items } = albumRepo.list({ limit: 100000 });
+    for (const album of items) {
+        const retention = parseRetention(album);
+        if (!retention) continue;
+        const removed = albumRepo.pruneItems(album.id, {
+            maxPhotos: retention.maxPhotos,
+            olderThan: retention.maxAgeDays != null ? new Date(now - retention.maxAgeDays * DAY_MS).toISOString() : null,
+        });
+        if (removed) {
+            albums.push({ albumId: album.id, removed });
+            events.publish('album-updated', { albumId: album.id, action: 'pruned', pruned: removed });
+        }
+    }
+
+    // Cached files first: deleting a photo only drops its manifest rows
+    let media_removed = 0;
+    for (const statusId of photoRepo.listUnreferenced()) media_removed += cache.evict(statusId);
+    const photos_removed = photoRepo.removeUnreferenced();
+
+    const historyDays = getSettings().maintenance?.runHistoryDays || 30;
+    const runs_removed = refreshRunRepo.pruneBefore(new Date(now - historyDays * DAY_MS).toISOString());
+
+    lastRun = {
+        started_at,
+        finished_at: new Date().toISOString(),
+        albums,
+        unlinked: albums.reduce((n, a) => n + a.removed, 0),
+        photos_removed,
+        media_removed,
+        runs_removed,
+    };
+    console.log(`[Maintenance] Unlinked ${lastRun.unlinked} photo(s) from ${albums.length} album(s); removed ${photos_removed} orphaned photo(s), ${media_removed} cached file(s), ${runs_removed} old refresh run(s)`);
+    return lastRun;
+}
+
+function tick() {
+    try {
+        runMaintenance();
+    } catch (error) {
+        console.error('[Maintenance] Run failed:', error);
+    }
+    // Re-read the interval each time so settings changes apply without a restart
+    if (isRunning) timer = setTimeout(tick, intervalMs());
+}
+
+export function startMaintenance() {
+    if (isRunning) return;
+    isRunning = true;
+    tick();
+}
+
+export function stopMaintenance() {
+    isRunning = false;
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+}
+
+export function getStatus() {
+    return { running: isRunning, interval_ms: intervalMs(), last_run: lastRun };
+}
@@ -8,14 +8,15 @@
  *   - One or more hashtags (tag timelines, with “any” or “all” tag match modes)
  *   - One or more user accounts (statuses from specific accounts)
  *   - Combined tags + users (AND semantics: fetch user posts, then filter locally by tags)
+ *   - The instance's public (federated), local or home timeline
  *
  * Key responsibilities:
- * - Wrap Pixelfed/Mastodon API calls for tag timelines and user statuses.
+ * - Wrap Pixelfed/Mastodon API calls for tag, public/local/home timelines and user statuses.
  * - Apply local filtering for tag requirements, since federated servers cannot
  *   reliably filter remote posts by tag.
  * - Normalize raw statuses into a consistent `Photo` object shape:
- *     `{ id, created_at, author, author_display_name, caption, post_url,
- *        tags[], url, preview_url }`
+ *     `{ id, remote_id, instance_id, created_at, author, author_display_name, caption,
+ *        post_url, tags[], sensitive, spoiler_text, url, preview_url }`
  * - Support OR vs ALL tag logic (`tagmode` option).
  * - Deduplicate posts and enforce configurable limits (1–40).
  * - Handle transient errors and rate limits with meaningful error types.
@@ -27,18 +28,37 @@
  *     Fetch recent posts from one or more accounts.
  * - `getLatestPhotosCompound(input: { tags, accountIds }, opts)`  
  *     Fetch posts matching both tags and users (AND semantics, local filtering).
+ * - `getLatestPhotosForTimeline(timeline: 'public'|'local'|'home', opts)`  
+ *     Fetch recent posts from an instance timeline (`TIMELINE_TYPES`).
+ * - `getPhotoPage(source, { limit, max_id, since_id, instanceId, accountId })`  
+ *     Fetch one page from a single tag, account or timeline, returning the next `max_id` cursor.
+ * - `filterByTags(photos, tags, tagmode)`  
+ *     Local “any”/“all” tag filter shared with the backfill service.
+ * - `isExcluded(photo, exclude)` / `filterExcluded(photos, exclude)`  
+ *     Album exclusion rules (`{ tags, users, keywords }`): drops posts carrying a blocked
+ *     tag, posted by a blocked account, or whose caption contains a blocked keyword.
  *
  * Notes:
- * - Uses `auth.getAccessToken()` for OAuth2 bearer tokens.
- * - Base Pixelfed instance URL comes from `PIXELFED_INSTANCE` env var
- *   (defaults to https://pixelfed.social).
+ * - Uses `auth.getAccessToken({ instanceId, accountId })` for OAuth2 bearer tokens.
+ * - Every request takes a token from the instance's shared budget (`modules/rateBudget.js`)
+ *   and reports its rate-limit headers back to it.
+ * - Every fetch accepts `opts.instanceId` (see `modules/instances.js`); without it the
+ *   default `PIXELFED_INSTANCE` server is queried. `opts.accountId` picks the connected
+ *   account whose token is used (default: the instance's first account), which decides
+ *   what follower-only posts are visible.
+ * - Status IDs are only unique per instance: photos carry the instance's own ID as
+ *   `remote_id` (use it for since_id/max_id cursors) and a qualified `id`
+ *   (`qualifyStatusId`) that is safe to store alongside other instances' posts.
  * - Returns only image attachments; other media types are skipped.
  * - Sorting is newest-first by `created_at`.
+ * - The `getLatest*` functions accept `opts.exclude` and apply it before capping to `limit`.
  */
 
 import { get as apiGet } from '../api/pixelfedApi.js';
 import { getAccessToken } from '../modules/auth.js';
-import { UpstreamError, RateLimitError } from '../modules/errors.js';
+import { resolveInstance, qualifyStatusId, storedInstanceId } from '../modules/instances.js';
+import { UpstreamError, RateLimitError, ValidationError } from '../modules/errors.js';
+import * as rateBudget from '../modules/rateBudget.js';
 
 // Tag matching helpers (case-insensitive)
 const norm = t => String(t || '').toLowerCase();
@@ -59,12 +79,21 @@ const hasAnyTag = (postTags = [], required = []) => {
  * @typedef {{ limit:number }} FetchOptions
  */
 
-function baseUrl() {
-  return process.env.PIXELFED_INSTANCE || 'https://pixelfed.social';
+function baseUrl(instanceId) {
+  return resolveInstance(instanceId).baseUrl;
+}
+
+// Identity fields of a status fetched from `instanceId`
+function statusIdentity(statusId, instanceId) {
+  return {
+    id: qualifyStatusId(statusId, instanceId),
+    remote_id: String(statusId),
+    instance_id: storedInstanceId(instanceId),
+  };
 }
 
 // Minimal normalizer from Mastodon/Pixelfed statuses -> your photo shape
-function normalizeStatusesToPhotos(statuses = []) {
+function normalizeStatusesToPhotos(statuses = [], instanceId) {
   const out = [];
   for (const st of statuses) {
     const author = st.account || st.author || {};
@@ -73,7 +102,7 @@ function normalizeStatusesToPhotos(statuses = []) {
       // Only images
       if (m.type && m.type !== 'image') continue;
       out.push({
-        id: st.id,
+        ...statusIdentity(st.id, instanceId),
         created_at: st.created_at,
         author: {
           id: author.id,
@@ -86,6 +115,8 @@ function normalizeStatusesToPhotos(statuses = []) {
         caption: st.content || st.caption || '',
         post_url: st.url || st.uri,
         tags,
+        sensitive: !!st.sensitive,
+        spoiler_text: st.spoiler_text || '',
         url: m.url || m.remote_url || m.preview_url,
         preview_url: m.preview_url || m.url,
       });
@@ -95,18 +126,21 @@ function normalizeStatusesToPhotos(statuses = []) {
 }
 
 /**
- * Fetch a single tag timeline from the configured instance.
- * Supports { limit, since_id, max_id }.
- * Returns an array of normalized photo objects (one entry per media attachment).
+ * Fetch one page of a timeline (`path`, e.g. /api/v1/timelines/tag/:tag) from an instance.
+ * Supports { limit, since_id, max_id, instanceId, accountId } plus extra query `params`; `context` is attached to errors.
+ * Returns normalized photos (one entry per media attachment) plus the
+ * `max_id` cursor for the next (older) page, or null when the page was empty.
  */
-async function fetchTagTimeline(tag, { limit = 20, since_id, max_id } = {}) {
-  const base = baseUrl();
-  const u = new URL(`/api/v1/timelines/tag/${encodeURIComponent(String(tag).replace(/^#/, ''))}`, base);
+async function fetchTimelinePage(path, { limit = 20, since_id, max_id, instanceId, accountId, params = {} } = {}, context = {}) {
+  const base = baseUrl(instanceId);
+  const u = new URL(path, base);
   u.searchParams.set('limit', String(limit));
   if (since_id) u.searchParams.set('since_id', String(since_id));
   if (max_id) u.searchParams.set('max_id', String(max_id));
+  for (const [k, v] of Object.entries(params)) u.searchParams.set(k, String(v));
 
-  const token = await getAccessToken();
+  const token = await getAccessToken({ instanceId, accountId });
+  await rateBudget.acquire(u.host);
   let res;
   try {
     res = await fetch(u, {
@@ -116,31 +150,67 @@ async function fetchTagTimeline(tag, { limit = 20, since_id, max_id } = {}) {
       },
     });
   } catch (e) {
-    throw new UpstreamError('Unable to reach the remote instance', { tag, cause: String(e) });
+    throw new UpstreamError('Unable to reach the remote instance', { ...context, cause: String(e) });
   }
+  rateBudget.observe(u.host, res);
 
   if (res.status === 429) {
-    const retryAfter = Number(res.headers.get('retry-after')) || undefined;
-    throw new RateLimitError('Rate limited by the remote instance', { tag, retryAfter });
+    const pausedUntil = rateBudget.pausedUntil(u.host);
+    const retryAfter = pausedUntil ? Math.ceil((pausedUntil - Date.now()) / 1000) : undefined;
+    throw new RateLimitError('Rate limited by the remote instance', { ...context, retryAfter });
   }
   if (res.status >= 500) {
-    throw new UpstreamError('Remote instance error', { tag, status: res.status });
+    throw new UpstreamError('Remote instance error', { ...context, status: res.status });
   }
   if (!res.ok) {
     // 4xx other than 429 → treat as empty
-    return [];
+    return { photos: [], next_max_id: null };
   }
 
   const data = await res.json();
-  // If you already have a normalizer, use that here instead:
-  // return normalizeStatusToPhotoList(data);
-  return normalizeStatusesToPhotos(Array.isArray(data) ? data : []);
+  const statuses = Array.isArray(data) ? data : [];
+  return {
+    photos: normalizeStatusesToPhotos(statuses, instanceId),
+    next_max_id: statuses.length ? statuses[statuses.length - 1].id : null,
+  };
+}
+
+/** One page of a tag timeline; see `fetchTimelinePage`. */
+async function fetchTagTimelinePage(tag, opts = {}) {
+  const path = `/api/v1/timelines/tag/${encodeURIComponent(String(tag).replace(/^#/, ''))}`;
+  return fetchTimelinePage(path, opts, { tag });
+}
+
+// Instance-wide timelines usable as album sources ('home' is the logged-in account's feed)
+const TIMELINES = {
+  public: { path: '/api/v1/timelines/public', params: {} },
+  local: { path: '/api/v1/timelines/public', params: { local: 'true' } },
+  home: { path: '/api/v1/timelines/home', params: {} },
+};
+
+export const TIMELINE_TYPES = Object.keys(TIMELINES);
+
+/** One page of the public, local or home timeline; see `fetchTimelinePage`. */
+async function fetchNamedTimelinePage(timeline, opts = {}) {
+  const t = TIMELINES[timeline];
+  if (!t) throw new ValidationError('Unsupported timeline', { timeline });
+  return fetchTimelinePage(t.path, { ...opts, params: t.params }, { timeline });
+}
+
+/**
+ * Fetch a single tag timeline from an instance.
+ * Supports { limit, since_id, max_id, instanceId, accountId }.
+ * Returns an array of normalized photo objects (one entry per media attachment).
+ */
+async function fetchTagTimeline(tag, opts = {}) {
+  const { photos } = await fetchTagTimelinePage(tag, opts);
+  return photos;
 }
 
-function statusToPhotos(status) {
+function statusToPhotos(status, instanceId) {
   if (!status || !Array.isArray(status.media_attachments)) return [];
   const base = {
-    id: status.id,
+    ...statusIdentity(status.id, instanceId),
     created_at: status.created_at,
     author: status.account ? {
       id: status.account.id,
@@ -153,7 +223,9 @@ function statusToPhotos(status) {
     caption: status.content,
     post_url: status.url,
     location: status.location || status.place || status.geo || undefined,
-    tags: Array.isArray(status.tags) ? status.tags.map(t => t.name) : []
+    tags: Array.isArray(status.tags) ? status.tags.map(t => t.name) : [],
+    sensitive: !!status.sensitive,
+    spoiler_text: status.spoiler_text || ''
   };
   const out = [];
   for (const m of status.media_attachments) {
@@ -184,10 +256,120 @@ function intersectById(a, b) {
 
 function clamp(n, lo, hi) { return Math.max(lo, Math.min(hi, n)); }
 
+/**
+ * Keep only photos whose tags satisfy `tagmode` ('any' | 'all') for `tags`.
+ * An empty tag list keeps everything.
+ */
+export function filterByTags(photos, tags = [], tagmode = 'any') {
+  if (!tags.length) return photos;
+  return photos.filter(p =>
+    String(tagmode).toLowerCase() === 'all'
+      ? hasAllTags(p.tags, tags)
+      : hasAnyTag(p.tags, tags)
+  );
+}
+
+// Caption text for keyword matching: tags stripped, entities decoded, lowercased
+function captionText(html) {
+  return String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .toLowerCase();
+}
+
+// Blocked account entry vs. the post author. Entries are accts ("alice" or
+// "alice@host") or account IDs; local authors carry no host in their acct,
+// local to the instance the photo came from.
+function matchesUser(author = {}, entry, instanceId) {
+  const e = norm(entry).replace(/^@/, '');
+  if (!e) return false;
+  if (author.id != null && String(author.id) === e) return true;
+  const acct = norm(author.acct).replace(/^@/, '');
+  if (!acct) return false;
+  if (acct === e) return true;
+  const [user, host] = e.split('@');
+  if (acct.includes('@') || acct !== user) return false;
+  try {
+    return host === resolveInstance(instanceId).host;
+  } catch {
+    return false; // photo from an instance that has since been removed
+  }
+}
+
+/**
+ * True when an album's exclusion rules reject the photo.
+ * @param {{ tags?: string[], author?: { id?: string, acct?: string }, caption?: string, instance_id?: string|null }} photo
+ * @param {{ tags?: string[], users?: string[], keywords?: string[] }} [exclude]
+ */
+export function isExcluded(photo, exclude) {
+  if (!exclude) return false;
+  const { tags = [], users = [], keywords = [] } = exclude;
+  if (tags.length && hasAnyTag(photo.tags || [], tags)) return true;
+  if (users.length && users.some(u => matchesUser(photo.author, u, photo.instance_id))) return true;
+  if (keywords.length) {
+    const text = captionText(photo.caption);
+    if (keywords.some(k => text.includes(norm(k)))) return true;
+  }
+  return false;
+}
+
+/** Drop photos rejected by `exclude` (see `isExcluded`). */
+export function filterExcluded(photos, exclude) {
+  if (!exclude) return photos;
+  return photos.filter(p => !isExcluded(p, exclude));
+}
+
+/**
+ * Fetch a single page of older (or newer) posts from one source, for
+ * cursor-driven walks such as album backfill.
+ *
+ * @param {{ type:'tag', tag:string } | { type:'user', accountId:string } | { type:'timeline', timeline:'public'|'local'|'home' }} source
+ * @param {{ limit?:number, max_id?:string, since_id?:string, instanceId?:string|null, accountId?:string|null }} [opts]
+ * @returns {Promise<{ photos: Array<object>, next_max_id: string|null }>}
+ *   `next_max_id` is the id of the oldest status on the page (null when the page was empty,
+ *   i.e. the history is exhausted).
+ */
+export async function getPhotoPage(source, opts = {}) {
+  const limit = clamp(Number(opts?.limit) || 40, 1, 40);
+  const max_id = opts?.max_id || null;
+  const since_id = opts?.since_id || null;
+  const instanceId = opts?.instanceId || null;
+  const accountId = opts?.accountId || null;
+
+  if (source?.type === 'tag') {
+    return fetchTagTimelinePage(source.tag, { limit, max_id, since_id, instanceId, accountId });
+  }
+  if (source?.type === 'timeline') {
+    return fetchNamedTimelinePage(source.timeline, { limit, max_id, since_id, instanceId, accountId });
+  }
+  if (source?.type === 'user') {
+    const token = await getAccessToken({ instanceId, accountId });
+    const { data } = await apiGet(`/api/v1/accounts/${encodeURIComponent(source.accountId)}/statuses`, token, {
+      limit,
+      exclude_replies: true,
+      max_id,
+      since_id,
+    }, { baseUrl: baseUrl(instanceId) });
+    const statuses = Array.isArray(data) ? data : [];
+    return {
+      photos: dedupeById(statuses.flatMap(st => statusToPhotos(st, instanceId))),
+      next_max_id: statuses.length ? statuses[statuses.length - 1].id : null,
+    };
+  }
+  throw new ValidationError('Unsupported page source', { source });
+}
+
 export async function getLatestPhotosForTags(tagsInput, opts = {}) {
   const limit = clamp(Number(opts?.limit) || 20, 1, 40);
   const tagmode = String(opts?.tagmode || 'any').toLowerCase(); // 'any' | 'all'
   const since_id = opts?.since_id || null;
+  const instanceId = opts?.instanceId || null;
+  const accountId = opts?.accountId || null;
   const tags = (tagsInput || [])
     .map(s => String(s).replace(/^#/, '').trim())
     .filter(Boolean);
@@ -197,7 +379,7 @@ export async function getLatestPhotosForTags(tagsInput, opts = {}) {
   // Fetch per-tag timelines in parallel
   const headroom = Math.min(limit * 5, 200); // extra for intersection/filter
   const perTagLists = await Promise.all(
-    tags.map(t => fetchTagTimeline(t, { limit: headroom, since_id }))
+    tags.map(t => fetchTagTimeline(t, { limit: headroom, since_id, instanceId, accountId }))
   );
 
   // Union candidates by status id (so duplicates collapse)
@@ -205,11 +387,7 @@ export async function getLatestPhotosForTags(tagsInput, opts = {}) {
     perTagLists.flat().map(p => [p.id, p])
   ).values()];
 
-  const filtered = candidates.filter(p =>
-    tagmode === 'all'
-      ? hasAllTags(p.tags, tags)
-      : hasAnyTag(p.tags, tags)
-  );
+  const filtered = filterExcluded(filterByTags(candidates, tags, tagmode), opts?.exclude);
 
   // Newest first, cap to limit
   filtered.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
@@ -217,7 +395,8 @@ export async function getLatestPhotosForTags(tagsInput, opts = {}) {
 }
 
 export async function getLatestPhotosForUsers(accountIds, opts) {
-  const token = await getAccessToken();
+  const instanceId = opts?.instanceId || null;
+  const token = await getAccessToken({ instanceId, accountId: opts?.accountId || null });
   const limit = clamp(Number(opts?.limit)||20, 1, 40);
   const per = clamp(Math.ceil(limit * 1.5), 10, 40);
   const since_id = opts?.since_id || null;
@@ -227,42 +406,62 @@ export async function getLatestPhotosForUsers(accountIds, opts) {
         limit: per,
         exclude_replies: true,
         since_id,
-    });
+    }, { baseUrl: baseUrl(instanceId) });
     if (Array.isArray(data)) {
-      for (const st of data) all.push(...statusToPhotos(st));
+      for (const st of data) all.push(...statusToPhotos(st, instanceId));
     }
   }
   all.sort((a,b)=> new Date(b.created_at) - new Date(a.created_at));
-  return dedupeById(all).slice(0, limit);
+  return filterExcluded(dedupeById(all), opts?.exclude).slice(0, limit);
 }
 
 export async function getLatestPhotosCompound(input, opts = {}) {
   const limit = clamp(Number(opts?.limit) || 20, 1, 40);
   const tagmode = String(opts?.tagmode || 'any').toLowerCase(); // 'any' | 'all'
   const since_id = opts?.since_id || null;
+  const exclude = opts?.exclude;
+  const instanceId = opts?.instanceId || null;
+  const accountId = opts?.accountId || null;
   const tags = (input.tags || [])
     .map(s => String(s).replace(/^#/, '').trim())
     .filter(Boolean);
   const users = (input.accountIds || []).filter(Boolean);
 
   if (tags.length && !users.length) {
-    return getLatestPhotosForTags(tags, { limit, tagmode, since_id });
+    return getLatestPhotosForTags(tags, { limit, tagmode, since_id, exclude, instanceId, accountId });
   }
   if (users.length && !tags.length) {
-    return getLatestPhotosForUsers(users, { limit, since_id });
+    return getLatestPhotosForUsers(users, { limit, since_id, exclude, instanceId, accountId });
   }
 
   // AND semantics in federated context:
   // Fetch user posts, then filter locally by tags (ANY or ALL).
   const headroom = Math.min(limit * 3, 120);
-  const userPosts = await getLatestPhotosForUsers(users, { limit: headroom, since_id });
+  const userPosts = await getLatestPhotosForUsers(users, { limit: headroom, since_id, exclude, instanceId, accountId });
 
-  const filtered = userPosts.filter(p =>
-    tagmode === 'all'
-      ? hasAllTags(p.tags, tags)
-      : hasAnyTag(p.tags, tags)
-  );
+  const filtered = filterByTags(userPosts, tags, tagmode);
+
+  filtered.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return filtered.slice(0, limit);
+}
+
+/**
+ * Latest photos from the public (federated), local or home timeline.
+ * Supports { limit, since_id, exclude, instanceId, accountId }; timelines carry no tag filter.
+ */
+export async function getLatestPhotosForTimeline(timeline, opts = {}) {
+  const limit = clamp(Number(opts?.limit) || 20, 1, 40);
+  const since_id = opts?.since_id || null;
+
+  // One full page: many posts on a timeline have no images
+  const { photos } = await fetchNamedTimelinePage(timeline, {
+    limit: 40,
+    since_id,
+    instanceId: opts?.instanceId,
+    accountId: opts?.accountId,
+  });
+  const filtered = filterExcluded(dedupeById(photos), opts?.exclude);
 
   filtered.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
   return filtered.slice(0, limit);
-}
\ No newline at end of file
+}
@@ -0,0 +1,78 @@
+/**
+ * services/playlistMixer.js
+ * -----------------------
+ * Interleaves the photos of several albums into one playlist sequence.
+ *
+ * Each source album gets a share of the sequence proportional to its weight
+ * (60/40 → 3 of every 5 photos come from the first album), spread out as evenly
+ * as possible using smooth weighted round-robin: with weights 2:1 the order is
+ * A B A A B A ..., never A A B B.
+ *
+ * A photo that appears in several albums is only played once, at its first
+ * position. When an album runs out, the remaining albums share its slots.
+ *
+ * Exports
+ * - `mixSequence(sources)` → full interleaved sequence of `{ id, source }`
+ * - `loadPlaylistSequence(playlist, window?)` → sequence for a playlist row from `playlistRepo.get()`
+ *
+ * Notes
+ * - The mix is deterministic for the same album contents, so paging through the
+ *   sequence with offset/limit is stable between requests.
+ */
+
+import * as photoRepo from '../db/photoRepo.js';
+
+/**
+ * @param {Array<{ key: string, weight: number, ids: string[] }>} sources
+ *   `ids` in the order they should be played within the source
+ * @returns {Array<{ id: string, source: string }>}
+ */
+export function mixSequence(sources) {
+    const active = sources
+        .filter(s => s.weight > 0 && s.ids?.length)
+        .map(s => ({ key: s.key, weight: s.weight, ids: s.ids, next: 0, current: 0 }));
+
+    const seen = new Set();
+    const sequence = [];
+
+    while (active.length) {
+        const totalWeight = active.reduce((sum, s) => sum + s.weight, 0);
+        let chosen = active[0];
+        for (const s of active) {
+            s.current += s.weight;
+            if (s.current > chosen.current) chosen = s;
+        }
+        chosen.current -= totalWeight;
+
+        // Skip photos another album already contributed
+        while (chosen.next < chosen.ids.length && seen.has(chosen.ids[chosen.next])) chosen.next++;
+
+        if (chosen.next < chosen.ids.length) {
+            const id = chosen.ids[chosen.next++];
+            seen.add(id);
+            sequence.push({ id, source: chosen.key });
+        }
+        if (chosen.next >= chosen.ids.length) {
+            active.splice(active.indexOf(chosen), 1);
+        }
+    }
+
+    return sequence;
+}
+
+/**
+ * Build the sequence for a playlist (as returned by `playlistRepo.get()`).
+ * Sources are keyed by album ID; each album's sensitive-content policy applies to its photos.
+ * @param {{ since?: string|null, until?: string|null }} [window] limit to posts created in [since, until]
+ */
+export function loadPlaylistSequence(playlist, { since = null, until = null } = {}) {
+    return mixSequence(playlist.albums.map(a => ({
+        key: a.album_id,
+        weight: a.weight,
+        ids: photoRepo.listIdsForAlbum(a.album_id, {
+            since,
+            until,
+            excludeSensitive: a.sensitive_policy !== 'blur' && a.sensitive_policy !== 'include',
+        }),
+    })));
+}
@@ -1,6 +1,8 @@
 import { it, expect, vi, beforeEach} from 'vitest';
 
 vi.mock('../modules/auth.js', () => ({ getAccessToken: vi.fn().mockResolvedValue('TOKEN') }));
+// accounts resolves instances through the DB; keep it in memory
+process.env.PIXELFREE_DB_PATH = ':memory:';
 
 const { resolveAccountId, resolveManyAccts } = await import('../modules/accounts.js');
 
@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../modules/auth.js', () => ({ getAccessToken: vi.fn().mockResolvedValue('TOKEN') }));
+vi.mock('../modules/cache.js', () => ({ prefetch: vi.fn().mockResolvedValue() }));
+vi.mock('../services/photoFetcher.js', async (importOriginal) => ({ ...await importOriginal(), getPhotoPage: vi.fn() }));
+// In-memory DB *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const albumBackfill = await import('../services/albumBackfill.js');
+const { getPhotoPage } = await import('../services/photoFetcher.js');
+const albumRepo = await import('../db/albumRepo.js');
+const { RateLimitError } = await import('../modules/errors.js');
+const db = (await import('../db/db.js')).default;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-30T00:00:00Z');
+
+// Posts 10 (newest, 1 day old) down to 1 (10 days old), two per page, walked with max_id
+const post = n => ({ id: String(n), created_at: new Date(NOW - (11 - n) * DAY_MS).toISOString(), url: `img${n}`, tags: ['cats'] });
+function servePages() {
+    getPhotoPage.mockImplementation(async (_source, { max_id }) => {
+        const photos = [10, 9, 8, 7, 6, 5, 4, 3, 2, 1].filter(n => !max_id || n < Number(max_id)).slice(0, 2).map(post);
+        return { photos, next_max_id: photos.length ? photos[photos.length - 1].id : null };
+    });
+}
+
+const newAlbum = (tags = ['cats']) => albumRepo.create({ name: 'Cats', query: { type: 'tag', tags }, refresh: {} });
+const linked = albumId => albumRepo.listItems(albumId, { limit: 100 }).items;
+
+// Let the run go through its page delays until it ends
+async function finish(albumId) {
+    while (albumBackfill.isBackfillRunning(albumId)) await vi.advanceTimersByTimeAsync(1000);
+    return albumBackfill.getBackfillState(albumId);
+}
+
+describe('albumBackfill.js', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.useFakeTimers({ toFake: ['setTimeout'] });
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        db.exec('DELETE FROM albums; DELETE FROM photos;');
+        servePages();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('walks older pages until the album holds target_count photos', async () => {
+        const album = newAlbum();
+        expect(albumBackfill.startBackfill(album.id, { targetCount: 3 })).toMatchObject({ status: 'running', running: true });
+
+        const state = await finish(album.id);
+        expect(state).toMatchObject({
+            status: 'completed', stop_reason: 'target_reached', pages: 2, linked: 4,
+            cursors: { 'tag:cats': '7' }, running: false,
+        });
+        expect(getPhotoPage.mock.calls.map(([, opts]) => opts.max_id)).toEqual([null, '9']);
+        expect(linked(album.id)).toHaveLength(4);
+    });
+
+    it('marks a source exhausted once its posts pass the until cutoff', async () => {
+        const album = newAlbum();
+        // Posts 7..10 are at most 4 days old
+        albumBackfill.startBackfill(album.id, { until: new Date(NOW - 4.5 * DAY_MS).toISOString() });
+
+        const state = await finish(album.id);
+        expect(state).toMatchObject({ status: 'completed', stop_reason: 'cutoff_reached', exhausted: ['tag:cats'], pages: 3 });
+        expect(linked(album.id).sort()).toEqual(['10', '7', '8', '9']);
+    });
+
+    it('resumes from the saved cursors and exhausted sources', async () => {
+        const album = newAlbum(['cats', 'dogs']);
+        albumRepo.update(album.id, {
+            refresh: { backfill: { status: 'paused', until: null, cursors: { 'tag:cats': '5' }, exhausted: ['tag:dogs'], pages: 3, linked: 0 } },
+        });
+
+        albumBackfill.startBackfill(album.id);
+        const state = await finish(album.id);
+        expect(getPhotoPage).toHaveBeenCalledTimes(3);
+        expect(getPhotoPage.mock.calls.every(([source]) => source.key === 'tag:cats')).toBe(true);
+        expect(getPhotoPage.mock.calls[0][1].max_id).toBe('5');
+        expect(state).toMatchObject({ status: 'completed', stop_reason: 'history_exhausted', pages: 6, linked: 4 });
+    });
+
+    it('discards the saved cursors on restart', async () => {
+        const album = newAlbum();
+        albumRepo.update(album.id, {
+            refresh: { backfill: { status: 'paused', until: null, cursors: { 'tag:cats': '5' }, exhausted: [], pages: 3, linked: 7 } },
+        });
+
+        albumBackfill.startBackfill(album.id, { targetCount: 1, restart: true });
+        const state = await finish(album.id);
+        expect(getPhotoPage.mock.calls[0][1].max_id).toBeNull();
+        expect(state).toMatchObject({ pages: 1, linked: 2, cursors: { 'tag:cats': '9' } });
+    });
+
+    it('pauses on a rate limit and keeps its cursors', async () => {
+        const album = newAlbum();
+        getPhotoPage.mockImplementationOnce(async () => ({ photos: [post(10), post(9)], next_max_id: '9' }))
+            .mockRejectedValueOnce(new RateLimitError('Rate limited by the remote instance', { retryAfter: 60 }));
+
+        albumBackfill.startBackfill(album.id);
+        const state = await finish(album.id);
+        expect(state).toMatchObject({
+            status: 'paused', last_error: 'Rate limited by the remote instance', cursors: { 'tag:cats': '9' }, linked: 2,
+        });
+    });
+
+    it('ends quietly when the album is deleted during a run', async () => {
+        const album = newAlbum();
+        let respond;
+        getPhotoPage.mockImplementationOnce(() => new Promise(resolve => { respond = resolve; }));
+
+        albumBackfill.startBackfill(album.id);
+        await vi.waitFor(() => expect(respond).toBeTypeOf('function'));
+        albumRepo.remove(album.id);
+        respond({ photos: [post(10)], next_max_id: '10' });
+
+        while (albumBackfill.isBackfillRunning(album.id)) await vi.advanceTimersByTimeAsync(1000);
+        expect(getPhotoPage).toHaveBeenCalledTimes(1);
+        expect(albumRepo.get(album.id)).toBeUndefined();
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('ends quietly when a page fails after the album was deleted', async () => {
+        const album = newAlbum();
+        let fail;
+        getPhotoPage.mockImplementationOnce(() => new Promise((_resolve, reject) => { fail = reject; }));
+
+        albumBackfill.startBackfill(album.id);
+        await vi.waitFor(() => expect(fail).toBeTypeOf('function'));
+        albumRepo.remove(album.id);
+        fail(new Error('socket hang up'));
+
+        while (albumBackfill.isBackfillRunning(album.id)) await vi.advanceTimersByTimeAsync(1000);
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('stops an active run after its current page', async () => {
+        const album = newAlbum();
+        albumBackfill.startBackfill(album.id);
+        await vi.waitFor(() => expect(getPhotoPage).toHaveBeenCalledTimes(1));
+        albumBackfill.stopBackfill(album.id);
+
+        await finish(album.id);
+        expect(getPhotoPage).toHaveBeenCalledTimes(1);
+    });
+});
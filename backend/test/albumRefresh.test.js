@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../modules/auth.js', () => ({ getAccessToken: vi.fn().mockResolvedValue('TOKEN') }));
+vi.mock('../modules/cache.js', () => ({ prefetch: vi.fn().mockResolvedValue() }));
+// In-memory DB *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const albumRefresh = await import('../services/albumRefresh.js');
+const auth = await import('../modules/auth.js');
+const { NotAuthenticatedError } = await import('../modules/errors.js');
+const albumRepo = await import('../db/albumRepo.js');
+const runs = await import('../db/refreshRunRepo.js');
+const rateBudget = await import('../modules/rateBudget.js');
+const db = (await import('../db/db.js')).default;
+
+const status = id => ({
+    id, created_at: `2025-01-0${id}T00:00:00Z`, account: { id: 'a1', acct: 'alice' },
+    tags: [{ name: 'cats' }], media_attachments: [{ type: 'image', url: `img${id}` }],
+});
+const page = statuses => ({ ok: true, status: 200, headers: new Headers(), json: async () => statuses });
+
+const newAlbum = () => albumRepo.create({ name: 'Cats', query: { type: 'tag', tags: ['cats'] }, refresh: {}, enabled: true });
+const refreshOf = id => JSON.parse(albumRepo.get(id).refresh_json);
+
+describe('albumRefresh.js', () => {
+    beforeEach(() => {
+        vi.restoreAllMocks();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        process.env.PIXELFED_INSTANCE = 'https://pixelfed.social';
+        rateBudget.clear();
+        db.exec('DELETE FROM refresh_runs; DELETE FROM albums;');
+    });
+
+    it('links new photos, records the run and continues from the since_id watermark', async () => {
+        const album = newAlbum();
+        const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValueOnce(page([status('2'), status('3'), status('1')]));
+
+        const result = await albumRefresh.refreshAlbum(album.id, { source: 'manual' });
+        expect(result).toMatchObject({
+            albumId: album.id, source: 'manual', type: 'tag', tagmode: 'any',
+            fetched: 3, upserted: 3, linked: 3, since_id: null, new_since_id: '3',
+        });
+        expect(runs.get(result.runId)).toMatchObject({ status: 'ok', source: 'manual', linked: 3 });
+        expect(refreshOf(album.id)).toMatchObject({ since_id: '3', last_error: null, retry_count: 0 });
+        expect(refreshOf(album.id).last_checked_at).toEqual(expect.any(String));
+
+        fetchSpy.mockResolvedValueOnce(page([]));
+        const again = await albumRefresh.refreshAlbum(album.id, { source: 'scheduler' });
+        expect(fetchSpy.mock.calls[1][0].searchParams.get('since_id')).toBe('3');
+        expect(again).toMatchObject({ fetched: 0, linked: 0, since_id: '3', new_since_id: '3' });
+    });
+
+    it('fails with a typed error and backs off when rate limited', async () => {
+        const album = newAlbum();
+        vi.spyOn(global, 'fetch').mockResolvedValueOnce({ ok: false, status: 429, headers: new Headers({ 'Retry-After': '120' }) });
+
+        await expect(albumRefresh.refreshAlbum(album.id))
+            .rejects.toMatchObject({ code: 'rate_limited', status: 429, meta: { retryAfter: 120 } });
+        expect(runs.list({ albumId: album.id }).items[0]).toMatchObject({ status: 'error', error_code: 'rate_limited' });
+
+        const refresh = refreshOf(album.id);
+        expect(refresh).toMatchObject({ retry_count: 1, last_error: expect.any(String) });
+        expect(new Date(refresh.backoff_until).getTime()).toBeGreaterThan(Date.now() + 100 * 1000);
+    });
+
+    it('fails with a typed error when no account is connected', async () => {
+        const album = newAlbum();
+        auth.getAccessToken.mockRejectedValueOnce(new NotAuthenticatedError());
+
+        await expect(albumRefresh.refreshAlbum(album.id)).rejects.toMatchObject({ code: 'not_authenticated', status: 409 });
+        expect(runs.list({ albumId: album.id }).items[0]).toMatchObject({ status: 'error', error_code: 'not_authenticated' });
+        expect(refreshOf(album.id)).toMatchObject({ last_error: 'Not authenticated' });
+        expect(refreshOf(album.id).backoff_until ?? null).toBeNull(); // not a rate limit
+    });
+
+    it('rejects unknown albums', async () => {
+        await expect(albumRefresh.refreshAlbum('alb_missing')).rejects.toMatchObject({ code: 'not_found' });
+        expect(() => albumRefresh.startRefreshJob('alb_missing')).toThrow('album not found');
+    });
+
+    it('runs as a background job, and joins a refresh already in progress', async () => {
+        const album = newAlbum();
+        vi.spyOn(global, 'fetch').mockResolvedValue(page([status('4')]));
+
+        const job = albumRefresh.startRefreshJob(album.id);
+        expect(job).toMatchObject({ albumId: album.id, status: 'running', result: null });
+        expect(albumRefresh.isRefreshing(album.id)).toBe(true);
+        const joined = await albumRefresh.refreshAlbum(album.id, { source: 'scheduler' });
+
+        await vi.waitFor(() => expect(albumRefresh.getRefreshJob(job.id).status).toBe('ok'));
+        expect(albumRefresh.getRefreshJob(job.id).result).toEqual(joined);
+        expect(runs.list({ albumId: album.id }).total).toBe(1);
+        expect(albumRefresh.getRefreshJob('job_unknown')).toBeNull();
+    });
+});
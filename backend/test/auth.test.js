@@ -1,16 +1,24 @@
 import { describe, it, expect, beforeEach, vi} from 'vitest';
 
-vi.mock('fs', () => {
+// Only the legacy .token.json lives in memory; everything else (schema.sql) is read from disk
+vi.mock('fs', async (importOriginal) => {
+    const real = await importOriginal();
     const mem = new Map();
+    const isToken = (p) => String(p).endsWith('.token.json');
 
     const api = {
-        readFileSync(p) {
+        ...real,
+        readFileSync(p, ...rest) {
+            if (!isToken(p)) return real.readFileSync(p, ...rest);
             if (!mem.has(p)) { const err = new Error('ENOENT'); err.code = 'ENOENT'; throw err; }
             return mem.get(p);
         },
-        writeFileSync(p, data) { mem.set(p, typeof data === 'string' ? data : String(data)); },
-        unlinkSync(p) { mem.delete(p); },
-        existsSync(p) { return mem.has(p); },
+        writeFileSync(p, data, ...rest) {
+            if (!isToken(p)) return real.writeFileSync(p, data, ...rest);
+            mem.set(p, typeof data === 'string' ? data : String(data));
+        },
+        unlinkSync(p) { if (isToken(p)) mem.delete(p); else real.unlinkSync(p); },
+        existsSync(p) { return isToken(p) ? mem.has(p) : real.existsSync(p); },
         __mem: mem,
     };
 
@@ -20,6 +28,7 @@ vi.mock('fs', () => {
 const fs = await import('fs');
 
 // Ensure env *before* importing the module under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
 process.env.PIXELFED_INSTANCE = 'https://example.com';
 process.env.PIXELFED_CLIENT_ID = 'id';
 process.env.PIXELFED_CLIENT_SECRET = 'sec';
@@ -27,69 +36,269 @@ process.env.PIXELFED_REDIRECT_URI = 'http://localhost/cb';
 
 beforeEach(() => {
     // Clear spies between tests, keep module mocks
-    vi.clearAllMocks();
+    vi.restoreAllMocks();
 });
 
 // Import after mocks/env
 const authMod = await import('../modules/auth.js');
+const accountRepo = await import('../db/accountRepo.js');
+const instanceRepo = await import('../db/instanceRepo.js');
+const instances = await import('../modules/instances.js');
+const db = (await import('../db/db.js')).default;
 
 const path = await import('path');
 const TOKEN_PATH = path.resolve('.token.json');
 
-function writeToken(obj) { fs.writeFileSync(TOKEN_PATH, JSON.stringify(obj)); }
-function readToken() { try { return JSON.parse(fs.readFileSync(TOKEN_PATH)); } catch { return null; } }
+const now = () => Math.floor(Date.now() / 1000);
+
+function connect(token, profile = {}) {
+    return accountRepo.create({ instanceId: null, token, ...profile });
+}
+
+// Start a login the way the browser would and return its state
+function startLogin(instanceId) {
+    return new URL(authMod.getLoginUrl(instanceId)).searchParams.get('state');
+}
+
+function mockResponses(...bodies) {
+    const spy = vi.spyOn(global, 'fetch');
+    for (const [ok, body] of bodies) spy.mockResolvedValueOnce({ ok, status: ok ? 200 : 400, json: async () => body });
+    return spy;
+}
 
 describe('auth.js', () => {
+    beforeEach(() => { db.exec('DELETE FROM accounts'); });
+
+    it('moves a legacy .token.json and plain-text rows into encrypted storage', () => {
+        fs.writeFileSync(TOKEN_PATH, JSON.stringify({ access_token: 'L', expires_in: 3600, created_at: now() }));
+        db.prepare(`INSERT INTO accounts (id, token_json, created_at, updated_at) VALUES ('acc_plain', ?, '2020', '2020')`)
+            .run(JSON.stringify({ access_token: 'P', expires_in: 3600, created_at: now() }));
+
+        expect(authMod.getStatus().isAuthenticated).toBe(true);
+        expect(accountRepo.list()).toHaveLength(2);
+        expect(fs.existsSync(TOKEN_PATH)).toBe(false);
+        for (const { token_json } of db.prepare('SELECT token_json FROM accounts').all()) {
+            expect(token_json).toMatch(/^enc:v1:/);
+        }
+        expect(accountRepo.getToken('acc_plain').access_token).toBe('P');
+    });
+
+    it('never stores tokens in plain text', () => {
+        const account = connect({ access_token: 'SECRET-A', refresh_token: 'SECRET-R', expires_in: 3600, created_at: now() });
+        accountRepo.setToken(account.id, { access_token: 'SECRET-B', expires_in: 3600, created_at: now() });
+        const raw = db.prepare('SELECT token_json FROM accounts WHERE id = ?').get(account.id).token_json;
+        expect(raw).not.toContain('SECRET');
+        expect(accountRepo.getToken(account.id).access_token).toBe('SECRET-B');
+    });
+
     it('getLoginUrl constructs correct URL', () => {
         const url = authMod.getLoginUrl();
         expect(url).toContain('https://example.com/oauth/authorize');
         expect(url).toContain('client_id=id');
         expect(url).toContain('redirect_uri=http%3A%2F%2Flocalhost%2Fcb');
+        expect(url).toContain('code_challenge_method=S256');
     });
-    it('handleCallback exchanges code and writes token', async () => {
-        vi.spyOn(global, 'fetch').mockResolvedValueOnce({
-            ok: true,
-            json: async () => ({ access_token: 'A', refresh_token: 'R', expires_in: 3600, created_at: 111 })
-        });
-        const res = await authMod.handleCallback({ code: 'xyz' });
+
+    it('sends the PKCE verifier matching the code_challenge', async () => {
+        const url = new URL(authMod.getLoginUrl());
+        const fetchSpy = mockResponses(
+            [true, { access_token: 'A', expires_in: 3600 }],
+            [true, { id: '7', acct: 'parent' }],
+        );
+        await authMod.handleCallback({ code: 'xyz', state: url.searchParams.get('state') });
+
+        const verifier = fetchSpy.mock.calls[0][1].body.get('code_verifier');
+        const crypto = await import('crypto');
+        expect(crypto.createHash('sha256').update(verifier).digest('base64url')).toBe(url.searchParams.get('code_challenge'));
+    });
+
+    it('rejects callbacks without a state this server issued', async () => {
+        const fetchSpy = vi.spyOn(global, 'fetch');
+        await expect(authMod.handleCallback({ code: 'xyz' })).rejects.toThrow('login state');
+        await expect(authMod.handleCallback({ code: 'xyz', state: 'forged' })).rejects.toThrow('login state');
+        expect(fetchSpy).not.toHaveBeenCalled();
+        expect(accountRepo.list()).toHaveLength(0);
+    });
+
+    it('accepts each state only once', async () => {
+        const state = startLogin();
+        mockResponses([true, { access_token: 'A', expires_in: 3600 }], [true, { id: '7' }]);
+        await authMod.handleCallback({ code: 'xyz', state });
+        await expect(authMod.handleCallback({ code: 'xyz', state })).rejects.toThrow('login state');
+    });
+
+    it('rejects stale logins and denied authorizations', async () => {
+        vi.useFakeTimers();
+        try {
+            const stale = startLogin();
+            vi.advanceTimersByTime(11 * 60 * 1000);
+            await expect(authMod.handleCallback({ code: 'xyz', state: stale })).rejects.toThrow('login state');
+        } finally {
+            vi.useRealTimers();
+        }
+        const denied = startLogin();
+        await expect(authMod.handleCallback({ error: 'access_denied', state: denied })).rejects.toThrow('access_denied');
+    });
+
+    it('handleCallback exchanges code and stores the account', async () => {
+        mockResponses(
+            [true, { access_token: 'A', refresh_token: 'R', expires_in: 3600, created_at: 111 }],
+            [true, { id: '7', acct: 'parent', display_name: 'Parent' }],
+        );
+        const res = await authMod.handleCallback({ code: 'xyz', state: startLogin() });
         expect(res.ok).toBe(true);
-        const t = readToken();
-        expect(t.access_token).toBe('A');
-        expect(t.refresh_token).toBe('R');
+        const account = accountRepo.get(res.accountId);
+        expect(account).toMatchObject({ remote_id: '7', acct: 'parent', instance_id: null });
+        expect(accountRepo.getToken(account.id)).toMatchObject({ access_token: 'A', refresh_token: 'R' });
+    });
+
+    it('keeps several accounts and replaces tokens when one logs in again', async () => {
+        const login = (token, me) => {
+            mockResponses([true, { access_token: token, expires_in: 3600 }], [true, me]);
+            return authMod.handleCallback({ code: 'c', state: startLogin() });
+        };
+        const parent = await login('P1', { id: '1', acct: 'parent' });
+        const child = await login('C1', { id: '2', acct: 'child' });
+        const again = await login('P2', { id: '1', acct: 'parent' });
+
+        expect(again.accountId).toBe(parent.accountId);
+        expect(accountRepo.list()).toHaveLength(2);
+        expect(await authMod.getAccessToken({ accountId: child.accountId })).toBe('C1');
+        expect(await authMod.getAccessToken()).toBe('P2'); // first connected account
+        expect(authMod.getStatus()).toMatchObject({ isAuthenticated: true, accounts: 2, user: { username: 'parent' } });
     });
 
     it('getStatus unauthenticated vs authenticated', () => {
-        fs.unlinkSync(TOKEN_PATH);
         expect(authMod.getStatus().authenticated ?? authMod.getStatus().isAuthenticated).toBeFalsy();
-        writeToken({ access_token: 'A', refresh_token: 'R', expires_in: 10, created_at: Math.floor(Date.now()/1000) });
+        const account = connect({ access_token: 'A', refresh_token: 'R', expires_in: 10, created_at: now() });
         expect(authMod.getStatus().isAuthenticated).toBe(true);
+        expect(authMod.getStatus(account.id).isAuthenticated).toBe(true);
     });
 
-    it('logout removes token file', () => {
-        writeToken({ a: 1 });
+    it('logout clears one account or all of them', () => {
+        const a = connect({ access_token: 'A', expires_in: 3600, created_at: now() });
+        const b = connect({ access_token: 'B', expires_in: 3600, created_at: now() });
+        authMod.logout(a.id);
+        expect(accountRepo.getToken(a.id)).toBeNull();
+        expect(accountRepo.getToken(b.id)).not.toBeNull();
         authMod.logout();
-        expect(readToken()).toBeNull();
+        expect(accountRepo.getToken(b.id)).toBeNull();
     });
 
     it('getAccessToken returns valid token or refreshes', async () => {
-        const now = Math.floor(Date.now()/1000);
-
-        writeToken({ access_token: 'A', refresh_token: 'R', expires_in: 3600, created_at: now });
+        const account = connect({ access_token: 'A', refresh_token: 'R', expires_in: 3600, created_at: now() });
         expect(await authMod.getAccessToken()).toBe('A');
 
-        writeToken({ access_token: 'OLD', refresh_token: 'R', expires_in: 60, created_at: now - 59 });
-        vi.spyOn(global, 'fetch').mockResolvedValueOnce({
-            ok: true,
-            json: async () => ({ access_token: 'NEW', refresh_token: 'NR', expires_in: 3600 })
-        });
-        const tok = await authMod.getAccessToken();
+        accountRepo.setToken(account.id, { access_token: 'OLD', refresh_token: 'R', expires_in: 60, created_at: now() - 59 });
+        mockResponses([true, { access_token: 'NEW', refresh_token: 'NR', expires_in: 3600 }]);
+        const tok = await authMod.getAccessToken({ accountId: account.id });
         expect(tok).toBe('NEW');
+        expect(accountRepo.getToken(account.id).refresh_token).toBe('NR');
+    });
+
+    it('shares one refresh between concurrent getAccessToken calls', async () => {
+        const account = connect({ access_token: 'OLD', refresh_token: 'R', expires_in: 0, created_at: 0 });
+        const fetchSpy = mockResponses([true, { access_token: 'NEW', refresh_token: 'R2', expires_in: 3600 }]);
+        const tokens = await Promise.all([1, 2, 3].map(() => authMod.getAccessToken({ accountId: account.id })));
+        expect(tokens).toEqual(['NEW', 'NEW', 'NEW']);
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+        expect(accountRepo.getToken(account.id).refresh_token).toBe('R2');
     });
 
     it('getAccessToken refresh failure clears token', async () => {
-        writeToken({ access_token: 'A', refresh_token: 'R', expires_in: 0, created_at: 0 });
-        vi.spyOn(global, 'fetch').mockResolvedValueOnce({ ok: false, json: async () => ({ err: 'fail' }) });
+        const account = connect({ access_token: 'A', refresh_token: 'R', expires_in: 0, created_at: 0 });
+        mockResponses([false, { err: 'fail' }]);
         await expect(authMod.getAccessToken()).rejects.toThrow('Refresh failed');
-        expect(readToken()).toBeNull();
+        expect(accountRepo.getToken(account.id)).toBeNull();
+        await expect(authMod.getAccessToken()).rejects.toThrow('Not authenticated');
+    });
+
+    it('refreshAccount renews the token and fills in the profile', async () => {
+        const account = connect({ access_token: 'A', refresh_token: 'R', expires_in: 3600, created_at: now() });
+        mockResponses(
+            [true, { access_token: 'B', refresh_token: 'R2', expires_in: 3600 }],
+            [true, { id: '9', acct: 'legacy', avatar: 'av.png' }],
+        );
+        const row = await authMod.refreshAccount(account.id);
+        expect(row).toMatchObject({ remote_id: '9', acct: 'legacy', avatar: 'av.png' });
+        expect(accountRepo.getToken(account.id).access_token).toBe('B');
     });
-});
\ No newline at end of file
+
+    it('keeps registered instances apart via state', async () => {
+        const ins = instanceRepo.create({ name: 'Other', baseUrl: 'https://other.example', clientId: 'oid', clientSecret: 'osec' });
+
+        const url = new URL(authMod.getLoginUrl(ins.id));
+        expect(url.origin).toBe('https://other.example');
+        expect(url.searchParams.get('client_id')).toBe('oid');
+
+        const fetchSpy = mockResponses(
+            [true, { access_token: 'B', refresh_token: 'R', expires_in: 3600 }],
+            [true, { id: '7', acct: 'parent' }],
+        );
+        const res = await authMod.handleCallback({ code: 'xyz', state: url.searchParams.get('state') });
+        expect(res.instanceId).toBe(ins.id);
+        expect(String(fetchSpy.mock.calls[0][0])).toBe('https://other.example/oauth/token');
+        expect(accountRepo.get(res.accountId).instance_id).toBe(ins.id);
+        // default instance has none
+        await expect(authMod.getAccessToken()).rejects.toMatchObject({ code: 'not_authenticated', status: 409, message: 'Not authenticated' });
+        expect(await authMod.getAccessToken({ instanceId: ins.id })).toBe('B');
+    });
+
+    it('registers an app with an instance that has no credentials, once', async () => {
+        const ins = instances.findOrCreateInstance('fresh.example');
+        expect(ins).toMatchObject({ baseUrl: 'https://fresh.example', clientId: null });
+        expect(instances.findOrCreateInstance('https://fresh.example/').id).toBe(ins.id);
+
+        const fetchSpy = mockResponses([true, { client_id: 'cid', client_secret: 'csec' }]);
+        const [a, b] = await Promise.all([authMod.startLogin(ins.id), authMod.startLogin(ins.id)]);
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+        expect(String(fetchSpy.mock.calls[0][0])).toBe('https://fresh.example/api/v1/apps');
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toMatchObject({ redirect_uris: 'http://localhost/cb', scopes: 'read' });
+        expect(new URL(a).searchParams.get('client_id')).toBe('cid');
+        expect(new URL(b).searchParams.get('client_id')).toBe('cid');
+        expect(instanceRepo.get(ins.id)).toMatchObject({ client_id: 'cid', client_secret: 'csec' });
+
+        await authMod.startLogin(ins.id); // already registered
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps a registered app of the default instance unless env credentials are set', async () => {
+        const envId = process.env.PIXELFED_CLIENT_ID;
+        delete process.env.PIXELFED_CLIENT_ID;
+        try {
+            expect(instances.resolveInstance().clientId).toBeNull();
+            mockResponses([true, { client_id: 'auto', client_secret: 'autosec' }]);
+            const url = new URL(await authMod.startLogin());
+            expect(url.searchParams.get('client_id')).toBe('auto');
+            expect(instances.resolveInstance()).toMatchObject({ clientId: 'auto', clientSecret: 'autosec' });
+        } finally {
+            process.env.PIXELFED_CLIENT_ID = envId;
+        }
+        expect(instances.resolveInstance()).toMatchObject({ clientId: 'id', clientSecret: 'sec' });
+    });
+
+    it('adds a server typed in at login only once it accepted the app registration', async () => {
+        mockResponses([false, { error: 'nope' }]);
+        await expect(authMod.startLoginAt('https://unknown.example/@alice')).rejects.toMatchObject({ code: 'upstream_error' });
+        expect(instances.findInstance('unknown.example')).toBeNull();
+
+        const fetchSpy = mockResponses([true, { client_id: 'ucid', client_secret: 'ucsec' }]);
+        const url = new URL(await authMod.startLoginAt('unknown.example'));
+        expect(String(fetchSpy.mock.calls[1][0])).toBe('https://unknown.example/api/v1/apps');
+        expect(url.origin).toBe('https://unknown.example');
+        expect(url.searchParams.get('client_id')).toBe('ucid');
+        expect(instances.findInstance('https://unknown.example')).toMatchObject({ clientId: 'ucid', clientSecret: 'ucsec' });
+
+        // Known servers, the default one included, reuse their app
+        expect(new URL(await authMod.startLoginAt('unknown.example')).searchParams.get('client_id')).toBe('ucid');
+        expect(new URL(await authMod.startLoginAt('example.com')).searchParams.get('client_id')).toBe('id');
+        expect(fetchSpy).toHaveBeenCalledTimes(2); // the failed attempt and the registration
+    });
+
+    it('reports a failed app registration as an upstream error', async () => {
+        const ins = instances.findOrCreateInstance('broken.example');
+        mockResponses([false, { error: 'nope' }]);
+        await expect(authMod.startLogin(ins.id)).rejects.toMatchObject({ code: 'upstream_error' });
+        expect(instances.resolveInstance(ins.id).clientId).toBeNull();
+    });
+});
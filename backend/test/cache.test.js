@@ -1,27 +1,139 @@
-import { describe, it , expect  } from 'vitest';
-import { ensureCached, getCachedById, clearCache, stats } from '../modules/cache.js';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// In-memory DB and a throwaway cache dir *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+process.env.PIXELFREE_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelfree-cache-'));
+
+const { ensureCached, getCached, getCachedById, evict, enforceBudget, clearCache, stats } = await import('../modules/cache.js');
+const photoRepo = await import('../db/photoRepo.js');
+const favoritesRepo = await import('../db/favoritesRepo.js');
+const { updateSettings, resetSettings } = await import('../modules/settings.js');
+
+function imageResponse(bytes) {
+    return {
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'content-type': 'image/jpeg' }),
+        arrayBuffer: async () => new Uint8Array(bytes).buffer,
+    };
+}
+
+photoRepo.upsertMany([
+    { id: '1', created_at: '2025-01-01T00:00:00Z', url: 'https://cdn.example/1.jpg', preview_url: 'https://cdn.example/1_p.jpg' },
+    { id: '2', created_at: '2025-01-02T00:00:00Z', url: 'https://cdn.example/2.jpg' },
+]);
+
+beforeEach(async () => {
+    vi.restoreAllMocks();
+    await clearCache();
+});
 
 describe('cache.js', () => {
-    //Ensure a photo exists in the in-memory cache
-    it('ensureCached inserts and returns entry', async () => {
-        await clearCache();
-        const p = await ensureCached({ id: '1', url: 'u' });
-        expect(p).toMatchObject({ id: '1', url: 'u', localPath: null, etag: null });
-        const again = await ensureCached({ id: '1', url: 'u2' });
-        expect(again.url).toBe('u');
-    });
-    //Get a cached photo by id
-    it('getCachedById and stats', async () => {
-        const p = await getCachedById('1');
-        expect(p?.id).toBe('1');
+    // Download once, write to disk and record in media_manifest
+    it('ensureCached downloads to disk and reuses the manifest entry', async () => {
+        const spy = vi.spyOn(global, 'fetch').mockResolvedValueOnce(imageResponse(10));
+        const entry = await ensureCached({ id: '1', url: 'https://cdn.example/1.jpg' });
+        expect(entry).toMatchObject({ status_id: '1', kind: 'original', content_length: 10 });
+        expect(entry.path.endsWith('.jpg')).toBe(true);
+        expect(fs.existsSync(entry.path)).toBe(true);
+
+        const again = await ensureCached({ id: '1', url: 'https://cdn.example/other.jpg' });
+        expect(again.path).toBe(entry.path);
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    // Preview and original are cached independently
+    it('getCachedById and stats report per-kind entries and bytes', async () => {
+        vi.spyOn(global, 'fetch')
+            .mockResolvedValueOnce(imageResponse(10))
+            .mockResolvedValueOnce(imageResponse(4));
+        await ensureCached({ status_id: '1', url: 'https://cdn.example/1.jpg', preview_url: 'https://cdn.example/1_p.jpg' }, 'original');
+        await ensureCached({ status_id: '1', url: 'https://cdn.example/1.jpg', preview_url: 'https://cdn.example/1_p.jpg' }, 'preview');
+
+        const entries = await getCachedById('1');
+        expect(entries.map(e => e.kind)).toEqual(['original', 'preview']);
         const s = await stats();
-        expect(s.items).toBe(1);
-        expect(s.bytes).toBe(0);
+        expect(s.items).toBe(2);
+        expect(s.bytes).toBe(14);
+    });
+
+    // A manifest row whose file vanished is treated as a miss
+    it('getCached drops entries whose file is missing', async () => {
+        vi.spyOn(global, 'fetch').mockResolvedValueOnce(imageResponse(3));
+        const entry = await ensureCached({ id: '2', url: 'https://cdn.example/2.jpg' });
+        fs.unlinkSync(entry.path);
+        expect(await getCached('2', 'original')).toBeNull();
+        expect((await stats()).items).toBe(0);
+    });
+
+    // Least-recently accessed media goes first when over budget
+    it('enforceBudget evicts LRU entries until within budget', async () => {
+        vi.spyOn(global, 'fetch')
+            .mockResolvedValueOnce(imageResponse(10))
+            .mockResolvedValueOnce(imageResponse(10));
+        await ensureCached({ id: '1', url: 'https://cdn.example/1.jpg' });
+        await new Promise(r => setTimeout(r, 5));
+        await ensureCached({ id: '2', url: 'https://cdn.example/2.jpg' });
+
+        const result = enforceBudget(15);
+        expect(result.evicted).toBe(1);
+        expect(await getCached('1', 'original')).toBeNull();
+        expect(await getCached('2', 'original')).not.toBeNull();
+    });
+
+    // Favorites are references too, like album items
+    it('enforceBudget keeps favorited media over unreferenced media', async () => {
+        vi.spyOn(global, 'fetch')
+            .mockResolvedValueOnce(imageResponse(10))
+            .mockResolvedValueOnce(imageResponse(10));
+        favoritesRepo.addFavorite('1');
+        try {
+            await ensureCached({ id: '1', url: 'https://cdn.example/1.jpg' });
+            await new Promise(r => setTimeout(r, 5));
+            await ensureCached({ id: '2', url: 'https://cdn.example/2.jpg' });
+
+            expect(enforceBudget(15).evicted).toBe(1);
+            expect(await getCached('1', 'original')).not.toBeNull();
+            expect(await getCached('2', 'original')).toBeNull();
+        } finally {
+            favoritesRepo.removeFavorite('1');
+        }
+    });
+
+    // A download bigger than the whole budget is still returned
+    it('ensureCached never evicts the file it just downloaded', async () => {
+        vi.spyOn(global, 'fetch').mockResolvedValueOnce(imageResponse(10));
+        updateSettings({ sync: { cacheBudgetBytes: 5 } });
+        try {
+            const entry = await ensureCached({ id: '1', url: 'https://cdn.example/1.jpg' });
+            expect(entry).toMatchObject({ status_id: '1', kind: 'original' });
+            expect(fs.existsSync(entry.path)).toBe(true);
+        } finally {
+            resetSettings();
+        }
     });
-    // Clear all cached items ,memory only.
-    it('clearCache empties store', async () => {
+
+    it('evict and clearCache remove files and manifest rows', async () => {
+        vi.spyOn(global, 'fetch')
+            .mockResolvedValueOnce(imageResponse(5))
+            .mockResolvedValueOnce(imageResponse(5));
+        const a = await ensureCached({ id: '1', url: 'https://cdn.example/1.jpg' });
+        const b = await ensureCached({ id: '2', url: 'https://cdn.example/2.jpg' });
+
+        expect(evict('1')).toBe(1);
+        expect(fs.existsSync(a.path)).toBe(false);
+
         await clearCache();
-        const s = await stats();
-        expect(s.items).toBe(0);
+        expect(fs.existsSync(b.path)).toBe(false);
+        expect((await stats()).items).toBe(0);
+    });
+
+    it('rejects upstream failures and unknown kinds', async () => {
+        vi.spyOn(global, 'fetch').mockResolvedValueOnce({ ok: false, status: 404, headers: new Headers() });
+        await expect(ensureCached({ id: '2', url: 'https://cdn.example/2.jpg' })).rejects.toThrow('Media download failed');
+        await expect(ensureCached({ id: '2', url: 'x' }, 'thumb')).rejects.toThrow('kind must be');
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+
+// In-memory DB *before* importing the scheduler (it reads settings from kv)
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const { parseCron, nextCronRun, parseWindow, isWithinWindow, nextWindowStart } = await import('../utils/cron.js');
+const { getNextRunAt } = await import('../services/albumScheduler.js');
+
+// Local time, like the scheduler. 2024-06-02 is a Sunday.
+const at = (day, hour, minute = 0) => new Date(2024, 5, day, hour, minute);
+
+describe('utils/cron.js', () => {
+    it('parses fields, names, steps and macros', () => {
+        const c = parseCron('*/15 6-22/4 * JAN,jun mon-fri');
+        expect([...c.minutes]).toEqual([0, 15, 30, 45]);
+        expect([...c.hours]).toEqual([6, 10, 14, 18, 22]);
+        expect([...c.months]).toEqual([1, 6]);
+        expect([...c.weekdays]).toEqual([1, 2, 3, 4, 5]);
+        expect([...parseCron('@weekly').weekdays]).toEqual([0]);
+        expect([...parseCron('0 0 * * 7').weekdays]).toEqual([0]);
+    });
+
+    it('rejects malformed expressions', () => {
+        expect(() => parseCron('* * * *')).toThrow('5 fields');
+        expect(() => parseCron('61 * * * *')).toThrow('invalid minute');
+        expect(() => parseCron('* * * * funday')).toThrow('invalid day of week');
+        expect(() => parseCron('*/0 * * * *')).toThrow('invalid step');
+        expect(() => parseCron('5-1 * * * *')).toThrow('invalid range');
+    });
+
+    it('finds the next matching minute', () => {
+        expect(nextCronRun('0 8 * * 0', at(1, 12))).toEqual(at(2, 8));      // every Sunday at 8
+        expect(nextCronRun('0 8 * * 0', at(2, 8))).toEqual(at(9, 8));       // strictly after
+        expect(nextCronRun('*/20 * * * *', at(2, 8, 41))).toEqual(at(2, 9));
+        expect(nextCronRun('0 0 1 * *', at(2, 8))).toEqual(new Date(2024, 6, 1, 0, 0));
+        expect(nextCronRun('0 0 30 2 *', at(2, 8))).toBeNull();
+    });
+
+    it('treats day-of-month and day-of-week as either/or when both are set', () => {
+        // the 5th, or any Monday
+        expect(nextCronRun('0 12 5 * mon', at(2, 13))).toEqual(at(3, 12));
+        expect(nextCronRun('0 12 5 * mon', at(3, 13))).toEqual(at(5, 12));
+    });
+
+    it('handles daily windows, including ones past midnight', () => {
+        const day = parseWindow({ start: '06:00', end: '23:00' });
+        expect(isWithinWindow(day, at(2, 6))).toBe(true);
+        expect(isWithinWindow(day, at(2, 23))).toBe(false);
+        expect(nextWindowStart(day, at(2, 23, 30))).toEqual(at(3, 6));
+
+        const night = { start: '22:00', end: '02:00', days: ['sat'] };
+        expect(isWithinWindow(night, at(1, 23))).toBe(true);  // Saturday evening
+        expect(isWithinWindow(night, at(2, 1))).toBe(true);   // ...until Sunday 2am
+        expect(isWithinWindow(night, at(2, 23))).toBe(false); // not Sunday evening
+        expect(nextWindowStart(night, at(2, 3))).toEqual(at(8, 22));
+
+        expect(() => parseWindow({ start: '6am', end: '23:00' })).toThrow('window.start');
+        expect(() => parseWindow({ start: '06:00', end: '23:00', days: ['someday'] })).toThrow('window.days');
+    });
+});
+
+describe('albumScheduler.getNextRunAt', () => {
+    const album = (refresh, enabled = 1) => ({ id: 'alb_1', enabled, refresh_json: JSON.stringify(refresh) });
+
+    it('uses the album interval, not the global default', () => {
+        const next = getNextRunAt(album({ intervalMs: 3600000, last_checked_at: at(2, 8).toISOString() }), at(2, 8, 5));
+        // one hour, give or take the album's 10% jitter
+        expect(next.getTime() - at(2, 8).getTime()).toBeGreaterThanOrEqual(54 * 60000);
+        expect(next.getTime() - at(2, 8).getTime()).toBeLessThanOrEqual(66 * 60000);
+        expect(getNextRunAt(album({ intervalMs: 3600000, last_checked_at: at(2, 8).toISOString() }), at(2, 8, 5))).toEqual(next);
+    });
+
+    it('follows cron schedules and windows, and respects backoff', () => {
+        const last = at(2, 8).toISOString();
+        expect(getNextRunAt(album({ cron: '0 8 * * 0', last_checked_at: last }))).toEqual(at(9, 8));
+        expect(getNextRunAt(album({ cron: '0 * * * *', window: { start: '06:00', end: '23:00' }, last_checked_at: at(2, 22, 30).toISOString() })))
+            .toEqual(at(3, 6));
+        expect(getNextRunAt(album({ cron: '0 * * * *', last_checked_at: last, backoff_until: at(2, 12, 30).toISOString() })))
+            .toEqual(at(2, 12, 30));
+    });
+
+    it('is due right away when never refreshed, and never when disabled', () => {
+        const now = at(2, 12);
+        expect(getNextRunAt(album({}), now)).toEqual(now);
+        expect(getNextRunAt(album({ window: { start: '06:00', end: '08:00' } }), now)).toEqual(at(3, 6));
+        expect(getNextRunAt(album({}, 0), now)).toBeNull();
+    });
+});
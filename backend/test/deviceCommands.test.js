@@ -0,0 +1,44 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { enqueue, pending, ack, clear } from '../modules/deviceCommands.js';
+import { subscribe } from '../modules/events.js';
+
+describe('deviceCommands.js', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        clear('dev_a');
+        clear('dev_b');
+    });
+
+    it('queues commands per device and pushes them as device-command events', () => {
+        const pushed = [];
+        const unsubscribe = subscribe(e => pushed.push(e));
+
+        const next = enqueue('dev_a', { type: 'next' });
+        enqueue('dev_b', { type: 'pause' });
+        unsubscribe();
+
+        expect(pending('dev_a').map(c => c.type)).toEqual(['next']);
+        expect(pending('dev_b').map(c => c.type)).toEqual(['pause']);
+        expect(pushed[0]).toMatchObject({ type: 'device-command', data: { deviceId: 'dev_a', command: { id: next.id } } });
+    });
+
+    it('validates command types and required payloads', () => {
+        expect(() => enqueue('dev_a', { type: 'explode' })).toThrow(/type must be one of/);
+        expect(() => enqueue('dev_a', { type: 'jump' })).toThrow(/statusId is required/);
+        expect(() => enqueue('dev_a', { type: 'switch-album' })).toThrow(/albumId is required/);
+        expect(enqueue('dev_a', { type: 'jump', statusId: '123', albumId: 'ignored' })).not.toHaveProperty('albumId');
+    });
+
+    it('drops acknowledged and expired commands', () => {
+        vi.useFakeTimers();
+        const first = enqueue('dev_a', { type: 'next' });
+        enqueue('dev_a', { type: 'previous' });
+
+        expect(ack('dev_a', first.id)).toBe(true);
+        expect(ack('dev_a', first.id)).toBe(false);
+        expect(pending('dev_a').map(c => c.type)).toEqual(['previous']);
+
+        vi.advanceTimersByTime(61 * 1000);
+        expect(pending('dev_a')).toEqual([]);
+    });
+});
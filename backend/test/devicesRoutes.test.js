@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+
+// In-memory DB *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const mountDevicesRoutes = (await import('../api/devicesRoutes.js')).default;
+const localAuth = await import('../modules/localAuth.js');
+const deviceRepo = await import('../db/deviceRepo.js');
+const { SESSION_COOKIE } = await import('../utils/authMiddleware.js');
+const db = (await import('../db/db.js')).default;
+
+let server;
+let base;
+
+// Register call as a signed-in user (or anonymously); resolves to { status, body }
+async function register(body, { token } = {}) {
+    const res = await fetch(`${base}/api/devices/register`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(token ? { cookie: `${SESSION_COOKIE}=${token}` } : {}) },
+        body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+const signInAs = (username, role) => {
+    localAuth.createUser({ username, password: 'longenough', role });
+    return localAuth.signIn(username, 'longenough').token;
+};
+
+describe('devicesRoutes.js', () => {
+    beforeAll(async () => {
+        const app = express();
+        app.use(express.json());
+        mountDevicesRoutes(app);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        db.exec('DELETE FROM users; DELETE FROM sessions; DELETE FROM devices;');
+    });
+
+    it('lets any signed-in user pair a new frame', async () => {
+        signInAs('admin', 'admin');
+        const created = await register({ name: 'Kitchen' }, { token: signInAs('kid', 'viewer') });
+        expect(created).toMatchObject({ status: 201, body: { name: 'Kitchen', deviceToken: expect.any(String) } });
+        expect(localAuth.deviceForToken(created.body.deviceToken).id).toBe(created.body.id);
+    });
+
+    it('only lets admins re-pair an existing frame', async () => {
+        const admin = signInAs('admin', 'admin');
+        const viewer = signInAs('kid', 'viewer');
+        const device = deviceRepo.create({ name: 'Kitchen' });
+        const frameToken = localAuth.issueDeviceToken(device.id);
+
+        expect(await register({ id: device.id }, { token: viewer })).toMatchObject({ status: 403, body: { code: 'forbidden' } });
+        expect(localAuth.deviceForToken(frameToken).id).toBe(device.id); // still paired
+
+        const repaired = await register({ id: device.id }, { token: admin });
+        expect(repaired).toMatchObject({ status: 200, body: { id: device.id, deviceToken: expect.any(String) } });
+        expect(localAuth.deviceForToken(frameToken)).toBeNull();
+    });
+
+    it('leaves re-pairing open until local sign-in is enabled', async () => {
+        const device = deviceRepo.create({ name: 'Kitchen' });
+        expect(await register({ id: device.id })).toMatchObject({ status: 200, body: { id: device.id, deviceToken: expect.any(String) } });
+    });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import {AppError, ValidationError, NotFoundError, RateLimitError, UpstreamError,} from '../modules/errors.js';
+import {AppError, ValidationError, NotFoundError, RateLimitError, UpstreamError, UnauthorizedError, ForbiddenError, NotAuthenticatedError,} from '../modules/errors.js';
 // Base typed error for the app (HTTP-ish).
 describe('errors.js', () => {
     it('AppError sets fields', () => {
@@ -20,5 +20,10 @@ describe('errors.js', () => {
         expect(new RateLimitError('x', {}).status).toBe(429);
         // 502 – network problem contacting a remote service
         expect(new UpstreamError('x').status).toBe(502);
+        // 401 – no session or device token; 403 – signed in without the needed role
+        expect(new UnauthorizedError().status).toBe(401);
+        expect(new ForbiddenError().code).toBe('forbidden');
+        // 409 – PixelFree has no connected Pixelfed account for the request
+        expect(new NotAuthenticatedError()).toMatchObject({ status: 409, code: 'not_authenticated' });
     });
 });
\ No newline at end of file
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { publish, subscribe, eventsSince } from '../modules/events.js';
+
+describe('events.js', () => {
+    it('delivers published events to subscribers until they unsubscribe', () => {
+        const seen = [];
+        const unsubscribe = subscribe(e => seen.push(e));
+
+        const first = publish('album-refreshed', { albumId: 'alb_1', linked: 3 });
+        unsubscribe();
+        publish('favorites-changed', { statusId: '1', action: 'added' });
+
+        expect(seen).toHaveLength(1);
+        expect(seen[0]).toMatchObject({ id: first.id, type: 'album-refreshed', data: { albumId: 'alb_1', linked: 3 } });
+    });
+
+    it('rejects unknown event types', () => {
+        expect(() => publish('nope', {})).toThrow(/Unknown event type/);
+    });
+
+    it('a throwing listener does not stop other listeners', () => {
+        const seen = [];
+        const offBad = subscribe(() => { throw new Error('boom'); });
+        const offGood = subscribe(e => seen.push(e.type));
+
+        publish('favorites-changed', { statusId: '1', action: 'added' });
+        offBad();
+        offGood();
+
+        expect(seen).toEqual(['favorites-changed']);
+    });
+
+    it('replays buffered events newer than a Last-Event-ID', () => {
+        const a = publish('album-updated', { albumId: 'a', action: 'updated' });
+        const b = publish('album-updated', { albumId: 'b', action: 'deleted' });
+
+        expect(eventsSince(a.id).map(e => e.id)).toEqual([b.id]);
+        expect(eventsSince(b.id)).toEqual([]);
+        expect(eventsSince('garbage')).toEqual([]);
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+
+// In-memory DB *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const mountEventsRoutes = (await import('../api/eventsRoutes.js')).default;
+const events = await import('../modules/events.js');
+const localAuth = await import('../modules/localAuth.js');
+const deviceRepo = await import('../db/deviceRepo.js');
+const { SESSION_COOKIE, DEVICE_COOKIE } = await import('../utils/authMiddleware.js');
+const db = (await import('../db/db.js')).default;
+
+let server;
+let base;
+
+// Open the stream with a cookie, publish, and return the event names received up to a final 'album-updated'
+async function receive(cookie, publishAll) {
+    const controller = new AbortController();
+    const res = await fetch(`${base}/api/events?types=device-command,album-updated`, { headers: { cookie }, signal: controller.signal });
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    await reader.read(); // retry line: the client is subscribed
+
+    publishAll();
+    events.publish('album-updated', { albumId: 'end' });
+    let text = '';
+    while (!text.includes('"albumId":"end"')) text += (await reader.read()).value;
+    controller.abort();
+    return [...text.matchAll(/^data: (.*)$/gm)].map(([, data]) => JSON.parse(data).deviceId ?? 'end');
+}
+
+describe('eventsRoutes.js', () => {
+    beforeAll(async () => {
+        const app = express();
+        mountEventsRoutes(app);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        db.exec('DELETE FROM users; DELETE FROM sessions; DELETE FROM devices;');
+    });
+
+    it('sends remote-control commands only to their frame and to admins', async () => {
+        localAuth.createUser({ username: 'admin', password: 'longenough', role: 'admin' });
+        localAuth.createUser({ username: 'kid', password: 'longenough', role: 'viewer' });
+        const kitchen = deviceRepo.create({ name: 'Kitchen' });
+        const hall = deviceRepo.create({ name: 'Hall' });
+        const publishCommands = () => {
+            events.publish('device-command', { deviceId: kitchen.id, command: { type: 'next' } });
+            events.publish('device-command', { deviceId: hall.id, command: { type: 'next' } });
+        };
+
+        const frame = `${DEVICE_COOKIE}=${localAuth.issueDeviceToken(kitchen.id)}`;
+        expect(await receive(frame, publishCommands)).toEqual([kitchen.id, 'end']);
+
+        const viewer = `${SESSION_COOKIE}=${localAuth.signIn('kid', 'longenough').token}`;
+        expect(await receive(viewer, publishCommands)).toEqual(['end']);
+
+        const admin = `${SESSION_COOKIE}=${localAuth.signIn('admin', 'longenough').token}`;
+        expect(await receive(admin, publishCommands)).toEqual([kitchen.id, hall.id, 'end']);
+    });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { parseDateWindow } from '../utils/helpers.js';
+
+const NOW = Date.parse('2025-06-30T12:00:00.000Z');
+
+describe('helpers.parseDateWindow', () => {
+    it('returns an open window when nothing is given', () => {
+        expect(parseDateWindow({}, NOW)).toEqual({ since: null, until: null });
+        expect(parseDateWindow({ recencyDays: '0' }, NOW)).toEqual({ since: null, until: null });
+    });
+
+    it('turns recencyDays into a since bound', () => {
+        expect(parseDateWindow({ recencyDays: '30' }, NOW).since).toBe('2025-05-31T12:00:00.000Z');
+    });
+
+    it('keeps the narrower of since and recencyDays', () => {
+        const w = parseDateWindow({ since: '2025-06-20', until: '2025-06-25T00:00:00Z', recencyDays: 30 }, NOW);
+        expect(w).toEqual({ since: '2025-06-20T00:00:00.000Z', until: '2025-06-25T00:00:00.000Z' });
+    });
+
+    it('rejects bad input with a ValidationError', () => {
+        expect(() => parseDateWindow({ since: 'yesterday-ish' }, NOW)).toThrow(/since/);
+        expect(() => parseDateWindow({ recencyDays: '-1' }, NOW)).toThrow(/recencyDays/);
+        expect(() => parseDateWindow({ since: '2025-06-02', until: '2025-06-01' }, NOW))
+            .toThrow(expect.objectContaining({ code: 'validation_error' }));
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+
+vi.mock('../modules/auth.js', () => ({ logout: vi.fn() }));
+// In-memory DB *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const mountInstancesRoutes = (await import('../api/instancesRoutes.js')).default;
+const instanceRepo = await import('../db/instanceRepo.js');
+const albumRepo = await import('../db/albumRepo.js');
+const auth = await import('../modules/auth.js');
+const { findOrCreateInstance } = await import('../modules/instances.js');
+const db = (await import('../db/db.js')).default;
+
+let server;
+let base;
+
+// JSON request against the mounted router; resolves to { status, body }
+async function call(method, path, body) {
+    const res = await fetch(`${base}/api/instances${path}`, {
+        method,
+        headers: body ? { 'content-type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+}
+
+describe('instancesRoutes.js', () => {
+    beforeAll(async () => {
+        const app = express();
+        app.use(express.json());
+        mountInstancesRoutes(app);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        process.env.PIXELFED_INSTANCE = 'https://pixelfed.social/';
+        db.exec('DELETE FROM albums; DELETE FROM instances;');
+    });
+
+    it('registers an instance and refuses duplicates, including the default one', async () => {
+        const created = await call('POST', '/', { baseUrl: 'pixey.org/some/path' });
+        expect(created).toMatchObject({ status: 201, body: { baseUrl: 'https://pixey.org', host: 'pixey.org', hasClientSecret: false } });
+
+        expect(await call('POST', '/', { baseUrl: 'https://pixey.org' })).toMatchObject({ status: 409, body: { code: 'conflict' } });
+        expect(await call('POST', '/', { baseUrl: 'pixelfed.social' })).toMatchObject({ status: 409, body: { code: 'conflict' } });
+        expect(await call('POST', '/', { baseUrl: 'ftp://pixey.org' })).toMatchObject({ status: 400, body: { code: 'validation_error' } });
+    });
+
+    it('normalizes the default instance like registered ones', async () => {
+        const { body } = await call('GET', '/default');
+        expect(body).toMatchObject({ id: 'default', baseUrl: 'https://pixelfed.social', isDefault: true });
+        expect(findOrCreateInstance('https://pixelfed.social').isDefault).toBe(true);
+        expect(instanceRepo.list()).toEqual([]);
+    });
+
+    it('updates an instance and signs its accounts out when the server changes', async () => {
+        const { body: instance } = await call('POST', '/', { baseUrl: 'https://pixey.org' });
+
+        expect(await call('PATCH', `/${instance.id}`, { name: 'Pixey' })).toMatchObject({ status: 200, body: { name: 'Pixey' } });
+        const moved = await call('PATCH', `/${instance.id}`, { baseUrl: 'https://pixey.example' });
+        expect(moved).toMatchObject({ status: 200, body: { baseUrl: 'https://pixey.example' } });
+        expect(await call('PATCH', '/default', { name: 'Other' })).toMatchObject({ status: 400 });
+        expect(auth.logout).not.toHaveBeenCalled(); // no accounts connected
+    });
+
+    it('keeps the baseUrl while albums use the instance', async () => {
+        const { body: instance } = await call('POST', '/', { baseUrl: 'https://pixey.org' });
+        albumRepo.create({ name: 'Cats', query: { type: 'tag', tags: ['cats'] }, refresh: { since_id: '42' }, instanceId: instance.id });
+
+        const moved = await call('PATCH', `/${instance.id}`, { baseUrl: 'https://pixey.example' });
+        expect(moved).toMatchObject({ status: 409, body: { code: 'conflict', details: { instanceId: instance.id, albums: 1 } } });
+        expect(instanceRepo.get(instance.id).base_url).toBe('https://pixey.org');
+
+        // Same server written differently, and other fields, still go through
+        expect(await call('PATCH', `/${instance.id}`, { baseUrl: 'pixey.org', name: 'Pixey' })).toMatchObject({ status: 200, body: { name: 'Pixey' } });
+        expect(await call('DELETE', `/${instance.id}`)).toMatchObject({ status: 409 });
+    });
+
+    it('deletes unused instances', async () => {
+        const { body: instance } = await call('POST', '/', { baseUrl: 'https://pixey.org' });
+        expect(await call('DELETE', `/${instance.id}`)).toEqual({ status: 204, body: null });
+        expect(await call('GET', `/${instance.id}`)).toMatchObject({ status: 404, body: { code: 'not_found' } });
+    });
+});
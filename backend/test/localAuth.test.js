@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory DB *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const localAuth = await import('../modules/localAuth.js');
+const deviceRepo = await import('../db/deviceRepo.js');
+const {
+    requireAdmin, requireUser, requireUserOrDevice, requireUserOrOwnDevice, readOnlyUnlessAdmin, SESSION_COOKIE, DEVICE_COOKIE,
+} = await import('../utils/authMiddleware.js');
+const db = (await import('../db/db.js')).default;
+
+// Run a guard against a fake request; resolves to the error passed to next() (or undefined)
+function run(guard, { method = 'GET', cookies = {}, bearer, params = {} } = {}) {
+    const cookie = Object.entries(cookies).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('; ');
+    const req = { method, params, headers: { cookie, ...(bearer ? { authorization: `Bearer ${bearer}` } : {}) } };
+    let result = 'not called';
+    guard(req, {}, (err) => { result = err; });
+    return result;
+}
+
+describe('localAuth.js', () => {
+    beforeEach(() => {
+        db.exec('DELETE FROM users; DELETE FROM sessions; DELETE FROM devices;');
+        delete process.env.PIXELFREE_ADMIN_PASSWORD;
+    });
+
+    it('is disabled until the first user exists, and guards let everything through meanwhile', () => {
+        expect(localAuth.isEnabled()).toBe(false);
+        expect(run(requireAdmin, { method: 'POST' })).toBeUndefined();
+
+        localAuth.createUser({ username: 'admin', password: 'correct horse', role: 'admin' });
+        expect(localAuth.isEnabled()).toBe(true);
+        expect(run(requireAdmin, { method: 'POST' })).toMatchObject({ status: 401 });
+    });
+
+    it('validates new users and keeps usernames unique regardless of case', () => {
+        expect(() => localAuth.createUser({ username: 'a b', password: 'longenough' })).toThrow('username');
+        expect(() => localAuth.createUser({ username: 'kid', password: 'short' })).toThrow('at least 8');
+        expect(() => localAuth.createUser({ username: 'kid', password: 'longenough', role: 'root' })).toThrow('role');
+
+        const kid = localAuth.createUser({ username: 'Kid', password: 'longenough' });
+        expect(kid).toMatchObject({ username: 'Kid', role: 'viewer' });
+        expect(kid).not.toHaveProperty('password_hash');
+        expect(() => localAuth.createUser({ username: 'kid', password: 'longenough' })).toThrow('taken');
+    });
+
+    it('signs in with the right password only and resolves the session', () => {
+        localAuth.createUser({ username: 'admin', password: 'correct horse', role: 'admin' });
+        expect(() => localAuth.signIn('admin', 'wrong horse')).toThrow('wrong username or password');
+        expect(() => localAuth.signIn('nobody', 'correct horse')).toThrow('wrong username or password');
+
+        const { token, user } = localAuth.signIn('ADMIN', 'correct horse');
+        expect(localAuth.sessionUser(token)).toMatchObject({ id: user.id, role: 'admin' });
+        expect(db.prepare('SELECT token_hash FROM sessions').get().token_hash).not.toBe(token);
+
+        localAuth.signOut(token);
+        expect(localAuth.sessionUser(token)).toBeNull();
+    });
+
+    it('expires sessions', () => {
+        localAuth.createUser({ username: 'admin', password: 'correct horse', role: 'admin' });
+        const { token } = localAuth.signIn('admin', 'correct horse');
+        vi.useFakeTimers();
+        try {
+            vi.setSystemTime(Date.now() + localAuth.SESSION_TTL_MS + 1000);
+            expect(localAuth.sessionUser(token)).toBeNull();
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('signs other sessions out on a password change and never drops the last admin', () => {
+        const admin = localAuth.createUser({ username: 'admin', password: 'correct horse', role: 'admin' });
+        const here = localAuth.signIn('admin', 'correct horse').token;
+        const elsewhere = localAuth.signIn('admin', 'correct horse').token;
+
+        localAuth.updateUser(admin.id, { password: 'battery staple' }, { keepSessionToken: here });
+        expect(localAuth.sessionUser(here)).not.toBeNull();
+        expect(localAuth.sessionUser(elsewhere)).toBeNull();
+        expect(() => localAuth.signIn('admin', 'correct horse')).toThrow();
+
+        expect(() => localAuth.updateUser(admin.id, { role: 'viewer' })).toThrow('at least one admin');
+        expect(() => localAuth.removeUser(admin.id)).toThrow('at least one admin');
+        localAuth.createUser({ username: 'other', password: 'longenough', role: 'admin' });
+        localAuth.removeUser(admin.id);
+        expect(localAuth.listUsers().map(u => u.username)).toEqual(['other']);
+    });
+
+    it('creates the first admin from PIXELFREE_ADMIN_PASSWORD once, and warns while the API is open', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        expect(localAuth.bootstrapAdmin()).toBeNull();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('/api/session/setup is unclaimed'));
+
+        process.env.PIXELFREE_ADMIN_PASSWORD = 'from the env';
+        expect(localAuth.bootstrapAdmin()).toMatchObject({ username: 'admin', role: 'admin' });
+        expect(localAuth.bootstrapAdmin()).toBeNull();
+        expect(warn).toHaveBeenCalledTimes(1);
+        vi.restoreAllMocks();
+    });
+
+    it('issues device tokens that replace each other', () => {
+        const device = deviceRepo.create({ name: 'Frame' });
+        const first = localAuth.issueDeviceToken(device.id);
+        expect(localAuth.deviceForToken(first).id).toBe(device.id);
+
+        const second = localAuth.issueDeviceToken(device.id);
+        expect(localAuth.deviceForToken(first)).toBeNull();
+        expect(localAuth.deviceForToken(second).id).toBe(device.id);
+    });
+});
+
+describe('authMiddleware guards', () => {
+    let admin, viewer, device, deviceToken;
+
+    beforeEach(() => {
+        db.exec('DELETE FROM users; DELETE FROM sessions; DELETE FROM devices;');
+        localAuth.createUser({ username: 'admin', password: 'correct horse', role: 'admin' });
+        localAuth.createUser({ username: 'kid', password: 'longenough', role: 'viewer' });
+        admin = localAuth.signIn('admin', 'correct horse').token;
+        viewer = localAuth.signIn('kid', 'longenough').token;
+        device = deviceRepo.create({ name: 'Frame' });
+        deviceToken = localAuth.issueDeviceToken(device.id);
+    });
+
+    it('lets admins change things and viewers only read', () => {
+        expect(run(requireAdmin, { cookies: { [SESSION_COOKIE]: admin } })).toBeUndefined();
+        expect(run(requireAdmin, { cookies: { [SESSION_COOKIE]: viewer } })).toMatchObject({ status: 403 });
+        expect(run(requireUser, { cookies: { [SESSION_COOKIE]: viewer } })).toBeUndefined();
+
+        expect(run(readOnlyUnlessAdmin, { cookies: { [SESSION_COOKIE]: viewer } })).toBeUndefined();
+        expect(run(readOnlyUnlessAdmin, { method: 'DELETE', cookies: { [SESSION_COOKIE]: viewer } })).toMatchObject({ status: 403 });
+        expect(run(readOnlyUnlessAdmin, { method: 'DELETE' })).toMatchObject({ status: 401 });
+    });
+
+    it('lets devices read player endpoints with their token, as header or cookie', () => {
+        expect(run(requireUserOrDevice, { bearer: deviceToken })).toBeUndefined();
+        expect(run(requireUserOrDevice, { cookies: { [DEVICE_COOKIE]: deviceToken } })).toBeUndefined();
+        expect(run(requireUserOrDevice, { bearer: 'pfd_forged' })).toMatchObject({ status: 401 });
+        expect(run(requireUser, { bearer: deviceToken })).toMatchObject({ status: 403 });
+        expect(run(readOnlyUnlessAdmin, { method: 'POST', bearer: deviceToken })).toMatchObject({ status: 403 });
+    });
+
+    it('limits a device to its own heartbeat and commands', () => {
+        expect(run(requireUserOrOwnDevice, { bearer: deviceToken, params: { id: device.id } })).toBeUndefined();
+        expect(run(requireUserOrOwnDevice, { bearer: deviceToken, params: { id: 'dev_other' } })).toMatchObject({ status: 403 });
+        expect(run(requireUserOrOwnDevice, { cookies: { [SESSION_COOKIE]: viewer }, params: { id: 'dev_other' } })).toBeUndefined();
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// In-memory DB and a throwaway cache dir *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+process.env.PIXELFREE_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelfree-cache-'));
+
+const { runMaintenance, parseRetention } = await import('../services/maintenance.js');
+const albumRepo = await import('../db/albumRepo.js');
+const photoRepo = await import('../db/photoRepo.js');
+const favoritesRepo = await import('../db/favoritesRepo.js');
+const runs = await import('../db/refreshRunRepo.js');
+const { ensureCached, getCachedById } = await import('../modules/cache.js');
+const db = (await import('../db/db.js')).default;
+
+const daysAgo = n => new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString();
+const newAlbum = retention => albumRepo.create({ name: 'Cats', query: { type: 'tag', tags: ['cats'] }, refresh: {}, retention });
+const linked = albumId => albumRepo.listItems(albumId, { limit: 100 }).items.sort();
+
+describe('maintenance.js', () => {
+    beforeEach(() => {
+        vi.restoreAllMocks();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        db.exec('DELETE FROM refresh_runs; DELETE FROM albums; DELETE FROM favorites; DELETE FROM photos;');
+        // p1 is the newest post, p5 the oldest
+        photoRepo.upsertMany([1, 2, 3, 4, 5].map(n => ({ id: `p${n}`, created_at: daysAgo(n * 10), url: `https://cdn.example/${n}.jpg` })));
+    });
+
+    it('keeps the newest photos and drops old ones per album', () => {
+        const byCount = newAlbum({ maxPhotos: 2 });
+        const byAge = newAlbum({ maxAgeDays: 25 });
+        const everything = newAlbum(null);
+        for (const album of [byCount, byAge, everything]) albumRepo.addPhotos(album.id, ['p5', 'p3', 'p1', 'p2', 'p4']);
+
+        const result = runMaintenance();
+        expect(linked(byCount.id)).toEqual(['p1', 'p2']);
+        expect(linked(byAge.id)).toEqual(['p1', 'p2']);
+        expect(linked(everything.id)).toHaveLength(5);
+        expect(result).toMatchObject({ unlinked: 6, photos_removed: 0 });
+        expect(result.albums).toEqual(expect.arrayContaining([{ albumId: byCount.id, removed: 3 }, { albumId: byAge.id, removed: 3 }]));
+    });
+
+    it('removes orphaned photos and their cached media, but keeps favorites', async () => {
+        const album = newAlbum({ maxPhotos: 1 });
+        albumRepo.addPhotos(album.id, ['p1', 'p2', 'p3']);
+        favoritesRepo.addFavorite('p3');
+        vi.spyOn(global, 'fetch').mockResolvedValue({
+            ok: true, status: 200, headers: new Headers({ 'content-type': 'image/jpeg' }),
+            arrayBuffer: async () => new Uint8Array(4).buffer,
+        });
+        const cached = await ensureCached({ id: 'p2', url: 'https://cdn.example/2.jpg' });
+
+        const result = runMaintenance();
+        // p2 dropped out of the album; p4/p5 were never in one
+        expect(result).toMatchObject({ photos_removed: 3, media_removed: 1 });
+        expect(photoRepo.listUnreferenced()).toEqual([]);
+        expect(await getCachedById('p2')).toEqual([]);
+        expect(fs.existsSync(cached.path)).toBe(false);
+        expect(favoritesRepo.isFavorited('p3')).toBe(true);
+        expect(db.prepare('SELECT status_id FROM photos ORDER BY status_id').pluck().all()).toEqual(['p1', 'p3']);
+    });
+
+    it('deletes old refresh history', () => {
+        const album = newAlbum(null);
+        const old = runs.start({ albumId: album.id, source: 'scheduler' });
+        runs.finish(old);
+        db.prepare('UPDATE refresh_runs SET started_at = ? WHERE id = ?').run(daysAgo(31), old);
+        const recent = runs.start({ albumId: album.id, source: 'manual' });
+
+        expect(runMaintenance().runs_removed).toBe(1);
+        expect(runs.list().items.map(r => r.id)).toEqual([recent]);
+    });
+
+    it('reads an album\'s retention, null meaning keep everything', () => {
+        expect(parseRetention(newAlbum({ maxPhotos: 100 }))).toEqual({ maxPhotos: 100, maxAgeDays: null });
+        expect(parseRetention(newAlbum(null))).toBeNull();
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import Database from 'better-sqlite3';
+
+const { prepareDatabase, status, getSchemaVersion, LATEST_VERSION } = await import('../db/migrate.js');
+
+const quiet = () => {};
+
+// A database as the first PixelFree releases left it: narrow query types, none of the later columns
+function legacyDatabase() {
+    const db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE albums (
+        id TEXT PRIMARY KEY, name TEXT NOT NULL, created_at TEXT NOT NULL, updated_at TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        query_type TEXT NOT NULL CHECK (query_type IN ('tag','user','compound')),
+        query_tags TEXT, query_users TEXT,
+        query_tagmode TEXT NOT NULL DEFAULT 'any' CHECK (query_tagmode IN ('any','all')),
+        query_limit INTEGER NOT NULL DEFAULT 20,
+        refresh_json TEXT NOT NULL
+      );
+      CREATE TABLE photos (status_id TEXT PRIMARY KEY, created_at TEXT NOT NULL, url TEXT);
+      CREATE TABLE album_items (
+        album_id TEXT NOT NULL, status_id TEXT NOT NULL, added_at TEXT NOT NULL,
+        PRIMARY KEY (album_id, status_id),
+        FOREIGN KEY (album_id) REFERENCES albums(id) ON DELETE CASCADE,
+        FOREIGN KEY (status_id) REFERENCES photos(status_id) ON DELETE CASCADE
+      );
+      CREATE TABLE kv (k TEXT PRIMARY KEY, v TEXT NOT NULL);
+      INSERT INTO albums (id, name, created_at, updated_at, query_type, refresh_json)
+        VALUES ('alb_1', 'Cats', 't', 't', 'tag', '{}');
+      INSERT INTO photos (status_id, created_at) VALUES ('s1', 't');
+      INSERT INTO album_items VALUES ('alb_1', 's1', 't');
+    `);
+    return db;
+}
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+describe('migrate.js', () => {
+    it('creates a new database at the latest version without running migrations', () => {
+        const db = new Database(':memory:');
+        const result = prepareDatabase(db, { log: quiet });
+        expect(result).toMatchObject({ created: true, from: 0, to: LATEST_VERSION, applied: [] });
+        expect(getSchemaVersion(db)).toBe(LATEST_VERSION);
+        expect(status(db).pending).toEqual([]);
+    });
+
+    it('upgrades an old database in order and keeps its rows', () => {
+        const db = legacyDatabase();
+        expect(status(db)).toMatchObject({ current: 0, latest: LATEST_VERSION });
+        expect(status(db).pending).toHaveLength(LATEST_VERSION);
+
+        const result = prepareDatabase(db, { log: quiet });
+        expect(result.applied.map(m => m.version)).toEqual(Array.from({ length: LATEST_VERSION }, (_, i) => i + 1));
+        expect(getSchemaVersion(db)).toBe(LATEST_VERSION);
+
+        expect(columns(db, 'albums')).toEqual(expect.arrayContaining(['query_exclude', 'sensitive_policy', 'instance_id', 'account_id']));
+        expect(columns(db, 'photos')).toEqual(expect.arrayContaining(['sensitive', 'spoiler_text', 'instance_id', 'remote_id']));
+        expect(db.prepare('SELECT name FROM albums').all()).toEqual([{ name: 'Cats' }]);
+        expect(db.prepare('SELECT COUNT(*) AS n FROM album_items').get().n).toBe(1);
+        expect(() => db.prepare("UPDATE albums SET query_type = 'home'").run()).not.toThrow();
+        expect(db.pragma('foreign_keys', { simple: true })).toBe(1);
+
+        // Running again is a no-op
+        expect(prepareDatabase(db, { log: quiet }).applied).toEqual([]);
+    });
+
+    it('only runs migrations above the recorded version', () => {
+        const db = legacyDatabase();
+        db.prepare("INSERT INTO kv (k, v) VALUES ('schema_version', '2')").run();
+        db.exec("ALTER TABLE albums ADD COLUMN query_exclude TEXT");
+        const result = prepareDatabase(db, { log: quiet });
+        expect(result.from).toBe(2);
+        expect(result.applied[0].version).toBe(3);
+        // Migration 2 counted as applied, so its columns were not added
+        expect(columns(db, 'photos')).not.toContain('sensitive');
+    });
+
+    it('changes nothing on a dry run', () => {
+        const db = legacyDatabase();
+        const before = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'albums'").get().sql;
+
+        const result = prepareDatabase(db, { dryRun: true, log: quiet });
+        expect(result).toMatchObject({ dryRun: true, from: 0, to: LATEST_VERSION });
+        expect(result.applied).toHaveLength(LATEST_VERSION);
+
+        expect(db.prepare("SELECT sql FROM sqlite_master WHERE name = 'albums'").get().sql).toBe(before);
+        expect(columns(db, 'photos')).not.toContain('sensitive');
+        expect(getSchemaVersion(db)).toBe(0);
+        expect(db.prepare("SELECT 1 FROM sqlite_master WHERE name = 'users'").get()).toBeUndefined();
+    });
+
+    it('leaves a database from a newer PixelFree alone', () => {
+        const db = legacyDatabase();
+        db.prepare("INSERT INTO kv (k, v) VALUES ('schema_version', ?)").run(String(LATEST_VERSION + 1));
+        const result = prepareDatabase(db, { log: quiet });
+        expect(result.applied).toEqual([]);
+        expect(columns(db, 'photos')).not.toContain('sensitive');
+    });
+});
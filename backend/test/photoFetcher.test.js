@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../modules/auth.js', () => ({ getAccessToken: vi.fn().mockResolvedValue('TOKEN') }));
+// photoFetcher resolves instances through the DB; keep it in memory
+process.env.PIXELFREE_DB_PATH = ':memory:';
+const { isExcluded, getLatestPhotosForTags, getLatestPhotosForTimeline } = await import('../services/photoFetcher.js');
+
+beforeEach(() => { vi.restoreAllMocks(); process.env.PIXELFED_INSTANCE = 'https://pixelfed.social'; });
+
+const photo = (over = {}) => ({
+    id: '1',
+    tags: ['sunset'],
+    author: { id: '42', acct: 'alice' },
+    caption: '<p>Golden hour at the beach</p>',
+    ...over,
+});
+
+describe('photoFetcher exclusions', () => {
+    it('rejects blocked tags, accounts and caption keywords', () => {
+        expect(isExcluded(photo(), null)).toBe(false);
+        expect(isExcluded(photo({ tags: ['sunset', 'Promo'] }), { tags: ['promo'] })).toBe(true);
+        expect(isExcluded(photo(), { users: ['42'] })).toBe(true);
+        expect(isExcluded(photo({ author: { acct: 'spam@other.social' } }), { users: ['@Spam@other.social'] })).toBe(true);
+        expect(isExcluded(photo(), { keywords: ['GOLDEN hour'] })).toBe(true);
+        expect(isExcluded(photo(), { tags: ['ads'], users: ['bob'], keywords: ['follow me'] })).toBe(false);
+    });
+
+    it('matches local authors against acct@instance entries', () => {
+        expect(isExcluded(photo(), { users: ['alice@pixelfed.social'] })).toBe(true);
+        expect(isExcluded(photo(), { users: ['alice@mastodon.social'] })).toBe(false);
+    });
+
+    it('filters fetched tag timelines before applying the limit', async () => {
+        const status = (id, acct, content) => ({
+            id, created_at: `2025-01-0${id}T00:00:00Z`, content, account: { id: `a${id}`, acct },
+            tags: [{ name: 'sunset' }], media_attachments: [{ type: 'image', url: `img${id}` }],
+        });
+        vi.spyOn(global, 'fetch').mockResolvedValueOnce({
+            ok: true, status: 200, headers: new Headers(),
+            json: async () => [status('3', 'spammer', 'nice'), status('2', 'bob', 'DM to buy followers'), status('1', 'carol', 'calm')],
+        });
+
+        const photos = await getLatestPhotosForTags(['sunset'], {
+            limit: 1,
+            exclude: { users: ['spammer'], keywords: ['buy followers'] },
+        });
+        expect(photos.map(p => p.id)).toEqual(['1']);
+    });
+
+    it('keeps the sensitive flag and content warning of each post', async () => {
+        vi.spyOn(global, 'fetch').mockResolvedValueOnce({
+            ok: true, status: 200, headers: new Headers(),
+            json: async () => [{
+                id: '9', created_at: '2025-01-09T00:00:00Z', sensitive: true, spoiler_text: 'nudity',
+                account: { id: 'a9', acct: 'dan' }, tags: [{ name: 'art' }],
+                media_attachments: [{ type: 'image', url: 'img9' }],
+            }],
+        });
+
+        const [p] = await getLatestPhotosForTags(['art'], { limit: 5 });
+        expect(p).toMatchObject({ id: '9', sensitive: true, spoiler_text: 'nudity' });
+    });
+
+    it('reads the local timeline from the public endpoint with local=true and since_id', async () => {
+        const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValueOnce({
+            ok: true, status: 200, headers: new Headers(),
+            json: async () => [{
+                id: '12', created_at: '2025-02-01T00:00:00Z', account: { id: 'a1', acct: 'erin' },
+                media_attachments: [{ type: 'image', url: 'img12' }, { type: 'video', url: 'vid12' }],
+            }],
+        });
+
+        const photos = await getLatestPhotosForTimeline('local', { limit: 10, since_id: '11' });
+        const url = fetchSpy.mock.calls[0][0];
+        expect(url.pathname).toBe('/api/v1/timelines/public');
+        expect(url.searchParams.get('local')).toBe('true');
+        expect(url.searchParams.get('since_id')).toBe('11');
+        expect(photos.map(p => p.url)).toEqual(['img12']);
+    });
+
+    it('rejects unknown timelines', async () => {
+        await expect(getLatestPhotosForTimeline('trending')).rejects.toMatchObject({ code: 'validation_error' });
+    });
+
+    it('queries a registered instance and qualifies its status IDs', async () => {
+        const instanceRepo = await import('../db/instanceRepo.js');
+        const ins = instanceRepo.create({ name: 'Other', baseUrl: 'https://other.example' });
+        const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValueOnce({
+            ok: true, status: 200, headers: new Headers(),
+            json: async () => [{
+                id: '12', created_at: '2025-02-01T00:00:00Z', account: { id: 'a1', acct: 'erin' },
+                media_attachments: [{ type: 'image', url: 'img12' }],
+            }],
+        });
+
+        const [p] = await getLatestPhotosForTimeline('public', { instanceId: ins.id });
+        expect(fetchSpy.mock.calls[0][0].origin).toBe('https://other.example');
+        expect(p).toMatchObject({ id: '12@other.example', remote_id: '12', instance_id: ins.id });
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// In-memory DB *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const photoRepo = await import('../db/photoRepo.js');
+const albumRepo = await import('../db/albumRepo.js');
+const db = (await import('../db/db.js')).default;
+
+// Post dates and the order the posts were added to the album differ on purpose
+const POSTS = [
+    { id: 'p1', created_at: '2025-01-05T00:00:00Z', added_at: '2025-03-02T00:00:00Z' },
+    { id: 'p2', created_at: '2025-01-01T00:00:00Z', added_at: '2025-03-05T00:00:00Z' },
+    { id: 'p3', created_at: '2025-01-03T00:00:00Z', added_at: '2025-03-01T00:00:00Z' },
+    { id: 'p4', created_at: '2025-01-04T00:00:00Z', added_at: '2025-03-04T00:00:00Z' },
+    { id: 'p5', created_at: '2025-01-02T00:00:00Z', added_at: '2025-03-03T00:00:00Z' },
+];
+
+let albumId;
+const ids = opts => photoRepo.listForAlbum(albumId, { limit: 100, ...opts }).items.map(p => p.status_id);
+
+describe('photoRepo.listForAlbum', () => {
+    beforeEach(() => {
+        db.exec('DELETE FROM albums; DELETE FROM photos;');
+        albumId = albumRepo.create({ name: 'Cats', query: { type: 'tag', tags: ['cats'] }, refresh: {} }).id;
+        photoRepo.upsertMany(POSTS.map(({ id, created_at }) => ({ id, created_at, url: `https://cdn.example/${id}.jpg` })));
+        albumRepo.addPhotos(albumId, POSTS.map(p => p.id));
+        const setAddedAt = db.prepare('UPDATE album_items SET added_at = ? WHERE album_id = ? AND status_id = ?');
+        for (const p of POSTS) setAddedAt.run(p.added_at, albumId, p.id);
+    });
+
+    it('orders by the time photos were added, newest first, by default', () => {
+        expect(ids()).toEqual(['p2', 'p4', 'p5', 'p1', 'p3']);
+        expect(ids({ sort: 'added_at' })).toEqual(['p2', 'p4', 'p5', 'p1', 'p3']);
+    });
+
+    it('orders by post date, newest first', () => {
+        expect(ids({ sort: 'created_at' })).toEqual(['p1', 'p4', 'p3', 'p5', 'p2']);
+    });
+
+    it('filters by post date with since and until, inclusive', () => {
+        const page = photoRepo.listForAlbum(albumId, { since: '2025-01-02T00:00:00Z', until: '2025-01-04T00:00:00Z', sort: 'created_at' });
+        expect(page.items.map(p => p.status_id)).toEqual(['p4', 'p3', 'p5']);
+        expect(page.total).toBe(3);
+        expect(ids({ since: '2025-01-04T12:00:00Z' })).toEqual(['p1']);
+        expect(ids({ until: '2025-01-01T23:59:59Z' })).toEqual(['p2']);
+    });
+
+    it('shuffles reproducibly for a seed and differently for another', () => {
+        const first = ids({ sort: 'random', seed: 'frame-1' });
+        expect(first.slice().sort()).toEqual(['p1', 'p2', 'p3', 'p4', 'p5']);
+        expect(ids({ sort: 'random', seed: 'frame-1' })).toEqual(first);
+
+        // Pages of one seed line up with the full order
+        const pages = [0, 2, 4].flatMap(offset => photoRepo.listForAlbum(albumId, { sort: 'random', seed: 'frame-1', offset, limit: 2 })
+            .items.map(p => p.status_id));
+        expect(pages).toEqual(first);
+
+        const others = ['frame-2', 'frame-3', 'frame-4'].map(seed => ids({ sort: 'random', seed }));
+        expect(others.some(order => order.join() !== first.join())).toBe(true);
+    });
+});
@@ -1,6 +1,8 @@
 import { describe, it, expect, vi , beforeEach  } from 'vitest';
 
 vi.mock('../modules/auth.js', () => ({ getAccessToken: vi.fn().mockResolvedValue('TOKEN') }));
+// photoService resolves instances through the DB; keep it in memory
+process.env.PIXELFREE_DB_PATH = ':memory:';
 const { fetchPhotos } = await import('../modules/photoService.js');
 
 beforeEach(() => { vi.restoreAllMocks(); process.env.PIXELFED_INSTANCE = 'https://pixelfed.social'; });
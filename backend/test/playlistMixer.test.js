@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+
+// playlistMixer imports photoRepo; keep its DB in memory
+process.env.PIXELFREE_DB_PATH = ':memory:';
+const { mixSequence } = await import('../services/playlistMixer.js');
+
+const ids = (prefix, n) => Array.from({ length: n }, (_, i) => `${prefix}${i + 1}`);
+
+describe('playlistMixer.mixSequence', () => {
+    it('interleaves sources smoothly in proportion to their weights', () => {
+        const seq = mixSequence([
+            { key: 'family', weight: 60, ids: ids('f', 30) },
+            { key: 'landscapes', weight: 40, ids: ids('l', 20) },
+        ]);
+
+        const firstTen = seq.slice(0, 10).map(e => e.source);
+        expect(firstTen.filter(s => s === 'family')).toHaveLength(6);
+        expect(firstTen.filter(s => s === 'landscapes')).toHaveLength(4);
+        // smooth: never more than two of the heavier source in a row
+        expect(firstTen.join(',')).not.toMatch(/family,family,family/);
+        expect(seq).toHaveLength(50);
+    });
+
+    it('plays a photo shared by several albums only once', () => {
+        const seq = mixSequence([
+            { key: 'a', weight: 1, ids: ['1', '2', '3'] },
+            { key: 'b', weight: 1, ids: ['2', '4'] },
+        ]);
+
+        const played = seq.map(e => e.id);
+        expect(played).toHaveLength(4);
+        expect(new Set(played).size).toBe(4);
+        expect(played[0]).toBe('1');
+    });
+
+    it('lets the remaining albums fill in once one runs out', () => {
+        const seq = mixSequence([
+            { key: 'small', weight: 9, ids: ['s1'] },
+            { key: 'big', weight: 1, ids: ids('b', 5) },
+        ]);
+
+        expect(seq.map(e => e.id)).toEqual(['s1', 'b1', 'b2', 'b3', 'b4', 'b5']);
+    });
+
+    it('ignores empty and zero-weight sources', () => {
+        expect(mixSequence([])).toEqual([]);
+        expect(mixSequence([
+            { key: 'empty', weight: 5, ids: [] },
+            { key: 'off', weight: 0, ids: ['x'] },
+        ])).toEqual([]);
+    });
+});
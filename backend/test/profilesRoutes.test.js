@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+
+// In-memory DB *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const mountProfilesRoutes = (await import('../api/profilesRoutes.js')).default;
+const events = await import('../modules/events.js');
+const db = (await import('../db/db.js')).default;
+
+let server;
+let base;
+
+// JSON request against the mounted router; resolves to { status, body }
+async function call(method, path, body) {
+    const res = await fetch(`${base}/api/profiles${path}`, {
+        method,
+        headers: body ? { 'content-type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+}
+
+describe('profilesRoutes.js', () => {
+    beforeAll(async () => {
+        const app = express();
+        app.use(express.json());
+        mountProfilesRoutes(app);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        vi.restoreAllMocks();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        db.exec('DELETE FROM display_profiles;');
+    });
+
+    it('creates, lists and fetches profiles', async () => {
+        const created = await call('POST', '/', { name: ' Kitchen ', settings: { layout: 'grid', maxImages: 50 } });
+        expect(created).toMatchObject({ status: 201, body: { name: 'Kitchen', settings: { layout: 'grid', maxImages: 50 } } });
+
+        expect(await call('GET', '/')).toMatchObject({ status: 200, body: { total: 1, items: [{ id: created.body.id }] } });
+        expect(await call('GET', `/${created.body.id}`)).toMatchObject({ status: 200, body: { name: 'Kitchen' } });
+        expect(await call('GET', '/prf_missing')).toMatchObject({ status: 404, body: { code: 'not_found' } });
+    });
+
+    it('rejects unknown settings and out-of-range values', async () => {
+        expect(await call('POST', '/', { settings: {} })).toMatchObject({ status: 400, body: { code: 'validation_error' } });
+
+        for (const maxImages of [0, 1001, 2.5, '10']) {
+            const res = await call('POST', '/', { name: 'Bad', settings: { maxImages } });
+            expect(res).toMatchObject({ status: 400, body: { code: 'validation_error', details: { keys: ['maxImages'] } } });
+        }
+        const res = await call('POST', '/', { name: 'Bad', settings: { recencyWindow: -1, layout: 'mosaic', volume: 3 } });
+        expect(res.body.details.keys).toEqual(['recencyWindow', 'layout', 'volume']);
+        expect((await call('GET', '/')).body.total).toBe(0);
+    });
+
+    it('merges settings on update and tells frames about it', async () => {
+        const publish = vi.spyOn(events, 'publish');
+        const { body: profile } = await call('POST', '/', { name: 'Kitchen', settings: { layout: 'grid', maxImages: 50 } });
+
+        const updated = await call('PATCH', `/${profile.id}`, { settings: { maxImages: 1000, startTime: '07:30' } });
+        expect(updated).toMatchObject({ status: 200, body: { settings: { layout: 'grid', maxImages: 1000, startTime: '07:30' } } });
+        expect(publish).toHaveBeenCalledWith('profile-updated', expect.objectContaining({ profileId: profile.id, action: 'updated' }));
+
+        expect(await call('PATCH', `/${profile.id}`, { settings: { startTime: '25:00' } })).toMatchObject({ status: 400 });
+        expect(await call('PATCH', `/${profile.id}`, { name: '  ' })).toMatchObject({ status: 400 });
+        expect(await call('PATCH', '/prf_missing', { name: 'x' })).toMatchObject({ status: 404 });
+    });
+
+    it('deletes profiles', async () => {
+        const publish = vi.spyOn(events, 'publish');
+        const { body: profile } = await call('POST', '/', { name: 'Kitchen' });
+
+        expect(await call('DELETE', `/${profile.id}`)).toEqual({ status: 204, body: null });
+        expect(publish).toHaveBeenCalledWith('profile-updated', { profileId: profile.id, action: 'deleted' });
+        expect(await call('DELETE', `/${profile.id}`)).toMatchObject({ status: 404 });
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory DB *before* importing the module under test (settings live in kv)
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const rateBudget = await import('../modules/rateBudget.js');
+const { updateSettings, resetSettings } = await import('../modules/settings.js');
+
+const response = (status, headers = {}) => ({ status, headers: new Headers(headers) });
+
+describe('rateBudget.js', () => {
+    beforeEach(() => {
+        rateBudget.clear();
+        resetSettings();
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('hands out a burst, then makes callers wait for the refill', async () => {
+        updateSettings({ sync: { requestsPerMinute: 3 } });
+        for (let i = 0; i < 3; i++) await rateBudget.acquire('a.example');
+
+        await expect(rateBudget.acquire('a.example', { maxWaitMs: 0 }))
+            .rejects.toMatchObject({ code: 'rate_limited', meta: { host: 'a.example', retryAfter: 20 } });
+        // Other instances have their own budget
+        await expect(rateBudget.acquire('b.example', { maxWaitMs: 0 })).resolves.toBeUndefined();
+    });
+
+    it('pauses the whole instance after a 429 until Retry-After', async () => {
+        const before = Date.now();
+        rateBudget.observe('a.example', response(429, { 'Retry-After': '120' }));
+
+        expect(rateBudget.pausedUntil('a.example')).toBeGreaterThanOrEqual(before + 120000);
+        expect(rateBudget.pausedUntil('b.example')).toBe(0);
+        await expect(rateBudget.acquire('a.example')).rejects.toMatchObject({ meta: { retryAfter: 120 } });
+        expect(rateBudget.status()).toEqual([
+            expect.objectContaining({ host: 'a.example', tokens: 0, paused_until: expect.any(String) }),
+        ]);
+    });
+
+    it('falls back to X-RateLimit-Reset, or a default pause, when a 429 has no Retry-After', () => {
+        const reset = new Date(Date.now() + 5 * 60000);
+        rateBudget.observe('a.example', response(429, { 'X-RateLimit-Reset': reset.toISOString() }));
+        expect(rateBudget.pausedUntil('a.example')).toBe(reset.getTime());
+
+        rateBudget.observe('b.example', response(429));
+        expect(rateBudget.pausedUntil('b.example')).toBeGreaterThan(Date.now());
+    });
+
+    it('follows X-RateLimit-Remaining and stops before the limit is hit', async () => {
+        rateBudget.observe('a.example', response(200, { 'X-RateLimit-Remaining': '250' }));
+        expect(rateBudget.pausedUntil('a.example')).toBe(0);
+        expect(rateBudget.status()[0].remaining).toBe(250);
+
+        const resetAt = Math.floor(Date.now() / 1000) + 90; // epoch seconds
+        rateBudget.observe('a.example', response(200, { 'X-RateLimit-Remaining': '1', 'X-RateLimit-Reset': String(resetAt) }));
+        expect(rateBudget.pausedUntil('a.example')).toBe(resetAt * 1000);
+        await expect(rateBudget.acquire('a.example', { maxWaitMs: 1000 })).rejects.toMatchObject({ code: 'rate_limited' });
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// In-memory DB *before* importing the modules under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const runs = await import('../db/refreshRunRepo.js');
+const albumRepo = await import('../db/albumRepo.js');
+const db = (await import('../db/db.js')).default;
+
+const newAlbum = () => albumRepo.create({ name: 'Cats', query: { type: 'tag', tags: ['cats'] }, refresh: {}, enabled: true });
+
+describe('refreshRunRepo.js', () => {
+    beforeEach(() => {
+        db.exec('DELETE FROM refresh_runs; DELETE FROM albums;');
+    });
+
+    it('records a successful run with its counts and watermark', () => {
+        const album = newAlbum();
+        const id = runs.start({ albumId: album.id, source: 'scheduler', sinceId: '42' });
+        expect(runs.get(id)).toMatchObject({ status: 'running', since_id: '42', finished_at: null });
+
+        runs.finish(id, { fetched: 30, upserted: 12, linked: 5 });
+        expect(runs.get(id)).toMatchObject({ status: 'ok', fetched: 30, upserted: 12, linked: 5, error_code: null });
+        expect(runs.get(id).finished_at).toEqual(expect.any(String));
+    });
+
+    it('keeps the error code of failed runs', () => {
+        const album = newAlbum();
+        const rateLimited = runs.start({ albumId: album.id, source: 'scheduler' });
+        runs.fail(rateLimited, Object.assign(new Error('Rate limited'), { code: 'rate_limited' }));
+        const http = runs.start({ albumId: album.id, source: 'manual' });
+        runs.fail(http, Object.assign(new Error('Pixelfed GET failed (404)'), { status: 404 }));
+        const plain = runs.start({ albumId: album.id, source: 'manual' });
+        runs.fail(plain, new TypeError('boom'));
+
+        expect(runs.get(rateLimited)).toMatchObject({ status: 'error', error_code: 'rate_limited', error_message: 'Rate limited' });
+        expect(runs.get(http).error_code).toBe('http_404');
+        expect(runs.get(plain).error_code).toBe('internal_error');
+    });
+
+    it('lists runs newest first, per album and by status', () => {
+        const a = newAlbum();
+        const b = newAlbum();
+        const first = runs.start({ albumId: a.id, source: 'scheduler' });
+        runs.finish(first, { linked: 2 });
+        db.prepare("UPDATE refresh_runs SET started_at = '2020-01-01T00:00:00.000Z' WHERE id = ?").run(first);
+        const second = runs.start({ albumId: a.id, source: 'manual' });
+        runs.fail(second, new Error('nope'));
+        runs.start({ albumId: b.id, source: 'scheduler' });
+
+        expect(runs.list({ albumId: a.id }).items.map(r => r.id)).toEqual([second, first]);
+        expect(runs.list({ status: 'error' })).toMatchObject({ total: 1, items: [{ id: second }] });
+        expect(runs.list({ limit: 1 })).toMatchObject({ total: 3, limit: 1 });
+        expect(runs.summary('2021-01-01T00:00:00.000Z')).toEqual({ runs: 2, ok: 0, errors: 1, rate_limited: 0, linked: 0 });
+    });
+
+    it('fails runs a previous process left running, and goes away with its album', () => {
+        const album = newAlbum();
+        const id = runs.start({ albumId: album.id, source: 'scheduler' });
+        expect(runs.failInterrupted()).toBe(1);
+        expect(runs.get(id)).toMatchObject({ status: 'error', error_code: 'interrupted' });
+
+        albumRepo.remove(album.id);
+        expect(runs.list().total).toBe(0);
+    });
+});
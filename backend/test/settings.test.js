@@ -1,18 +1,56 @@
-import { describe, it, expect} from 'vitest';
-import { getSettings, updateSettings } from '../modules/settings.js';
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// In-memory DB *before* importing the module under test
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const { getSettings, updateSettings, loadSettings, resetSettings, SETTINGS_KEY } = await import('../modules/settings.js');
+const kv = await import('../db/kvRepo.js');
+
+beforeEach(() => { resetSettings(); });
 
 describe('settings.js', () => {
     //read the current runtime settings
     it('getSettings returns defaults', () => {
         const s = getSettings();
-        expect(s).toHaveProperty('instanceUrl');
+        expect(s).toHaveProperty('sync.intervalMs');
         expect(s).toHaveProperty('display.transitionMs');
         expect(s).toHaveProperty('source.type');
     });
-    //shallow-merge new values into settings and return the updated object
-    it('updateSettings shallow merges', () => {
+    //deep-merge new values into settings and return the updated object
+    it('updateSettings deep merges', () => {
         const next = updateSettings({ display: { showCaptions: false }, sync: { fetchLimit: 5 } });
         expect(next.display.showCaptions).toBe(false);
+        expect(next.display.transitionMs).toBe(5000);
         expect(next.sync.fetchLimit).toBe(5);
+        expect(next.sync.intervalMs).toBe(600000);
+    });
+    //overrides are stored in kv and survive a reload
+    it('persists overrides under a versioned kv key', () => {
+        updateSettings({ sync: { intervalMs: 120000 } });
+        expect(JSON.parse(kv.get(SETTINGS_KEY))).toEqual({ sync: { intervalMs: 120000 } });
+        const reloaded = loadSettings();
+        expect(reloaded.sync.intervalMs).toBe(120000);
+        expect(reloaded.sync.fetchLimit).toBe(20);
+    });
+    //unknown keys and bad values are rejected without changing state
+    it('rejects unknown keys and invalid values with ValidationError', () => {
+        expect(() => updateSettings({ bogus: 1 })).toThrow('Invalid settings');
+        expect(() => updateSettings({ sync: { fetchLimit: 500, nope: true } })).toThrow(expect.objectContaining({
+            code: 'validation_error',
+            meta: expect.objectContaining({
+                errors: [expect.objectContaining({ key: 'sync.fetchLimit' }), expect.objectContaining({ key: 'sync.nope' })],
+            }),
+        }));
+        expect(getSettings().sync.fetchLimit).toBe(20);
+        expect(kv.get(SETTINGS_KEY)).toBeNull();
+    });
+    //the Pixelfed server is configured through the environment and instances, not settings
+    it('drops instance settings persisted by older versions', () => {
+        expect(() => updateSettings({ instanceUrl: 'https://pixelfed.art' })).toThrow('Invalid settings');
+        kv.set(SETTINGS_KEY, JSON.stringify({ instanceUrl: 'https://pixelfed.art', redirectUri: 'http://x/cb', sync: { fetchLimit: 5 } }));
+        const s = loadSettings();
+        expect(s).not.toHaveProperty('instanceUrl');
+        expect(s).not.toHaveProperty('redirectUri');
+        expect(s.sync.fetchLimit).toBe(5);
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+
+// In-memory DB *before* importing the module under test (gives a throwaway key)
+process.env.PIXELFREE_DB_PATH = ':memory:';
+
+const { encrypt, decrypt, isEncrypted } = await import('../modules/tokenCrypto.js');
+
+describe('tokenCrypto.js', () => {
+    it('round-trips text through a sealed string', () => {
+        const sealed = encrypt('{"access_token":"A"}');
+        expect(isEncrypted(sealed)).toBe(true);
+        expect(sealed).not.toContain('access_token');
+        expect(decrypt(sealed)).toBe('{"access_token":"A"}');
+    });
+
+    it('uses a fresh IV for every value', () => {
+        expect(encrypt('same')).not.toBe(encrypt('same'));
+    });
+
+    it('tells plain values apart and rejects tampering', () => {
+        expect(isEncrypted('{"access_token":"A"}')).toBe(false);
+        expect(() => decrypt('{"access_token":"A"}')).toThrow('not encrypted');
+
+        const parts = encrypt('secret').split(':');
+        parts[4] = Buffer.from('forged').toString('base64url');
+        expect(() => decrypt(parts.join(':'))).toThrow();
+    });
+});
@@ -1,14 +1,84 @@
 // utils/authMiddleware.js
 // Express middleware for authentication gating in PixelFree.
 //
-// Provides guard functions that check whether the backend
-// currently has valid authentication state.
+// Two separate layers:
+// - `ensureAuthed` / `redirectIfNotAuthed`: does the backend hold a Pixelfed token?
+// - `require*` guards: who is calling the PixelFree API? A signed-in local user
+//   (session cookie, see modules/localAuth.js) or a registered picture frame
+//   (device token as `Authorization: Bearer` header or cookie). While no local
+//   user exists the guards let everything through (first-run setup).
 //
 // Usage example:
-//   import { ensureAuthed } from '../utils/authMiddleware.js';
-//   router.use('/albums', ensureAuthed, albumsRoutes);
+//   import { ensureAuthed, readOnlyUnlessAdmin } from '../utils/authMiddleware.js';
+//   router.use(readOnlyUnlessAdmin);
+//   router.post('/:id/refresh', ensureAuthed, handler);
 
 import * as auth from '../modules/auth.js';
+import * as localAuth from '../modules/localAuth.js';
+import { ForbiddenError, UnauthorizedError } from '../modules/errors.js';
+
+export const SESSION_COOKIE = 'pixelfree_session';
+export const DEVICE_COOKIE = 'pixelfree_device';
+
+function parseCookies(header = '') {
+  const out = {};
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    try { out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim()); } catch {}
+  }
+  return out;
+}
+
+/** Set an httpOnly auth cookie (`SESSION_COOKIE` / `DEVICE_COOKIE`). */
+export function setAuthCookie(req, res, name, value, maxAgeMs) {
+  res.cookie(name, value, { httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/', maxAge: maxAgeMs });
+}
+
+export function clearAuthCookie(res, name) {
+  res.clearCookie(name, { httpOnly: true, sameSite: 'lax', path: '/' });
+}
+
+/**
+ * Resolve (once per request) the caller: `req.user` for a valid session,
+ * `req.device` for a valid device token, `req.sessionToken` for the raw cookie.
+ */
+export function identify(req) {
+  if (req.user !== undefined) return req;
+  const cookies = parseCookies(req.headers.cookie);
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')?.[1];
+  req.sessionToken = cookies[SESSION_COOKIE] || null;
+  req.user = localAuth.sessionUser(req.sessionToken);
+  req.device = localAuth.deviceForToken(bearer || cookies[DEVICE_COOKIE]);
+  return req;
+}
+
+function guard(allowed) {
+  return (req, _res, next) => {
+    if (!localAuth.isEnabled()) return next();
+    identify(req);
+    if (allowed(req)) return next();
+    next(req.user || req.device ? new ForbiddenError('not allowed for your role') : new UnauthorizedError());
+  };
+}
+
+/** Admins only: anything that changes albums, settings, the scheduler, accounts, ... */
+export const requireAdmin = guard(req => req.user?.role === 'admin');
+
+/** Any signed-in user (admin or viewer). */
+export const requireUser = guard(req => !!req.user);
+
+/** Any signed-in user, or a picture frame with its device token (read-only player endpoints). */
+export const requireUserOrDevice = guard(req => !!(req.user || req.device));
+
+/** Any signed-in user, or the device named by `:id` itself. */
+export const requireUserOrOwnDevice = guard(req => !!req.user || (!!req.device && req.device.id === req.params.id));
+
+/** Reads for users and devices, everything else for admins. */
+export function readOnlyUnlessAdmin(req, res, next) {
+  const isRead = req.method === 'GET' || req.method === 'HEAD';
+  return (isRead ? requireUserOrDevice : requireAdmin)(req, res, next);
+}
 
 /**
  * Middleware: allow request to proceed only if authenticated.
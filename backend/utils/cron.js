@@ -0,0 +1,203 @@
+/**
+ * Cron expressions and daily time windows for album refresh schedules.
+ *
+ * Cron: the usual five fields `minute hour day-of-month month day-of-week` with
+ * `*`, lists (`1,15`), ranges (`1-5`), steps (`*\/15`, `8-20/4`), month and day
+ * names (`JAN`, `sun`) and the macros `@hourly`, `@daily`, `@weekly`,
+ * `@monthly`, `@yearly`. As in classic cron, when both day fields are
+ * restricted a day matching either one counts.
+ *
+ * Window: `{ start: 'HH:MM', end: 'HH:MM', days?: ['mon', ...] | [1, ...] }`.
+ * `end` before `start` means the window runs past midnight (e.g. 22:00–02:00);
+ * equal times mean the whole day. `days` are the days a window starts on
+ * (default: every day).
+ *
+ * All times are in the server's local time zone.
+ */
+
+import { ValidationError } from '../modules/errors.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAYS, offset: 0 },
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+};
+
+// Give up looking for the next run after this many steps (e.g. "0 0 30 2 *" never matches)
+const MAX_STEPS = 100_000;
+
+function parseValue(text, field, expr) {
+    const lower = text.toLowerCase();
+    const named = field.names ? field.names.indexOf(lower) : -1;
+    const n = named >= 0 ? named + field.offset : Number(text);
+    if (!/^\w+$/.test(text) || !Number.isInteger(n) || n < field.min || n > field.max) {
+        throw new ValidationError(`invalid ${field.name} "${text}" in cron expression`, { cron: expr });
+    }
+    return n;
+}
+
+function parseField(text, field, expr) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+            throw new ValidationError(`invalid step in ${field.name} "${part}" of cron expression`, { cron: expr });
+        }
+        let lo, hi;
+        if (range === '*') {
+            [lo, hi] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            const [a, b] = range.split('-');
+            [lo, hi] = [parseValue(a, field, expr), parseValue(b, field, expr)];
+            if (lo > hi) throw new ValidationError(`invalid range "${range}" in cron expression`, { cron: expr });
+        } else {
+            lo = parseValue(range, field, expr);
+            hi = stepText === undefined ? lo : field.max; // "5/10" = from 5 every 10
+        }
+        for (let v = lo; v <= hi; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression.
+ * @param {string} expr
+ * @returns {{ minutes:Set<number>, hours:Set<number>, days:Set<number>, months:Set<number>, weekdays:Set<number>, anyDay:boolean, anyWeekday:boolean }}
+ * @throws {ValidationError} if the expression is malformed
+ */
+export function parseCron(expr) {
+    if (typeof expr !== 'string' || !expr.trim()) {
+        throw new ValidationError('cron expression must be a non-empty string', { cron: expr });
+    }
+    const source = MACROS[expr.trim().toLowerCase()] || expr.trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new ValidationError('cron expression must have 5 fields: minute hour day-of-month month day-of-week', { cron: expr });
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i], expr));
+    if (weekdays.delete(7)) weekdays.add(0); // 7 is Sunday too
+    return {
+        minutes, hours, days, months, weekdays,
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*'),
+    };
+}
+
+function dayMatches(cron, date) {
+    const dom = cron.days.has(date.getDate());
+    const dow = cron.weekdays.has(date.getDay());
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return dow;
+    if (cron.anyWeekday) return dom;
+    return dom || dow;
+}
+
+/**
+ * First time after `after` (to the minute) that matches the expression.
+ * @param {string|ReturnType<typeof parseCron>} cron
+ * @param {Date} after
+ * @returns {Date|null} null if the expression never matches
+ */
+export function nextCronRun(cron, after) {
+    const c = typeof cron === 'string' ? parseCron(cron) : cron;
+    const t = new Date(after.getTime());
+    t.setSeconds(0, 0);
+    t.setMinutes(t.getMinutes() + 1);
+
+    for (let i = 0; i < MAX_STEPS; i++) {
+        if (!c.months.has(t.getMonth() + 1)) {
+            t.setMonth(t.getMonth() + 1, 1);
+            t.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(c, t)) {
+            t.setDate(t.getDate() + 1);
+            t.setHours(0, 0, 0, 0);
+        } else if (!c.hours.has(t.getHours())) {
+            t.setHours(t.getHours() + 1, 0, 0, 0);
+        } else if (!c.minutes.has(t.getMinutes())) {
+            t.setMinutes(t.getMinutes() + 1, 0, 0);
+        } else {
+            return t;
+        }
+    }
+    return null;
+}
+
+function parseTime(text, key, window) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(text ?? ''));
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) {
+        throw new ValidationError(`window.${key} must be a time like "06:00"`, { window });
+    }
+    return Number(m[1]) * 60 + Number(m[2]);
+}
+
+/**
+ * Validate a time window and convert it to minutes of the day.
+ * @param {{ start:string, end:string, days?: Array<string|number> }} window
+ * @returns {{ start:number, end:number, days:Set<number> }}
+ * @throws {ValidationError}
+ */
+export function parseWindow(window) {
+    if (!window || typeof window !== 'object' || Array.isArray(window)) {
+        throw new ValidationError('window must be an object like { start: "06:00", end: "23:00" }', { window });
+    }
+    const start = parseTime(window.start, 'start', window);
+    const end = parseTime(window.end, 'end', window);
+    let days = new Set([0, 1, 2, 3, 4, 5, 6]);
+    if (window.days !== undefined) {
+        if (!Array.isArray(window.days) || !window.days.length) {
+            throw new ValidationError('window.days must be a non-empty array of days', { window });
+        }
+        days = new Set(window.days.map(d => {
+            const n = typeof d === 'number' ? d : DAYS.indexOf(String(d).slice(0, 3).toLowerCase());
+            if (!Number.isInteger(n) || n < 0 || n > 7) {
+                throw new ValidationError(`invalid day "${d}" in window.days`, { window });
+            }
+            return n % 7;
+        }));
+    }
+    return { start, end, days };
+}
+
+const asWindow = w => (w && w.days instanceof Set ? w : parseWindow(w));
+
+/** Whether `date` falls inside the window. */
+export function isWithinWindow(window, date) {
+    const w = asWindow(window);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    if (w.start === w.end) return w.days.has(day);
+    if (w.start < w.end) return w.days.has(day) && minute >= w.start && minute < w.end;
+    // Past midnight: either the evening part of today's window or the morning part of yesterday's
+    return (w.days.has(day) && minute >= w.start) || (w.days.has((day + 6) % 7) && minute < w.end);
+}
+
+/**
+ * Start of the next window after `date`.
+ * @returns {Date}
+ */
+export function nextWindowStart(window, date) {
+    const w = asWindow(window);
+    for (let i = 0; i <= 7; i++) {
+        const t = new Date(date.getTime());
+        t.setDate(t.getDate() + i);
+        t.setHours(Math.floor(w.start / 60), w.start % 60, 0, 0);
+        if (t > date && w.days.has(t.getDay())) return t;
+    }
+    return null; // unreachable: days is never empty
+}
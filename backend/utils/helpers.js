@@ -1,3 +1,16 @@
+import { ValidationError } from '../modules/errors.js';
+
+/**
+ * Local URL for a photo's media, served from the disk cache by /api/media.
+ * @param {string} statusId
+ * @param {'original'|'preview'} kind
+ * @returns {string|null}
+ */
+export function mediaUrl(statusId, kind = 'original') {
+    if (!statusId) return null;
+    return `/api/media/${encodeURIComponent(statusId)}/${kind}`;
+}
+
 export function mapPhotoRow(row) {
     // tags_json → tags[]
     let tags = [];
@@ -12,6 +25,9 @@ export function mapPhotoRow(row) {
     return {
         id: row.status_id,           // keep both for convenience
         status_id: row.status_id,
+        // Instance the post came from (null = default) and its ID there
+        instance_id: row.instance_id ?? null,
+        remote_id: row.remote_id ?? null,
         created_at: row.created_at || null,
 
         author: {
@@ -28,10 +44,55 @@ export function mapPhotoRow(row) {
 
         tags,                              // normalized array
 
-        url: row.url ?? null,
-        preview_url: row.preview_url ?? row.url ?? null,
+        // Content warning flags from the post; albums decide whether to show, blur or skip
+        sensitive: !!row.sensitive,
+        spoiler_text: row.spoiler_text || null,
+
+        // Media is served through the local cache; keep the CDN URLs for reference
+        url: mediaUrl(row.status_id, 'original') ?? row.url ?? null,
+        preview_url: mediaUrl(row.status_id, 'preview') ?? row.preview_url ?? row.url ?? null,
+        remote_url: row.url ?? null,
+        remote_preview_url: row.preview_url ?? row.url ?? null,
 
-        // If you later left-join a media manifest, map to local_path here
+        // Relative path inside the media cache (LEFT JOIN media_manifest), null if not cached yet
         local_path: row.local_path ?? null
     };
-}
\ No newline at end of file
+}
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a post date window from query parameters.
+ * `recencyDays` is a shortcut for "since N days ago"; when combined with `since`
+ * the later of the two wins. 0 or empty means no limit.
+ *
+ * @param {{ since?: string, until?: string, recencyDays?: string|number }} query
+ * @returns {{ since: string|null, until: string|null }} ISO timestamps
+ * @throws {ValidationError} on unparsable dates or a negative/non-integer recencyDays
+ */
+export function parseDateWindow({ since, until, recencyDays } = {}, now = Date.now()) {
+    const toIso = (value, key) => {
+        if (value == null || value === '') return null;
+        const t = new Date(value).getTime();
+        if (Number.isNaN(t)) throw new ValidationError(`${key} must be an ISO date`, { [key]: value });
+        return new Date(t).toISOString();
+    };
+
+    let sinceIso = toIso(since, 'since');
+    const untilIso = toIso(until, 'until');
+
+    if (recencyDays != null && recencyDays !== '') {
+        const days = Number(recencyDays);
+        if (!Number.isInteger(days) || days < 0) {
+            throw new ValidationError('recencyDays must be a non-negative integer', { recencyDays });
+        }
+        if (days > 0) {
+            const recentIso = new Date(now - days * DAY_MS).toISOString();
+            if (!sinceIso || recentIso > sinceIso) sinceIso = recentIso;
+        }
+    }
+
+    if (sinceIso && untilIso && sinceIso > untilIso) {
+        throw new ValidationError('since must not be after until', { since: sinceIso, until: untilIso });
+    }
+    return { since: sinceIso, until: untilIso };
+}
@@ -6,7 +6,11 @@ import ProtectedRoute from './components/ProtectedRoute'
 import LoginPage from './pages/LoginPage'
 import AlbumsPage from './pages/AlbumsPage'
 import DisplayPage from './pages/DisplayPage'
+import DevicesPage from './pages/DevicesPage'
+import InstancesPage from './pages/InstancesPage'
 import PlayerPage from './pages/PlayerPage'
+import SignInPage from './pages/SignInPage'
+import UsersPage from './pages/UsersPage'
 
 function App() {
   return (
@@ -30,6 +34,7 @@ function App() {
                 <Header />
                 <main>
                   <Routes>
+                    <Route path="/signin" element={<SignInPage />} />
                     <Route path="/login" element={<LoginPage />} />
                     <Route 
                       path="/albums" 
@@ -47,6 +52,30 @@ function App() {
                         </ProtectedRoute>
                       } 
                     />
+                    <Route 
+                      path="/devices" 
+                      element={
+                        <ProtectedRoute adminOnly>
+                          <DevicesPage />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/instances" 
+                      element={
+                        <ProtectedRoute adminOnly>
+                          <InstancesPage />
+                        </ProtectedRoute>
+                      } 
+                    />
+                    <Route 
+                      path="/users" 
+                      element={
+                        <ProtectedRoute adminOnly>
+                          <UsersPage />
+                        </ProtectedRoute>
+                      } 
+                    />
                     <Route 
                       path="/" 
                       element={
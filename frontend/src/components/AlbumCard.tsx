@@ -94,6 +94,10 @@ const AlbumCard: React.FC<AlbumCardProps> = ({
       }
     }
 
+    if (type === 'local') parts.push('Local timeline');
+    if (type === 'public') parts.push('Public timeline');
+    if (type === 'home') parts.push('Home timeline');
+
     return parts.join(' • ') || 'No query defined';
   };
 
@@ -111,6 +115,9 @@ const AlbumCard: React.FC<AlbumCardProps> = ({
             {album.refresh.last_checked_at && (
               <> • Last updated: {new Date(album.refresh.last_checked_at).toLocaleDateString()}</>
             )}
+            {album.nextRunAt && (
+              <> • Next refresh: {new Date(album.nextRunAt).toLocaleString()}</>
+            )}
           </p>
         </div>
         <div className="album-actions">
@@ -137,6 +144,8 @@ const AlbumCard: React.FC<AlbumCardProps> = ({
                 src={photo.preview_url || photo.url}
                 alt={photo.caption || 'Photo'}
                 loading="lazy"
+                style={photo.blur ? { filter: 'blur(12px)' } : undefined}
+                title={photo.blur ? photo.spoiler_text || 'Sensitive content' : undefined}
               />
             </div>
           ))
@@ -1,5 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import type { Album, CreateAlbumRequest } from '../services/albumService';
+import type { Album, AlbumType, CreateAlbumRequest, SensitivePolicy } from '../services/albumService';
+import type { Instance } from '../services/instanceService';
+import { listInstances } from '../services/instanceService';
+import type { ConnectedAccount } from '../services/accountService';
+import { listAccounts, accountLabel } from '../services/accountService';
 
 interface AlbumFormProps {
   album?: Album | null; // If editing, pass existing album
@@ -10,15 +14,29 @@ interface AlbumFormProps {
 const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
   const [formData, setFormData] = useState({
     name: '',
-    queryType: 'tag' as 'tag' | 'user' | 'compound',
+    queryType: 'tag' as AlbumType,
     tags: '',
     users: '',
     tagmode: 'any' as 'any' | 'all',
     limit: 20,
+    excludeTags: '',
+    excludeUsers: '',
+    excludeKeywords: '',
     intervalMs: 600000, // 10 minutes default
+    cron: '', // '' = refresh by interval
+    windowStart: '', // '' = any time of day
+    windowEnd: '',
+    maxPhotos: '', // '' = keep every photo
+    maxAgeDays: '',
     enabled: true,
+    sensitivePolicy: 'exclude' as SensitivePolicy,
+    instanceId: 'default',
+    accountId: '', // '' = the instance's first connected account
   });
 
+  const [instances, setInstances] = useState<Instance[]>([]);
+  const [accounts, setAccounts] = useState<ConnectedAccount[]>([]);
+
   const [isSaving, setIsSaving] = useState(false);
   const [validationError, setValidationError] = useState<string | null>(null);
   
@@ -37,13 +55,36 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
         users: album.query.users?.accts?.join(', ') || '',
         tagmode: album.query.tagmode,
         limit: album.query.limit,
+        excludeTags: album.query.excludeTags?.join(', ') || '',
+        excludeUsers: album.query.excludeUsers?.join(', ') || '',
+        excludeKeywords: album.query.excludeKeywords?.join(', ') || '',
         intervalMs: album.refresh.intervalMs,
+        cron: album.refresh.cron || '',
+        windowStart: album.refresh.window?.start || '',
+        windowEnd: album.refresh.window?.end || '',
+        maxPhotos: album.retention?.maxPhotos ? String(album.retention.maxPhotos) : '',
+        maxAgeDays: album.retention?.maxAgeDays ? String(album.retention.maxAgeDays) : '',
         enabled: album.enabled,
+        sensitivePolicy: album.sensitivePolicy || 'exclude',
+        instanceId: album.instanceId || 'default',
+        accountId: album.accountId || '',
       });
       setTagChips(tags);
     }
   }, [album]);
 
+  // Instances and accounts to choose from; each picker only shows when there is a choice
+  useEffect(() => {
+    listInstances()
+      .then(setInstances)
+      .catch(err => console.error('Error loading instances:', err));
+    listAccounts()
+      .then(setAccounts)
+      .catch(err => console.error('Error loading accounts:', err));
+  }, []);
+
+  const instanceAccounts = accounts.filter(a => a.instanceId === formData.instanceId);
+
   // Handle adding a tag chip
   const handleAddTag = (e: React.KeyboardEvent<HTMLInputElement>) => {
     if (e.key === 'Enter' || e.key === ',') {
@@ -75,11 +116,13 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
     // Use tag chips instead of parsing comma-separated
     const tags = tagChips;
 
-    const users = formData.users
+    const splitList = (value: string) => value
       .split(',')
-      .map(u => u.trim())
+      .map(v => v.trim())
       .filter(Boolean);
 
+    const users = splitList(formData.users);
+
     // Validate based on query type
     if (formData.queryType === 'tag' && tags.length === 0) {
       setValidationError('At least one tag is required for tag-based albums');
@@ -96,6 +139,18 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
       return;
     }
 
+    if (!formData.windowStart !== !formData.windowEnd) {
+      setValidationError('Set both a start and an end time for the refresh hours, or neither');
+      return;
+    }
+
+    const maxPhotos = formData.maxPhotos ? parseInt(formData.maxPhotos) : null;
+    const maxAgeDays = formData.maxAgeDays ? parseInt(formData.maxAgeDays) : null;
+    if ((maxPhotos !== null && !(maxPhotos >= 1)) || (maxAgeDays !== null && !(maxAgeDays >= 1))) {
+      setValidationError('Photos to keep and maximum age must be positive numbers, or empty to keep everything');
+      return;
+    }
+
     // Build request data
     const requestData: CreateAlbumRequest = {
       name: formData.name.trim(),
@@ -103,11 +158,23 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
         type: formData.queryType,
         tagmode: formData.tagmode,
         limit: formData.limit,
+        excludeTags: splitList(formData.excludeTags).map(t => t.replace(/^#/, '')),
+        excludeUsers: splitList(formData.excludeUsers),
+        excludeKeywords: splitList(formData.excludeKeywords),
       },
       refresh: {
         intervalMs: formData.intervalMs,
+        cron: formData.cron.trim() || null,
+        // Days can only be set through the API; keep them
+        window: formData.windowStart
+          ? { ...album?.refresh.window, start: formData.windowStart, end: formData.windowEnd }
+          : null,
       },
+      retention: maxPhotos || maxAgeDays ? { maxPhotos, maxAgeDays } : null,
       enabled: formData.enabled,
+      sensitivePolicy: formData.sensitivePolicy,
+      instanceId: formData.instanceId,
+      accountId: formData.accountId || null,
     };
 
     // Add tags if applicable
@@ -165,6 +232,55 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
             />
           </div>
 
+          {/* Instance */}
+          {instances.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="instanceId">Instance</label>
+              <select
+                id="instanceId"
+                value={formData.instanceId}
+                onChange={(e) => {
+                  // accounts belong to one instance
+                  handleInputChange('instanceId', e.target.value);
+                  handleInputChange('accountId', '');
+                }}
+              >
+                {instances.map(instance => (
+                  <option key={instance.id} value={instance.id}>
+                    {instance.name}{instance.authenticated ? '' : ' (not connected)'}
+                  </option>
+                ))}
+              </select>
+              <small className="help-text">
+                Pixelfed server this album queries; tags, users and timelines are looked up there
+              </small>
+            </div>
+          )}
+
+          {/* Account */}
+          {instanceAccounts.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="accountId">Account</label>
+              <select
+                id="accountId"
+                value={formData.accountId}
+                onChange={(e) => handleInputChange('accountId', e.target.value)}
+              >
+                <option value="">
+                  {accountLabel(instanceAccounts.find(a => a.authenticated) || instanceAccounts[0])} (default)
+                </option>
+                {instanceAccounts.map(account => (
+                  <option key={account.id} value={account.id}>
+                    {accountLabel(account)}{account.authenticated ? '' : ' (logged out)'}
+                  </option>
+                ))}
+              </select>
+              <small className="help-text">
+                Whose login fetches this album; follower-only posts and the home timeline depend on it
+              </small>
+            </div>
+          )}
+
           {/* Query Type */}
           <div className="form-group">
             <label htmlFor="queryType">
@@ -178,11 +294,17 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
               <option value="tag">By Tags</option>
               <option value="user">By Users</option>
               <option value="compound">By Tags AND Users</option>
+              <option value="local">Local Timeline</option>
+              <option value="public">Public (Federated) Timeline</option>
+              <option value="home">Home Timeline</option>
             </select>
             <small className="help-text">
               {formData.queryType === 'tag' && 'Album will include photos with the specified tags'}
               {formData.queryType === 'user' && 'Album will include photos from the specified users'}
               {formData.queryType === 'compound' && 'Album will include photos from specified users with specified tags'}
+              {formData.queryType === 'local' && 'Album will include the newest photos posted on your instance'}
+              {formData.queryType === 'public' && 'Album will include the newest photos your instance sees from across the fediverse'}
+              {formData.queryType === 'home' && 'Album will include photos from the accounts you follow'}
             </small>
           </div>
 
@@ -256,6 +378,67 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
             </div>
           )}
 
+          {/* Exclusions */}
+          <div className="form-group">
+            <label htmlFor="excludeTags">Exclude Tags</label>
+            <input
+              type="text"
+              id="excludeTags"
+              value={formData.excludeTags}
+              onChange={(e) => handleInputChange('excludeTags', e.target.value)}
+              placeholder="promo, followforfollow"
+            />
+            <small className="help-text">
+              Comma-separated; posts carrying any of these tags are left out
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="excludeUsers">Exclude Users</label>
+            <input
+              type="text"
+              id="excludeUsers"
+              value={formData.excludeUsers}
+              onChange={(e) => handleInputChange('excludeUsers', e.target.value)}
+              placeholder="@spammer@pixelfed.social"
+            />
+            <small className="help-text">
+              Comma-separated list of user handles whose posts are never shown
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="excludeKeywords">Exclude Keywords</label>
+            <input
+              type="text"
+              id="excludeKeywords"
+              value={formData.excludeKeywords}
+              onChange={(e) => handleInputChange('excludeKeywords', e.target.value)}
+              placeholder="giveaway, link in bio"
+            />
+            <small className="help-text">
+              Comma-separated; posts whose caption contains any of these are left out.
+              Saving also removes matching photos already in the album.
+            </small>
+          </div>
+
+          {/* Sensitive content */}
+          <div className="form-group">
+            <label htmlFor="sensitivePolicy">Sensitive Content</label>
+            <select
+              id="sensitivePolicy"
+              value={formData.sensitivePolicy}
+              onChange={(e) => handleInputChange('sensitivePolicy', e.target.value as SensitivePolicy)}
+            >
+              <option value="exclude">Hide - never show sensitive posts</option>
+              <option value="blur">Blur - show behind the content warning</option>
+              <option value="include">Show - display them like any other post</option>
+            </select>
+            <small className="help-text">
+              For posts their authors marked sensitive or put behind a content warning
+            </small>
+          </div>
+
           {/* Limit */}
           <div className="form-group">
             <label htmlFor="limit">Photo Limit</label>
@@ -292,6 +475,74 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
             </small>
           </div>
 
+          {/* Cron schedule */}
+          <div className="form-group">
+            <label htmlFor="cron">Cron Schedule (optional)</label>
+            <input
+              type="text"
+              id="cron"
+              value={formData.cron}
+              onChange={(e) => handleInputChange('cron', e.target.value)}
+              placeholder="0 8 * * sun"
+            />
+            <small className="help-text">
+              Refresh at fixed times instead of the interval: minute hour day month weekday
+              (e.g. "0 8 * * sun" for Sundays at 8:00, or "@daily")
+            </small>
+          </div>
+
+          {/* Refresh hours */}
+          <div className="form-group">
+            <label htmlFor="windowStart">Refresh Hours (optional)</label>
+            <div className="form-row">
+              <input
+                type="time"
+                id="windowStart"
+                value={formData.windowStart}
+                onChange={(e) => handleInputChange('windowStart', e.target.value)}
+                aria-label="Refresh hours start"
+              />
+              <input
+                type="time"
+                id="windowEnd"
+                value={formData.windowEnd}
+                onChange={(e) => handleInputChange('windowEnd', e.target.value)}
+                aria-label="Refresh hours end"
+              />
+            </div>
+            <small className="help-text">
+              Only refresh between these times (server time), e.g. 06:00 to 23:00. Leave empty to refresh around the clock.
+            </small>
+          </div>
+
+          {/* Retention */}
+          <div className="form-group">
+            <label htmlFor="maxPhotos">Keep Photos (optional)</label>
+            <div className="form-row">
+              <input
+                type="number"
+                id="maxPhotos"
+                value={formData.maxPhotos}
+                onChange={(e) => handleInputChange('maxPhotos', e.target.value)}
+                min="1"
+                placeholder="Newest N photos"
+                aria-label="Number of newest photos to keep"
+              />
+              <input
+                type="number"
+                id="maxAgeDays"
+                value={formData.maxAgeDays}
+                onChange={(e) => handleInputChange('maxAgeDays', e.target.value)}
+                min="1"
+                placeholder="Max. age in days"
+                aria-label="Maximum age of photos in days"
+              />
+            </div>
+            <small className="help-text">
+              Older photos are removed from the album during regular maintenance. Leave empty to keep everything.
+            </small>
+          </div>
+
           {/* Enabled */}
           <div className="form-group checkbox-group">
             <label>
@@ -422,6 +673,7 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
 
           .form-group input[type="text"],
           .form-group input[type="number"],
+          .form-group input[type="time"],
           .form-group select {
             width: 100%;
             padding: 10px 12px;
@@ -439,6 +691,11 @@ const AlbumForm: React.FC<AlbumFormProps> = ({ album, onSave, onCancel }) => {
             box-shadow: 0 0 0 3px rgba(33, 150, 243, 0.1);
           }
 
+          .form-row {
+            display: flex;
+            gap: 12px;
+          }
+
           .help-text {
             display: block;
             margin-top: 6px;
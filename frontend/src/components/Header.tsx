@@ -3,9 +3,10 @@ import { Link, useLocation } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 
 const Header: React.FC = () => {
-  const { authStatus, logout } = useAuth()
+  const { authStatus, session, isAdmin, logout, signOut } = useAuth()
   const [isLoggingOut, setIsLoggingOut] = useState(false)
   const location = useLocation()
+  const needsSignIn = session.enabled && !session.user && !session.device
 
   const isActive = (path: string) => location.pathname === path
 
@@ -20,6 +21,14 @@ const Header: React.FC = () => {
     }
   }
 
+  const handleSignOut = async () => {
+    try {
+      await signOut()
+    } catch (error) {
+      console.error('Sign out failed:', error)
+    }
+  }
+
   return (
     <header className="app-header">
       <nav className="navbar">
@@ -30,7 +39,11 @@ const Header: React.FC = () => {
         </div>
         
         <div className="navbar-menu">
-          {authStatus.isAuthenticated ? (
+          {needsSignIn ? (
+            <Link to="/signin" className="btn btn-primary">
+              Sign in
+            </Link>
+          ) : authStatus.isAuthenticated ? (
             <>
               <Link 
                 to="/albums" 
@@ -44,6 +57,28 @@ const Header: React.FC = () => {
               >
                 Display
               </Link>
+              {isAdmin && (
+                <>
+                  <Link 
+                    to="/devices" 
+                    className={`nav-link ${isActive('/devices') ? 'active' : ''}`}
+                  >
+                    Devices
+                  </Link>
+                  <Link 
+                    to="/instances" 
+                    className={`nav-link ${isActive('/instances') ? 'active' : ''}`}
+                  >
+                    Instances
+                  </Link>
+                  <Link 
+                    to={session.enabled ? '/users' : '/signin'} 
+                    className={`nav-link ${isActive('/users') ? 'active' : ''}`}
+                  >
+                    {session.enabled ? 'Users' : 'Set up sign-in'}
+                  </Link>
+                </>
+              )}
               <Link 
                 to="/player" 
                 className={`nav-link ${isActive('/player') ? 'active' : ''}`}
@@ -55,13 +90,21 @@ const Header: React.FC = () => {
                   {authStatus.user.display_name}
                 </span>
               )}
-              <button 
-                onClick={handleLogout}
-                disabled={isLoggingOut}
-                className="btn btn-secondary btn-small"
-              >
-                {isLoggingOut ? 'Logging out...' : 'Logout'}
-              </button>
+              {isAdmin && (
+                <button 
+                  onClick={handleLogout}
+                  disabled={isLoggingOut}
+                  className="btn btn-secondary btn-small"
+                  title="Disconnect every Pixelfed account"
+                >
+                  {isLoggingOut ? 'Logging out...' : 'Logout'}
+                </button>
+              )}
+              {session.user && (
+                <button onClick={handleSignOut} className="btn btn-secondary btn-small">
+                  Sign out {session.user.username}
+                </button>
+              )}
             </>
           ) : (
             <Link to="/login" className="btn btn-primary">
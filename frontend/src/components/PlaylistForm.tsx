@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import type { Album } from '../services/albumService';
+import type { Playlist, SavePlaylistRequest } from '../services/playlistService';
+
+interface PlaylistFormProps {
+  playlist?: Playlist | null; // If editing, pass existing playlist
+  albums: Album[];
+  onSave: (data: SavePlaylistRequest) => Promise<void>;
+  onCancel: () => void;
+}
+
+const DEFAULT_WEIGHT = 50;
+
+const PlaylistForm: React.FC<PlaylistFormProps> = ({ playlist, albums, onSave, onCancel }) => {
+  const [name, setName] = useState(playlist?.name || '');
+  // albumId -> weight for every album included in the playlist
+  const [weights, setWeights] = useState<Record<string, number>>(() =>
+    Object.fromEntries((playlist?.albums || []).map(a => [a.album_id, a.weight]))
+  );
+  const [isSaving, setIsSaving] = useState(false);
+  const [validationError, setValidationError] = useState<string | null>(null);
+
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+  const toggleAlbum = (albumId: string, included: boolean) => {
+    setWeights(prev => {
+      const next = { ...prev };
+      if (included) next[albumId] = DEFAULT_WEIGHT;
+      else delete next[albumId];
+      return next;
+    });
+    setValidationError(null);
+  };
+
+  const setWeight = (albumId: string, value: string) => {
+    const weight = Math.min(100, Math.max(1, parseInt(value) || 1));
+    setWeights(prev => ({ ...prev, [albumId]: weight }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setValidationError(null);
+
+    if (!name.trim()) {
+      setValidationError('Playlist name is required');
+      return;
+    }
+    // Keep the album order of the list so the backend tie-break is predictable
+    const selected = albums
+      .filter(a => weights[a.id] != null)
+      .map(a => ({ albumId: a.id, weight: weights[a.id] }));
+    if (selected.length === 0) {
+      setValidationError('Pick at least one album');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await onSave({ name: name.trim(), albums: selected });
+    } catch (error) {
+      setValidationError(error instanceof Error ? error.message : 'Failed to save playlist');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h2 className="card-title">{playlist ? 'Edit Playlist' : 'New Playlist'}</h2>
+
+      {validationError && (
+        <div className="error-banner">
+          {validationError}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="playlistName" className="form-label">Name</label>
+        <input
+          type="text"
+          id="playlistName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="form-input"
+          placeholder="Family & landscapes"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Albums and weights</label>
+        {albums.map(album => {
+          const included = weights[album.id] != null;
+          return (
+            <div key={album.id} className="radio-label">
+              <input
+                type="checkbox"
+                checked={included}
+                onChange={(e) => toggleAlbum(album.id, e.target.checked)}
+                aria-label={`Include ${album.name}`}
+              />
+              <span className="radio-text">{album.name}</span>
+              {included && (
+                <>
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={weights[album.id]}
+                    onChange={(e) => setWeight(album.id, e.target.value)}
+                    className="form-input"
+                    style={{ width: '5rem' }}
+                    aria-label={`Weight for ${album.name}`}
+                  />
+                  <span className="form-help-text">
+                    {Math.round((weights[album.id] / totalWeight) * 100)}%
+                  </span>
+                </>
+              )}
+            </div>
+          );
+        })}
+        <p className="form-help-text">
+          Weights set each album's share of the rotation. Photos in several albums play once.
+        </p>
+      </div>
+
+      <div className="album-card-footer">
+        <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : playlist ? 'Update Playlist' : 'Create Playlist'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PlaylistForm;
@@ -5,10 +5,11 @@ import { useAuth } from '../contexts/AuthContext'
 
 interface ProtectedRouteProps {
   children: ReactElement
+  adminOnly?: boolean // pages that only change things (viewers go back to the albums)
 }
 
-const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children }) => {
-  const { authStatus, isLoading } = useAuth()
+const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children, adminOnly = false }) => {
+  const { authStatus, session, isAdmin, isLoading } = useAuth()
 
   if (isLoading) {
     return (
@@ -20,6 +21,15 @@ const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children }) => {
     )
   }
 
+  // Local sign-in first (a frame's device token also counts), then the Pixelfed connection
+  if (session.enabled && !session.user && !session.device) {
+    return <Navigate to="/signin" replace />
+  }
+
+  if (adminOnly && !isAdmin) {
+    return <Navigate to="/albums" replace />
+  }
+
   if (!authStatus.isAuthenticated) {
     return <Navigate to="/login" replace />
   }
@@ -2,13 +2,21 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 import type { ReactNode } from 'react';
 import { checkAuthStatus, logout as logoutService } from '../services/authService';
 import type { AuthStatus } from '../services/authService';
+import { getSession, signOut as signOutService } from '../services/sessionService';
+import type { Session } from '../services/sessionService';
+
+const OPEN_SESSION: Session = { enabled: false, setupRequired: true, user: null, device: null };
 
 interface AuthContextType {
-  authStatus: AuthStatus;
+  authStatus: AuthStatus;           // Pixelfed connection of the backend
+  session: Session;                 // local sign-in to PixelFree itself
+  isAdmin: boolean;                 // may change things (always true before the first user exists)
   isLoading: boolean;
-  login: () => Promise<void>;
+  login: (instance?: string) => Promise<void>;
   logout: () => Promise<void>;
   refreshAuthStatus: () => Promise<void>;
+  refreshSession: () => Promise<void>;
+  signOut: () => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -19,12 +27,22 @@ interface AuthProviderProps {
 
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [authStatus, setAuthStatus] = useState<AuthStatus>({ isAuthenticated: false });
+  const [session, setSession] = useState<Session>(OPEN_SESSION);
   const [isLoading, setIsLoading] = useState(true);
 
+  const loadSession = async () => {
+    try {
+      setSession(await getSession());
+    } catch (error) {
+      console.error('Failed to load session:', error);
+      setSession(OPEN_SESSION);
+    }
+  };
+
   const refreshAuthStatus = async () => {
     try {
       setIsLoading(true);
-      const status = await checkAuthStatus();
+      const [status] = await Promise.all([checkAuthStatus(), loadSession()]);
       setAuthStatus(status);
     } catch (error) {
       console.error('Failed to refresh auth status:', error);
@@ -34,10 +52,23 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
-  const login = async () => {
+  const refreshSession = async () => {
+    await loadSession();
+    setAuthStatus(await checkAuthStatus());
+  };
+
+  const signOut = async () => {
+    try {
+      await signOutService();
+    } finally {
+      await loadSession();
+    }
+  };
+
+  const login = async (instance?: string) => {
     // Import dynamically to avoid circular dependencies
     const { initiateLogin } = await import('../services/authService');
-    await initiateLogin();
+    await initiateLogin(instance);
   };
 
   const logout = async () => {
@@ -67,10 +98,14 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
 
   const value: AuthContextType = {
     authStatus,
+    session,
+    isAdmin: !session.enabled || session.user?.role === 'admin',
     isLoading,
     login,
     logout,
     refreshAuthStatus,
+    refreshSession,
+    signOut,
   };
 
   return (
@@ -1,4 +1,6 @@
-import React, { createContext, useContext, useState, useEffect, type ReactNode } from 'react'
+import React, { createContext, useContext, useState, useEffect, useRef, type ReactNode } from 'react'
+import { getProfile, updateProfile } from '../services/profileService'
+import { subscribeToEvents } from '../services/eventService'
 
 export interface PlayerSettings {
   // Layout settings
@@ -23,12 +25,20 @@ export interface PlayerSettings {
   
   // Active album
   activeAlbum: string
+
+  // Active playlist (takes precedence over activeAlbum; '' = play the album)
+  activePlaylist: string
 }
 
 interface SettingsContextType {
   settings: PlayerSettings
   updateSettings: (newSettings: Partial<PlayerSettings>) => void
   resetSettings: () => void
+  // Shared display profile this device follows (null = settings local to this browser)
+  profileId: string | null
+  selectProfile: (id: string | null) => void
+  // Why the last edit could not be saved to the profile (null once a save succeeds)
+  profileSaveError: string | null
   isWithinOperatingHours: () => boolean
   getTimingInMs: () => number
 }
@@ -42,9 +52,14 @@ const defaultSettings: PlayerSettings = {
   endTime: '22:00',
   maxImages: 100,
   recencyWindow: 30,
-  activeAlbum: 'favorites'
+  activeAlbum: 'favorites',
+  activePlaylist: ''
 }
 
+const PROFILE_STORAGE_KEY = 'pixelfree-profile-id'
+// profile-updated events apply edits immediately; polling only covers a dropped event stream
+const PROFILE_POLL_MS = 5 * 60 * 1000
+
 const SettingsContext = createContext<SettingsContextType | undefined>(undefined)
 
 interface SettingsProviderProps {
@@ -53,6 +68,9 @@ interface SettingsProviderProps {
 
 export const SettingsProvider: React.FC<SettingsProviderProps> = ({ children }) => {
   const [settings, setSettings] = useState<PlayerSettings>(defaultSettings)
+  const [profileId, setProfileId] = useState<string | null>(() => localStorage.getItem(PROFILE_STORAGE_KEY))
+  const profileUpdatedAt = useRef<string | null>(null)
+  const [profileSaveError, setProfileSaveError] = useState<string | null>(null)
 
   // Load settings from localStorage on mount
   useEffect(() => {
@@ -90,6 +108,49 @@ export const SettingsProvider: React.FC<SettingsProviderProps> = ({ children })
     return () => clearTimeout(timer)
   }, [])
 
+  // Follow the selected display profile: load it, then apply edits made on other devices
+  useEffect(() => {
+    if (!profileId) return
+
+    let cancelled = false
+    const syncProfile = async () => {
+      try {
+        const profile = await getProfile(profileId)
+        if (cancelled || profile.updated_at === profileUpdatedAt.current) return
+        console.log('SettingsContext: Applying display profile:', profile.name)
+        profileUpdatedAt.current = profile.updated_at
+        setSettings({ ...defaultSettings, ...profile.settings })
+      } catch (error) {
+        console.error('Failed to load display profile:', error)
+      }
+    }
+
+    syncProfile()
+    const timer = setInterval(syncProfile, PROFILE_POLL_MS)
+    const unsubscribe = subscribeToEvents(['profile-updated'], ({ data }) => {
+      if (data.profileId === profileId && data.action === 'updated') syncProfile()
+    })
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+      unsubscribe()
+    }
+  }, [profileId])
+
+  // Push edits to the shared profile so every frame following it picks them up
+  const saveToProfile = (changes: Partial<PlayerSettings>) => {
+    if (!profileId) return
+    updateProfile(profileId, { settings: changes })
+      .then(profile => {
+        profileUpdatedAt.current = profile.updated_at
+        setProfileSaveError(null)
+      })
+      .catch(error => {
+        console.error('Failed to save display profile:', error)
+        setProfileSaveError(`Could not save to the display profile: ${error instanceof Error ? error.message : String(error)}`)
+      })
+  }
+
   const updateSettings = (newSettings: Partial<PlayerSettings>) => {
     console.log('SettingsContext: updateSettings called with:', newSettings)
     setSettings(prev => {
@@ -97,12 +158,26 @@ export const SettingsProvider: React.FC<SettingsProviderProps> = ({ children })
       console.log('SettingsContext: Updated settings:', updated)
       return updated
     })
+    saveToProfile(newSettings)
   }
 
   const resetSettings = () => {
     console.log('Resetting settings to defaults')
     localStorage.removeItem('pixelfree-player-settings')
     setSettings(defaultSettings)
+    saveToProfile(defaultSettings)
+  }
+
+  const selectProfile = (id: string | null) => {
+    console.log('SettingsContext: Selecting display profile:', id)
+    profileUpdatedAt.current = null
+    setProfileSaveError(null)
+    if (id) {
+      localStorage.setItem(PROFILE_STORAGE_KEY, id)
+    } else {
+      localStorage.removeItem(PROFILE_STORAGE_KEY)
+    }
+    setProfileId(id)
   }
 
   const isWithinOperatingHours = (): boolean => {
@@ -137,6 +212,9 @@ export const SettingsProvider: React.FC<SettingsProviderProps> = ({ children })
     settings,
     updateSettings,
     resetSettings,
+    profileId,
+    selectProfile,
+    profileSaveError,
     isWithinOperatingHours,
     getTimingInMs
   }
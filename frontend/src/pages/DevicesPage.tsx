@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import type { Device, DeviceCommandType } from '../services/deviceService';
+import { listDevices, updateDevice, deleteDevice, getStoredDeviceId, sendDeviceCommand } from '../services/deviceService';
+import type { Album } from '../services/albumService';
+import { listAlbums } from '../services/albumService';
+import type { DisplayProfile } from '../services/profileService';
+import { listProfiles } from '../services/profileService';
+import type { Playlist } from '../services/playlistService';
+import { listPlaylists } from '../services/playlistService';
+
+// Frames heartbeat every 30s; refresh the list a bit faster than that
+const REFRESH_INTERVAL_MS = 15000;
+
+const DevicesPage: React.FC = () => {
+  const [devices, setDevices] = useState<Device[]>([]);
+  const [albums, setAlbums] = useState<Album[]>([]);
+  const [profiles, setProfiles] = useState<DisplayProfile[]>([]);
+  const [playlists, setPlaylists] = useState<Playlist[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const thisDeviceId = getStoredDeviceId();
+
+  const loadDevices = async () => {
+    try {
+      setDevices(await listDevices());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load devices');
+      console.error('Error loading devices:', err);
+    }
+  };
+
+  // Load devices plus the albums/profiles they can be assigned, then keep the list fresh
+  useEffect(() => {
+    const loadAll = async () => {
+      try {
+        setIsLoading(true);
+        const [albumsResponse, profileList, playlistList] = await Promise.all([
+          listAlbums({ limit: 100 }),
+          listProfiles(),
+          listPlaylists(),
+        ]);
+        setAlbums(albumsResponse.items);
+        setProfiles(profileList);
+        setPlaylists(playlistList);
+      } catch (err) {
+        console.error('Error loading albums/profiles:', err);
+      }
+      await loadDevices();
+      setIsLoading(false);
+    };
+
+    loadAll();
+    const interval = setInterval(loadDevices, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const replaceDevice = (updated: Device) => {
+    setDevices(prev => prev.map(d => (d.id === updated.id ? updated : d)));
+  };
+
+  const handleAssign = async (device: Device, data: { albumId?: string | null; profileId?: string | null }) => {
+    try {
+      replaceDevice(await updateDevice(device.id, data));
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to update device');
+    }
+  };
+
+  const handleCommand = async (device: Device, type: DeviceCommandType) => {
+    try {
+      await sendDeviceCommand(device.id, { type });
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to send command');
+    }
+  };
+
+  const handleRename = async (device: Device) => {
+    const name = window.prompt('Device name', device.name);
+    if (!name?.trim() || name.trim() === device.name) return;
+    try {
+      replaceDevice(await updateDevice(device.id, { name: name.trim() }));
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to rename device');
+    }
+  };
+
+  const handleRemove = async (device: Device) => {
+    if (!window.confirm(`Remove "${device.name}"? It will register again the next time it starts.`)) return;
+    try {
+      await deleteDevice(device.id);
+      setDevices(prev => prev.filter(d => d.id !== device.id));
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to remove device');
+    }
+  };
+
+  // Frames report either an album or a playlist as what they are showing
+  const sourceName = (id: string | null) => {
+    if (!id) return null;
+    const playlist = playlists.find(p => p.id === id);
+    if (playlist) return `${playlist.name} (playlist)`;
+    return albums.find(a => a.id === id)?.name || id;
+  };
+
+  const onlineCount = devices.filter(d => d.online).length;
+
+  return (
+    <div className="page-container">
+      <div className="page-header">
+        <div>
+          <h1 className="page-title">Devices</h1>
+          {!isLoading && (
+            <p className="form-help-text">
+              {onlineCount} of {devices.length} online
+            </p>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="empty-state">
+          Loading devices...
+        </div>
+      ) : devices.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state-message">No devices yet</p>
+          <p className="form-help-text">Open the Player on a frame and it will show up here.</p>
+        </div>
+      ) : (
+        <div className="albums-grid">
+          {devices.map((device) => (
+            <div key={device.id} className="album-card">
+              <div className="album-card-header">
+                <div className="album-info">
+                  <h3 className="album-name">
+                    {device.name}
+                    {device.id === thisDeviceId && ' (this browser)'}
+                  </h3>
+                  <p className="album-query">
+                    {device.current.album_id
+                      ? `Showing: ${sourceName(device.current.album_id)}`
+                      : 'Nothing reported yet'}
+                  </p>
+                  <p className="album-stats">
+                    {device.screen && <>{device.screen.width}×{device.screen.height} • </>}
+                    v{device.app_version || '?'}
+                    {device.last_seen_at && (
+                      <> • Last seen: {new Date(device.last_seen_at).toLocaleString()}</>
+                    )}
+                  </p>
+                </div>
+                <span className={`status-badge ${device.online ? 'status-active' : 'status-inactive'}`}>
+                  {device.online ? 'Online' : 'Offline'}
+                </span>
+              </div>
+
+              {device.current.preview_url && (
+                <div className="album-preview-grid">
+                  <div className="preview-photo">
+                    <img src={device.current.preview_url} alt="Currently showing" />
+                  </div>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label className="form-label">Album</label>
+                <select
+                  className="form-select"
+                  value={device.assignment.album_id || ''}
+                  onChange={(e) => handleAssign(device, { albumId: e.target.value || null })}
+                >
+                  <option value="">Chosen on the device</option>
+                  {albums.map(album => (
+                    <option key={album.id} value={album.id}>{album.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Display profile</label>
+                <select
+                  className="form-select"
+                  value={device.assignment.profile_id || ''}
+                  onChange={(e) => handleAssign(device, { profileId: e.target.value || null })}
+                >
+                  <option value="">Chosen on the device</option>
+                  {profiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              {device.online && (
+                <div className="form-group">
+                  <label className="form-label">Remote</label>
+                  <div className="album-card-footer">
+                    <button className="btn btn-secondary btn-small" onClick={() => handleCommand(device, 'previous')}>
+                      ◀ Previous
+                    </button>
+                    <button className="btn btn-secondary btn-small" onClick={() => handleCommand(device, 'pause')}>
+                      Pause
+                    </button>
+                    <button className="btn btn-secondary btn-small" onClick={() => handleCommand(device, 'resume')}>
+                      Resume
+                    </button>
+                    <button className="btn btn-secondary btn-small" onClick={() => handleCommand(device, 'next')}>
+                      Next ▶
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <div className="album-card-footer">
+                <button className="btn btn-secondary btn-small" onClick={() => handleRename(device)}>
+                  Rename
+                </button>
+                <button className="btn btn-danger btn-small" onClick={() => handleRemove(device)}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DevicesPage;
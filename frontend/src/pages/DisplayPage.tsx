@@ -1,11 +1,31 @@
 import React, { useState, useEffect } from 'react'
 import { useSettings } from '../contexts/SettingsContext'
 import { listAlbums, type Album } from '../services/albumService'
+import { listProfiles, createProfile, deleteProfile, type DisplayProfile } from '../services/profileService'
+import {
+  listPlaylists,
+  createPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  type Playlist,
+  type SavePlaylistRequest,
+} from '../services/playlistService'
+import PlaylistForm from '../components/PlaylistForm'
+
+// Same bounds as the backend's profile validation (backend/api/profilesRoutes.js)
+const NUMBER_LIMITS = {
+  maxImages: { min: 1, max: 1000 },
+  recencyWindow: { min: 0, max: 36500 },
+}
 
 const DisplayPage: React.FC = () => {
-  const { settings, updateSettings, resetSettings, isWithinOperatingHours, getTimingInMs } = useSettings()
+  const { settings, updateSettings, resetSettings, profileId, selectProfile, profileSaveError, isWithinOperatingHours, getTimingInMs } = useSettings()
   const [albums, setAlbums] = useState<Album[]>([])
   const [loadingAlbums, setLoadingAlbums] = useState(true)
+  const [profiles, setProfiles] = useState<DisplayProfile[]>([])
+  const [playlists, setPlaylists] = useState<Playlist[]>([])
+  const [showPlaylistForm, setShowPlaylistForm] = useState(false)
+  const [editingPlaylist, setEditingPlaylist] = useState<Playlist | null>(null)
 
   // Load albums on mount
   useEffect(() => {
@@ -23,6 +43,32 @@ const DisplayPage: React.FC = () => {
     fetchAlbums()
   }, [])
 
+  // Load shared display profiles on mount
+  const fetchProfiles = async () => {
+    try {
+      setProfiles(await listProfiles())
+    } catch (error) {
+      console.error('Failed to load profiles:', error)
+    }
+  }
+
+  useEffect(() => {
+    fetchProfiles()
+  }, [])
+
+  // Load playlists on mount
+  const fetchPlaylists = async () => {
+    try {
+      setPlaylists(await listPlaylists())
+    } catch (error) {
+      console.error('Failed to load playlists:', error)
+    }
+  }
+
+  useEffect(() => {
+    fetchPlaylists()
+  }, [])
+
   const handleLayoutChange = (layout: 'single' | 'grid' | 'split') => {
     updateSettings({ layout })
   }
@@ -44,14 +90,80 @@ const DisplayPage: React.FC = () => {
   }
 
   const handleNumberChange = (field: 'maxImages' | 'recencyWindow', value: string) => {
-    const numValue = parseInt(value) || 0
-    updateSettings({ [field]: numValue })
+    const numValue = parseInt(value, 10)
+    if (Number.isNaN(numValue)) return // keep the last valid value while the field is being edited
+    const { min, max } = NUMBER_LIMITS[field]
+    updateSettings({ [field]: Math.min(max, Math.max(min, numValue)) })
   }
 
   const handleAlbumChange = (event: React.ChangeEvent<HTMLSelectElement>) => {
     updateSettings({ activeAlbum: event.target.value })
   }
 
+  const handlePlaylistChange = (event: React.ChangeEvent<HTMLSelectElement>) => {
+    updateSettings({ activePlaylist: event.target.value })
+  }
+
+  const handleNewPlaylist = () => {
+    setEditingPlaylist(null)
+    setShowPlaylistForm(true)
+  }
+
+  const handleEditPlaylist = () => {
+    setEditingPlaylist(playlists.find(p => p.id === settings.activePlaylist) || null)
+    setShowPlaylistForm(true)
+  }
+
+  const handleSavePlaylist = async (data: SavePlaylistRequest) => {
+    const playlist = editingPlaylist
+      ? await updatePlaylist(editingPlaylist.id, data)
+      : await createPlaylist(data)
+    setShowPlaylistForm(false)
+    setEditingPlaylist(null)
+    await fetchPlaylists()
+    updateSettings({ activePlaylist: playlist.id })
+  }
+
+  const handleDeletePlaylist = async () => {
+    const playlist = playlists.find(p => p.id === settings.activePlaylist)
+    if (!playlist || !confirm(`Delete playlist "${playlist.name}"? Its albums are kept.`)) return
+    try {
+      await deletePlaylist(playlist.id)
+      updateSettings({ activePlaylist: '' })
+      await fetchPlaylists()
+    } catch (error) {
+      alert(error instanceof Error ? error.message : 'Failed to delete playlist')
+    }
+  }
+
+  const handleProfileChange = (event: React.ChangeEvent<HTMLSelectElement>) => {
+    selectProfile(event.target.value || null)
+  }
+
+  const handleSaveAsProfile = async () => {
+    const name = prompt('Name for the new display profile:')
+    if (!name?.trim()) return
+    try {
+      const profile = await createProfile(name.trim(), settings)
+      await fetchProfiles()
+      selectProfile(profile.id)
+    } catch (error) {
+      alert(error instanceof Error ? error.message : 'Failed to create profile')
+    }
+  }
+
+  const handleDeleteProfile = async () => {
+    const profile = profiles.find(p => p.id === profileId)
+    if (!profile || !confirm(`Delete display profile "${profile.name}"? Frames using it keep their current settings.`)) return
+    try {
+      await deleteProfile(profile.id)
+      selectProfile(null)
+      await fetchProfiles()
+    } catch (error) {
+      alert(error instanceof Error ? error.message : 'Failed to delete profile')
+    }
+  }
+
   return (
     <div className="page-container">
       <div className="page-header">
@@ -63,6 +175,11 @@ const DisplayPage: React.FC = () => {
         </button>
       </div>
 
+      {profileSaveError && (
+        <div className="error-banner">
+          {profileSaveError}
+        </div>
+      )}
 
       <div className="display-grid">
         <div>
@@ -179,6 +296,37 @@ const DisplayPage: React.FC = () => {
         </div>
 
         <div>
+          {/* Display Profile */}
+          <div className="card">
+            <h2 className="card-title">Profile</h2>
+            <select
+              value={profileId || ''}
+              onChange={handleProfileChange}
+              className="form-select"
+              aria-label="Select display profile"
+            >
+              <option value="">This device only</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}
+                </option>
+              ))}
+            </select>
+            <p className="form-help-text">
+              {profileId
+                ? 'Changes are shared with every frame using this profile.'
+                : 'Settings are stored in this browser only.'}
+            </p>
+            <button onClick={handleSaveAsProfile} className="btn btn-secondary btn-full">
+              Save as New Profile
+            </button>
+            {profileId && (
+              <button onClick={handleDeleteProfile} className="btn btn-secondary btn-full">
+                Delete Profile
+              </button>
+            )}
+          </div>
+
           {/* Active Album */}
           <div className="card">
             <h2 className="card-title">Active Album</h2>
@@ -207,6 +355,40 @@ const DisplayPage: React.FC = () => {
             )}
           </div>
 
+          {/* Playlist */}
+          <div className="card">
+            <h2 className="card-title">Playlist</h2>
+            <select
+              value={settings.activePlaylist}
+              onChange={handlePlaylistChange}
+              className="form-select"
+              aria-label="Select playlist"
+            >
+              <option value="">None (play the active album)</option>
+              {playlists.map(playlist => (
+                <option key={playlist.id} value={playlist.id}>
+                  {playlist.name} ({playlist.albums.map(a => `${a.name} ${a.share}%`).join(', ')})
+                </option>
+              ))}
+            </select>
+            <p className="form-help-text">
+              A playlist rotates through several albums by weight instead of a single album.
+            </p>
+            <button onClick={handleNewPlaylist} className="btn btn-secondary btn-full" disabled={albums.length === 0}>
+              New Playlist
+            </button>
+            {settings.activePlaylist && (
+              <>
+                <button onClick={handleEditPlaylist} className="btn btn-secondary btn-full">
+                  Edit Playlist
+                </button>
+                <button onClick={handleDeletePlaylist} className="btn btn-secondary btn-full">
+                  Delete Playlist
+                </button>
+              </>
+            )}
+          </div>
+
           {/* Limits */}
           <div className="card">
             <h2 className="card-title">Limits</h2>
@@ -216,6 +398,8 @@ const DisplayPage: React.FC = () => {
                 type="number" 
                 id="maxImages" 
                 value={settings.maxImages}
+                min={NUMBER_LIMITS.maxImages.min}
+                max={NUMBER_LIMITS.maxImages.max}
                 onChange={(e) => handleNumberChange('maxImages', e.target.value)}
                 className="form-input"
                 placeholder="100" 
@@ -228,11 +412,14 @@ const DisplayPage: React.FC = () => {
                 type="number" 
                 id="recencyWindow" 
                 value={settings.recencyWindow}
+                min={NUMBER_LIMITS.recencyWindow.min}
+                max={NUMBER_LIMITS.recencyWindow.max}
                 onChange={(e) => handleNumberChange('recencyWindow', e.target.value)}
                 className="form-input"
                 placeholder="30" 
                 aria-label="Recency window in days" 
               />
+              <p className="form-help-text">Only show posts from the last N days. 0 shows everything.</p>
             </div>
           </div>
 
@@ -260,6 +447,20 @@ const DisplayPage: React.FC = () => {
           </div>
         </div>
       </div>
+
+      {/* Playlist Form Modal */}
+      {showPlaylistForm && (
+        <div className="modal-overlay" onClick={() => setShowPlaylistForm(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <PlaylistForm
+              playlist={editingPlaylist}
+              albums={albums}
+              onSave={handleSavePlaylist}
+              onCancel={() => setShowPlaylistForm(false)}
+            />
+          </div>
+        </div>
+      )}
     </div>
   )
 }
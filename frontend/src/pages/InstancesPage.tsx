@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import type { Instance } from '../services/instanceService';
+import { listInstances, createInstance, deleteInstance } from '../services/instanceService';
+import type { ConnectedAccount } from '../services/accountService';
+import {
+  listAccounts,
+  accountLabel,
+  getAccountLoginUrl,
+  refreshAccount,
+  logoutAccount,
+  deleteAccount,
+} from '../services/accountService';
+
+const EMPTY_FORM = { name: '', baseUrl: '', clientId: '', clientSecret: '' };
+
+const InstancesPage: React.FC = () => {
+  const [instances, setInstances] = useState<Instance[]>([]);
+  const [accounts, setAccounts] = useState<ConnectedAccount[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadInstances = async () => {
+    try {
+      const [instanceList, accountList] = await Promise.all([listInstances(), listAccounts()]);
+      setInstances(instanceList);
+      setAccounts(accountList);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load instances');
+      console.error('Error loading instances:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadInstances();
+  }, []);
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.baseUrl.trim()) {
+      setError('Server address is required');
+      return;
+    }
+    try {
+      setIsSaving(true);
+      const created = await createInstance({
+        baseUrl: form.baseUrl.trim(),
+        name: form.name.trim() || undefined,
+        clientId: form.clientId.trim() || undefined,
+        clientSecret: form.clientSecret.trim() || undefined,
+      });
+      setInstances(prev => [...prev, created]);
+      setForm(EMPTY_FORM);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add instance');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleConnect = async (instance: Instance) => {
+    try {
+      window.location.href = await getAccountLoginUrl(instance.id);
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to start login');
+    }
+  };
+
+  const replaceAccount = (updated: ConnectedAccount) => {
+    setAccounts(prev => prev.map(a => (a.id === updated.id ? updated : a)));
+  };
+
+  const handleRefreshAccount = async (account: ConnectedAccount) => {
+    try {
+      replaceAccount(await refreshAccount(account.id));
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to refresh account');
+      await loadInstances();
+    }
+  };
+
+  const handleLogoutAccount = async (account: ConnectedAccount) => {
+    if (!window.confirm(`Log out ${accountLabel(account)}? Albums using it stop refreshing until you connect it again.`)) return;
+    try {
+      await logoutAccount(account.id);
+      await loadInstances();
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to log out');
+    }
+  };
+
+  const handleRemoveAccount = async (account: ConnectedAccount) => {
+    if (!window.confirm(`Remove ${accountLabel(account)}?`)) return;
+    try {
+      await deleteAccount(account.id);
+      await loadInstances();
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to remove account');
+    }
+  };
+
+  const handleRemove = async (instance: Instance) => {
+    if (!window.confirm(`Remove "${instance.name}"?`)) return;
+    try {
+      await deleteInstance(instance.id);
+      setInstances(prev => prev.filter(i => i.id !== instance.id));
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to remove instance');
+    }
+  };
+
+  return (
+    <div className="page-container">
+      <div className="page-header">
+        <div>
+          <h1 className="page-title">Instances &amp; Accounts</h1>
+          <p className="form-help-text">
+            Pixelfed servers your albums can pull photos from, and the accounts connected on each.
+            Albums can pick an account, e.g. to see follower-only posts.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="empty-state">
+          Loading instances...
+        </div>
+      ) : (
+        <div className="albums-grid">
+          {instances.map((instance) => (
+            <div key={instance.id} className="album-card">
+              <div className="album-card-header">
+                <div className="album-info">
+                  <h3 className="album-name">
+                    {instance.name}
+                    {instance.isDefault && ' (default)'}
+                  </h3>
+                  <p className="album-query">{instance.baseUrl}</p>
+                  {!instance.clientId && (
+                    <p className="album-stats">PixelFree registers itself on the first login</p>
+                  )}
+                </div>
+                <span className={`status-badge ${instance.authenticated ? 'status-active' : 'status-inactive'}`}>
+                  {instance.authenticated ? 'Connected' : 'Not connected'}
+                </span>
+              </div>
+
+              {accounts.filter(a => a.instanceId === instance.id).map(account => (
+                <div key={account.id} className="form-group">
+                  <label className="form-label">
+                    {accountLabel(account)}
+                    {!account.authenticated && ' (logged out)'}
+                  </label>
+                  <p className="form-help-text">
+                    {account.albums} album{account.albums === 1 ? '' : 's'}
+                    {account.expiresAt && <> • Token expires {new Date(account.expiresAt * 1000).toLocaleString()}</>}
+                  </p>
+                  <div className="album-card-footer">
+                    {account.authenticated ? (
+                      <>
+                        <button className="btn btn-secondary btn-small" onClick={() => handleRefreshAccount(account)}>
+                          Refresh
+                        </button>
+                        <button className="btn btn-secondary btn-small" onClick={() => handleLogoutAccount(account)}>
+                          Log out
+                        </button>
+                      </>
+                    ) : (
+                      <button className="btn btn-primary btn-small" onClick={() => handleConnect(instance)}>
+                        Log in again
+                      </button>
+                    )}
+                    <button
+                      className="btn btn-danger btn-small"
+                      onClick={() => handleRemoveAccount(account)}
+                      disabled={account.albums > 0}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              <div className="album-card-footer">
+                <button
+                  className="btn btn-primary btn-small"
+                  onClick={() => handleConnect(instance)}
+                >
+                  {instance.accounts ? 'Connect another account' : 'Connect account'}
+                </button>
+                {!instance.isDefault && (
+                  <button className="btn btn-danger btn-small" onClick={() => handleRemove(instance)}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <form className="album-card" onSubmit={handleAdd}>
+            <h3 className="album-name">Add instance</h3>
+            <div className="form-group">
+              <label htmlFor="instanceBaseUrl" className="form-label">Server</label>
+              <input
+                type="text"
+                id="instanceBaseUrl"
+                className="form-input"
+                value={form.baseUrl}
+                onChange={(e) => setForm({ ...form, baseUrl: e.target.value })}
+                placeholder="pixelfed.art"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="instanceName" className="form-label">Name (optional)</label>
+              <input
+                type="text"
+                id="instanceName"
+                className="form-input"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="instanceClientId" className="form-label">Client ID (optional)</label>
+              <input
+                type="text"
+                id="instanceClientId"
+                className="form-input"
+                value={form.clientId}
+                onChange={(e) => setForm({ ...form, clientId: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="instanceClientSecret" className="form-label">Client secret (optional)</label>
+              <input
+                type="password"
+                id="instanceClientSecret"
+                className="form-input"
+                value={form.clientSecret}
+                onChange={(e) => setForm({ ...form, clientSecret: e.target.value })}
+              />
+              <p className="form-help-text">
+                Only for an OAuth app created by hand on that server, with the same redirect URI as the
+                default instance. Leave both empty and PixelFree registers an app itself.
+              </p>
+            </div>
+            <div className="album-card-footer">
+              <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                {isSaving ? 'Adding...' : 'Add Instance'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstancesPage;
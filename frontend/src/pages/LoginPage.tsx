@@ -7,11 +7,17 @@ const LoginPage: React.FC = () => {
   const [isLoggingIn, setIsLoggingIn] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [showSuccess, setShowSuccess] = useState(false)
+  const [instance, setInstance] = useState('')
   const navigate = useNavigate()
   const [searchParams, setSearchParams] = useSearchParams()
 
   // Check for authentication success parameter
   useEffect(() => {
+    if (searchParams.get('auth') === 'failed') {
+      setError('Login could not be completed. It may have expired or been started elsewhere; please try again.')
+      setSearchParams({})
+      return
+    }
     if (searchParams.get('auth') === 'success') {
       setShowSuccess(true)
       // Remove the auth parameter from URL
@@ -37,7 +43,7 @@ const LoginPage: React.FC = () => {
     try {
       setIsLoggingIn(true)
       setError(null)
-      await login()
+      await login(instance.trim() || undefined)
       // Note: login() will redirect to Pixelfed, so we won't reach this point
       // unless there's an error
     } catch (err) {
@@ -78,8 +84,24 @@ const LoginPage: React.FC = () => {
         <div className="card-body">
           <p className="centered-text">
             PixelFree connects to your Pixelfed account to display your photos.
-            Click the button below to sign in with Pixelfed.
+            Enter your Pixelfed server and click the button below to sign in.
           </p>
+
+          <div className="form-group">
+            <label htmlFor="instance" className="form-label">Pixelfed server</label>
+            <input
+              type="text"
+              id="instance"
+              className="form-input"
+              value={instance}
+              onChange={(e) => setInstance(e.target.value)}
+              placeholder="pixelfed.social"
+              disabled={isLoggingIn}
+            />
+            <p className="form-help-text">
+              Leave empty to use the server configured for this PixelFree.
+            </p>
+          </div>
           
           <button 
             className="btn btn-primary btn-large btn-full"
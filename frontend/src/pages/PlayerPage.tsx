@@ -1,21 +1,76 @@
-import React, { useState, useEffect, useCallback } from 'react'
+import React, { useState, useEffect, useCallback, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import type { Photo } from '../services/photoService'
 import { getAlbumPhotos, listAlbums } from '../services/albumService'
 import { useSettings } from '../contexts/SettingsContext'
+import type { Device, DeviceCommand } from '../services/deviceService'
+import { registerDevice, sendHeartbeat, ackDeviceCommand } from '../services/deviceService'
+import { subscribeToEvents } from '../services/eventService'
+import { getPlaylistPhotos } from '../services/playlistService'
+
+const HEARTBEAT_INTERVAL_MS = 30000
+const FAVORITES_ALBUM_ID = 'favorites_builtin'
+
+// What the rotation is built from: one album, or a playlist mixing several albums
+interface PhotoSource {
+  type: 'album' | 'playlist'
+  id: string
+  albumIds: string[]
+}
+
+// recencyDays: only posts from the last N days (0 = no limit)
+const fetchSourcePhotos = async (source: PhotoSource, limit: number, recencyDays: number): Promise<Photo[]> => {
+  const options = { limit, recencyDays: recencyDays > 0 ? recencyDays : undefined }
+  const response = source.type === 'playlist'
+    ? await getPlaylistPhotos(source.id, options)
+    : await getAlbumPhotos(source.id, options)
+  return response.items
+}
+
+// Photos the album wants blurred are shown behind their content warning
+const PhotoImage: React.FC<{ photo?: Photo | null; alt: string; className: string }> = ({ photo, alt, className }) => (
+  <>
+    <img
+      src={photo?.url}
+      alt={photo?.blur ? 'Sensitive content' : alt}
+      className={`${className} ${photo?.blur ? 'blur-2xl' : ''}`}
+    />
+    {photo?.blur && (
+      <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+        <span className="bg-black/60 text-white px-4 py-2 rounded-lg text-lg">
+          {photo.spoiler_text || 'Sensitive content'}
+        </span>
+      </div>
+    )}
+  </>
+)
 
 const PlayerPage: React.FC = () => {
   const navigate = useNavigate()
-  const { settings, isWithinOperatingHours, getTimingInMs } = useSettings()
+  const { settings, profileId, selectProfile, isWithinOperatingHours, getTimingInMs } = useSettings()
   const [photos, setPhotos] = useState<Photo[]>([])
   const [currentIndex, setCurrentIndex] = useState(0)
   const [shuffledIndices, setShuffledIndices] = useState<number[]>([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
   const [showControls, setShowControls] = useState(true)
-  const [isPaused] = useState(false)
+  const [isPaused, setIsPaused] = useState(false)
   const [slideDirection, setSlideDirection] = useState<'left' | 'right' | 'none'>('none')
   const [isTransitioning, setIsTransitioning] = useState(false)
+  // Album assigned to this frame on the Devices page (overrides settings.activeAlbum)
+  const [assignedAlbumId, setAssignedAlbumId] = useState<string | null>(null)
+  const [deviceReady, setDeviceReady] = useState(false)
+  const deviceIdRef = useRef<string | null>(null)
+  const shownSourceRef = useRef<PhotoSource | null>(null)
+  const shownPhotoIdRef = useRef<string | null>(null)
+  // Bumped to reload the album from scratch (e.g. its query changed on the server)
+  const [reloadToken, setReloadToken] = useState(0)
+  const photosRef = useRef<Photo[]>([])
+  photosRef.current = photos
+  const shuffledIndicesRef = useRef<number[]>([])
+  shuffledIndicesRef.current = shuffledIndices
+  // Remote commands arrive both as events and with heartbeats; run each only once
+  const handledCommandIds = useRef<Set<string>>(new Set())
 
   // Debug: Log settings changes
   useEffect(() => {
@@ -34,18 +89,195 @@ const PlayerPage: React.FC = () => {
     return shuffled
   }
 
-  // Load photos from active album
+  // Apply the album/profile the backend assigned to this device
+  const applyAssignment = useCallback((device: Device) => {
+    deviceIdRef.current = device.id
+    setAssignedAlbumId(device.assignment.album_id)
+    if (device.assignment.profile_id && device.assignment.profile_id !== profileId) {
+      selectProfile(device.assignment.profile_id)
+    }
+  }, [profileId, selectProfile])
+
+  // Register this frame once, before the first album load
   useEffect(() => {
+    registerDevice()
+      .then(applyAssignment)
+      .catch(err => console.error('Device registration failed:', err))
+      .finally(() => setDeviceReady(true))
+  }, [])
+
+  // Step the slideshow forward or back, sliding in from the matching side
+  const advance = useCallback((step: 1 | -1) => {
+    const count = photosRef.current.length
+    if (count === 0) return
+    const move = () => setCurrentIndex(prev => (prev + step + count) % count)
+
+    if (settings.transition === 'slide') {
+      setSlideDirection(step === 1 ? 'left' : 'right')
+      setIsTransitioning(true)
+      setTimeout(() => {
+        move()
+        setTimeout(() => {
+          setSlideDirection('none')
+          setIsTransitioning(false)
+        }, 50)
+      }, 500)
+    } else {
+      move()
+    }
+  }, [settings.transition])
+
+  // Run a remote-control command sent from the Devices page
+  const executeCommand = useCallback((command: DeviceCommand) => {
+    if (handledCommandIds.current.has(command.id)) return
+    handledCommandIds.current.add(command.id)
+
+    switch (command.type) {
+      case 'next':
+        advance(1)
+        break
+      case 'previous':
+        advance(-1)
+        break
+      case 'pause':
+        setIsPaused(true)
+        break
+      case 'resume':
+        setIsPaused(false)
+        break
+      case 'jump': {
+        const photoIndex = photosRef.current.findIndex(p => p.id === command.statusId)
+        if (photoIndex === -1) {
+          console.warn(`PlayerPage: Photo ${command.statusId} is not in the current rotation`)
+          break
+        }
+        const index = settings.order === 'shuffle'
+          ? shuffledIndicesRef.current.indexOf(photoIndex)
+          : photoIndex
+        if (index !== -1) setCurrentIndex(index)
+        break
+      }
+      case 'switch-album':
+        if (command.albumId) setAssignedAlbumId(command.albumId)
+        break
+    }
+
+    if (deviceIdRef.current) {
+      ackDeviceCommand(deviceIdRef.current, command.id)
+        .catch(err => console.error('Failed to acknowledge command:', err))
+    }
+  }, [advance, settings.order])
+
+  // Report what is on screen and pick up assignment changes and missed commands
+  const heartbeat = useCallback(() => {
+    if (!deviceIdRef.current) return
+    sendHeartbeat(deviceIdRef.current, {
+      currentAlbumId: shownSourceRef.current?.id,
+      currentStatusId: shownPhotoIdRef.current || undefined,
+    })
+      .then(device => {
+        applyAssignment(device)
+        device.commands?.forEach(executeCommand)
+      })
+      .catch(err => console.error('Device heartbeat failed:', err))
+  }, [applyAssignment, executeCommand])
+
+  useEffect(() => {
+    const interval = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [heartbeat])
+
+  // Append photos that are new on the server to the rotation without interrupting it
+  const mergeNewPhotos = useCallback(async () => {
+    const source = shownSourceRef.current
+    try {
+      const current = photosRef.current
+      if (!source || current.length === 0) {
+        setReloadToken(t => t + 1)
+        return
+      }
+      const items = await fetchSourcePhotos(source, settings.maxImages || 100, settings.recencyWindow)
+      const known = new Set(current.map(p => p.id))
+      const fresh = items.filter(p => !known.has(p.id))
+      if (fresh.length === 0) return
+
+      const newIndices = Array.from({ length: fresh.length }, (_, i) => current.length + i)
+      setPhotos([...current, ...fresh])
+      setShuffledIndices(prev => [...prev, ...shuffleArray(newIndices)])
+    } catch (err) {
+      console.error('Failed to merge new photos:', err)
+    }
+  }, [settings.maxImages, settings.recencyWindow])
+
+  // Live updates from the backend
+  useEffect(() => {
+    return subscribeToEvents(
+      ['album-refreshed', 'album-updated', 'playlist-updated', 'favorites-changed', 'device-updated', 'device-command'],
+      ({ type, data }) => {
+        const shownAlbumIds = shownSourceRef.current?.albumIds || []
+        switch (type) {
+          case 'album-refreshed':
+            if (shownAlbumIds.includes(data.albumId)) mergeNewPhotos()
+            break
+          case 'album-updated':
+            // Query edits, disabling or deleting the album invalidate the whole rotation
+            if (shownAlbumIds.includes(data.albumId)) setReloadToken(t => t + 1)
+            break
+          case 'playlist-updated':
+            if (shownSourceRef.current?.type === 'playlist' && data.playlistId === shownSourceRef.current.id) {
+              setReloadToken(t => t + 1)
+            }
+            break
+          case 'favorites-changed':
+            if (shownAlbumIds.includes(FAVORITES_ALBUM_ID)) mergeNewPhotos()
+            break
+          case 'device-updated':
+            // Assignment changed on the Devices page: fetch it now rather than at the next heartbeat
+            if (data.deviceId === deviceIdRef.current && data.action === 'updated') heartbeat()
+            break
+          case 'device-command':
+            if (data.deviceId === deviceIdRef.current) executeCommand(data.command)
+            break
+        }
+      }
+    )
+  }, [mergeNewPhotos, heartbeat, executeCommand])
+
+  // Load photos from the active playlist or album
+  useEffect(() => {
+    if (!deviceReady) return
+
     const loadPhotos = async () => {
       try {
         setLoading(true)
         setError(null)
+        const limit = settings.maxImages || 100
+        const recencyDays = settings.recencyWindow > 0 ? settings.recencyWindow : undefined
+
+        // A playlist is used unless the Devices page pinned an album to this frame
+        if (settings.activePlaylist && !assignedAlbumId) {
+          try {
+            const response = await getPlaylistPhotos(settings.activePlaylist, { limit, recencyDays })
+            shownSourceRef.current = { type: 'playlist', id: settings.activePlaylist, albumIds: response.albums }
+            if (response.items.length === 0) {
+              setPhotos([])
+              setError('No photos in the selected playlist. Try refreshing its albums.')
+              return
+            }
+            setPhotos(response.items)
+            setShuffledIndices(shuffleArray(Array.from({ length: response.items.length }, (_, i) => i)))
+            setCurrentIndex(0)
+            return
+          } catch (err) {
+            console.warn('PlayerPage: Playlist unavailable, falling back to album:', err)
+          }
+        }
         
         // Get all albums
         const albumsResponse = await listAlbums({ limit: 100 })
         
-        // Find the active album based on settings
-        let activeAlbum = albumsResponse.items.find(a => a.id === settings.activeAlbum)
+        // Find the active album: device assignment first, then settings
+        let activeAlbum = albumsResponse.items.find(a => a.id === (assignedAlbumId || settings.activeAlbum))
         
         // Fallback to first enabled album if active album not found
         if (!activeAlbum) {
@@ -54,7 +286,7 @@ const PlayerPage: React.FC = () => {
         
         // Fallback to favorites
         if (!activeAlbum) {
-          activeAlbum = albumsResponse.items.find(a => a.id === 'favorites_builtin')
+          activeAlbum = albumsResponse.items.find(a => a.id === FAVORITES_ALBUM_ID)
         }
         
         if (!activeAlbum) {
@@ -63,9 +295,11 @@ const PlayerPage: React.FC = () => {
         }
         
         // Fetch photos from the active album
-        const photosResponse = await getAlbumPhotos(activeAlbum.id, { limit: settings.maxImages || 100 })
+        const photosResponse = await getAlbumPhotos(activeAlbum.id, { limit, recencyDays })
         
+        shownSourceRef.current = { type: 'album', id: activeAlbum.id, albumIds: [activeAlbum.id] }
         if (photosResponse.items.length === 0) {
+          setPhotos([])
           setError(`No photos in album "${activeAlbum.name}". Try refreshing the album.`)
           return
         }
@@ -86,7 +320,7 @@ const PlayerPage: React.FC = () => {
     }
 
     loadPhotos()
-  }, [settings.activeAlbum, settings.maxImages])
+  }, [deviceReady, assignedAlbumId, settings.activePlaylist, settings.activeAlbum, settings.maxImages, settings.recencyWindow, reloadToken])
 
   // Get photos for different layouts
   const getPhotosForLayout = () => {
@@ -123,39 +357,25 @@ const PlayerPage: React.FC = () => {
     }
   }
 
-  // Auto-advance slideshow based on settings
+  // Auto-advance slideshow based on settings (restarts the timer after a remote step)
   useEffect(() => {
     if (photos.length === 0 || isPaused || !isWithinOperatingHours()) return
 
-    const interval = setInterval(() => {
-      if (settings.transition === 'slide') {
-        console.log('Starting slide transition')
-        setSlideDirection('left')
-        setIsTransitioning(true)
-        setTimeout(() => {
-          setCurrentIndex(prev => (prev + 1) % photos.length)
-          setTimeout(() => {
-            setSlideDirection('none')
-            setIsTransitioning(false)
-          }, 50)
-        }, 500)
-      } else {
-        setCurrentIndex(prev => (prev + 1) % photos.length)
-      }
-    }, getTimingInMs())
+    const interval = setInterval(() => advance(1), getTimingInMs())
 
     return () => clearInterval(interval)
-  }, [photos.length, isPaused, getTimingInMs, isWithinOperatingHours, settings.transition])
+  }, [photos.length, currentIndex, isPaused, getTimingInMs, isWithinOperatingHours, advance])
 
-  // Re-shuffle when order changes to shuffle
+  // Re-shuffle when order changes to shuffle (merged photos keep the current rotation)
   useEffect(() => {
-    if (settings.order === 'shuffle' && photos.length > 0) {
-      const indices = Array.from({ length: photos.length }, (_, i) => i)
+    const count = photosRef.current.length
+    if (settings.order === 'shuffle' && count > 0) {
+      const indices = Array.from({ length: count }, (_, i) => i)
       const shuffled = shuffleArray(indices)
       setShuffledIndices(shuffled)
       setCurrentIndex(0)
     }
-  }, [settings.order, photos.length])
+  }, [settings.order])
 
   // Auto-hide controls - simplified
   useEffect(() => {
@@ -206,6 +426,7 @@ const PlayerPage: React.FC = () => {
   }, [handleExit])
 
   const displayPhotos = getPhotosForLayout()
+  shownPhotoIdRef.current = displayPhotos[0]?.id || null
 
   // Get current photo based on settings
   function getCurrentPhoto(): Photo | null {
@@ -265,8 +486,8 @@ const PlayerPage: React.FC = () => {
                 slideDirection === 'right' ? 'translate-x-full' : 'translate-x-0'
               : 'translate-x-0'
             }`}>
-              <img
-                src={displayPhotos[0]?.url}
+              <PhotoImage
+                photo={displayPhotos[0]}
                 alt={displayPhotos[0]?.caption || 'Photo'}
                 className={`max-w-full max-h-full object-contain select-none ${
                   settings.transition === 'fade' ? 'transition-opacity duration-500' : ''
@@ -280,9 +501,9 @@ const PlayerPage: React.FC = () => {
           <div className="grid grid-cols-2 gap-2 w-full h-full p-4">
             {displayPhotos.slice(0, 4).map((photo, index) => (
               photo && (
-                <div key={`${photo.id}-${index}`} className="flex items-center justify-center bg-gray-900">
-                  <img
-                    src={photo.url}
+                <div key={`${photo.id}-${index}`} className="relative overflow-hidden flex items-center justify-center bg-gray-900">
+                  <PhotoImage
+                    photo={photo}
                     alt={photo.caption || `Photo ${index + 1}`}
                     className="max-w-full max-h-full object-contain select-none"
                   />
@@ -296,9 +517,9 @@ const PlayerPage: React.FC = () => {
           <div className="flex w-full h-full">
             {displayPhotos.slice(0, 2).map((photo, index) => (
               photo && (
-                <div key={`${photo.id}-${index}`} className="flex-1 flex items-center justify-center bg-gray-900">
-                  <img
-                    src={photo.url}
+                <div key={`${photo.id}-${index}`} className="relative overflow-hidden flex-1 flex items-center justify-center bg-gray-900">
+                  <PhotoImage
+                    photo={photo}
                     alt={photo.caption || `Photo ${index + 1}`}
                     className="max-w-full max-h-full object-contain select-none"
                   />
@@ -332,6 +553,7 @@ const PlayerPage: React.FC = () => {
                 <span>Order: {settings.order}</span>
                 <span>Timing: {getTimingInMs() / 1000}s</span>
                 <span>Transition: {settings.transition}</span>
+                {isPaused && <span>Paused</span>}
               </div>
             </div>
           </div>
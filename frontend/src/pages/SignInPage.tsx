@@ -0,0 +1,109 @@
+import React, { useState } from 'react'
+import { Navigate, useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { signIn, setupAdmin } from '../services/sessionService'
+
+// Local sign-in to PixelFree itself. While there are no users yet it offers to
+// create the first admin instead.
+const SignInPage: React.FC = () => {
+  const { session, isLoading, refreshSession } = useAuth()
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const navigate = useNavigate()
+
+  if (isLoading) {
+    return (
+      <div className="page-container">
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Checking sign-in status...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (session.user) {
+    return <Navigate to="/albums" replace />
+  }
+
+  const isSetup = session.setupRequired
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    try {
+      setIsSubmitting(true)
+      setError(null)
+      if (isSetup) {
+        await setupAdmin(username.trim(), password)
+      } else {
+        await signIn(username.trim(), password)
+      }
+      await refreshSession()
+      navigate('/albums')
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Sign-in failed. Please try again.')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="page-container">
+      <form className="card centered-card" onSubmit={handleSubmit}>
+        <h1 className="page-title centered-title">
+          {isSetup ? 'Create the PixelFree admin' : 'Sign in to PixelFree'}
+        </h1>
+
+        <div className="card-body">
+          <p className="centered-text">
+            {isSetup
+              ? 'Nobody has to sign in yet, so anyone on your network can change albums and settings. Create an admin account to lock PixelFree down.'
+              : 'Sign in with the account an admin created for you.'}
+          </p>
+
+          <div className="form-group">
+            <label htmlFor="username" className="form-label">Username</label>
+            <input
+              type="text"
+              id="username"
+              className="form-input"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="password" className="form-label">Password</label>
+            <input
+              type="password"
+              id="password"
+              className="form-input"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={isSetup ? 'new-password' : 'current-password'}
+              minLength={isSetup ? 8 : undefined}
+              required
+            />
+            {isSetup && <p className="form-help-text">At least 8 characters.</p>}
+          </div>
+
+          <button type="submit" className="btn btn-primary btn-large btn-full" disabled={isSubmitting}>
+            {isSubmitting ? 'Please wait...' : isSetup ? 'Create admin' : 'Sign in'}
+          </button>
+
+          {error && (
+            <div className="form-error">
+              {error}
+            </div>
+          )}
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default SignInPage
@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import type { LocalUser, UserRole } from '../services/sessionService';
+import { listUsers, createUser, updateUser, deleteUser } from '../services/sessionService';
+import { useAuth } from '../contexts/AuthContext';
+
+const EMPTY_FORM: { username: string; password: string; role: UserRole } = { username: '', password: '', role: 'viewer' };
+
+const UsersPage: React.FC = () => {
+  const { session } = useAuth();
+  const [users, setUsers] = useState<LocalUser[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadUsers = async () => {
+    try {
+      setUsers(await listUsers());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load users');
+      console.error('Error loading users:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const replaceUser = (updated: LocalUser) => {
+    setUsers(prev => prev.map(u => (u.id === updated.id ? updated : u)));
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      const created = await createUser({ ...form, username: form.username.trim() });
+      setUsers(prev => [...prev, created].sort((a, b) => a.username.localeCompare(b.username)));
+      setForm(EMPTY_FORM);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add user');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (user: LocalUser, role: UserRole) => {
+    try {
+      replaceUser(await updateUser(user.id, { role }));
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to change role');
+    }
+  };
+
+  const handleSetPassword = async (user: LocalUser) => {
+    const password = window.prompt(`New password for ${user.username} (at least 8 characters):`);
+    if (!password) return;
+    try {
+      await updateUser(user.id, { password });
+      alert(user.id === session.user?.id
+        ? 'Password changed. Your other sessions were signed out.'
+        : `Password changed. ${user.username} was signed out everywhere.`);
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to change password');
+    }
+  };
+
+  const handleRemove = async (user: LocalUser) => {
+    if (!window.confirm(`Remove ${user.username}?`)) return;
+    try {
+      await deleteUser(user.id);
+      setUsers(prev => prev.filter(u => u.id !== user.id));
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to remove user');
+    }
+  };
+
+  return (
+    <div className="page-container">
+      <div className="page-header">
+        <div>
+          <h1 className="page-title">Users</h1>
+          <p className="form-help-text">
+            Who may use this PixelFree. Admins change albums, settings and devices;
+            viewers can only browse and play. Picture frames use their own device tokens.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="empty-state">
+          Loading users...
+        </div>
+      ) : (
+        <div className="albums-grid">
+          {users.map((user) => (
+            <div key={user.id} className="album-card">
+              <div className="album-card-header">
+                <div className="album-info">
+                  <h3 className="album-name">
+                    {user.username}
+                    {user.id === session.user?.id && ' (you)'}
+                  </h3>
+                </div>
+                <span className={`status-badge ${user.role === 'admin' ? 'status-active' : 'status-inactive'}`}>
+                  {user.role}
+                </span>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor={`role-${user.id}`} className="form-label">Role</label>
+                <select
+                  id={`role-${user.id}`}
+                  className="form-select"
+                  value={user.role}
+                  onChange={(e) => handleRoleChange(user, e.target.value as UserRole)}
+                >
+                  <option value="admin">Admin</option>
+                  <option value="viewer">Viewer (read-only)</option>
+                </select>
+              </div>
+
+              <div className="album-card-footer">
+                <button className="btn btn-secondary btn-small" onClick={() => handleSetPassword(user)}>
+                  Set password
+                </button>
+                <button
+                  className="btn btn-danger btn-small"
+                  onClick={() => handleRemove(user)}
+                  disabled={user.id === session.user?.id}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+
+          <form className="album-card" onSubmit={handleAdd}>
+            <h3 className="album-name">Add user</h3>
+            <div className="form-group">
+              <label htmlFor="newUsername" className="form-label">Username</label>
+              <input
+                type="text"
+                id="newUsername"
+                className="form-input"
+                value={form.username}
+                onChange={(e) => setForm({ ...form, username: e.target.value })}
+                autoComplete="off"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="newPassword" className="form-label">Password</label>
+              <input
+                type="password"
+                id="newPassword"
+                className="form-input"
+                value={form.password}
+                onChange={(e) => setForm({ ...form, password: e.target.value })}
+                autoComplete="new-password"
+                minLength={8}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="newRole" className="form-label">Role</label>
+              <select
+                id="newRole"
+                className="form-select"
+                value={form.role}
+                onChange={(e) => setForm({ ...form, role: e.target.value as UserRole })}
+              >
+                <option value="viewer">Viewer (read-only)</option>
+                <option value="admin">Admin</option>
+              </select>
+            </div>
+            <div className="album-card-footer">
+              <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                {isSaving ? 'Adding...' : 'Add User'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsersPage;
@@ -0,0 +1,102 @@
+// Account service: Pixelfed accounts connected through OAuth
+// Connects to the backend account APIs
+
+export interface ConnectedAccount {
+  id: string;
+  instanceId: string;
+  acct: string | null; // null until the instance has told us who it is
+  display_name: string | null;
+  avatar: string | null;
+  authenticated: boolean;
+  expiresAt: number | null; // unix seconds
+  albums: number; // albums fetched with this account
+  created_at: string;
+}
+
+const API_BASE = ''; // Use relative URLs - Vite proxy handles routing
+
+const errorMessage = async (response: Response): Promise<string> => {
+  const errorData = await response.json().catch(() => ({}));
+  const err = errorData.error;
+  return (typeof err === 'string' ? err : err?.message) || `HTTP ${response.status}: ${response.statusText}`;
+};
+
+/**
+ * Label for an account in lists and pickers
+ */
+export const accountLabel = (account: ConnectedAccount): string =>
+  account.display_name || (account.acct ? `@${account.acct}` : 'Unknown account');
+
+/**
+ * List all connected accounts
+ */
+export const listAccounts = async (): Promise<ConnectedAccount[]> => {
+  try {
+    const response = await fetch(`${API_BASE}/api/accounts`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    return data.items || [];
+  } catch (error) {
+    console.error('Failed to list accounts:', error);
+    throw new Error('Unable to fetch accounts. Please try again.');
+  }
+};
+
+/**
+ * OAuth authorization URL to connect an account on an instance
+ */
+export const getAccountLoginUrl = async (instanceId: string): Promise<string> => {
+  const response = await fetch(`${API_BASE}/api/accounts/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ instanceId }),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  const data = await response.json();
+  return data.loginUrl;
+};
+
+/**
+ * Refresh an account's token and profile now
+ */
+export const refreshAccount = async (id: string): Promise<ConnectedAccount> => {
+  const response = await fetch(`${API_BASE}/api/accounts/${id}/refresh`, {
+    method: 'POST',
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Forget an account's tokens (its albums stop refreshing until it is connected again)
+ */
+export const logoutAccount = async (id: string): Promise<void> => {
+  const response = await fetch(`${API_BASE}/api/accounts/${id}/logout`, {
+    method: 'POST',
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+};
+
+/**
+ * Remove an account (fails while albums still use it)
+ */
+export const deleteAccount = async (id: string): Promise<void> => {
+  const response = await fetch(`${API_BASE}/api/accounts/${id}`, {
+    method: 'DELETE',
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+};
@@ -3,6 +3,25 @@
 
 import type { Photo } from './photoService';
 
+// tag/user/compound albums follow hashtags and accounts; public/local/home follow an instance timeline
+export type AlbumType = 'tag' | 'user' | 'compound' | 'public' | 'local' | 'home';
+
+// What an album does with posts flagged sensitive / behind a content warning
+export type SensitivePolicy = 'exclude' | 'blur' | 'include';
+
+// Daily refresh window in the server's time; end before start runs past midnight
+export interface RefreshWindow {
+  start: string; // 'HH:MM'
+  end: string;   // 'HH:MM'
+  days?: string[]; // 'sun'..'sat'; default every day
+}
+
+// How many photos an album keeps (null = everything); enforced by the backend's maintenance job
+export interface AlbumRetention {
+  maxPhotos?: number | null; // newest N posts
+  maxAgeDays?: number | null; // by post date
+}
+
 export interface Album {
   id: string;
   name: string;
@@ -10,7 +29,7 @@ export interface Album {
   updated_at: string;
   enabled: boolean;
   query: {
-    type: 'tag' | 'user' | 'compound';
+    type: AlbumType;
     tags?: string[];
     users?: {
       accts?: string[];
@@ -18,14 +37,24 @@ export interface Album {
     };
     tagmode: 'any' | 'all';
     limit: number;
+    excludeTags?: string[];
+    excludeUsers?: string[]; // accts or account IDs
+    excludeKeywords?: string[]; // case-insensitive caption substrings
   };
+  sensitivePolicy: SensitivePolicy;
+  instanceId: string; // Pixelfed server the album queries ('default' = backend .env)
+  accountId: string | null; // connected account that fetches it (null = the instance's first)
   refresh: {
     intervalMs: number;
+    cron?: string | null; // e.g. "0 8 * * 0" (Sundays at 8); replaces the interval when set
+    window?: RefreshWindow | null; // only refresh inside this daily window
     last_checked_at?: string | null;
     backoff_until?: string | null;
     since_id?: string | null;
     max_id?: string | null;
   };
+  nextRunAt?: string | null; // next scheduled refresh (null when disabled)
+  retention?: AlbumRetention | null;
   stats?: {
     total: number;
     last_added?: string;
@@ -35,7 +64,7 @@ export interface Album {
 export interface CreateAlbumRequest {
   name: string;
   query: {
-    type: 'tag' | 'user' | 'compound';
+    type: AlbumType;
     tags?: string[];
     users?: {
       accts?: string[];
@@ -43,18 +72,31 @@ export interface CreateAlbumRequest {
     } | string[]; // Accept array of accts as shorthand
     tagmode?: 'any' | 'all';
     limit?: number;
+    excludeTags?: string[];
+    excludeUsers?: string[];
+    excludeKeywords?: string[];
   };
   refresh?: {
     intervalMs?: number;
+    cron?: string | null;
+    window?: RefreshWindow | null;
   };
+  retention?: AlbumRetention | null;
   enabled?: boolean;
+  sensitivePolicy?: SensitivePolicy;
+  instanceId?: string;
+  accountId?: string | null;
   id?: string; // Optional ID for special albums like favorites
 }
 
 export interface UpdateAlbumRequest {
   name?: string;
+  sensitivePolicy?: SensitivePolicy;
+  instanceId?: string;
+  accountId?: string | null;
   query?: Partial<CreateAlbumRequest['query']>;
   refresh?: Partial<Album['refresh']>;
+  retention?: AlbumRetention | null;
   enabled?: boolean;
 }
 
@@ -219,15 +261,21 @@ export const toggleAlbum = async (id: string, enabled: boolean): Promise<Album>
 /**
  * Manually refresh an album (fetch new photos)
  */
-export const refreshAlbum = async (id: string): Promise<{
+export interface RefreshResult {
   albumId: string;
+  runId: string;
+  source: 'scheduler' | 'manual';
   type: string;
   tagmode: string;
   requested: number;
   fetched: number;
   upserted: number;
   linked: number;
-}> => {
+  since_id: string | null; // watermark the refresh started from
+  new_since_id: string | null;
+}
+
+export const refreshAlbum = async (id: string): Promise<RefreshResult> => {
   try {
     const response = await fetch(`${API_BASE}/api/albums/${id}/refresh`, {
       method: 'POST',
@@ -245,17 +293,42 @@ export const refreshAlbum = async (id: string): Promise<{
   }
 };
 
+export type AlbumPhotoSort = 'added_at' | 'created_at' | 'random';
+
+export interface AlbumPhotosOptions {
+  offset?: number;
+  limit?: number;
+  since?: string; // ISO date, by post created_at
+  until?: string;
+  recencyDays?: number; // only posts from the last N days (0 = no limit)
+  sort?: AlbumPhotoSort;
+  seed?: string; // keeps `random` order stable across pages
+}
+
 /**
  * Get photos in an album
  */
 export const getAlbumPhotos = async (
   id: string,
-  options: { offset?: number; limit?: number } = {}
-): Promise<{ items: Photo[]; total: number; offset: number; limit: number }> => {
+  options: AlbumPhotosOptions = {}
+): Promise<{
+  items: Photo[];
+  total: number;
+  offset: number;
+  limit: number;
+  sort: AlbumPhotoSort;
+  seed?: string;
+  sensitive_policy: SensitivePolicy;
+}> => {
   try {
     const params = new URLSearchParams();
     if (options.offset != null) params.set('offset', String(options.offset));
     if (options.limit != null) params.set('limit', String(options.limit));
+    if (options.since) params.set('since', options.since);
+    if (options.until) params.set('until', options.until);
+    if (options.recencyDays != null) params.set('recencyDays', String(options.recencyDays));
+    if (options.sort) params.set('sort', options.sort);
+    if (options.seed) params.set('seed', options.seed);
 
     const response = await fetch(`${API_BASE}/api/albums/${id}/photos?${params.toString()}`, {
       method: 'GET',
@@ -35,19 +35,29 @@ export const checkAuthStatus = async (): Promise<AuthStatus> => {
 
 /**
  * Get Pixelfed OAuth login URL
+ * @param instance hostname of the Pixelfed server (e.g. "pixelfed.art"); the backend's
+ *   default instance when omitted. The backend registers itself there if needed.
  */
-export const getLoginUrl = async (): Promise<string> => {
+export const getLoginUrl = async (instance?: string): Promise<string> => {
+  let response: Response;
   try {
-    const response = await fetch(`${API_BASE}/api/login`);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    const data: LoginResponse = await response.json();
-    return data.loginUrl;
+    response = await fetch(`${API_BASE}/api/login`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(instance ? { instance } : {}),
+    });
   } catch (error) {
     console.error('Failed to get login URL:', error);
     throw new Error('Unable to initiate login. Please try again.');
   }
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Unable to initiate login. Please try again.');
+  }
+  const data: LoginResponse = await response.json();
+  return data.loginUrl;
 };
 
 /**
@@ -74,9 +84,9 @@ export const logout = async (): Promise<void> => {
  * Initiate Pixelfed OAuth login
  * Redirects user to Pixelfed for authentication
  */
-export const initiateLogin = async (): Promise<void> => {
+export const initiateLogin = async (instance?: string): Promise<void> => {
   try {
-    const loginUrl = await getLoginUrl();
+    const loginUrl = await getLoginUrl(instance);
     // Redirect to Pixelfed OAuth
     window.location.href = loginUrl;
   } catch (error) {
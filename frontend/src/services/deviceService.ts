@@ -0,0 +1,187 @@
+// Device service: picture frames register with the backend and report
+// heartbeats; the backend hands back each frame's album/profile assignment.
+// The web UI can also send remote-control commands to a frame.
+// Registering also sets a device-token cookie, so a frame keeps playing once
+// local sign-in is enabled without anyone staying signed in on it.
+
+export interface Device {
+  id: string;
+  name: string;
+  online: boolean;
+  last_seen_at: string | null;
+  created_at: string;
+  app_version: string | null;
+  screen: { width: number; height: number } | null;
+  user_agent: string | null;
+  assignment: {
+    album_id: string | null;
+    profile_id: string | null;
+  };
+  current: {
+    album_id: string | null;
+    status_id: string | null;
+    preview_url: string | null;
+  };
+}
+
+export type DeviceCommandType = 'next' | 'previous' | 'pause' | 'resume' | 'jump' | 'switch-album';
+
+export interface DeviceCommand {
+  id: string;
+  type: DeviceCommandType;
+  statusId?: string; // jump
+  albumId?: string;  // switch-album
+  created_at: string;
+  expires_at: string;
+}
+
+export interface DeviceHeartbeat {
+  currentAlbumId?: string;
+  currentStatusId?: string;
+}
+
+const API_BASE = ''; // Use relative URLs - Vite proxy handles routing
+const DEVICE_STORAGE_KEY = 'pixelfree-device-id';
+
+export const APP_VERSION: string = import.meta.env.VITE_APP_VERSION || 'dev';
+
+const errorMessage = async (response: Response): Promise<string> => {
+  const errorData = await response.json().catch(() => ({}));
+  const err = errorData.error;
+  return (typeof err === 'string' ? err : err?.message) || `HTTP ${response.status}: ${response.statusText}`;
+};
+
+const screenInfo = () => ({ width: window.screen.width, height: window.screen.height });
+
+/**
+ * Device ID this browser registered as (null until the first registration)
+ */
+export const getStoredDeviceId = (): string | null => localStorage.getItem(DEVICE_STORAGE_KEY);
+
+/**
+ * Register this browser as a device, re-using the stored device ID when there is one
+ */
+export const registerDevice = async (): Promise<Device> => {
+  const response = await fetch(`${API_BASE}/api/devices/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({
+      id: getStoredDeviceId() || undefined,
+      appVersion: APP_VERSION,
+      screen: screenInfo(),
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  const device: Device = await response.json();
+  localStorage.setItem(DEVICE_STORAGE_KEY, device.id);
+  return device;
+};
+
+/**
+ * Report what this device is showing. Re-registers if the backend no longer knows the device.
+ * The response carries any remote commands still waiting for this device.
+ */
+export const sendHeartbeat = async (
+  deviceId: string,
+  data: DeviceHeartbeat
+): Promise<Device & { commands?: DeviceCommand[] }> => {
+  const response = await fetch(`${API_BASE}/api/devices/${deviceId}/heartbeat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ ...data, appVersion: APP_VERSION, screen: screenInfo() }),
+  });
+  if (response.status === 404) {
+    localStorage.removeItem(DEVICE_STORAGE_KEY);
+    return registerDevice();
+  }
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * List all registered devices
+ */
+export const listDevices = async (): Promise<Device[]> => {
+  try {
+    const response = await fetch(`${API_BASE}/api/devices`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    return data.items || [];
+  } catch (error) {
+    console.error('Failed to list devices:', error);
+    throw new Error('Unable to fetch devices. Please try again.');
+  }
+};
+
+/**
+ * Rename a device or change its album/profile assignment (null clears an assignment)
+ */
+export const updateDevice = async (
+  id: string,
+  data: { name?: string; albumId?: string | null; profileId?: string | null }
+): Promise<Device> => {
+  const response = await fetch(`${API_BASE}/api/devices/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(data),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Remove a device from the registry
+ */
+export const deleteDevice = async (id: string): Promise<void> => {
+  const response = await fetch(`${API_BASE}/api/devices/${id}`, {
+    method: 'DELETE',
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+};
+
+/**
+ * Send a remote-control command to a device
+ */
+export const sendDeviceCommand = async (
+  id: string,
+  command: { type: DeviceCommandType; statusId?: string; albumId?: string }
+): Promise<DeviceCommand> => {
+  const response = await fetch(`${API_BASE}/api/devices/${id}/commands`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(command),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Tell the backend a command was handled so it is not delivered again
+ */
+export const ackDeviceCommand = async (deviceId: string, commandId: string): Promise<void> => {
+  const response = await fetch(`${API_BASE}/api/devices/${deviceId}/commands/${commandId}/ack`, {
+    method: 'POST',
+    credentials: 'include',
+  });
+  // 404: already acknowledged or expired, nothing left to do
+  if (!response.ok && response.status !== 404) {
+    throw new Error(await errorMessage(response));
+  }
+};
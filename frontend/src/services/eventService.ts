@@ -0,0 +1,50 @@
+// Event service: live backend events over Server-Sent Events (/api/events)
+// EventSource reconnects on its own and resumes from the last event it saw
+
+export type BackendEventType =
+  | 'album-refreshed'
+  | 'album-updated'
+  | 'favorites-changed'
+  | 'profile-updated'
+  | 'device-updated'
+  | 'device-command'
+  | 'playlist-updated';
+
+export interface BackendEvent {
+  type: BackendEventType;
+  // Payload depends on the type, e.g. { albumId, linked, source } for album-refreshed
+  data: Record<string, any>;
+}
+
+const API_BASE = ''; // Use relative URLs - Vite proxy handles routing
+
+/**
+ * Subscribe to backend events of the given types. Returns a function that closes the stream.
+ */
+export const subscribeToEvents = (
+  types: BackendEventType[],
+  onEvent: (event: BackendEvent) => void
+): (() => void) => {
+  const source = new EventSource(`${API_BASE}/api/events?types=${types.join(',')}`, { withCredentials: true });
+
+  const handlers = types.map(type => {
+    const handler = (message: MessageEvent) => {
+      try {
+        onEvent({ type, data: JSON.parse(message.data) });
+      } catch (error) {
+        console.error(`Failed to handle ${type} event:`, error);
+      }
+    };
+    source.addEventListener(type, handler);
+    return [type, handler] as const;
+  });
+
+  source.onerror = () => {
+    console.warn('Event stream interrupted, reconnecting...');
+  };
+
+  return () => {
+    handlers.forEach(([type, handler]) => source.removeEventListener(type, handler));
+    source.close();
+  };
+};
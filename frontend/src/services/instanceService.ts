@@ -0,0 +1,91 @@
+// Instance service: the Pixelfed servers albums can query
+// Connects to the backend instance APIs
+
+export interface Instance {
+  id: string; // 'default' for the server configured in the backend .env
+  name: string;
+  baseUrl: string;
+  host: string;
+  isDefault: boolean;
+  clientId: string | null;
+  hasClientSecret: boolean;
+  accounts: number; // connected accounts, see accountService
+  authenticated: boolean; // at least one of them is logged in
+}
+
+export interface SaveInstanceRequest {
+  name?: string;
+  baseUrl: string;
+  clientId?: string;
+  clientSecret?: string;
+}
+
+const API_BASE = ''; // Use relative URLs - Vite proxy handles routing
+
+const errorMessage = async (response: Response): Promise<string> => {
+  const errorData = await response.json().catch(() => ({}));
+  const err = errorData.error;
+  return (typeof err === 'string' ? err : err?.message) || `HTTP ${response.status}: ${response.statusText}`;
+};
+
+/**
+ * List the default instance plus all registered ones
+ */
+export const listInstances = async (): Promise<Instance[]> => {
+  try {
+    const response = await fetch(`${API_BASE}/api/instances`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    return data.items || [];
+  } catch (error) {
+    console.error('Failed to list instances:', error);
+    throw new Error('Unable to fetch instances. Please try again.');
+  }
+};
+
+/**
+ * Register an instance with its OAuth app credentials
+ */
+export const createInstance = async (data: SaveInstanceRequest): Promise<Instance> => {
+  const response = await fetch(`${API_BASE}/api/instances`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(data),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Update a registered instance
+ */
+export const updateInstance = async (id: string, data: Partial<SaveInstanceRequest>): Promise<Instance> => {
+  const response = await fetch(`${API_BASE}/api/instances/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(data),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Remove a registered instance (fails while albums still use it)
+ */
+export const deleteInstance = async (id: string): Promise<void> => {
+  const response = await fetch(`${API_BASE}/api/instances/${id}`, {
+    method: 'DELETE',
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+};
@@ -16,7 +16,14 @@ export interface Photo {
   tags?: string[];
   url: string;
   preview_url?: string;
+  // Original CDN URLs when `url`/`preview_url` point at the backend media cache
+  remote_url?: string | null;
+  remote_preview_url?: string | null;
   location?: string | object;
+  // Content warning flags from the post
+  sensitive?: boolean;
+  spoiler_text?: string | null;
+  blur?: boolean; // the album shows this sensitive photo blurred behind its warning
 }
 
 export interface PhotoQueryRequest {
@@ -0,0 +1,123 @@
+// Playlist service: weighted rotations across several albums
+// Connects to the backend playlist APIs
+
+import type { Photo } from './photoService';
+
+export interface PlaylistAlbum {
+  album_id: string;
+  name: string;
+  weight: number;
+  share: number; // percent of the rotation
+}
+
+export interface Playlist {
+  id: string;
+  name: string;
+  albums: PlaylistAlbum[];
+  created_at: string;
+  updated_at: string;
+}
+
+export interface SavePlaylistRequest {
+  name: string;
+  albums: Array<{ albumId: string; weight: number }>;
+}
+
+export interface PlaylistPhotosResponse {
+  items: Array<Photo & { album_id: string }>;
+  total: number;
+  offset: number;
+  limit: number;
+  albums: string[]; // album IDs feeding the playlist
+}
+
+const API_BASE = ''; // Use relative URLs - Vite proxy handles routing
+
+const errorMessage = async (response: Response): Promise<string> => {
+  const errorData = await response.json().catch(() => ({}));
+  const err = errorData.error;
+  return (typeof err === 'string' ? err : err?.message) || `HTTP ${response.status}: ${response.statusText}`;
+};
+
+/**
+ * List all playlists
+ */
+export const listPlaylists = async (): Promise<Playlist[]> => {
+  try {
+    const response = await fetch(`${API_BASE}/api/playlists`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    return data.items || [];
+  } catch (error) {
+    console.error('Failed to list playlists:', error);
+    throw new Error('Unable to fetch playlists. Please try again.');
+  }
+};
+
+/**
+ * Create a playlist
+ */
+export const createPlaylist = async (data: SavePlaylistRequest): Promise<Playlist> => {
+  const response = await fetch(`${API_BASE}/api/playlists`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(data),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Update a playlist (albums, when given, replace the whole list)
+ */
+export const updatePlaylist = async (id: string, data: Partial<SavePlaylistRequest>): Promise<Playlist> => {
+  const response = await fetch(`${API_BASE}/api/playlists/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(data),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Delete a playlist
+ */
+export const deletePlaylist = async (id: string): Promise<void> => {
+  const response = await fetch(`${API_BASE}/api/playlists/${id}`, {
+    method: 'DELETE',
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+};
+
+/**
+ * Get the merged photo sequence of a playlist
+ */
+export const getPlaylistPhotos = async (
+  id: string,
+  options: { offset?: number; limit?: number; recencyDays?: number } = {}
+): Promise<PlaylistPhotosResponse> => {
+  const params = new URLSearchParams();
+  if (options.offset != null) params.set('offset', String(options.offset));
+  if (options.limit != null) params.set('limit', String(options.limit));
+  if (options.recencyDays != null) params.set('recencyDays', String(options.recencyDays));
+
+  const response = await fetch(`${API_BASE}/api/playlists/${id}/photos?${params.toString()}`, {
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
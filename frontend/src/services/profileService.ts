@@ -0,0 +1,96 @@
+// Display profile service: named player settings stored on the backend
+// so every frame that selects a profile shares one configuration
+
+import type { PlayerSettings } from '../contexts/SettingsContext';
+
+export interface DisplayProfile {
+  id: string;
+  name: string;
+  settings: Partial<PlayerSettings>;
+  created_at: string;
+  updated_at: string;
+}
+
+const API_BASE = ''; // Use relative URLs - Vite proxy handles routing
+
+const errorMessage = async (response: Response): Promise<string> => {
+  const errorData = await response.json().catch(() => ({}));
+  const err = errorData.error;
+  return (typeof err === 'string' ? err : err?.message) || `HTTP ${response.status}: ${response.statusText}`;
+};
+
+/**
+ * List all display profiles
+ */
+export const listProfiles = async (): Promise<DisplayProfile[]> => {
+  try {
+    const response = await fetch(`${API_BASE}/api/profiles`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    return data.items || [];
+  } catch (error) {
+    console.error('Failed to list profiles:', error);
+    throw new Error('Unable to fetch display profiles. Please try again.');
+  }
+};
+
+/**
+ * Get a single display profile
+ */
+export const getProfile = async (id: string): Promise<DisplayProfile> => {
+  const response = await fetch(`${API_BASE}/api/profiles/${id}`, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Create a display profile from a set of player settings
+ */
+export const createProfile = async (name: string, settings: Partial<PlayerSettings>): Promise<DisplayProfile> => {
+  const response = await fetch(`${API_BASE}/api/profiles`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ name, settings }),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Update a profile's name and/or settings (settings are merged on the backend)
+ */
+export const updateProfile = async (
+  id: string,
+  data: { name?: string; settings?: Partial<PlayerSettings> }
+): Promise<DisplayProfile> => {
+  const response = await fetch(`${API_BASE}/api/profiles/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify(data),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Delete a display profile
+ */
+export const deleteProfile = async (id: string): Promise<void> => {
+  const response = await fetch(`${API_BASE}/api/profiles/${id}`, {
+    method: 'DELETE',
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+};
@@ -0,0 +1,108 @@
+// Session service: local sign-in for the PixelFree web UI and its users
+// (separate from the Pixelfed accounts in authService/accountService)
+
+export type UserRole = 'admin' | 'viewer';
+
+export interface LocalUser {
+  id: string;
+  username: string;
+  role: UserRole;
+  created_at?: string;
+}
+
+export interface Session {
+  enabled: boolean;       // false until the first user exists; the API is open meanwhile
+  setupRequired: boolean; // no users yet: the first one becomes admin
+  user: LocalUser | null;
+  device: { id: string; name: string } | null; // picture frame signed in with its device token
+}
+
+const API_BASE = ''; // Use relative URLs - Vite proxy handles routing
+
+const errorMessage = async (response: Response): Promise<string> => {
+  const errorData = await response.json().catch(() => ({}));
+  const err = errorData.error;
+  return (typeof err === 'string' ? err : err?.message) || `HTTP ${response.status}: ${response.statusText}`;
+};
+
+const sendJson = async (method: string, url: string, body?: unknown): Promise<Response> => {
+  const response = await fetch(`${API_BASE}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return response;
+};
+
+/**
+ * Who this browser is signed in as, and whether sign-in is needed at all
+ */
+export const getSession = async (): Promise<Session> => {
+  const response = await fetch(`${API_BASE}/api/session`, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  return await response.json();
+};
+
+/**
+ * Sign in with a local username and password (sets the session cookie)
+ */
+export const signIn = async (username: string, password: string): Promise<LocalUser> => {
+  const response = await sendJson('POST', '/api/session', { username, password });
+  return (await response.json()).user;
+};
+
+/**
+ * Create the first admin while PixelFree has no users, and sign in as it
+ */
+export const setupAdmin = async (username: string, password: string): Promise<LocalUser> => {
+  const response = await sendJson('POST', '/api/session/setup', { username, password });
+  return (await response.json()).user;
+};
+
+/**
+ * Sign out of this browser's session
+ */
+export const signOut = async (): Promise<void> => {
+  await sendJson('DELETE', '/api/session');
+};
+
+/**
+ * List local users (admins only)
+ */
+export const listUsers = async (): Promise<LocalUser[]> => {
+  const response = await fetch(`${API_BASE}/api/users`, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(await errorMessage(response));
+  }
+  const data = await response.json();
+  return data.items || [];
+};
+
+/**
+ * Add a local user (admins only)
+ */
+export const createUser = async (data: { username: string; password: string; role: UserRole }): Promise<LocalUser> => {
+  const response = await sendJson('POST', '/api/users', data);
+  return await response.json();
+};
+
+/**
+ * Change a user's role (admins only) or password (admins, or the user themselves)
+ */
+export const updateUser = async (id: string, data: { password?: string; role?: UserRole }): Promise<LocalUser> => {
+  const response = await sendJson('PATCH', `/api/users/${id}`, data);
+  return await response.json();
+};
+
+/**
+ * Remove a local user (admins only; the last admin cannot be removed)
+ */
+export const deleteUser = async (id: string): Promise<void> => {
+  await sendJson('DELETE', `/api/users/${id}`);
+};